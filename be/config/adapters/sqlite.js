@@ -0,0 +1,253 @@
+/**
+ * ADAPTADOR SQLITE
+ *
+ * Implementa la interfaz de config/repository.js sobre sqlite3, que
+ * trabaja con callbacks. Antes, cada método de los modelos repetía el
+ * mismo envoltorio:
+ *
+ *   return new Promise((resolve, reject) => {
+ *     db.get(query, params, (err, row) => { ... });
+ *   });
+ *
+ * Este adaptador lo hace una sola vez.
+ *
+ * SENTENCIAS PREPARADAS EN CACHÉ:
+ * Preparar una sentencia (analizar el SQL y planificar la consulta)
+ * cuesta tiempo. Las sentencias se guardan por texto SQL y se reutilizan;
+ * las menos usadas se liberan al superar STATEMENT_CACHE_SIZE.
+ *
+ * ¿CÓMO SE AÍSLA UNA TRANSACCIÓN?
+ * Una conexión SQLite solo tiene UNA transacción a la vez: todo lo que se
+ * ejecute en la conexión entre BEGIN y COMMIT forma parte de ella. Por eso
+ * las operaciones pasan por una cola: mientras una transacción está
+ * abierta, las demás peticiones esperan su turno en lugar de colarse
+ * dentro de ella.
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const Repository = require('../repository');
+
+const STATEMENT_CACHE_SIZE = 100;
+
+class SqliteAdapter extends Repository {
+  /**
+   * ABRIR UNA CONEXIÓN
+   *
+   * @param {string} filename - Ruta del archivo o ':memory:'
+   * @returns {Promise<SqliteAdapter>}
+   */
+  static connect(filename) {
+    return new Promise((resolve, reject) => {
+      const connection = new sqlite3.Database(filename, (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(new SqliteAdapter(connection));
+        }
+      });
+    });
+  }
+
+  /**
+   * @param {sqlite3.Database} connection - Conexión abierta
+   */
+  constructor(connection) {
+    super();
+    this.connection = connection;
+    this.statements = new Map();
+    this.queue = Promise.resolve();
+  }
+
+  get dialect() {
+    return 'sqlite';
+  }
+
+  get types() {
+    return {
+      id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+      datetime: 'DATETIME',
+    };
+  }
+
+  /**
+   * BEGIN IMMEDIATE toma el bloqueo de escritura al empezar: si otro
+   * proceso (p. ej. el CLI de migraciones) está escribiendo, falla de
+   * inmediato en lugar de hacerlo a mitad de la transacción.
+   */
+  get beginStatement() {
+    return 'BEGIN IMMEDIATE';
+  }
+
+  /**
+   * EJECUTAR UNA CONSULTA
+   *
+   * Dentro de una transacción se ejecuta directamente; fuera, espera
+   * su turno en la cola (ver encabezado).
+   *
+   * @param {'get'|'all'|'run'} kind - Tipo de resultado esperado
+   */
+  execute(kind, sql, params) {
+    const operation = async () => {
+      const statement = await this.prepare(sql);
+      return this.step(statement, kind, params);
+    };
+
+    if (this.activeTransaction()) {
+      return operation();
+    }
+    return this.enqueue(operation);
+  }
+
+  /**
+   * Ejecuta la sentencia preparada y adapta el resultado al tipo pedido
+   *
+   * ¿Por qué function() en el callback de run?
+   * - sqlite3 deja en 'this' los datos de la ejecución:
+   *   this.lastID (ID insertado) y this.changes (filas afectadas)
+   */
+  step(statement, kind, params) {
+    return new Promise((resolve, reject) => {
+      if (kind === 'get') {
+        statement.get(params, (err, row) => {
+          // reset(): libera el cursor; si no, la consulta queda "abierta"
+          statement.reset(() => (err ? reject(err) : resolve(row)));
+        });
+      } else if (kind === 'all') {
+        statement.all(params, (err, rows) =>
+          err ? reject(err) : resolve(rows)
+        );
+      } else {
+        statement.run(params, function (err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ changes: this.changes, lastID: this.lastID });
+          }
+        });
+      }
+    });
+  }
+
+  /**
+   * La transacción ocupa un turno completo de la cola
+   */
+  runTransaction(callback) {
+    return this.enqueue(() => callback(this.connection));
+  }
+
+  /**
+   * Sentencias de control (BEGIN, COMMIT...): sin parámetros ni caché
+   */
+  control(transaction, sql) {
+    return new Promise((resolve, reject) => {
+      this.connection.exec(sql, (err) => (err ? reject(err) : resolve()));
+    });
+  }
+
+  /**
+   * COLUMNAS DE UNA TABLA (PRAGMA table_info)
+   *
+   * @param {string} table - Nombre de la tabla
+   * @returns {Promise<Array<{name: string, type: string, notNull: boolean}>>}
+   */
+  async columns(table) {
+    const rows = await this.all(`PRAGMA table_info(${table})`);
+    return rows.map(({ name, type, notnull }) => ({
+      name,
+      type,
+      notNull: Boolean(notnull),
+    }));
+  }
+
+  /**
+   * ¿EL ERROR ES DE UNA RESTRICCIÓN UNIQUE?
+   *
+   * sqlite3 usa el mismo código (SQLITE_CONSTRAINT) para UNIQUE, NOT NULL,
+   * CHECK...: el tipo concreto solo aparece en el mensaje.
+   *
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  isUniqueViolation(error) {
+    return (
+      error.code === 'SQLITE_CONSTRAINT' &&
+      /UNIQUE constraint failed/.test(error.message)
+    );
+  }
+
+  /**
+   * CERRAR LA CONEXIÓN
+   *
+   * SQLite no permite cerrar una conexión con sentencias sin finalizar:
+   * primero se liberan las de la caché.
+   *
+   * @returns {Promise<void>}
+   */
+  async close() {
+    const pending = [...this.statements.values()];
+    this.statements.clear();
+
+    await Promise.all(
+      pending.map((prepared) =>
+        prepared.then(
+          (statement) => new Promise((resolve) => statement.finalize(resolve)),
+          () => {}
+        )
+      )
+    );
+
+    return new Promise((resolve, reject) => {
+      this.connection.close((err) => (err ? reject(err) : resolve()));
+    });
+  }
+
+  /**
+   * Encola una operación: empieza cuando termina la anterior
+   */
+  enqueue(operation) {
+    const result = this.queue.then(operation);
+    // Un error de una operación no debe bloquear a las siguientes
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Sentencia preparada para 'sql' (de la caché o nueva)
+   *
+   * La caché guarda Promises: dos llamadas simultáneas con el mismo SQL
+   * comparten la misma preparación. El orden de inserción del Map sirve
+   * para liberar primero la sentencia usada hace más tiempo.
+   */
+  prepare(sql) {
+    const cached = this.statements.get(sql);
+    if (cached) {
+      // Mover al final: es la usada más recientemente
+      this.statements.delete(sql);
+      this.statements.set(sql, cached);
+      return cached;
+    }
+
+    const prepared = new Promise((resolve, reject) => {
+      const statement = this.connection.prepare(sql, (err) =>
+        err ? reject(err) : resolve(statement)
+      );
+    });
+
+    // Un SQL inválido no se guarda
+    prepared.catch(() => this.statements.delete(sql));
+    this.statements.set(sql, prepared);
+
+    if (this.statements.size > STATEMENT_CACHE_SIZE) {
+      const [oldestSql, oldest] = this.statements.entries().next().value;
+      this.statements.delete(oldestSql);
+      oldest.then(
+        (statement) => statement.finalize(),
+        () => {}
+      );
+    }
+
+    return prepared;
+  }
+}
+
+module.exports = SqliteAdapter;
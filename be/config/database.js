@@ -1,7 +1,13 @@
 /**
- * CONFIGURACIÓN DE BASE DE DATOS SQLITE
+ * CONFIGURACIÓN DE BASE DE DATOS (SQLITE O POSTGRESQL)
  *
- * Este archivo maneja toda la configuración y conexión a la base de datos SQLite.
+ * Este archivo maneja toda la configuración y conexión a la base de datos.
+ * El motor se elige con variables de entorno:
+ * - DATABASE_URL definida: PostgreSQL (config/adapters/postgres.js)
+ * - Si no: SQLite en el archivo DB_PATH (config/adapters/sqlite.js)
+ *
+ * Los modelos no saben cuál se usa: ambos adaptadores implementan la
+ * misma interfaz, la del repositorio (ver config/repository.js).
  *
  * ¿Por qué SQLite?
  * - Base de datos ligera y sin servidor
@@ -15,11 +21,17 @@
  * - Aplicaciones que requieren alta escalabilidad
  * - Sistemas distribuidos
  *
- * Alternativas para producción: PostgreSQL, MySQL, MongoDB
+ * Para esos casos está PostgreSQL: basta con definir DATABASE_URL.
  */
 
-const sqlite3 = require('sqlite3').verbose();
+const fs = require('fs');
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { PERMISSIONS, ROLES } = require('./rbac');
+const { migrate, status } = require('./migrator');
+const logger = require('../src/utils/logger');
+const SqliteAdapter = require('./adapters/sqlite');
+const PostgresAdapter = require('./adapters/postgres');
 
 /**
  * CONFIGURACIÓN DE RUTAS
@@ -28,111 +40,241 @@ const path = require('path');
  * path.join(): Une rutas de forma segura, independiente del SO
  * '..': Sube un nivel en la estructura de carpetas
  */
-const DB_PATH = path.join(__dirname, '..', 'database.sqlite');
+const BACKEND_DIR = path.join(__dirname, '..');
+const DEFAULT_DB_PATH = path.join(BACKEND_DIR, 'database.sqlite');
+
+/**
+ * ':memory:' es un nombre especial de SQLite: la BD vive solo en memoria
+ * y desaparece al cerrar la conexión. Cada conexión ':memory:' es una BD
+ * distinta y vacía, ideal para tests.
+ */
+const MEMORY_DB_PATH = ':memory:';
+
+/**
+ * UBICACIÓN DE LA BASE DE DATOS (DB_PATH)
+ *
+ * - Sin definir: be/database.sqlite
+ * - ':memory:': BD en memoria
+ * - Ruta relativa: se resuelve desde la carpeta be/ (no desde el
+ *   directorio donde se ejecuta node), así 'pnpm dev' desde la raíz del
+ *   monorepo y 'npm run dev' desde be/ usan el mismo archivo
+ * - Ruta absoluta: se usa tal cual
+ *
+ * @param {string} [value] - Valor a resolver (por defecto process.env.DB_PATH)
+ * @returns {string}
+ */
+const resolveDbPath = (value = process.env.DB_PATH) => {
+  if (!value) {
+    return DEFAULT_DB_PATH;
+  }
+  if (value === MEMORY_DB_PATH) {
+    return value;
+  }
+  return path.resolve(BACKEND_DIR, value);
+};
+
+/**
+ * CONEXIÓN DE LA OPERACIÓN EN CURSO
+ *
+ * No hay una conexión global. createDatabase() abre instancias
+ * independientes (cada una con su archivo o su BD en memoria), y cada
+ * operación se ejecuta dentro de withDatabase(database, fn):
+ *
+ * - El servidor atiende cada petición HTTP dentro de withDatabase()
+ *   (ver startServer en src/app.js)
+ * - Los modelos obtienen esa conexión con getRepository()
+ *
+ * AsyncLocalStorage acompaña a la conexión por todo el código asíncrono
+ * que nace de fn (await, callbacks, temporizadores) sin pasarla como
+ * parámetro. Así varias instancias conviven en el mismo proceso: cada
+ * archivo de tests trabaja con su propia BD ':memory:' sin pisar a otro.
+ */
+const scope = new AsyncLocalStorage();
 
-// Variable global para mantener la conexión a la base de datos
-let db = null;
+/**
+ * URL SIN CREDENCIALES (para los logs)
+ *
+ * postgres://app:secreto@db:5432/app → postgres://app:***@db:5432/app
+ */
+const maskUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    if (parsed.password) {
+      parsed.password = '***';
+    }
+    return parsed.toString();
+  } catch (error) {
+    return '(DATABASE_URL inválida)';
+  }
+};
 
 /**
- * FUNCIÓN PARA INICIALIZAR LA BASE DE DATOS
+ * FUNCIÓN PARA ABRIR UNA CONEXIÓN
+ *
+ * Solo conecta con la BD (en SQLite crea el archivo y sus carpetas si no
+ * existen), sin tocar el esquema. La usan createDatabase() y el CLI de
+ * migraciones (scripts/migrate.js), que necesita la conexión sin migrar
+ * automáticamente.
+ *
+ * Devuelve una conexión NUEVA: no reemplaza la conexión por defecto.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.url] - URL de PostgreSQL (por defecto DATABASE_URL)
+ * @param {string} [options.filename] - Ruta o ':memory:' para SQLite (por defecto DB_PATH)
+ * @param {Repository} [options.adapter] - Adaptador ya creado (se usa tal cual)
+ * @returns {Promise<Repository>}
+ */
+const openDatabase = async ({
+  url = process.env.DATABASE_URL,
+  filename = resolveDbPath(),
+  adapter,
+} = {}) => {
+  if (adapter) {
+    return adapter;
+  }
+
+  try {
+    if (url) {
+      const database = await PostgresAdapter.connect(url);
+      logger.info('Conectado a la base de datos PostgreSQL', {
+        server: maskUrl(url),
+      });
+      return database;
+    }
+
+    // SQLite crea el archivo, pero no las carpetas que lo contienen
+    if (filename !== MEMORY_DB_PATH) {
+      fs.mkdirSync(path.dirname(filename), { recursive: true });
+    }
+
+    const database = await SqliteAdapter.connect(filename);
+    logger.info('Conectado a la base de datos SQLite', { filename });
+    return database;
+  } catch (err) {
+    logger.error('Error al conectar con la base de datos', { error: err });
+    throw err;
+  }
+};
+
+/**
+ * FUNCIÓN PARA CREAR UNA BASE DE DATOS LISTA PARA USAR
  *
  * Esta función:
- * 1. Crea/conecta a la base de datos SQLite
- * 2. Crea las tablas necesarias si no existen
- * 3. Retorna una Promise para manejo asíncrono
- *
- * ¿Por qué usar Promises?
- * - SQLite3 usa callbacks por defecto
- * - Las Promises son más fáciles de manejar con async/await
- * - Evita el "callback hell"
- * - Mejor control de errores
- */
-const initDatabase = () => {
-  return new Promise((resolve, reject) => {
-    // Crear/conectar a la base de datos
-    db = new sqlite3.Database(DB_PATH, (err) => {
-      if (err) {
-        console.error(
-          '❌ Error al conectar con la base de datos:',
-          err.message
-        );
-        reject(err);
-      } else {
-        console.log('✅ Conectado a la base de datos SQLite');
-        console.log(`📁 Ubicación de la BD: ${DB_PATH}`);
-
-        // Después de conectar, crear las tablas
-        createTables()
-          .then(() => resolve())
-          .catch(reject);
-      }
-    });
-  });
+ * 1. Crea/conecta a la base de datos (SQLite o PostgreSQL)
+ * 2. Aplica las migraciones pendientes (carpeta migrations/)
+ * 3. Siembra los roles y permisos (RBAC)
+ * 4. Retorna una Promise con la conexión
+ *
+ * ¿Por qué migraciones y no CREATE TABLE IF NOT EXISTS?
+ * - CREATE TABLE IF NOT EXISTS no modifica tablas que ya existen: cada
+ *   columna nueva necesitaba código especial para las BDs antiguas
+ * - Con migraciones cada cambio del esquema queda numerado, se aplica
+ *   una sola vez y puede revertirse (ver config/migrator.js)
+ *
+ * DB_AUTO_MIGRATE=false desactiva el paso 2 (p. ej. en producción, donde
+ * se prefiere ejecutar 'pnpm db:migrate' como parte del despliegue). Si
+ * quedan migraciones pendientes se rechaza la Promise: el código
+ * esperaría columnas que la BD todavía no tiene.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.url] - URL de PostgreSQL (por defecto DATABASE_URL)
+ * @param {string} [options.filename] - Ruta o ':memory:' (por defecto DB_PATH)
+ * @param {Repository} [options.adapter] - Adaptador ya creado
+ * @param {boolean} [options.autoMigrate] - Aplicar migraciones (por defecto DB_AUTO_MIGRATE)
+ * @returns {Promise<Repository>}
+ */
+const createDatabase = async ({
+  autoMigrate = process.env.DB_AUTO_MIGRATE !== 'false',
+  ...connection
+} = {}) => {
+  const database = await openDatabase(connection);
+
+  try {
+    if (autoMigrate) {
+      await migrate(database);
+    }
+
+    const pending = (await status(database)).filter(
+      ({ appliedAt }) => !appliedAt
+    );
+    if (pending.length > 0) {
+      const names = pending.map(({ version, name }) => `${version}_${name}`);
+      throw new Error(
+        `Migraciones pendientes: ${names.join(
+          ', '
+        )}. Ejecuta 'pnpm db:migrate'.`
+      );
+    }
+
+    await seedRoles(database);
+  } catch (error) {
+    await closeDatabase(database);
+    throw error;
+  }
+
+  return database;
 };
 
 /**
- * FUNCIÓN PARA CREAR TABLAS
- *
- * Define la estructura de la tabla 'users' según los RF's:
- * - id: Clave primaria auto-incremental
- * - email: Único y obligatorio
- * - nombres: Nombre(s) del usuario
- * - apellidos: Apellidos del usuario
- * - password: Contraseña encriptada
- * - created_at: Fecha de creación automática
- * - updated_at: Fecha de última actualización
- *
- * ¿Por qué estos campos específicos?
- * - Según RF-001, se requieren email, nombres, apellidos y password
- * - created_at/updated_at son buenas prácticas para auditoría
- * - id auto-incremental es estándar para claves primarias
- */
-const createTables = () => {
-  return new Promise((resolve, reject) => {
-    const createUsersTable = `
-      CREATE TABLE IF NOT EXISTS users (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        email TEXT UNIQUE NOT NULL,
-        nombres TEXT NOT NULL,
-        apellidos TEXT NOT NULL,
-        password TEXT NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `;
-
-    /**
-     * EXPLICACIÓN DE LA ESTRUCTURA DE LA TABLA:
-     *
-     * - INTEGER PRIMARY KEY AUTOINCREMENT:
-     *   Clave primaria que se incrementa automáticamente
-     *
-     * - TEXT UNIQUE NOT NULL (email):
-     *   Campo de texto único y obligatorio para evitar duplicados
-     *
-     * - TEXT NOT NULL (nombres, apellidos, password):
-     *   Campos de texto obligatorios
-     *
-     * - DATETIME DEFAULT CURRENT_TIMESTAMP:
-     *   Fecha/hora que se asigna automáticamente al crear/actualizar
-     *
-     * - CREATE TABLE IF NOT EXISTS:
-     *   Solo crea la tabla si no existe, evita errores en múltiples ejecuciones
-     */
-
-    db.run(createUsersTable, (err) => {
-      if (err) {
-        console.error('❌ Error al crear tabla users:', err.message);
-        reject(err);
-      } else {
-        console.log('✅ Tabla users creada o ya existe');
-
-        // Opcional: Mostrar información sobre la tabla creada
-        showTableInfo();
-        resolve();
+ * FUNCIÓN PARA INICIALIZAR LA BASE DE DATOS DEL SERVIDOR
+ *
+ * Crea la base de datos (ver createDatabase) y muestra la estructura de
+ * la tabla de usuarios. Los modelos la usan dentro de withDatabase().
+ *
+ * @param {Object} [options] - Las mismas opciones que createDatabase()
+ * @returns {Promise<Repository>}
+ */
+const initDatabase = async (options) => {
+  const database = await createDatabase(options);
+
+  // Opcional: Mostrar información sobre la tabla de usuarios
+  await showTableInfo(database);
+
+  return database;
+};
+
+/**
+ * FUNCIÓN PARA SEMBRAR ROLES Y PERMISOS
+ *
+ * Inserta el catálogo de config/rbac.js con ON CONFLICT DO NOTHING:
+ * - Ejecutarla en cada arranque es seguro (idempotente)
+ * - Solo agrega lo que falta; nunca borra asignaciones existentes
+ *
+ * role_permissions se llena con un INSERT ... SELECT que busca los IDs
+ * por nombre, así no necesitamos conocer los IDs generados.
+ *
+ * Todo va en una transacción: o se siembra el catálogo completo o nada.
+ */
+const seedRoles = async (database) => {
+  await database.transaction(async (tx) => {
+    for (const [name, description] of Object.entries(PERMISSIONS)) {
+      await tx.run(
+        'INSERT INTO permissions (name, description) VALUES (?, ?) ON CONFLICT (name) DO NOTHING',
+        [name, description]
+      );
+    }
+
+    for (const [role, { description, permissions }] of Object.entries(ROLES)) {
+      await tx.run(
+        'INSERT INTO roles (name, description) VALUES (?, ?) ON CONFLICT (name) DO NOTHING',
+        [role, description]
+      );
+
+      for (const permission of permissions) {
+        await tx.run(
+          `
+            INSERT INTO role_permissions (role_id, permission_id)
+            SELECT roles.id, permissions.id FROM roles, permissions
+            WHERE roles.name = ? AND permissions.name = ?
+            ON CONFLICT (role_id, permission_id) DO NOTHING
+          `,
+          [role, permission]
+        );
       }
-    });
+    }
   });
+
+  logger.info('Roles y permisos sembrados');
 };
 
 /**
@@ -141,41 +283,62 @@ const createTables = () => {
  * Esta función es opcional y solo para fines educativos.
  * Muestra la estructura de la tabla en la consola.
  */
-const showTableInfo = () => {
-  db.all('PRAGMA table_info(users)', (err, rows) => {
-    if (!err && rows.length > 0) {
-      console.log('📋 Estructura de la tabla users:');
-      rows.forEach((column) => {
-        console.log(
-          `   - ${column.name}: ${column.type} ${
-            column.notnull ? '(NOT NULL)' : ''
-          } ${column.pk ? '(PRIMARY KEY)' : ''}`
-        );
+const showTableInfo = async (database) => {
+  try {
+    const columns = await database.columns('users');
+    if (columns.length > 0) {
+      logger.debug('Estructura de la tabla users', {
+        columns: columns.map(
+          (column) =>
+            `${column.name}: ${column.type}${
+              column.notNull ? ' (NOT NULL)' : ''
+            }`
+        ),
       });
     }
-  });
+  } catch (error) {
+    // Solo informativo: un error aquí no impide arrancar
+  }
 };
 
 /**
- * FUNCIÓN PARA OBTENER LA INSTANCIA DE LA BASE DE DATOS
+ * FUNCIÓN PARA OBTENER EL REPOSITORIO DE LA BASE DE DATOS
+ *
+ * Esta función permite que los modelos accedan a la BD a través del
+ * repositorio (config/repository.js): get/all/run y transaction().
+ * Devuelve la conexión de la operación en curso (ver withDatabase).
  *
- * Esta función permite que otros módulos accedan a la conexión de BD.
- * Incluye validación para asegurar que la BD esté inicializada.
+ * Fuera de withDatabase() lanza un error claro en lugar de usar una
+ * conexión cualquiera: con varias BDs abiertas, elegir la equivocada
+ * mezclaría datos sin que nadie lo note.
  *
- * ¿Por qué no exportar 'db' directamente?
- * - Evita errores si se intenta usar antes de inicializar
- * - Proporciona un mensaje de error claro
- * - Mejor control del flujo de la aplicación
+ * @returns {Repository}
  */
-const getDatabase = () => {
-  if (!db) {
+const getRepository = () => {
+  const database = scope.getStore();
+  if (!database) {
     throw new Error(
-      '❌ Base de datos no inicializada. Llama a initDatabase() primero.'
+      '❌ Sin base de datos: ejecuta la operación dentro de withDatabase().'
     );
   }
-  return db;
+  return database;
 };
 
+/**
+ * FUNCIÓN PARA EJECUTAR UNA OPERACIÓN CON UNA BASE DE DATOS
+ *
+ * Todo lo que fn haga (y lo que quede programado desde ahí) usa
+ * 'database' a través de getRepository(). En tests:
+ *
+ *   const database = await createDatabase({ filename: ':memory:' });
+ *   const user = await withDatabase(database, () => User.findById(1));
+ *
+ * @param {Repository} database
+ * @param {Function} fn - Función a ejecutar
+ * @returns {*} - Lo que devuelva fn
+ */
+const withDatabase = (database, fn) => scope.run(database, fn);
+
 /**
  * FUNCIÓN PARA CERRAR LA CONEXIÓN DE BASE DE DATOS
  *
@@ -188,22 +351,20 @@ const getDatabase = () => {
  * - Señales de cierre de la aplicación (SIGINT, SIGTERM)
  * - Tests unitarios
  * - Scripts de migración
+ *
+ * @param {Repository} [database] - Conexión a cerrar
  */
-const closeDatabase = () => {
-  return new Promise((resolve) => {
-    if (db) {
-      db.close((err) => {
-        if (err) {
-          console.error('❌ Error al cerrar la base de datos:', err.message);
-        } else {
-          console.log('✅ Conexión a la base de datos cerrada correctamente');
-        }
-        resolve();
-      });
-    } else {
-      resolve();
-    }
-  });
+const closeDatabase = async (database) => {
+  if (!database) {
+    return;
+  }
+
+  try {
+    await database.close();
+    logger.info('Conexión a la base de datos cerrada correctamente');
+  } catch (err) {
+    logger.error('Error al cerrar la base de datos', { error: err });
+  }
 };
 
 /**
@@ -214,21 +375,12 @@ const closeDatabase = () => {
  * Función para ejecutar queries de desarrollo/debug
  * ¡NUNCA usar en producción!
  */
-const executeQuery = (query, params = []) => {
-  return new Promise((resolve, reject) => {
-    if (process.env.NODE_ENV === 'production') {
-      reject(new Error('executeQuery no disponible en producción'));
-      return;
-    }
+const executeQuery = async (query, params = []) => {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('executeQuery no disponible en producción');
+  }
 
-    db.all(query, params, (err, rows) => {
-      if (err) {
-        reject(err);
-      } else {
-        resolve(rows);
-      }
-    });
-  });
+  return getRepository().all(query, params);
 };
 
 /**
@@ -239,8 +391,12 @@ const executeQuery = (query, params = []) => {
  * la implementación interna y expone solo la interfaz pública.
  */
 module.exports = {
+  resolveDbPath,
+  openDatabase,
+  createDatabase,
   initDatabase,
-  getDatabase,
+  getRepository,
+  withDatabase,
   closeDatabase,
   // Función de desarrollo (solo disponible en modo desarrollo)
   ...(process.env.NODE_ENV !== 'production' && { executeQuery }),
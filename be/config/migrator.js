@@ -0,0 +1,248 @@
+/**
+ * SISTEMA DE MIGRACIONES VERSIONADAS
+ *
+ * ¿Qué es una migración?
+ * - Un archivo que describe UN cambio del esquema de la BD
+ *   (crear una tabla, agregar una columna, un índice...)
+ * - up(): aplica el cambio; down(): lo deshace
+ * - Se numeran (001_, 002_, ...) y se aplican siempre en ese orden
+ *
+ * ¿Cómo sabe la BD qué migraciones ya tiene?
+ * - La tabla schema_migrations guarda la versión de cada migración aplicada
+ * - migrate() solo ejecuta las que faltan: cada BD (desarrollo, producción,
+ *   la de un compañero) llega al mismo esquema sin editarla a mano
+ *
+ * Cada migración se ejecuta dentro de una TRANSACCIÓN junto con su registro
+ * en schema_migrations: o se aplica completa, o no se aplica nada.
+ *
+ * Las migraciones reciben el adaptador de la BD (SQLite o PostgreSQL),
+ * así que el mismo archivo sirve para ambos motores.
+ *
+ * FORMATO DE UN ARCHIVO (migrations/NNN_descripcion.js):
+ *
+ *   module.exports = {
+ *     up: async (m) => { await m.run('CREATE TABLE ...'); },
+ *     down: async (m) => { await m.run('DROP TABLE ...'); },
+ *   };
+ *
+ * 'm' es un pequeño ayudante con Promises (ver createHelpers).
+ * Para los tipos que cambian entre motores: ${m.types.id}, ${m.types.datetime}.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../src/utils/logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Nombre de archivo válido: número de versión + '_' + descripción
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * AYUDANTES PARA LAS MIGRACIONES
+ *
+ * Además de run/all/get del adaptador, 'm' ofrece:
+ *
+ * - m.dialect: 'sqlite' o 'postgres', por si una migración necesita SQL
+ *   distinto en cada motor
+ * - m.types: tipos que cambian entre motores:
+ *     m.types.id       → clave primaria autoincremental
+ *     m.types.datetime → fecha y hora (DATETIME / TIMESTAMPTZ)
+ * - addColumn() / dropColumn(): idempotentes. Si la columna ya existe
+ *   (o ya no existe) no hacen nada; addColumn() devuelve false en ese caso.
+ *   Así las primeras migraciones también funcionan sobre BDs creadas
+ *   antes de existir este sistema.
+ *
+ * @param {Repository} db - Adaptador (dentro de la transacción)
+ */
+const createHelpers = (db) => {
+  const run = (sql, params) => db.run(sql, params);
+  const all = (sql, params) => db.all(sql, params);
+  const get = (sql, params) => db.get(sql, params);
+
+  const hasColumn = async (table, column) => {
+    const columns = await db.columns(table);
+    return columns.some(({ name }) => name === column);
+  };
+
+  const addColumn = async (table, column, definition) => {
+    if (await hasColumn(table, column)) {
+      return false;
+    }
+    await run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    return true;
+  };
+
+  const dropColumn = async (table, column) => {
+    if (await hasColumn(table, column)) {
+      await run(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+    }
+  };
+
+  return {
+    dialect: db.dialect,
+    types: db.types,
+    run,
+    all,
+    get,
+    hasColumn,
+    addColumn,
+    dropColumn,
+  };
+};
+
+/**
+ * CARGAR LOS ARCHIVOS DE MIGRACIÓN
+ *
+ * @returns {Array<{version: string, name: string, up: Function, down: Function}>}
+ *   Ordenadas por versión
+ */
+const loadMigrations = () => {
+  const migrations = fs
+    .readdirSync(MIGRATIONS_DIR)
+    .map((file) => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+
+      if (
+        typeof migration.up !== 'function' ||
+        typeof migration.down !== 'function'
+      ) {
+        throw new Error(`La migración ${file} debe exportar up() y down()`);
+      }
+
+      return {
+        version: match[1],
+        name: match[2],
+        up: migration.up,
+        down: migration.down,
+      };
+    })
+    .sort((a, b) => Number(a.version) - Number(b.version));
+
+  // Dos archivos con la misma versión serían ambiguos
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Versión de migración duplicada: ${migration.version}`);
+    }
+  });
+
+  return migrations;
+};
+
+/**
+ * CREAR LA TABLA DE CONTROL Y LEER LAS VERSIONES APLICADAS
+ *
+ * @param {Repository} db
+ * @returns {Promise<Map<string, string>>} - versión → fecha de aplicación
+ */
+const getAppliedVersions = async (db) => {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at ${db.types.datetime} DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  const rows = await db.all(
+    'SELECT version, applied_at FROM schema_migrations'
+  );
+  return new Map(rows.map((row) => [row.version, row.applied_at]));
+};
+
+/**
+ * APLICAR LAS MIGRACIONES PENDIENTES
+ *
+ * Cada migración se ejecuta en una transacción del adaptador: en SQLite y
+ * en PostgreSQL los cambios de esquema (CREATE, ALTER) también se deshacen
+ * con ROLLBACK si algo falla.
+ *
+ * @param {Repository} db - Adaptador de la BD
+ * @returns {Promise<string[]>} - Migraciones aplicadas ('001_create_users', ...)
+ */
+const migrate = async (db) => {
+  const applied = await getAppliedVersions(db);
+  const pending = loadMigrations().filter(
+    ({ version }) => !applied.has(version)
+  );
+
+  for (const migration of pending) {
+    const label = `${migration.version}_${migration.name}`;
+
+    try {
+      await db.transaction(async (tx) => {
+        await migration.up(createHelpers(tx));
+        await tx.run(
+          'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+          [migration.version, migration.name]
+        );
+      });
+    } catch (error) {
+      error.message = `Migración ${label} fallida: ${error.message}`;
+      throw error;
+    }
+
+    logger.info('Migración aplicada', { migration: label });
+  }
+
+  return pending.map(({ version, name }) => `${version}_${name}`);
+};
+
+/**
+ * REVERTIR LAS ÚLTIMAS MIGRACIONES
+ *
+ * @param {Repository} db - Adaptador de la BD
+ * @param {number} [steps=1] - Cuántas migraciones revertir
+ * @returns {Promise<string[]>} - Migraciones revertidas (de la más nueva a la más vieja)
+ */
+const rollback = async (db, steps = 1) => {
+  const applied = await getAppliedVersions(db);
+  const toRevert = loadMigrations()
+    .filter(({ version }) => applied.has(version))
+    .reverse()
+    .slice(0, steps);
+
+  for (const migration of toRevert) {
+    const label = `${migration.version}_${migration.name}`;
+
+    try {
+      await db.transaction(async (tx) => {
+        await migration.down(createHelpers(tx));
+        await tx.run('DELETE FROM schema_migrations WHERE version = ?', [
+          migration.version,
+        ]);
+      });
+    } catch (error) {
+      error.message = `Reversión de ${label} fallida: ${error.message}`;
+      throw error;
+    }
+
+    logger.info('Migración revertida', { migration: label });
+  }
+
+  return toRevert.map(({ version, name }) => `${version}_${name}`);
+};
+
+/**
+ * ESTADO DE LAS MIGRACIONES
+ *
+ * @param {Repository} db - Adaptador de la BD
+ * @returns {Promise<Array<{version: string, name: string, appliedAt: string|null}>>}
+ */
+const status = async (db) => {
+  const applied = await getAppliedVersions(db);
+
+  return loadMigrations().map(({ version, name }) => ({
+    version,
+    name,
+    appliedAt: applied.get(version) || null,
+  }));
+};
+
+module.exports = {
+  migrate,
+  rollback,
+  status,
+};
@@ -0,0 +1,51 @@
+/**
+ * CATÁLOGO DE ROLES Y PERMISOS (RBAC)
+ *
+ * RBAC = Role-Based Access Control (control de acceso basado en roles).
+ *
+ * ¿Cómo funciona?
+ * - Cada usuario tiene UN rol (columna users.role)
+ * - Cada rol agrupa un conjunto de permisos
+ * - Las rutas no preguntan "¿es admin?", sino "¿tiene el permiso X?"
+ *
+ * ¿Por qué permisos y no solo roles?
+ * - Agregar un rol nuevo (p. ej. 'soporte') no obliga a tocar las rutas
+ * - Cada ruta declara exactamente qué necesita: authorize('users:read')
+ *
+ * Convención de nombres: 'recurso:acción'
+ *
+ * Este catálogo se siembra en la BD al iniciar (ON CONFLICT DO NOTHING):
+ * - Los roles y permisos que falten se crean
+ * - Las asignaciones hechas directamente en la BD se respetan
+ */
+
+const PERMISSIONS = {
+  'profile:read': 'Ver el perfil propio',
+  'profile:update': 'Editar el perfil propio',
+  'users:read': 'Listar y ver usuarios',
+  'users:update': 'Editar usuarios y sus roles',
+  'users:delete': 'Eliminar usuarios',
+  'audit:read': 'Consultar y exportar el registro de auditoría',
+  'clients:manage':
+    'Registrar y eliminar aplicaciones cliente (OpenID Connect)',
+};
+
+const ROLES = {
+  admin: {
+    description: 'Administrador con acceso total',
+    permissions: Object.keys(PERMISSIONS),
+  },
+  user: {
+    description: 'Usuario registrado',
+    permissions: ['profile:read', 'profile:update'],
+  },
+};
+
+// Rol asignado a las cuentas nuevas (valor por defecto de users.role)
+const DEFAULT_ROLE = 'user';
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  DEFAULT_ROLE,
+};
@@ -0,0 +1,192 @@
+/**
+ * CAPA DE ACCESO A DATOS (REPOSITORIO)
+ *
+ * Los modelos no saben qué motor de BD hay detrás: solo usan esta interfaz,
+ * que obtienen con getRepository() (config/database.js). Cada motor
+ * (SQLite, PostgreSQL) tiene un adaptador (config/adapters/) que extiende
+ * esta clase.
+ *
+ *   get(sql, params)  → Promise<fila | undefined>
+ *   all(sql, params)  → Promise<filas[]>
+ *   run(sql, params)  → Promise<{changes, lastID}>
+ *   transaction(async (tx) => { ... }) → COMMIT si la función termina bien,
+ *                                        ROLLBACK si lanza un error
+ *   columns(table)    → Promise<Array<{name, type, notNull}>>
+ *   isUniqueViolation(error) → ¿el error es de una restricción UNIQUE?
+ *   close()           → Promise<void>
+ *
+ *   dialect           → 'sqlite' | 'postgres'
+ *   types             → tipos de columna que cambian entre motores
+ *                       (los usan las migraciones)
+ *
+ * SQL PORTABLE:
+ * - Parámetros siempre con '?' (el adaptador de PostgreSQL los traduce a $1, $2...)
+ * - lastID solo existe en SQLite: para conocer el ID insertado se usa
+ *   'INSERT ... RETURNING id' con get(), que funciona en ambos motores
+ * - En lugar de INSERT OR IGNORE / OR REPLACE (solo SQLite), se usa
+ *   ON CONFLICT ... DO NOTHING / DO UPDATE (estándar en ambos)
+ *
+ * TRANSACCIONES:
+ * Esta clase resuelve lo que es igual en todos los motores: saber (con
+ * AsyncLocalStorage) si una llamada viene de dentro de una transacción
+ * abierta, y anidar transacciones con SAVEPOINT. Así un método de un
+ * modelo funciona igual dentro y fuera de una transacción, sin recibir
+ * 'tx' como parámetro.
+ *
+ * Cada adaptador implementa:
+ * - execute(kind, sql, params): ejecuta una consulta ('get', 'all' o 'run')
+ * - runTransaction(callback): reserva la conexión para una transacción y
+ *   llama a callback(session); 'session' es lo que control() necesita
+ * - control(transaction, sql): ejecuta BEGIN, COMMIT, SAVEPOINT...
+ * - columns(table), isUniqueViolation(error) y close()
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+class Repository {
+  constructor() {
+    this.context = new AsyncLocalStorage();
+  }
+
+  /**
+   * OBTENER UNA FILA
+   *
+   * @param {string} sql - Consulta con parámetros '?'
+   * @param {Array} [params=[]] - Valores de los parámetros
+   * @returns {Promise<Object|undefined>} - La primera fila, o undefined
+   */
+  get(sql, params = []) {
+    return this.execute('get', sql, params);
+  }
+
+  /**
+   * OBTENER TODAS LAS FILAS
+   *
+   * @param {string} sql - Consulta con parámetros '?'
+   * @param {Array} [params=[]] - Valores de los parámetros
+   * @returns {Promise<Object[]>}
+   */
+  all(sql, params = []) {
+    return this.execute('all', sql, params);
+  }
+
+  /**
+   * EJECUTAR UNA SENTENCIA (INSERT, UPDATE, DELETE, CREATE...)
+   *
+   * @param {string} sql - Sentencia con parámetros '?'
+   * @param {Array} [params=[]] - Valores de los parámetros
+   * @returns {Promise<{changes: number, lastID: number|undefined}>}
+   */
+  run(sql, params = []) {
+    return this.execute('run', sql, params);
+  }
+
+  /**
+   * EJECUTAR VARIAS OPERACIONES DE FORMA ATÓMICA
+   *
+   *   await getRepository().transaction(async (tx) => {
+   *     const { id } = await tx.get('INSERT INTO users ... RETURNING id', [...]);
+   *     await tx.run('INSERT INTO password_history ...', [id, ...]);
+   *   });
+   *
+   * - Si la función termina bien: COMMIT y se devuelve su resultado
+   * - Si lanza un error: ROLLBACK y se relanza el error
+   *
+   * 'tx' es este mismo repositorio; los modelos que usan getRepository()
+   * dentro de la función también participan de la transacción.
+   * Una transacción anidada usa un SAVEPOINT.
+   *
+   * @param {Function} work - async (tx) => resultado
+   * @returns {Promise<*>} - Lo que devuelva 'work'
+   */
+  transaction(work) {
+    const current = this.activeTransaction();
+
+    if (current) {
+      current.savepoints += 1;
+      const name = `sp_${current.savepoints}`;
+
+      return this.wrap(current, work, {
+        begin: `SAVEPOINT ${name}`,
+        commit: `RELEASE SAVEPOINT ${name}`,
+        rollback: `ROLLBACK TO SAVEPOINT ${name}`,
+      });
+    }
+
+    return this.runTransaction((session) => {
+      const transaction = { active: true, savepoints: 0, session };
+
+      return this.context.run(transaction, () =>
+        this.wrap(transaction, work, {
+          begin: this.beginStatement,
+          commit: 'COMMIT',
+          rollback: 'ROLLBACK',
+        }).finally(() => {
+          transaction.active = false;
+        })
+      );
+    });
+  }
+
+  /**
+   * Sentencia que abre una transacción (los adaptadores pueden cambiarla)
+   */
+  get beginStatement() {
+    return 'BEGIN';
+  }
+
+  /**
+   * Transacción abierta desde la que se hace la llamada (o null)
+   */
+  activeTransaction() {
+    const transaction = this.context.getStore();
+    return transaction && transaction.active ? transaction : null;
+  }
+
+  /**
+   * BEGIN → work → COMMIT, o ROLLBACK si work falla
+   */
+  async wrap(transaction, work, { begin, commit, rollback }) {
+    await this.control(transaction, begin);
+    try {
+      const result = await work(this);
+      await this.control(transaction, commit);
+      return result;
+    } catch (error) {
+      // Si el ROLLBACK también falla, el error útil sigue siendo el original
+      await this.control(transaction, rollback).catch(() => {});
+      throw error;
+    }
+  }
+
+  // Métodos que cada adaptador debe implementar (ver encabezado)
+  execute(kind, sql, params) {
+    throw new Error(`${this.constructor.name} debe implementar execute()`);
+  }
+
+  runTransaction(callback) {
+    throw new Error(
+      `${this.constructor.name} debe implementar runTransaction()`
+    );
+  }
+
+  control(transaction, sql) {
+    throw new Error(`${this.constructor.name} debe implementar control()`);
+  }
+
+  columns(table) {
+    throw new Error(`${this.constructor.name} debe implementar columns()`);
+  }
+
+  isUniqueViolation(error) {
+    throw new Error(
+      `${this.constructor.name} debe implementar isUniqueViolation()`
+    );
+  }
+
+  close() {
+    throw new Error(`${this.constructor.name} debe implementar close()`);
+  }
+}
+
+module.exports = Repository;
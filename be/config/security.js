@@ -0,0 +1,155 @@
+/**
+ * CONFIGURACIÓN DE SEGURIDAD HTTP
+ *
+ * Reúne en un solo lugar las opciones de seguridad que app.js aplica al
+ * arrancar, todas controladas por variables de entorno:
+ *
+ * - TRUST_PROXY: si Express debe confiar en los headers X-Forwarded-*
+ * - BODY_LIMIT: tamaño máximo del cuerpo de las peticiones
+ * - CSP_*: Content-Security-Policy (qué recursos puede cargar el navegador)
+ * - HSTS_*: Strict-Transport-Security (obligar HTTPS; por defecto solo en producción)
+ *
+ * ¿Por qué un archivo aparte?
+ * - app.js solo decide el ORDEN de los middlewares
+ * - Aquí se decide CÓMO se configuran, y es fácil revisarlo de un vistazo
+ */
+
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+/**
+ * Lee una variable booleana ('true'/'false'); si no está definida
+ * se usa el valor por defecto.
+ */
+const readBoolean = (name, defaultValue) => {
+  const value = process.env[name];
+  if (value === undefined || value === '') {
+    return defaultValue;
+  }
+  return value === 'true';
+};
+
+/**
+ * Lee una lista separada por comas ('a, b' → ['a', 'b'])
+ */
+const readList = (name) =>
+  (process.env[name] || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+/**
+ * TRUST PROXY
+ *
+ * Detrás de un proxy (nginx, balanceador, PaaS) la conexión llega desde
+ * el proxy: sin 'trust proxy', req.ip sería la IP del proxy para TODOS
+ * los clientes y el límite de intentos de login los bloquearía a todos.
+ *
+ * Confiar en un proxy que no existe es peligroso: cualquiera podría
+ * falsificar su IP con X-Forwarded-For. Por eso el valor por defecto es false.
+ *
+ * Valores aceptados (los mismos que Express):
+ * - 'true' / 'false'
+ * - un número: cantidad de proxies delante de la app (p. ej. 1)
+ * - lista de IPs/subredes o nombres ('loopback', 'uniquelocal', '10.0.0.0/8')
+ */
+const parseTrustProxy = (value) => {
+  if (value === undefined || value === '' || value === 'false') {
+    return false;
+  }
+  if (value === 'true') {
+    return true;
+  }
+  if (/^\d+$/.test(value)) {
+    return parseInt(value, 10);
+  }
+  return value.split(',').map((item) => item.trim());
+};
+
+/**
+ * CONTENT-SECURITY-POLICY PARA EL FRONTEND (VITE + REACT)
+ *
+ * La CSP le dice al navegador de dónde puede cargar scripts, estilos,
+ * imágenes, etc. Si un atacante logra inyectar HTML (XSS), el navegador
+ * se niega a ejecutar scripts que no cumplan la política.
+ *
+ * - script-src 'self': solo los bundles generados por Vite
+ *   (en desarrollo, Vite inyecta un script inline para React Refresh)
+ * - style-src 'unsafe-inline': React aplica estilos con el atributo style
+ * - connect-src: a qué orígenes puede llamar fetch/axios (la API);
+ *   en desarrollo también el websocket de recarga en caliente de Vite
+ * - frame-ancestors 'none': nadie puede mostrar la app en un iframe
+ *   (protección contra clickjacking)
+ *
+ * CSP_CONNECT_SRC agrega orígenes extra (p. ej. la URL pública de la API).
+ * CSP_REPORT_ONLY=true solo reporta las violaciones sin bloquear:
+ * útil para probar la política antes de aplicarla.
+ */
+const buildContentSecurityPolicy = () => {
+  if (!readBoolean('CSP_ENABLED', true)) {
+    return false;
+  }
+
+  const development = !isProduction();
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+  return {
+    useDefaults: false,
+    reportOnly: readBoolean('CSP_REPORT_ONLY', false),
+    directives: {
+      defaultSrc: ["'self'"],
+      scriptSrc: ["'self'", ...(development ? ["'unsafe-inline'"] : [])],
+      styleSrc: ["'self'", "'unsafe-inline'"],
+      imgSrc: ["'self'", 'data:', 'blob:'],
+      fontSrc: ["'self'", 'data:'],
+      connectSrc: [
+        "'self'",
+        frontendUrl,
+        ...readList('CSP_CONNECT_SRC'),
+        ...(development ? ['ws:', 'wss:'] : []),
+      ],
+      objectSrc: ["'none'"],
+      baseUri: ["'self'"],
+      formAction: ["'self'"],
+      frameAncestors: ["'none'"],
+      ...(development ? {} : { upgradeInsecureRequests: [] }),
+    },
+  };
+};
+
+/**
+ * STRICT-TRANSPORT-SECURITY (HSTS)
+ *
+ * Le indica al navegador que durante max-age segundos solo use HTTPS
+ * con este dominio. En desarrollo (http://localhost) sería un estorbo,
+ * por eso por defecto solo se activa en producción.
+ */
+const buildHsts = () => {
+  if (!readBoolean('HSTS_ENABLED', isProduction())) {
+    return false;
+  }
+
+  return {
+    maxAge: parseInt(process.env.HSTS_MAX_AGE, 10) || 15552000, // 180 días
+    includeSubDomains: readBoolean('HSTS_INCLUDE_SUBDOMAINS', true),
+    preload: readBoolean('HSTS_PRELOAD', false),
+  };
+};
+
+/**
+ * CONFIGURACIÓN COMPLETA
+ *
+ * @returns {{trustProxy: *, bodyLimit: string, helmet: Object}}
+ */
+const getSecurityConfig = () => ({
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+  bodyLimit: process.env.BODY_LIMIT || '100kb',
+  helmet: {
+    contentSecurityPolicy: buildContentSecurityPolicy(),
+    strictTransportSecurity: buildHsts(),
+  },
+});
+
+module.exports = {
+  getSecurityConfig,
+  parseTrustProxy,
+};
@@ -0,0 +1,55 @@
+/**
+ * MIGRACIÓN 001: TABLA DE USUARIOS
+ *
+ * Define la estructura de la tabla 'users' según los RF's:
+ * - id: Clave primaria auto-incremental
+ * - email: Único y obligatorio
+ * - nombres: Nombre(s) del usuario
+ * - apellidos: Apellidos del usuario
+ * - password: Contraseña encriptada
+ * - created_at: Fecha de creación automática
+ * - updated_at: Fecha de última actualización
+ *
+ * ¿Por qué estos campos específicos?
+ * - Según RF-001, se requieren email, nombres, apellidos y password
+ * - created_at/updated_at son buenas prácticas para auditoría
+ * - id auto-incremental es estándar para claves primarias
+ *
+ * EXPLICACIÓN DE LA ESTRUCTURA DE LA TABLA:
+ *
+ * - ${m.types.id} (INTEGER PRIMARY KEY AUTOINCREMENT / SERIAL PRIMARY KEY):
+ *   Clave primaria que se incrementa automáticamente
+ *
+ * - TEXT UNIQUE NOT NULL (email):
+ *   Campo de texto único y obligatorio para evitar duplicados
+ *
+ * - TEXT NOT NULL (nombres, apellidos, password):
+ *   Campos de texto obligatorios
+ *
+ * - ${m.types.datetime} DEFAULT CURRENT_TIMESTAMP (DATETIME / TIMESTAMPTZ):
+ *   Fecha/hora que se asigna automáticamente al crear/actualizar
+ *
+ * - CREATE TABLE IF NOT EXISTS:
+ *   Las BDs creadas antes del sistema de migraciones ya tienen la tabla;
+ *   en ellas esta migración solo queda registrada
+ */
+
+module.exports = {
+  up: async (m) => {
+    await m.run(`
+      CREATE TABLE IF NOT EXISTS users (
+        id ${m.types.id},
+        email TEXT UNIQUE NOT NULL,
+        nombres TEXT NOT NULL,
+        apellidos TEXT NOT NULL,
+        password TEXT NOT NULL,
+        created_at ${m.types.datetime} DEFAULT CURRENT_TIMESTAMP,
+        updated_at ${m.types.datetime} DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  down: async (m) => {
+    await m.run('DROP TABLE IF EXISTS users');
+  },
+};
@@ -0,0 +1,82 @@
+/**
+ * MIGRACIÓN 002: TOKENS (LOGOUT, REFRESH Y RECUPERACIÓN DE PASSWORD)
+ *
+ * - users.tokens_valid_after: los JWT emitidos antes de esta fecha se
+ *   rechazan (por ejemplo, al cambiar el password se cierran las demás sesiones)
+ *
+ * - revoked_tokens (LISTA NEGRA):
+ *   Un JWT es válido hasta que expira, aunque el usuario haga logout.
+ *   Para poder "cerrar" una sesión en el servidor guardamos el identificador
+ *   único del token (claim 'jti') y el middleware de autenticación rechaza
+ *   cualquier token cuyo jti aparezca aquí. Pasado expires_at el registro
+ *   ya no es necesario y puede purgarse.
+ *
+ * - refresh_tokens:
+ *   Cadenas aleatorias opacas (no JWT) de larga duración que permiten
+ *   obtener nuevos access tokens sin volver a pedir el password. Solo se
+ *   guarda su hash SHA-256: si la BD se filtra, los tokens no pueden usarse.
+ *   family_id agrupa los tokens obtenidos por rotación a partir del mismo
+ *   login: si un token ya usado se presenta de nuevo (posible robo), se
+ *   revoca la familia completa.
+ *
+ * - password_reset_tokens:
+ *   Cada solicitud de "olvidé mi contraseña" genera un token aleatorio que
+ *   se envía por email. Solo se guarda su hash; son de un solo uso
+ *   (used_at) y caducan rápido (expires_at).
+ */
+
+module.exports = {
+  up: async (m) => {
+    await m.addColumn('users', 'tokens_valid_after', m.types.datetime);
+
+    await m.run(`
+      CREATE TABLE IF NOT EXISTS revoked_tokens (
+        jti TEXT PRIMARY KEY,
+        user_id INTEGER,
+        expires_at ${m.types.datetime} NOT NULL,
+        revoked_at ${m.types.datetime} DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    await m.run(`
+      CREATE INDEX IF NOT EXISTS idx_revoked_tokens_expires_at
+      ON revoked_tokens (expires_at)
+    `);
+
+    await m.run(`
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id ${m.types.id},
+        user_id INTEGER NOT NULL,
+        token_hash TEXT UNIQUE NOT NULL,
+        family_id TEXT NOT NULL,
+        expires_at ${m.types.datetime} NOT NULL,
+        revoked_at ${m.types.datetime},
+        created_at ${m.types.datetime} DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    await m.run(`
+      CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id
+      ON refresh_tokens (family_id)
+    `);
+
+    await m.run(`
+      CREATE TABLE IF NOT EXISTS password_reset_tokens (
+        id ${m.types.id},
+        user_id INTEGER NOT NULL,
+        token_hash TEXT UNIQUE NOT NULL,
+        expires_at ${m.types.datetime} NOT NULL,
+        used_at ${m.types.datetime},
+        created_at ${m.types.datetime} DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+  },
+
+  down: async (m) => {
+    await m.run('DROP TABLE IF EXISTS password_reset_tokens');
+    await m.run('DROP TABLE IF EXISTS refresh_tokens');
+    await m.run('DROP TABLE IF EXISTS revoked_tokens');
+    await m.dropColumn('users', 'tokens_valid_after');
+  },
+};
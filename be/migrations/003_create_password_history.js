@@ -0,0 +1,29 @@
+/**
+ * MIGRACIÓN 003: HISTORIAL DE PASSWORDS
+ *
+ * Guarda los hashes de passwords anteriores de cada usuario para
+ * impedir que, al cambiar el password, se reutilice uno reciente.
+ * Igual que en users, solo se guardan hashes bcrypt, nunca texto plano.
+ */
+
+module.exports = {
+  up: async (m) => {
+    await m.run(`
+      CREATE TABLE IF NOT EXISTS password_history (
+        id ${m.types.id},
+        user_id INTEGER NOT NULL,
+        password_hash TEXT NOT NULL,
+        created_at ${m.types.datetime} DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    await m.run(`
+      CREATE INDEX IF NOT EXISTS idx_password_history_user_id
+      ON password_history (user_id)
+    `);
+  },
+
+  down: async (m) => {
+    await m.run('DROP TABLE IF EXISTS password_history');
+  },
+};
@@ -0,0 +1,25 @@
+/**
+ * MIGRACIÓN 004: VERIFICACIÓN DE EMAIL
+ *
+ * - email_verified_at: cuándo el usuario confirmó su email (NULL = sin verificar)
+ * - verification_sent_at: último envío del email de verificación
+ *   (para limitar los reenvíos)
+ *
+ * Las cuentas que ya existían se consideran verificadas (backfill) para
+ * no bloquear a usuarios antiguos. Solo se hace si la columna se acaba de
+ * agregar: en una BD que ya la tenía, NULL significa "sin verificar".
+ */
+
+module.exports = {
+  up: async (m) => {
+    if (await m.addColumn('users', 'email_verified_at', m.types.datetime)) {
+      await m.run('UPDATE users SET email_verified_at = created_at');
+    }
+    await m.addColumn('users', 'verification_sent_at', m.types.datetime);
+  },
+
+  down: async (m) => {
+    await m.dropColumn('users', 'verification_sent_at');
+    await m.dropColumn('users', 'email_verified_at');
+  },
+};
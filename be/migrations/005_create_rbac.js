@@ -0,0 +1,54 @@
+/**
+ * MIGRACIÓN 005: ROLES Y PERMISOS (RBAC)
+ *
+ * - users.role: rol del usuario; las cuentas existentes reciben 'user'
+ *   gracias al DEFAULT de la columna
+ * - roles: 'admin', 'user', ... (users.role guarda el nombre del rol)
+ * - permissions: acciones concretas, p. ej. 'users:read'
+ * - role_permissions: relación muchos a muchos entre ambas
+ *   (clave primaria compuesta: un permiso no se repite en un rol)
+ *
+ * ¿Por qué 'user' escrito aquí y no DEFAULT_ROLE de config/rbac.js?
+ * - Una migración describe el esquema TAL COMO ERA al escribirla: si
+ *   mañana cambia el rol por defecto, esta migración no debe cambiar
+ *
+ * El contenido de las tablas (catálogo de config/rbac.js) no es parte
+ * del esquema: lo siembra seedRoles() en cada arranque.
+ */
+
+module.exports = {
+  up: async (m) => {
+    await m.addColumn('users', 'role', "TEXT NOT NULL DEFAULT 'user'");
+
+    await m.run(`
+      CREATE TABLE IF NOT EXISTS roles (
+        id ${m.types.id},
+        name TEXT UNIQUE NOT NULL,
+        description TEXT
+      )
+    `);
+    await m.run(`
+      CREATE TABLE IF NOT EXISTS permissions (
+        id ${m.types.id},
+        name TEXT UNIQUE NOT NULL,
+        description TEXT
+      )
+    `);
+    await m.run(`
+      CREATE TABLE IF NOT EXISTS role_permissions (
+        role_id INTEGER NOT NULL,
+        permission_id INTEGER NOT NULL,
+        PRIMARY KEY (role_id, permission_id),
+        FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE,
+        FOREIGN KEY (permission_id) REFERENCES permissions(id) ON DELETE CASCADE
+      )
+    `);
+  },
+
+  down: async (m) => {
+    await m.run('DROP TABLE IF EXISTS role_permissions');
+    await m.run('DROP TABLE IF EXISTS permissions');
+    await m.run('DROP TABLE IF EXISTS roles');
+    await m.dropColumn('users', 'role');
+  },
+};
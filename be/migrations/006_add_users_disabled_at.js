@@ -0,0 +1,16 @@
+/**
+ * MIGRACIÓN 006: DESHABILITAR CUENTAS
+ *
+ * - disabled_at: cuándo un administrador deshabilitó la cuenta
+ *   (NULL = cuenta activa)
+ */
+
+module.exports = {
+  up: async (m) => {
+    await m.addColumn('users', 'disabled_at', m.types.datetime);
+  },
+
+  down: async (m) => {
+    await m.dropColumn('users', 'disabled_at');
+  },
+};
@@ -0,0 +1,28 @@
+/**
+ * MIGRACIÓN 007: INTENTOS DE LOGIN FALLIDOS
+ *
+ * Protección contra fuerza bruta por cuenta (ver utils/loginThrottle.js).
+ * Se guarda en la BD para que un reinicio del servidor no "perdone"
+ * los intentos fallidos ni levante un bloqueo.
+ *
+ * - throttle_key: identificador de lo que se limita (p. ej. 'account:email')
+ * - failures: intentos fallidos consecutivos
+ * - locked_until: fin del bloqueo temporal (NULL = sin bloqueo)
+ */
+
+module.exports = {
+  up: async (m) => {
+    await m.run(`
+      CREATE TABLE IF NOT EXISTS login_attempts (
+        throttle_key TEXT PRIMARY KEY,
+        failures INTEGER NOT NULL DEFAULT 0,
+        last_failure_at ${m.types.datetime},
+        locked_until ${m.types.datetime}
+      )
+    `);
+  },
+
+  down: async (m) => {
+    await m.run('DROP TABLE IF EXISTS login_attempts');
+  },
+};
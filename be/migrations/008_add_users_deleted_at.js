@@ -0,0 +1,17 @@
+/**
+ * MIGRACIÓN 008: ELIMINACIÓN DE CUENTAS CON PERIODO DE GRACIA
+ *
+ * - deleted_at: cuándo el usuario pidió eliminar su cuenta
+ *   (NULL = cuenta no eliminada). La fila se conserva durante el periodo
+ *   de gracia y luego la borra definitivamente la purga periódica.
+ */
+
+module.exports = {
+  up: async (m) => {
+    await m.addColumn('users', 'deleted_at', m.types.datetime);
+  },
+
+  down: async (m) => {
+    await m.dropColumn('users', 'deleted_at');
+  },
+};
@@ -0,0 +1,92 @@
+/**
+ * MIGRACIÓN 009: REGISTRO DE AUDITORÍA
+ *
+ * Eventos de seguridad (registro, logins, cambios de password, acciones
+ * de administradores...) para poder responder "¿quién hizo qué y cuándo?".
+ *
+ * - event_type: tipo de evento (catálogo en models/AuditEvent.js)
+ * - user_id: cuenta afectada (NULL si no se conoce, p. ej. login fallido
+ *   con un email que no existe)
+ * - actor_id: quién realizó la acción (el admin en las acciones de
+ *   administración; el propio usuario en el resto)
+ * - ip, user_agent, request_id: de dónde vino la petición (request_id es
+ *   el X-Request-Id de los logs)
+ * - metadata: detalles en JSON (campos cambiados, motivo del fallo...)
+ *
+ * Sin FOREIGN KEY hacia users a propósito: el historial debe sobrevivir
+ * a la eliminación definitiva de la cuenta.
+ *
+ * SOLO INSERCIÓN (append-only):
+ * Un registro de auditoría que se puede editar no sirve como prueba.
+ * Un trigger rechaza cualquier UPDATE o DELETE sobre la tabla, aunque
+ * venga de un error en el código o de una consulta manual.
+ */
+
+module.exports = {
+  up: async (m) => {
+    await m.run(`
+      CREATE TABLE IF NOT EXISTS audit_events (
+        id ${m.types.id},
+        event_type TEXT NOT NULL,
+        user_id INTEGER,
+        actor_id INTEGER,
+        ip TEXT,
+        user_agent TEXT,
+        request_id TEXT,
+        metadata TEXT,
+        created_at ${m.types.datetime} NOT NULL
+      )
+    `);
+    await m.run(`
+      CREATE INDEX IF NOT EXISTS idx_audit_events_created_at
+      ON audit_events (created_at)
+    `);
+    await m.run(`
+      CREATE INDEX IF NOT EXISTS idx_audit_events_user_id
+      ON audit_events (user_id, created_at)
+    `);
+    await m.run(`
+      CREATE INDEX IF NOT EXISTS idx_audit_events_event_type
+      ON audit_events (event_type, created_at)
+    `);
+
+    if (m.dialect === 'postgres') {
+      await m.run(`
+        CREATE OR REPLACE FUNCTION audit_events_append_only() RETURNS trigger AS $$
+        BEGIN
+          RAISE EXCEPTION 'audit_events es de solo inserción';
+        END;
+        $$ LANGUAGE plpgsql
+      `);
+      await m.run(
+        'DROP TRIGGER IF EXISTS audit_events_append_only ON audit_events'
+      );
+      await m.run(`
+        CREATE TRIGGER audit_events_append_only
+        BEFORE UPDATE OR DELETE ON audit_events
+        FOR EACH ROW EXECUTE FUNCTION audit_events_append_only()
+      `);
+      return;
+    }
+
+    // SQLite: un trigger por operación
+    for (const operation of ['UPDATE', 'DELETE']) {
+      await m.run(`
+        CREATE TRIGGER IF NOT EXISTS audit_events_no_${operation.toLowerCase()}
+        BEFORE ${operation} ON audit_events
+        BEGIN
+          SELECT RAISE(ABORT, 'audit_events es de solo inserción');
+        END
+      `);
+    }
+  },
+
+  down: async (m) => {
+    // Al borrar la tabla se borran también sus triggers
+    await m.run('DROP TABLE IF EXISTS audit_events');
+
+    if (m.dialect === 'postgres') {
+      await m.run('DROP FUNCTION IF EXISTS audit_events_append_only()');
+    }
+  },
+};
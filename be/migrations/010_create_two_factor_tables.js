@@ -0,0 +1,52 @@
+/**
+ * MIGRACIÓN 010: VERIFICACIÓN EN DOS PASOS (TOTP)
+ *
+ * totp_secrets: un secreto por usuario
+ * - secret: secreto TOTP CIFRADO (utils/encryption.js), no un hash: el
+ *   servidor necesita el original para calcular los códigos
+ * - confirmed_at: NULL mientras la activación está pendiente (el usuario
+ *   escaneó el QR pero aún no confirmó con un código). La verificación
+ *   en dos pasos está activa solo si tiene fecha.
+ * - last_used_step: último paso de tiempo aceptado, para que un mismo
+ *   código no pueda usarse dos veces
+ *
+ * mfa_recovery_codes: códigos de recuperación de un solo uso
+ * - code_hash: SHA-256 del código (igual que los tokens opacos)
+ * - used_at: cuándo se usó (NULL = disponible)
+ */
+
+module.exports = {
+  up: async (m) => {
+    await m.run(`
+      CREATE TABLE IF NOT EXISTS totp_secrets (
+        id ${m.types.id},
+        user_id INTEGER NOT NULL UNIQUE,
+        secret TEXT NOT NULL,
+        confirmed_at ${m.types.datetime},
+        last_used_step INTEGER,
+        created_at ${m.types.datetime} DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    await m.run(`
+      CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+        id ${m.types.id},
+        user_id INTEGER NOT NULL,
+        code_hash TEXT NOT NULL,
+        used_at ${m.types.datetime},
+        created_at ${m.types.datetime} DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    await m.run(`
+      CREATE INDEX IF NOT EXISTS idx_mfa_recovery_codes_user_id
+      ON mfa_recovery_codes (user_id)
+    `);
+  },
+
+  down: async (m) => {
+    await m.run('DROP TABLE IF EXISTS mfa_recovery_codes');
+    await m.run('DROP TABLE IF EXISTS totp_secrets');
+  },
+};
@@ -0,0 +1,46 @@
+/**
+ * MIGRACIÓN 011: PASSKEYS (WEBAUTHN)
+ *
+ * webauthn_credentials: credenciales registradas por cada usuario
+ * (un usuario puede tener varias: teléfono, portátil, llave de seguridad)
+ * - credential_id: ID que asigna el autenticador (Base64URL). Es lo que
+ *   llega en el login, así que es único y se busca por él
+ * - public_key: clave pública en formato COSE (Base64URL). La privada
+ *   nunca sale del autenticador
+ * - sign_count: contador de firmas; si retrocede, la credencial pudo
+ *   ser clonada (BIGINT: el autenticador lo envía como entero de 32 bits
+ *   sin signo)
+ * - transports: JSON con las vías del autenticador (usb, nfc, internal...)
+ * - device_type / backed_up: si la passkey se sincroniza entre
+ *   dispositivos (multiDevice) y si ya tiene copia de seguridad
+ * - name: nombre que le da el usuario para reconocerla
+ */
+
+module.exports = {
+  up: async (m) => {
+    await m.run(`
+      CREATE TABLE IF NOT EXISTS webauthn_credentials (
+        id ${m.types.id},
+        user_id INTEGER NOT NULL,
+        credential_id TEXT NOT NULL UNIQUE,
+        public_key TEXT NOT NULL,
+        sign_count BIGINT NOT NULL DEFAULT 0,
+        transports TEXT,
+        device_type TEXT,
+        backed_up BOOLEAN NOT NULL DEFAULT FALSE,
+        name TEXT,
+        last_used_at ${m.types.datetime},
+        created_at ${m.types.datetime} DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    await m.run(`
+      CREATE INDEX IF NOT EXISTS idx_webauthn_credentials_user_id
+      ON webauthn_credentials (user_id)
+    `);
+  },
+
+  down: async (m) => {
+    await m.run('DROP TABLE IF EXISTS webauthn_credentials');
+  },
+};
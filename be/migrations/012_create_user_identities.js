@@ -0,0 +1,38 @@
+/**
+ * MIGRACIÓN 012: LOGIN SOCIAL (OAUTH2 / OPENID CONNECT)
+ *
+ * user_identities: cuentas externas (Google, GitHub, Microsoft...)
+ * vinculadas a un usuario. Un usuario puede tener varias
+ * - provider: nombre del proveedor en el registro (src/oauth)
+ * - subject: ID del usuario en el proveedor (claim 'sub' de OpenID
+ *   Connect). Es lo que identifica la cuenta externa: el email puede
+ *   cambiar, el subject no. Por eso (provider, subject) es único
+ * - email: el email que informó el proveedor al vincularla (solo
+ *   informativo)
+ */
+
+module.exports = {
+  up: async (m) => {
+    await m.run(`
+      CREATE TABLE IF NOT EXISTS user_identities (
+        id ${m.types.id},
+        user_id INTEGER NOT NULL,
+        provider TEXT NOT NULL,
+        subject TEXT NOT NULL,
+        email TEXT,
+        last_login_at ${m.types.datetime},
+        created_at ${m.types.datetime} DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (provider, subject),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    await m.run(`
+      CREATE INDEX IF NOT EXISTS idx_user_identities_user_id
+      ON user_identities (user_id)
+    `);
+  },
+
+  down: async (m) => {
+    await m.run('DROP TABLE IF EXISTS user_identities');
+  },
+};
@@ -0,0 +1,86 @@
+/**
+ * MIGRACIÓN 013: PROVEEDOR DE IDENTIDAD (OPENID CONNECT)
+ *
+ * Otras aplicaciones ("clientes") inician sesión con las cuentas de este
+ * sistema.
+ *
+ * oidc_clients: aplicaciones registradas por un administrador
+ * - client_id: identificador público de la aplicación
+ * - client_secret_hash: SHA-256 del secreto (NULL = cliente público, p. ej.
+ *   una SPA o una app móvil, que no puede guardar secretos: solo PKCE)
+ * - redirect_uris: JSON con las URLs de vuelta permitidas (coincidencia
+ *   exacta: una URL parecida no sirve)
+ *
+ * oidc_authorization_codes: códigos de un solo uso entre el consentimiento
+ * y el token endpoint
+ * - code_hash: SHA-256 del código (igual que los tokens opacos)
+ * - code_challenge: PKCE (S256); el cliente debe presentar el verifier
+ * - nonce: se copia al id_token
+ * - used_at: cuándo se canjeó (NULL = disponible)
+ *
+ * oidc_consents: qué permisos (scope) aprobó cada usuario a cada cliente,
+ * para no preguntarlo en cada login
+ *
+ * refresh_tokens: los de los clientes usan la misma tabla (rotación y
+ * detección de reutilización incluidas)
+ * - client_id: NULL en los del propio frontend
+ * - scope: permisos con los que se emitió
+ */
+
+module.exports = {
+  up: async (m) => {
+    await m.run(`
+      CREATE TABLE IF NOT EXISTS oidc_clients (
+        id ${m.types.id},
+        client_id TEXT NOT NULL UNIQUE,
+        client_secret_hash TEXT,
+        name TEXT NOT NULL,
+        redirect_uris TEXT NOT NULL,
+        created_at ${m.types.datetime} DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await m.run(`
+      CREATE TABLE IF NOT EXISTS oidc_authorization_codes (
+        id ${m.types.id},
+        code_hash TEXT NOT NULL UNIQUE,
+        client_id TEXT NOT NULL,
+        user_id INTEGER NOT NULL,
+        redirect_uri TEXT NOT NULL,
+        scope TEXT NOT NULL,
+        nonce TEXT,
+        code_challenge TEXT NOT NULL,
+        expires_at ${m.types.datetime} NOT NULL,
+        used_at ${m.types.datetime},
+        created_at ${m.types.datetime} DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (client_id) REFERENCES oidc_clients(client_id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    await m.run(`
+      CREATE TABLE IF NOT EXISTS oidc_consents (
+        id ${m.types.id},
+        user_id INTEGER NOT NULL,
+        client_id TEXT NOT NULL,
+        scope TEXT NOT NULL,
+        created_at ${m.types.datetime} DEFAULT CURRENT_TIMESTAMP,
+        updated_at ${m.types.datetime} DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (user_id, client_id),
+        FOREIGN KEY (client_id) REFERENCES oidc_clients(client_id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    await m.addColumn('refresh_tokens', 'client_id', 'TEXT');
+    await m.addColumn('refresh_tokens', 'scope', 'TEXT');
+  },
+
+  down: async (m) => {
+    await m.dropColumn('refresh_tokens', 'scope');
+    await m.dropColumn('refresh_tokens', 'client_id');
+    await m.run('DROP TABLE IF EXISTS oidc_consents');
+    await m.run('DROP TABLE IF EXISTS oidc_authorization_codes');
+    await m.run('DROP TABLE IF EXISTS oidc_clients');
+  },
+};
@@ -0,0 +1,21 @@
+/**
+ * MIGRACIÓN 014: FAMILIA DE LOS TOKENS EMITIDOS CON CADA CÓDIGO
+ *
+ * oidc_authorization_codes.family_id: la familia (refresh_tokens.family_id)
+ * de los refresh tokens que se emiten al canjear el código. Si el código
+ * se presenta otra vez, alguien lo copió: esos tokens (y los obtenidos
+ * por rotación a partir de ellos) se revocan (RFC 6749, sección 4.1.2)
+ *
+ * Los códigos pendientes de antes de esta migración se quedan sin familia
+ * (NULL); expiran en un minuto.
+ */
+
+module.exports = {
+  up: async (m) => {
+    await m.addColumn('oidc_authorization_codes', 'family_id', 'TEXT');
+  },
+
+  down: async (m) => {
+    await m.dropColumn('oidc_authorization_codes', 'family_id');
+  },
+};
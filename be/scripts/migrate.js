@@ -0,0 +1,78 @@
+// scripts/migrate.js - CLI para aplicar, revertir y consultar las migraciones
+
+/**
+ * USO (desde la carpeta be/):
+ *
+ *   node scripts/migrate.js up            Aplica las migraciones pendientes
+ *   node scripts/migrate.js down [pasos]  Revierte las últimas (1 por defecto)
+ *   node scripts/migrate.js status        Lista las migraciones y su estado
+ *
+ * También disponibles como 'pnpm db:migrate', 'pnpm db:rollback' y
+ * 'pnpm db:status'.
+ *
+ * Usa la misma BD que el servidor (DATABASE_URL o DB_PATH). ¡Revertir una
+ * migración borra las tablas o columnas que creó, con sus datos!
+ */
+require('dotenv').config();
+
+// En la terminal, los logs de las migraciones se leen mejor que en JSON
+process.env.LOG_FORMAT = process.env.LOG_FORMAT || 'pretty';
+
+const { openDatabase, closeDatabase } = require('../config/database');
+const { migrate, rollback, status } = require('../config/migrator');
+
+const COMMANDS = {
+  up: async (db) => {
+    const applied = await migrate(db);
+    if (applied.length === 0) {
+      console.log('✅ La base de datos ya está al día');
+    }
+  },
+
+  down: async (db, steps = '1') => {
+    const count = parseInt(steps, 10);
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error(`Número de pasos inválido: ${steps}`);
+    }
+
+    const reverted = await rollback(db, count);
+    if (reverted.length === 0) {
+      console.log('ℹ️ No hay migraciones aplicadas para revertir');
+    }
+  },
+
+  status: async (db) => {
+    const migrations = await status(db);
+
+    console.log('📋 Estado de las migraciones:');
+    migrations.forEach(({ version, name, appliedAt }) => {
+      const state = appliedAt ? `✅ aplicada ${appliedAt}` : '⏳ pendiente';
+      console.log(`   ${version}_${name}: ${state}`);
+    });
+  },
+};
+
+const main = async () => {
+  const [command = 'status', ...args] = process.argv.slice(2);
+  const run = COMMANDS[command];
+
+  if (!run) {
+    console.error(`❌ Comando desconocido: ${command}`);
+    console.error('   Uso: node scripts/migrate.js <up|down [pasos]|status>');
+    process.exitCode = 1;
+    return;
+  }
+
+  let db = null;
+  try {
+    db = await openDatabase();
+    await run(db, ...args);
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closeDatabase(db);
+  }
+};
+
+main();
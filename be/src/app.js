@@ -1,9 +1,4 @@
 // src/app.js - Servidor principal de Express.js
-const express = require('express');
-const cors = require('cors');
-const dotenv = require('dotenv');
-const authRoutes = require('./routes/authRoutes');
-const { initDatabase } = require('./config/database');
 
 /**
  * CONFIGURACIÓN DE VARIABLES DE ENTORNO
@@ -16,8 +11,38 @@ const { initDatabase } = require('./config/database');
  * - Diferentes valores para desarrollo/producción
  * - Mantener secretos fuera del código fuente
  * - Facilitar deployment en diferentes ambientes
+ *
+ * ¿Por qué ANTES de los demás require()?
+ * - Varios módulos leen process.env al cargarse (límites, tiempos de
+ *   expiración...). Si el .env se cargara después, no verían sus valores.
  */
-dotenv.config();
+require('dotenv').config();
+
+const http = require('http');
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const swaggerUi = require('swagger-ui-express');
+const authRoutes = require('./routes/authRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const oidcRoutes = require('./routes/oidcRoutes');
+const { initDatabase, withDatabase } = require('./config/database');
+const { getSecurityConfig } = require('./config/security');
+const User = require('./models/User');
+const RevokedToken = require('./models/RevokedToken');
+const RefreshToken = require('./models/RefreshToken');
+const { AppError, NotFoundError } = require('./utils/errors');
+const logger = require('./utils/logger');
+const {
+  requestLogger,
+  REQUEST_ID_HEADER,
+} = require('./middleware/requestLogger');
+const PasswordResetToken = require('./models/PasswordResetToken');
+const OidcAuthorizationCode = require('./models/OidcAuthorizationCode');
+const { seedAdmin } = require('./utils/seedAdmin');
+const { purgeLoginAttempts } = require('./utils/loginThrottle');
+const { getSigningKey } = require('./utils/signingKeys');
+const { buildOpenApiDocument } = require('./docs/openapi');
 
 /**
  * CREACIÓN DE LA APLICACIÓN EXPRESS
@@ -35,6 +60,56 @@ const PORT = process.env.PORT || 3001; // Puerto del servidor, 3001 por defecto
  * antes de llegar a las rutas. Se ejecutan en el orden definido.
  */
 
+/**
+ * CONFIGURACIÓN DE SEGURIDAD
+ *
+ * Todas las opciones salen de variables de entorno (ver config/security.js).
+ */
+const security = getSecurityConfig();
+
+/**
+ * TRUST PROXY
+ *
+ * Con TRUST_PROXY configurado, Express toma la IP real del cliente de
+ * X-Forwarded-For (req.ip) y el protocolo de X-Forwarded-Proto (req.secure).
+ */
+app.set('trust proxy', security.trustProxy);
+
+/**
+ * OCULTAR X-POWERED-BY
+ *
+ * Express anuncia "X-Powered-By: Express" en cada respuesta. No aporta
+ * nada al cliente y le ahorra trabajo a un atacante que busca versiones
+ * vulnerables. (helmet también lo quita; lo desactivamos explícitamente
+ * para no depender de su configuración.)
+ */
+app.disable('x-powered-by');
+
+/**
+ * ID DE REQUEST Y LOG DE ACCESO
+ *
+ * Va antes que todo lo demás: asigna req.id (X-Request-Id), lo deja en
+ * el contexto del logger y mide la latencia de la respuesta completa
+ * (ver middleware/requestLogger.js).
+ */
+app.use(requestLogger);
+
+/**
+ * MIDDLEWARE HELMET (HEADERS DE SEGURIDAD)
+ *
+ * helmet() agrega headers que activan protecciones del navegador:
+ * - Content-Security-Policy: de dónde se pueden cargar recursos
+ * - Strict-Transport-Security: solo HTTPS (en producción)
+ * - X-Content-Type-Options: nosniff (no adivinar tipos MIME)
+ * - X-Frame-Options / frame-ancestors: evitar clickjacking
+ * - Referrer-Policy, Cross-Origin-*-Policy, ...
+ *
+ * Se monta antes que CORS, los parsers y las rutas (solo lo precede
+ * requestLogger, que nunca responde) para que TODAS las respuestas
+ * lleven los headers, incluidos los errores 404 y 500.
+ */
+app.use(helmet(security.helmet));
+
 /**
  * MIDDLEWARE CORS (Cross-Origin Resource Sharing)
  *
@@ -46,11 +121,14 @@ const PORT = process.env.PORT || 3001; // Puerto del servidor, 3001 por defecto
  * Configuración:
  * - origin: dominios permitidos para hacer requests
  * - credentials: permite envío de cookies/tokens
+ * - exposedHeaders: headers de la respuesta que el JavaScript del
+ *   navegador puede leer (por defecto solo unos pocos "simples")
  */
 app.use(
   cors({
     origin: process.env.FRONTEND_URL || 'http://localhost:5173',
     credentials: true,
+    exposedHeaders: [REQUEST_ID_HEADER, 'Retry-After'],
   })
 );
 
@@ -63,8 +141,12 @@ app.use(
  * Sin este middleware:
  * - req.body sería undefined
  * - No podrías recibir datos JSON del frontend
+ *
+ * limit (BODY_LIMIT): tamaño máximo del cuerpo. Sin límite, un cliente
+ * podría enviar cuerpos enormes para agotar la memoria del servidor.
+ * Si se excede, Express responde 413 (Payload Too Large).
  */
-app.use(express.json());
+app.use(express.json({ limit: security.bodyLimit }));
 
 /**
  * MIDDLEWARE PARA PARSEAR URL-ENCODED
@@ -72,15 +154,23 @@ app.use(express.json());
  * express.urlencoded() permite parsear datos de formularios
  * Extended: true permite objetos anidados y arrays
  */
-app.use(express.urlencoded({ extended: true }));
+app.use(express.urlencoded({ extended: true, limit: security.bodyLimit }));
 
 /**
  * CONFIGURACIÓN DE RUTAS
  *
  * Todas las rutas que empiecen con /api/auth
- * serán manejadas por authRoutes
+ * serán manejadas por authRoutes, y las de /api/admin
+ * (administración, solo con los permisos adecuados) por adminRoutes
+ *
+ * oidcRoutes va en la raíz (/.well-known/openid-configuration, /oauth2/...):
+ * son las rutas estándar del proveedor OpenID Connect. Se monta primero
+ * para que su manejador de errores (formato OAuth2) solo vea los errores
+ * de sus propias rutas.
  */
+app.use(oidcRoutes);
 app.use('/api/auth', authRoutes);
+app.use('/api/admin', adminRoutes);
 
 /**
  * RUTA DE HEALTH CHECK
@@ -98,17 +188,37 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+/**
+ * DOCUMENTACIÓN DE LA API (OPENAPI)
+ *
+ * - /api/openapi.json: la especificación OpenAPI 3 (para herramientas:
+ *   generadores de clientes, Postman, tests de contrato...)
+ * - /api/docs: la misma especificación en Swagger UI, donde se puede
+ *   leer y probar cada endpoint desde el navegador
+ *
+ * El documento se construye una sola vez al arrancar (ver docs/openapi.js).
+ */
+const openApiDocument = buildOpenApiDocument();
+
+app.get('/api/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+app.use(
+  '/api/docs',
+  swaggerUi.serve,
+  swaggerUi.setup(openApiDocument, {
+    customSiteTitle: 'API de Autenticación - Documentación',
+  })
+);
+
 /**
  * MIDDLEWARE PARA RUTAS NO ENCONTRADAS (404)
  *
  * Este middleware se ejecuta cuando ninguna ruta anterior
  * coincide con el request. El asterisco (*) captura todas las rutas.
  */
-app.use('*', (req, res) => {
-  res.status(404).json({
-    success: false,
-    message: 'Ruta no encontrada',
-  });
+app.use('*', (req, res, next) => {
+  next(new NotFoundError('Ruta no encontrada', { code: 'ROUTE_NOT_FOUND' }));
 });
 
 /**
@@ -122,24 +232,172 @@ app.use('*', (req, res) => {
  * - Cuando ocurre una excepción no manejada
  * - Cuando se lanza un error en cualquier parte de la app
  */
+/**
+ * Errores de los parsers de express.json()/urlencoded() (err.type):
+ * son errores del cliente, con un mensaje y código propios en lugar del
+ * original
+ */
+const BODY_PARSER_ERRORS = {
+  'entity.too.large': [
+    'El cuerpo de la petición excede el tamaño permitido',
+    'PAYLOAD_TOO_LARGE',
+  ],
+  'entity.parse.failed': [
+    'El cuerpo de la petición no es un JSON válido',
+    'INVALID_JSON',
+  ],
+};
+
+/**
+ * Convierte cualquier error en un AppError
+ *
+ * - AppError (utils/errors.js): se responde tal cual
+ * - Errores de body-parser: error del cliente con su status original
+ * - Cualquier otro: 500 con un mensaje genérico, para no filtrar
+ *   detalles internos (SQL, rutas de archivos...) al cliente
+ */
+const toAppError = (err) => {
+  if (err instanceof AppError) {
+    return err;
+  }
+
+  const bodyParserError = BODY_PARSER_ERRORS[err.type];
+  if (bodyParserError) {
+    const [message, code] = bodyParserError;
+    const error = new AppError(message, { code });
+    error.status = err.status;
+    return error;
+  }
+
+  return new AppError('Error interno del servidor');
+};
+
+/**
+ * FORMATO DE LA RESPUESTA
+ *
+ * Por defecto: { success: false, code, message, requestId, ...details }
+ *
+ * requestId es el mismo del header X-Request-Id: con él, soporte puede
+ * encontrar los logs de la petición que falló.
+ *
+ * Si el cliente envía "Accept: application/problem+json" se responde con
+ * el formato estándar RFC 7807 (Problem Details), manteniendo 'code' y
+ * los detalles como campos de extensión.
+ */
 app.use((err, req, res, next) => {
-  console.error('Error:', err);
+  // Si la respuesta ya empezó a enviarse (p. ej. una exportación CSV),
+  // no se puede cambiar: el manejador de Express cierra la conexión
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const error = toAppError(err);
 
-  res.status(err.status || 500).json({
+  // Solo los errores del servidor (5xx) son inesperados y se registran
+  if (error.status >= 500) {
+    logger.error('Error no controlado', {
+      method: req.method,
+      path: logger.redactUrl(req.originalUrl),
+      error: err,
+    });
+  }
+
+  if (error.retryAfter !== undefined) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+
+  // Solo mostrar stack trace en desarrollo por seguridad
+  const debug =
+    process.env.NODE_ENV === 'development' ? { stack: err.stack } : {};
+
+  if (
+    req.accepts(['application/json', 'application/problem+json']) ===
+    'application/problem+json'
+  ) {
+    return res
+      .status(error.status)
+      .type('application/problem+json')
+      .json({
+        type: 'about:blank',
+        title: http.STATUS_CODES[error.status],
+        status: error.status,
+        detail: error.message,
+        instance: req.originalUrl,
+        code: error.code,
+        requestId: req.id,
+        ...error.details,
+        ...debug,
+      });
+  }
+
+  res.status(error.status).json({
     success: false,
-    message: err.message || 'Error interno del servidor',
-    // Solo mostrar stack trace en desarrollo por seguridad
-    ...(process.env.NODE_ENV === 'development' && { stack: err.stack }),
+    code: error.code,
+    message: error.message,
+    requestId: req.id,
+    ...error.details,
+    ...debug,
   });
 });
 
+/**
+ * PURGA PERIÓDICA DE TOKENS EXPIRADOS
+ *
+ * La lista negra de tokens (revoked_tokens) solo necesita recordar un token
+ * hasta que expira, y un refresh token o un token de recuperación vencido
+ * ya no sirve para nada. Cada cierto tiempo eliminamos esos registros,
+ * junto con los intentos de login fallidos que ya caducaron y las cuentas
+ * eliminadas cuyo periodo de gracia venció.
+ *
+ * unref(): el temporizador no impide que el proceso termine
+ */
+const TOKEN_PURGE_INTERVAL_MINUTES =
+  parseInt(process.env.TOKEN_PURGE_INTERVAL_MINUTES, 10) || 60;
+
+const scheduleTokenPurge = () => {
+  const purge = async () => {
+    try {
+      const removed =
+        (await RevokedToken.purgeExpired()) +
+        (await RefreshToken.purgeExpired()) +
+        (await PasswordResetToken.purgeExpired()) +
+        (await OidcAuthorizationCode.purgeExpired());
+      if (removed > 0) {
+        logger.info('Tokens expirados eliminados', { count: removed });
+      }
+
+      const attempts = await purgeLoginAttempts();
+      if (attempts > 0) {
+        logger.info('Intentos de login antiguos eliminados', {
+          count: attempts,
+        });
+      }
+
+      const accounts = await User.purgeDeleted();
+      if (accounts > 0) {
+        logger.info('Cuentas eliminadas purgadas', { count: accounts });
+      }
+    } catch (error) {
+      logger.error('Error al purgar tokens expirados', { error });
+    }
+  };
+
+  purge();
+  setInterval(purge, TOKEN_PURGE_INTERVAL_MINUTES * 60 * 1000).unref();
+};
+
 /**
  * FUNCIÓN PARA INICIALIZAR EL SERVIDOR
  *
  * Esta función async maneja la secuencia de inicio:
- * 1. Inicializar la base de datos
- * 2. Crear las tablas si no existen
- * 3. Iniciar el servidor HTTP
+ * 1. Cargar la clave de firma de los access tokens
+ * 2. Inicializar la base de datos
+ * 3. Aplicar las migraciones pendientes
+ * 4. Iniciar el servidor HTTP
+ *
+ * Todo lo que usa la BD (la cuenta de administrador, la purga periódica
+ * y cada petición) se ejecuta dentro de withDatabase(database): así los
+ * modelos usan esta conexión (ver config/database.js).
  *
  * ¿Por qué async/await aquí?
  * - La inicialización de la BD es asíncrona
@@ -148,18 +406,36 @@ app.use((err, req, res, next) => {
  */
 const startServer = async () => {
   try {
+    // Cargar la clave de firma de los access tokens: si falta (en
+    // producción) o el archivo no sirve, el servidor no debe arrancar
+    // para fallar después en el primer login
+    getSigningKey();
+
     // Inicializar base de datos primero
-    await initDatabase();
-    console.log('✅ Base de datos inicializada correctamente');
+    const database = await initDatabase();
+    logger.info('Base de datos inicializada correctamente');
+
+    await withDatabase(database, async () => {
+      // Asegurar la cuenta de administrador inicial (si está configurada)
+      await seedAdmin();
+
+      // Limpiar periódicamente los tokens expirados
+      scheduleTokenPurge();
+    });
 
     // Solo si la BD se inicializa correctamente, iniciamos el servidor
-    app.listen(PORT, () => {
-      console.log(`🚀 Servidor ejecutándose en http://localhost:${PORT}`);
-      console.log(`📋 Health check: http://localhost:${PORT}/api/health`);
-      console.log(`🔐 Auth API: http://localhost:${PORT}/api/auth`);
+    const server = http.createServer((req, res) =>
+      withDatabase(database, () => app(req, res))
+    );
+    server.listen(PORT, () => {
+      logger.info('Servidor ejecutándose', {
+        url: `http://localhost:${PORT}`,
+        healthCheck: `http://localhost:${PORT}/api/health`,
+        authApi: `http://localhost:${PORT}/api/auth`,
+      });
     });
   } catch (error) {
-    console.error('❌ Error al inicializar el servidor:', error);
+    logger.error('Error al inicializar el servidor', { error });
     // Si algo falla, salimos del proceso con código de error
     process.exit(1);
   }
@@ -185,17 +461,20 @@ const startServer = async () => {
  * - Notificar a load balancers
  */
 process.on('SIGINT', () => {
-  console.log('\n🛑 Cerrando servidor...');
+  logger.info('Cerrando servidor');
   process.exit(0);
 });
 
 process.on('SIGTERM', () => {
-  console.log('\n🛑 Cerrando servidor...');
+  logger.info('Cerrando servidor');
   process.exit(0);
 });
 
-// Iniciar el servidor
-startServer();
+// Iniciar el servidor (solo al ejecutar este archivo, no al importarlo
+// desde los tests)
+if (require.main === module) {
+  startServer();
+}
 
 /**
  * EXPORTACIÓN DE LA APP
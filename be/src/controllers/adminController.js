@@ -0,0 +1,541 @@
+/**
+ * 🛠️ CONTROLADOR DE ADMINISTRACIÓN DE USUARIOS
+ *
+ * Endpoints bajo /api/admin/users para que un administrador gestione
+ * las cuentas sin tocar la BD a mano:
+ * - Listar (paginado, búsqueda, filtros y ordenamiento)
+ * - Ver y editar un usuario (incluido su rol)
+ * - Deshabilitar / habilitar la cuenta (reversible)
+ * - Cerrar todas sus sesiones (force-logout)
+ * - Eliminar la cuenta (irreversible)
+ *
+ * Y bajo /api/admin/oidc-clients, las aplicaciones que inician sesión
+ * con este sistema (OpenID Connect).
+ *
+ * La autorización la resuelven las rutas con authorize('users:*');
+ * aquí solo está la lógica de negocio.
+ *
+ * 🔒 Protección contra "auto-bloqueo":
+ * un administrador no puede deshabilitar, eliminar ni cambiar el rol de
+ * su propia cuenta; si fuera el único admin, nadie podría deshacerlo.
+ */
+
+const User = require('../models/User');
+const Role = require('../models/Role');
+const RefreshToken = require('../models/RefreshToken');
+const AuditEvent = require('../models/AuditEvent');
+const OidcClient = require('../models/OidcClient');
+const { sendVerificationEmail } = require('../utils/emailVerification');
+const {
+  BadRequestError,
+  NotFoundError,
+  ConflictError,
+  asyncHandler,
+} = require('../utils/errors');
+const logger = require('../utils/logger');
+const { recordAudit } = require('../utils/audit');
+
+const DEFAULT_PAGE_SIZE = 20;
+
+/**
+ * BUSCAR EL USUARIO DE LA RUTA (función interna)
+ *
+ * @returns {Promise<User>}
+ * @throws {NotFoundError} - Si no existe
+ */
+const findTargetUser = async (req) => {
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    throw new NotFoundError('Usuario no encontrado', {
+      code: 'USER_NOT_FOUND',
+    });
+  }
+  return user;
+};
+
+/**
+ * RECHAZAR ACCIONES SOBRE LA PROPIA CUENTA (función interna)
+ *
+ * @throws {BadRequestError} - Si el objetivo es el propio admin
+ */
+const rejectSelfAction = (req, target, action) => {
+  if (target.id === req.user.id) {
+    throw new BadRequestError(`No puedes ${action} tu propia cuenta`, {
+      code: 'SELF_ACTION_FORBIDDEN',
+    });
+  }
+};
+
+/**
+ * 📋 LISTAR USUARIOS
+ *
+ * Endpoint: GET /api/admin/users
+ *
+ * Query: page, limit, search, role, status, sort, order
+ * Responde la página pedida y los datos de paginación.
+ */
+const listUsers = asyncHandler(async (req, res) => {
+  const page = req.query.page || 1;
+  const limit = req.query.limit || DEFAULT_PAGE_SIZE;
+  const filters = {
+    search: req.query.search,
+    role: req.query.role,
+    status: req.query.status,
+  };
+
+  const [users, total] = await Promise.all([
+    User.findAll({
+      ...filters,
+      sort: req.query.sort,
+      order: req.query.order,
+      limit,
+      offset: (page - 1) * limit,
+    }),
+    User.count(filters),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    users: users.map((user) => user.toPublicJSON()),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  });
+});
+
+/**
+ * 👤 OBTENER UN USUARIO
+ *
+ * Endpoint: GET /api/admin/users/:id
+ */
+const getUser = asyncHandler(async (req, res) => {
+  const user = await findTargetUser(req);
+
+  res.status(200).json({
+    success: true,
+    user: user.toPublicJSON(),
+  });
+});
+
+/**
+ * ✏️ EDITAR UN USUARIO
+ *
+ * Endpoint: PUT /api/admin/users/:id
+ *
+ * Body (todo opcional): nombres, apellidos, email, role
+ * - Los datos del perfil pasan por User#update (lista blanca)
+ * - El rol pasa por User#setRole, que además invalida sus access tokens
+ * - Un email nuevo queda sin verificar y recibe el enlace de verificación
+ */
+const updateUser = asyncHandler(async (req, res) => {
+  const user = await findTargetUser(req);
+
+  const { nombres, apellidos, email, role } = req.body;
+
+  const changes = {};
+  if (nombres !== undefined && nombres !== user.nombres) {
+    changes.nombres = nombres;
+  }
+  if (apellidos !== undefined && apellidos !== user.apellidos) {
+    changes.apellidos = apellidos;
+  }
+  if (email !== undefined && email !== user.email) {
+    changes.email = email;
+  }
+  const roleChanged = role !== undefined && role !== user.role;
+
+  if (Object.keys(changes).length === 0 && !roleChanged) {
+    return res.status(200).json({
+      success: true,
+      message: 'No hay cambios en el usuario',
+      user: user.toPublicJSON(),
+    });
+  }
+
+  if (roleChanged) {
+    rejectSelfAction(req, user, 'cambiar el rol de');
+
+    if (!(await Role.exists(role))) {
+      throw new BadRequestError(`El rol '${role}' no existe`, {
+        code: 'ROLE_NOT_FOUND',
+      });
+    }
+  }
+
+  if (changes.email) {
+    const existingUser = await User.findByEmail(changes.email, {
+      includeDeleted: true,
+    });
+    if (existingUser && existingUser.id !== user.id) {
+      throw new ConflictError('El email ya está registrado', {
+        code: 'EMAIL_TAKEN',
+      });
+    }
+  }
+
+  const previous = { email: user.email, role: user.role };
+
+  if (Object.keys(changes).length > 0) {
+    // ConflictError si otro registro tomó el email mientras tanto
+    await user.update(changes);
+  }
+
+  if (roleChanged) {
+    await user.setRole(role);
+  }
+
+  await recordAudit(req, AuditEvent.EVENTS.ADMIN_USER_UPDATE, {
+    userId: user.id,
+    metadata: {
+      fields: [...Object.keys(changes), ...(roleChanged ? ['role'] : [])],
+      ...(changes.email && {
+        previousEmail: previous.email,
+        email: changes.email,
+      }),
+      ...(roleChanged && { previousRole: previous.role, role }),
+    },
+  });
+
+  const updatedUser = await User.findById(user.id);
+
+  if (changes.email) {
+    try {
+      await sendVerificationEmail(updatedUser);
+    } catch (mailError) {
+      logger.error('Error al enviar email de verificación', {
+        userId: updatedUser.id,
+        error: mailError,
+      });
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Usuario actualizado exitosamente',
+    user: updatedUser.toPublicJSON(),
+  });
+});
+
+/**
+ * 🚫 DESHABILITAR UNA CUENTA
+ *
+ * Endpoint: POST /api/admin/users/:id/disable
+ *
+ * La cuenta no puede iniciar sesión y todas sus sesiones se cierran
+ * (access tokens invalidados y refresh tokens revocados).
+ */
+const disableUser = asyncHandler(async (req, res) => {
+  const user = await findTargetUser(req);
+
+  rejectSelfAction(req, user, 'deshabilitar');
+
+  if (!user.disabled_at) {
+    await user.disable();
+    await RefreshToken.revokeAllForUser(user.id);
+    await recordAudit(req, AuditEvent.EVENTS.ADMIN_USER_DISABLE, {
+      userId: user.id,
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Usuario deshabilitado',
+    user: user.toPublicJSON(),
+  });
+});
+
+/**
+ * ✅ HABILITAR UNA CUENTA
+ *
+ * Endpoint: POST /api/admin/users/:id/enable
+ */
+const enableUser = asyncHandler(async (req, res) => {
+  const user = await findTargetUser(req);
+
+  if (user.disabled_at) {
+    await user.enable();
+    await recordAudit(req, AuditEvent.EVENTS.ADMIN_USER_ENABLE, {
+      userId: user.id,
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Usuario habilitado',
+    user: user.toPublicJSON(),
+  });
+});
+
+/**
+ * 🚪 CERRAR TODAS LAS SESIONES DE UN USUARIO (FORCE-LOGOUT)
+ *
+ * Endpoint: POST /api/admin/users/:id/logout
+ *
+ * Útil ante la sospecha de una cuenta comprometida: el usuario
+ * deberá volver a iniciar sesión en todos sus dispositivos.
+ */
+const forceLogout = asyncHandler(async (req, res) => {
+  const user = await findTargetUser(req);
+
+  await user.invalidateTokens();
+  await RefreshToken.revokeAllForUser(user.id);
+  await recordAudit(req, AuditEvent.EVENTS.ADMIN_USER_LOGOUT, {
+    userId: user.id,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Sesiones del usuario cerradas',
+  });
+});
+
+/**
+ * 🗑️ ELIMINAR UN USUARIO
+ *
+ * Endpoint: DELETE /api/admin/users/:id
+ *
+ * Irreversible. Para impedir el acceso conservando los datos,
+ * usar disable en su lugar.
+ */
+const deleteUser = asyncHandler(async (req, res) => {
+  const user = await findTargetUser(req);
+
+  rejectSelfAction(req, user, 'eliminar');
+
+  await RefreshToken.revokeAllForUser(user.id);
+  await user.delete();
+
+  // El historial sobrevive a la cuenta: guardamos su email para poder
+  // identificarla después
+  await recordAudit(req, AuditEvent.EVENTS.ADMIN_USER_DELETE, {
+    userId: user.id,
+    metadata: { email: user.email },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Usuario eliminado',
+  });
+});
+
+/**
+ * 🎭 LISTAR ROLES
+ *
+ * Endpoint: GET /api/admin/roles
+ *
+ * Para poblar el selector de rol en el panel de administración.
+ */
+const listRoles = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    roles: await Role.findAll(),
+  });
+});
+
+/**
+ * 🕵️ CONSULTAR EL REGISTRO DE AUDITORÍA
+ *
+ * Endpoint: GET /api/admin/audit
+ *
+ * Query: userId, type, from, to, page, limit, format
+ * - format=json (por defecto): página de eventos + paginación
+ * - format=csv: TODOS los eventos que cumplen los filtros, como archivo
+ *   CSV descargable (ver exportAuditCsv)
+ */
+const listAuditEvents = asyncHandler(async (req, res) => {
+  const filters = {
+    userId: req.query.userId,
+    type: req.query.type,
+    from: req.query.from,
+    to: req.query.to,
+  };
+
+  if (req.query.format === 'csv') {
+    return exportAuditCsv(res, filters);
+  }
+
+  const page = req.query.page || 1;
+  const limit = req.query.limit || DEFAULT_PAGE_SIZE;
+
+  const [events, total] = await Promise.all([
+    AuditEvent.findAll({ ...filters, limit, offset: (page - 1) * limit }),
+    AuditEvent.count(filters),
+  ]);
+
+  res.status(200).json({
+    success: true,
+    events,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  });
+});
+
+const AUDIT_CSV_COLUMNS = [
+  'id',
+  'createdAt',
+  'type',
+  'userId',
+  'actorId',
+  'ip',
+  'userAgent',
+  'requestId',
+  'metadata',
+];
+const AUDIT_CSV_BATCH_SIZE = 500;
+
+/**
+ * ESCAPAR UN VALOR PARA CSV (función interna)
+ *
+ * - Comillas dobles alrededor si contiene coma, comillas o saltos de línea
+ * - Inyección de fórmulas: Excel/LibreOffice ejecutan las celdas que
+ *   empiezan por = + - @ como fórmulas. Valores como el User-Agent o el
+ *   email de un login fallido los controla un atacante, así que se
+ *   anteponen con ' para que se muestren como texto
+ */
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * EXPORTAR EVENTOS COMO CSV (función interna)
+ *
+ * Se escribe por lotes para no cargar todo el historial en memoria.
+ * 'to' se fija al momento de empezar: los eventos que se registren
+ * durante la exportación no desplazan los lotes (OFFSET).
+ */
+const exportAuditCsv = async (res, filters) => {
+  const now = new Date();
+  const snapshot = {
+    ...filters,
+    to: filters.to && filters.to < now ? filters.to : now,
+  };
+
+  res.status(200);
+  res.type('text/csv');
+  res.attachment(`audit-${now.toISOString().slice(0, 10)}.csv`);
+  res.write(`${AUDIT_CSV_COLUMNS.join(',')}\r\n`);
+
+  for (let offset = 0; ; offset += AUDIT_CSV_BATCH_SIZE) {
+    const events = await AuditEvent.findAll({
+      ...snapshot,
+      limit: AUDIT_CSV_BATCH_SIZE,
+      offset,
+    });
+
+    for (const event of events) {
+      const row = event.toJSON();
+      res.write(
+        `${AUDIT_CSV_COLUMNS.map((column) => toCsvValue(row[column])).join(
+          ','
+        )}\r\n`
+      );
+    }
+
+    if (events.length < AUDIT_CSV_BATCH_SIZE) {
+      break;
+    }
+  }
+
+  res.end();
+};
+
+/**
+ * 🪪 LISTAR CLIENTES OPENID CONNECT
+ *
+ * Endpoint: GET /api/admin/oidc-clients
+ */
+const listOidcClients = asyncHandler(async (req, res) => {
+  const clients = await OidcClient.findAll();
+
+  res.status(200).json({
+    success: true,
+    clients: clients.map((client) => client.toPublicJSON()),
+  });
+});
+
+/**
+ * ➕ REGISTRAR UN CLIENTE OPENID CONNECT
+ *
+ * Endpoint: POST /api/admin/oidc-clients
+ * Body: { name, redirectUris, confidential }
+ *
+ * El clientSecret solo se muestra en esta respuesta (en la BD queda su
+ * hash): si se pierde, hay que registrar el cliente de nuevo.
+ */
+const createOidcClient = asyncHandler(async (req, res) => {
+  const { client, clientSecret } = await OidcClient.create({
+    name: req.body.name,
+    redirectUris: req.body.redirectUris,
+    confidential: req.body.confidential !== false,
+  });
+
+  await recordAudit(req, AuditEvent.EVENTS.ADMIN_CLIENT_CREATE, {
+    userId: null,
+    metadata: { clientId: client.client_id, name: client.name },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Cliente registrado',
+    client: client.toPublicJSON(),
+    clientSecret,
+  });
+});
+
+/**
+ * 🗑️ ELIMINAR UN CLIENTE OPENID CONNECT
+ *
+ * Endpoint: DELETE /api/admin/oidc-clients/:id
+ *
+ * Revoca sus refresh tokens: la aplicación deja de poder renovar sesiones.
+ */
+const deleteOidcClient = asyncHandler(async (req, res) => {
+  const client = await OidcClient.findById(req.params.id);
+  if (!client) {
+    throw new NotFoundError('Cliente no encontrado', {
+      code: 'OIDC_CLIENT_NOT_FOUND',
+    });
+  }
+
+  await client.delete();
+
+  await recordAudit(req, AuditEvent.EVENTS.ADMIN_CLIENT_DELETE, {
+    userId: null,
+    metadata: { clientId: client.client_id, name: client.name },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Cliente eliminado',
+  });
+});
+
+module.exports = {
+  listUsers,
+  getUser,
+  updateUser,
+  disableUser,
+  enableUser,
+  forceLogout,
+  deleteUser,
+  listRoles,
+  listAuditEvents,
+  listOidcClients,
+  createOidcClient,
+  deleteOidcClient,
+};
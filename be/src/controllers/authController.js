@@ -10,9 +10,48 @@
  * - Hace el código más legible y reutilizable
  */
 
+const crypto = require('crypto');
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
-const { validationResult } = require('express-validator');
+const RevokedToken = require('../models/RevokedToken');
+const RefreshToken = require('../models/RefreshToken');
+const PasswordHistory = require('../models/PasswordHistory');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const Role = require('../models/Role');
+const AuditEvent = require('../models/AuditEvent');
+const TotpSecret = require('../models/TotpSecret');
+const RecoveryCode = require('../models/RecoveryCode');
+const WebAuthnCredential = require('../models/WebAuthnCredential');
+const UserIdentity = require('../models/UserIdentity');
+const { DEFAULT_ROLE } = require('../config/rbac');
+const { sendMail } = require('../utils/mailer');
+const { recordAudit } = require('../utils/audit');
+const {
+  getVerificationPolicy,
+  getResendIntervalSeconds,
+  decodeVerificationToken,
+  sendVerificationEmail,
+} = require('../utils/emailVerification');
+const { createMfaChallengeToken } = require('../utils/mfaChallenge');
+const {
+  CHALLENGE_PURPOSES,
+  getRelyingParty,
+  decodeChallengeToken,
+} = require('../utils/webauthn');
+const { decodeOAuthState } = require('../utils/oauthState');
+const { getProvider, getRedirectUri } = require('../oauth');
+const { signJwt } = require('../utils/signingKeys');
+const { getIssuer, getApiAudience } = require('../utils/oidc');
+const { verifyAuthenticationResponse } = require('@simplewebauthn/server');
+const { isoBase64URL } = require('@simplewebauthn/server/helpers');
+const {
+  BadRequestError,
+  AuthenticationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  asyncHandler,
+} = require('../utils/errors');
+const logger = require('../utils/logger');
 
 /**
  * 🔐 GENERACIÓN DE JWT TOKEN
@@ -26,19 +65,73 @@ const { validationResult } = require('express-validator');
  * - Escalable: funciona en múltiples servidores
  * - Seguro: firmado criptográficamente
  *
- * @param {number} userId - ID del usuario para incluir en el token
+ * ¿Con qué se firma?
+ * - Con una clave PRIVADA RS256/ES256 (utils/signingKeys.js); el header
+ *   lleva su 'kid'
+ * - Otros servicios lo verifican con las claves PÚBLICAS de
+ *   GET /api/auth/.well-known/jwks.json, sin poder fabricar tokens
+ * - 'iss' (quién lo emitió) y 'aud' (para quién es: la API) se exigen al
+ *   verificar; así un token de OpenID Connect no sirve aquí
+ *
+ * ¿Para qué sirve el 'jti' (JWT ID)?
+ * - Es un identificador único por token (crypto.randomUUID())
+ * - Permite revocar UN token concreto en el logout sin afectar a otros
+ * - authMiddleware lo busca en la tabla revoked_tokens
+ *
+ * ¿Para qué sirve el claim 'role'?
+ * - El frontend puede conocer el rol sin otra petición
+ * - authorize() NO confía en él: usa el rol actual leído de la BD.
+ *   Al cambiar el rol, los tokens anteriores se invalidan (User#setRole)
+ *
+ * @param {User} user - Usuario para el que se emite el token
  * @returns {string} Token JWT firmado
  */
-const generateToken = (userId) => {
-  return jwt.sign(
-    { userId }, // Payload: información que queremos incluir
-    process.env.JWT_SECRET, // Clave secreta para firmar (¡NUNCA exponerla!)
+const generateToken = (user) => {
+  return signJwt(
+    { userId: user.id, role: user.role }, // Payload: información que queremos incluir
     {
-      expiresIn: process.env.JWT_EXPIRES_IN || '24h', // Token expira en 24h por seguridad
+      issuer: getIssuer(), // Este servidor (OIDC_ISSUER)
+      audience: getApiAudience(), // La API (JWT_AUDIENCE)
+      expiresIn: process.env.JWT_EXPIRES_IN || '15m', // Access token de corta duración
+      jwtid: crypto.randomUUID(), // Identificador único para poder revocarlo
     }
   );
 };
 
+/**
+ * 🎟️ EMISIÓN DE UNA SESIÓN (ACCESS TOKEN + REFRESH TOKEN)
+ *
+ * - Access token (JWT): corta duración, se envía en cada petición
+ * - Refresh token (opaco): larga duración, solo sirve para POST /refresh
+ *
+ * @param {User} user - Usuario autenticado
+ * @param {string} [familyId] - Familia del refresh token (en rotaciones)
+ * @returns {Promise<{token: string, refreshToken: string}>}
+ */
+const issueSession = async (user, familyId) => {
+  const { token: refreshToken } = await RefreshToken.issue(user.id, familyId);
+
+  return {
+    token: generateToken(user),
+    refreshToken,
+  };
+};
+
+/**
+ * 👤 DATOS DEL USUARIO PARA EL CLIENTE
+ *
+ * Datos públicos más la lista de permisos de su rol, para que el
+ * frontend pueda mostrar u ocultar opciones (RoleProtectedRoute).
+ * La verificación real siempre la hace authorize() en el servidor.
+ *
+ * @param {User} user - Usuario
+ * @returns {Promise<Object>}
+ */
+const toUserResponse = async (user) => ({
+  ...user.toPublicJSON(),
+  permissions: await Role.getPermissions(user.role),
+});
+
 /**
  * 📝 RF-001: REGISTRO DE USUARIO
  *
@@ -48,72 +141,196 @@ const generateToken = (userId) => {
  * 1. Validar datos de entrada (express-validator)
  * 2. Verificar que el email no exista (unicidad)
  * 3. Crear usuario con password encriptado (bcrypt en el modelo)
- * 4. Retornar datos del usuario (sin password por seguridad)
+ * 4. Enviar el email de verificación
+ * 5. Retornar datos del usuario (sin password por seguridad)
  *
  * ¿Por qué async/await?
  * - Las operaciones de BD son asíncronas
  * - Evita "callback hell"
  * - Código más legible y mantenible
  */
-const register = async (req, res) => {
-  try {
-    // 🔍 VALIDACIÓN DE DATOS
-    // express-validator ya ejecutó las validaciones en el middleware
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Errores de validación',
-        errors: errors.array().map((error) => error.msg),
-      });
-    }
+const register = asyncHandler(async (req, res) => {
+  // 🔍 Las validaciones ya se ejecutaron en el middleware (validateRegister):
+  // si algo fallaba, la petición no llega hasta aquí
 
-    // 📊 EXTRACCIÓN DE DATOS
-    // Destructuring: forma elegante de extraer propiedades de un objeto
-    const { email, nombres, apellidos, password } = req.body;
-
-    // 🔎 VERIFICAR UNICIDAD DEL EMAIL
-    // Importante: verificar antes de crear para evitar duplicados
-    const existingUser = await User.findByEmail(email);
-    if (existingUser) {
-      // Status 409: Conflict - el recurso ya existe
-      return res.status(409).json({
-        success: false,
-        message: 'El email ya está registrado',
-      });
-    }
+  // 📊 EXTRACCIÓN DE DATOS
+  // Destructuring: forma elegante de extraer propiedades de un objeto
+  const { email, nombres, apellidos, password } = req.body;
 
-    // 👤 CREAR NUEVO USUARIO
-    // El modelo User se encarga de encriptar el password automáticamente
-    const userData = await User.create({
-      email,
-      nombres,
-      apellidos,
-      password, // Se encriptará en el modelo
+  // 🔎 VERIFICAR UNICIDAD DEL EMAIL
+  // Importante: verificar antes de crear para evitar duplicados
+  // (incluye cuentas eliminadas: su email sigue ocupado hasta la purga)
+  const existingUser = await User.findByEmail(email, {
+    includeDeleted: true,
+  });
+  if (existingUser) {
+    // Status 409: Conflict - el recurso ya existe
+    throw new ConflictError('El email ya está registrado', {
+      code: 'EMAIL_TAKEN',
     });
+  }
 
-    // ✅ RESPUESTA EXITOSA (RF-001)
-    // Status 201: Created - recurso creado exitosamente
-    res.status(201).json({
-      success: true,
-      message: 'Usuario registrado exitosamente',
-      user: {
-        id: userData.id,
-        email: userData.email,
-        nombres: userData.nombres,
-        apellidos: userData.apellidos,
-        created_at: userData.created_at,
-      },
+  // 👤 CREAR NUEVO USUARIO
+  // El modelo User se encarga de encriptar el password automáticamente
+  const userData = await User.create({
+    email,
+    nombres,
+    apellidos,
+    password, // Se encriptará en el modelo
+  });
+
+  await recordAudit(req, AuditEvent.EVENTS.REGISTER, { userId: userData.id });
+
+  // 📧 EMAIL DE VERIFICACIÓN
+  // Un fallo del envío no debe deshacer el registro: el usuario
+  // puede pedir un reenvío desde POST /api/auth/resend-verification
+  try {
+    const createdUser = await User.findById(userData.id);
+    await sendVerificationEmail(createdUser);
+  } catch (mailError) {
+    logger.error('Error al enviar email de verificación', {
+      userId: userData.id,
+      error: mailError,
     });
-  } catch (error) {
-    // 🚨 MANEJO DE ERRORES
-    // Importante: loggear errores para debugging pero no exponerlos al cliente
-    console.error('Error en registro:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error interno del servidor',
+  }
+
+  // ✅ RESPUESTA EXITOSA (RF-001)
+  // Status 201: Created - recurso creado exitosamente
+  res.status(201).json({
+    success: true,
+    message: 'Usuario registrado exitosamente',
+    user: {
+      id: userData.id,
+      email: userData.email,
+      nombres: userData.nombres,
+      apellidos: userData.apellidos,
+      email_verified_at: null,
+      role: DEFAULT_ROLE,
+      created_at: userData.created_at,
+    },
+  });
+});
+
+/**
+ * 📝 AUDITORÍA DE UN LOGIN FALLIDO (función interna)
+ *
+ * Se guarda el email intentado: si la cuenta no existe, es el único dato
+ * para detectar ataques (p. ej. muchos emails distintos desde una IP).
+ *
+ * @param {Object} req - Request de Express
+ * @param {User|null} user - Cuenta del email (null si no existe)
+ * @param {string} reason - invalid_credentials | account_disabled |
+ *   email_not_verified | invalid_mfa_code | invalid_passkey
+ */
+const recordLoginFailure = (req, user, reason) =>
+  recordAudit(req, AuditEvent.EVENTS.LOGIN_FAILURE, {
+    userId: user ? user.id : null,
+    metadata: { email: req.body.email || (user && user.email), reason },
+  });
+
+/**
+ * 🚦 ¿PUEDE INICIAR SESIÓN? (función interna)
+ *
+ * Comprobaciones comunes al login con password, con passkey y social. Se
+ * hacen DESPUÉS de verificar la credencial para no revelar si la cuenta
+ * existe.
+ *
+ * @param {Object} req - Request de Express
+ * @param {User} user - Usuario cuya credencial ya se verificó
+ */
+const ensureLoginAllowed = async (req, user) => {
+  // 🚫 Cuenta deshabilitada por un administrador
+  if (user.disabled_at) {
+    await recordLoginFailure(req, user, 'account_disabled');
+    throw new ForbiddenError('Tu cuenta está deshabilitada', {
+      code: 'ACCOUNT_DISABLED',
     });
   }
+
+  // 📧 Política de verificación: en modo 'block' no se permite el login
+  if (getVerificationPolicy() === 'block' && !user.email_verified_at) {
+    await recordLoginFailure(req, user, 'email_not_verified');
+    throw new ForbiddenError(
+      'Debes verificar tu email antes de iniciar sesión',
+      { code: 'EMAIL_NOT_VERIFIED' }
+    );
+  }
+};
+
+/**
+ * 🔢 RESPONDER CON EL DESAFÍO DE DOS PASOS (función interna)
+ *
+ * La credencial era correcta, pero falta el código de la app. Todavía
+ * no se emite la sesión ni se restaura la cuenta: el login sigue en
+ * POST /api/auth/login/mfa.
+ *
+ * @param {Object} res - Response de Express
+ * @param {User} user - Usuario cuya credencial ya se verificó
+ */
+const respondMfaRequired = (res, user) =>
+  res.status(200).json({
+    success: true,
+    message: 'Introduce el código de tu app de autenticación',
+    mfaRequired: true,
+    mfaToken: createMfaChallengeToken(user),
+  });
+
+/**
+ * ✅ COMPLETAR EL LOGIN (función interna)
+ *
+ * Último tramo común del login con password, del segundo paso de la
+ * verificación en dos pasos, del login con passkey y del login social:
+ * 1. Restaurar la cuenta si estaba eliminada (periodo de gracia)
+ * 2. Emitir la sesión (access token + refresh token de una familia nueva)
+ * 3. Registrar el login en la auditoría y responder
+ *
+ * @param {Object} req - Request de Express
+ * @param {Object} res - Response de Express
+ * @param {User} user - Usuario ya autenticado
+ * @param {Object} [via] - Cómo se autenticó, si no fue solo con el password
+ * @param {string} via.method - 'totp' | 'recovery_code' | 'passkey' | 'oauth'
+ * @param {string} [via.provider] - Con 'oauth': google, github...
+ * @param {number} [via.recoveryCodesRemaining] - Al usar un código de recuperación
+ */
+const completeLogin = async (req, res, user, via) => {
+  // ♻️ Cuenta eliminada dentro del periodo de gracia: iniciar sesión
+  // la restaura (DELETE /api/auth/account)
+  const accountRestored = Boolean(user.deleted_at);
+  if (accountRestored) {
+    await user.restore();
+    await recordAudit(req, AuditEvent.EVENTS.ACCOUNT_RESTORE, {
+      userId: user.id,
+    });
+  }
+
+  // Generar access token JWT y refresh token (nueva familia)
+  const { token, refreshToken } = await issueSession(user);
+
+  await recordAudit(req, AuditEvent.EVENTS.LOGIN_SUCCESS, {
+    userId: user.id,
+    ...(via && {
+      metadata: {
+        method: via.method,
+        ...(via.provider && { provider: via.provider }),
+      },
+    }),
+  });
+
+  // Respuesta exitosa (RF-002)
+  res.status(200).json({
+    success: true,
+    message: accountRestored
+      ? 'Login exitoso. Tu cuenta ha sido restaurada'
+      : 'Login exitoso',
+    token,
+    refreshToken,
+    user: await toUserResponse(user),
+    ...(accountRestored && { accountRestored }),
+    ...(via &&
+      via.recoveryCodesRemaining !== undefined && {
+        recoveryCodesRemaining: via.recoveryCodesRemaining,
+      }),
+  });
 };
 
 /**
@@ -125,111 +342,947 @@ const register = async (req, res) => {
  * 1. Validar formato de datos (express-validator)
  * 2. Buscar usuario por email
  * 3. Verificar password (bcrypt compare)
- * 4. Generar JWT token
- * 5. Retornar token y datos del usuario
+ * 4. Registrar el resultado para la protección contra fuerza bruta (el
+ *    intento ya se contó en loginThrottle, antes de bcrypt)
+ * 5. Con verificación en dos pasos: responder con un desafío (mfaToken)
+ *    en lugar de la sesión; el login sigue en POST /api/auth/login/mfa
+ * 6. Restaurar la cuenta si estaba eliminada (periodo de gracia)
+ * 7. Generar JWT token
+ * 8. Retornar token y datos del usuario
  *
  * ¿Por qué no decimos si el error es email o password?
  * - Seguridad: evitamos dar pistas a atacantes
  * - Principio de mínima información
  */
-const login = async (req, res) => {
-  try {
-    // 🔍 VALIDACIÓN DE DATOS
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Errores de validación',
-        errors: errors.array().map((error) => error.msg),
-      });
+const login = asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
+
+  // Buscar usuario por email y verificar password
+  // Las cuentas eliminadas se incluyen para poder restaurarlas; si su
+  // periodo de gracia ya venció, es como si no existieran
+  let user = await User.findByEmail(email, { includeDeleted: true });
+  if (user && user.deleted_at && !user.isRestorable()) {
+    user = null;
+  }
+  const isPasswordValid = user && (await user.verifyPassword(password));
+
+  if (!isPasswordValid) {
+    // 🐢 Cuenta para los retrasos progresivos / bloqueo (loginThrottle)
+    if (req.loginAttempt) {
+      await req.loginAttempt.recordFailure();
+    }
+    await recordLoginFailure(req, user, 'invalid_credentials');
+
+    throw new AuthenticationError('Credenciales inválidas', {
+      code: 'INVALID_CREDENTIALS',
+    });
+  }
+
+  // 🔢 Con la verificación en dos pasos el login aún no terminó: los
+  // fallos de la cuenta se olvidan cuando se complete el segundo paso
+  // (mientras, solo se descuenta este intento)
+  const mfaRequired = await TotpSecret.isEnabled(user.id);
+
+  if (req.loginAttempt) {
+    await (mfaRequired
+      ? req.loginAttempt.release()
+      : req.loginAttempt.succeed());
+  }
+
+  // 🚫 Cuenta deshabilitada o sin verificar (política 'block')
+  await ensureLoginAllowed(req, user);
+
+  // 🔢 Segundo paso: el password era correcto, pero falta el código
+  if (mfaRequired) {
+    return respondMfaRequired(res, user);
+  }
+
+  await completeLogin(req, res, user);
+});
+
+/**
+ * 🔢 LOGIN: SEGUNDO PASO (VERIFICACIÓN EN DOS PASOS)
+ *
+ * Endpoint: POST /api/auth/login/mfa
+ *
+ * Flujo:
+ * 1. requireMfaChallenge ya verificó el mfaToken (req.mfaChallenge)
+ * 2. Verificar el código de la app (code) o consumir un código de
+ *    recuperación (recoveryCode)
+ * 3. Revocar el desafío: cada uno sirve para un solo login
+ * 4. Completar el login igual que con el password (completeLogin)
+ *
+ * Los códigos fallidos cuentan para los retrasos y el bloqueo de la
+ * cuenta (loginThrottle): sin eso, 6 dígitos se adivinan por fuerza bruta.
+ */
+const loginMfa = asyncHandler(async (req, res) => {
+  const { code, recoveryCode } = req.body;
+  const { userId, jti, expiresAt } = req.mfaChallenge;
+
+  const invalidChallenge = () =>
+    new AuthenticationError('La verificación expiró. Inicia sesión de nuevo', {
+      code: 'MFA_CHALLENGE_INVALID',
+    });
+
+  // La cuenta pudo cambiar desde el primer paso (deshabilitada, purgada,
+  // verificación en dos pasos desactivada...)
+  const user = await User.findById(userId, { includeDeleted: true });
+  if (!user || user.disabled_at || (user.deleted_at && !user.isRestorable())) {
+    throw invalidChallenge();
+  }
+
+  const totpSecret = await TotpSecret.findByUserId(user.id);
+  if (!totpSecret || !totpSecret.confirmed_at) {
+    throw invalidChallenge();
+  }
+
+  const method = code !== undefined ? 'totp' : 'recovery_code';
+  const isCodeValid =
+    method === 'totp'
+      ? await totpSecret.verify(code)
+      : await RecoveryCode.consume(user.id, recoveryCode);
+
+  if (!isCodeValid) {
+    if (req.loginAttempt) {
+      await req.loginAttempt.recordFailure();
     }
+    await recordLoginFailure(req, user, 'invalid_mfa_code');
+
+    throw new AuthenticationError('Código de verificación inválido', {
+      code: 'MFA_CODE_INVALID',
+    });
+  }
+
+  // revoke() devuelve false si otra petición ya usó este desafío
+  const revoked = await RevokedToken.revoke({
+    jti,
+    userId: user.id,
+    expiresAt,
+  });
+  if (!revoked) {
+    throw invalidChallenge();
+  }
+
+  if (req.loginAttempt) {
+    await req.loginAttempt.succeed();
+  }
+
+  await completeLogin(req, res, user, {
+    method,
+    // Avisar cuando quedan pocos códigos de recuperación
+    ...(method === 'recovery_code' && {
+      recoveryCodesRemaining: await RecoveryCode.countRemaining(user.id),
+    }),
+  });
+});
+
+/**
+ * 🗝️ LOGIN CON PASSKEY
+ *
+ * Endpoint: POST /api/auth/webauthn/login/verify
+ *
+ * Body: { challengeToken, credential }
+ * - challengeToken: de POST /api/auth/webauthn/login/options
+ * - credential: lo que devuelve navigator.credentials.get() en JSON
+ *
+ * Flujo:
+ * 1. Buscar la passkey por su ID (la elige el usuario en el navegador)
+ * 2. Verificar la firma del desafío con la clave pública guardada,
+ *    el origen, el dominio y que el autenticador verificó al usuario
+ * 3. Revocar el desafío y guardar el contador de firmas nuevo (si
+ *    retrocede, la librería rechaza la firma: la passkey pudo clonarse)
+ * 4. Completar el login igual que con el password (completeLogin)
+ *
+ * La passkey ya es un segundo factor (el dispositivo + huella/PIN), así
+ * que no se pide además el código de la verificación en dos pasos.
+ */
+const loginPasskey = asyncHandler(async (req, res) => {
+  const { challengeToken, credential: response } = req.body;
+
+  const challenge = decodeChallengeToken(
+    challengeToken,
+    CHALLENGE_PURPOSES.AUTHENTICATION
+  );
+  if (!challenge) {
+    throw new AuthenticationError(
+      'La verificación expiró. Inténtalo de nuevo',
+      { code: 'PASSKEY_CHALLENGE_INVALID' }
+    );
+  }
+
+  const invalidPasskey = () =>
+    new AuthenticationError('Passkey no reconocida', {
+      code: 'PASSKEY_INVALID',
+    });
+
+  // Igual que en el login con password, las cuentas eliminadas dentro
+  // del periodo de gracia se pueden restaurar
+  const passkey = await WebAuthnCredential.findByCredentialId(response.id);
+  let user =
+    passkey && (await User.findById(passkey.user_id, { includeDeleted: true }));
+  if (user && user.deleted_at && !user.isRestorable()) {
+    user = null;
+  }
+  if (!user) {
+    await recordLoginFailure(req, null, 'invalid_passkey');
+    throw invalidPasskey();
+  }
+
+  const { rpID, origins } = getRelyingParty();
+  let verification;
+  try {
+    verification = await verifyAuthenticationResponse({
+      response,
+      expectedChallenge: challenge.challenge,
+      expectedOrigin: origins,
+      expectedRPID: rpID,
+      credential: {
+        id: passkey.credential_id,
+        publicKey: isoBase64URL.toBuffer(passkey.public_key),
+        counter: passkey.sign_count,
+        transports: passkey.transports,
+      },
+      requireUserVerification: true,
+    });
+  } catch (error) {
+    logger.debug('Login con passkey rechazado', { reason: error.message });
+  }
 
-    const { email, password } = req.body;
+  if (!verification || !verification.verified) {
+    await recordLoginFailure(req, user, 'invalid_passkey');
+    throw invalidPasskey();
+  }
+
+  // Cada desafío sirve para un solo login
+  const revoked = await RevokedToken.revoke({
+    jti: challenge.jti,
+    userId: user.id,
+    expiresAt: challenge.expiresAt,
+  });
+  if (!revoked) {
+    throw new AuthenticationError(
+      'La verificación expiró. Inténtalo de nuevo',
+      { code: 'PASSKEY_CHALLENGE_INVALID' }
+    );
+  }
+
+  const { authenticationInfo } = verification;
+  await passkey.recordUse({
+    signCount: authenticationInfo.newCounter,
+    backedUp: authenticationInfo.credentialBackedUp,
+  });
+
+  await ensureLoginAllowed(req, user);
+
+  await completeLogin(req, res, user, { method: 'passkey' });
+});
+
+/**
+ * 🔗 USUARIO DE UNA CUENTA EXTERNA (función interna)
+ *
+ * 1. Cuenta ya vinculada (provider + subject): su usuario. Si ese
+ *    usuario ya no existe (la vinculación quedó huérfana, p. ej. de
+ *    antes de que User#delete borrara los datos asociados), se elimina
+ *    la vinculación y se sigue como si no la hubiera
+ * 2. Si no, un usuario con el mismo email, solo si el proveedor lo
+ *    verificó: se vincula. Si esa cuenta no había verificado su email,
+ *    nadie había demostrado ser su dueño (cualquiera pudo registrarla
+ *    con un email ajeno): su password se reemplaza y sus sesiones se
+ *    cierran antes de entregársela al dueño real del email
+ * 3. Si no, se crea un usuario nuevo (con un password aleatorio que
+ *    nadie conoce; puede elegir uno con "¿Olvidaste tu password?")
+ *
+ * @param {Object} req - Request de Express
+ * @param {OAuthProvider} provider
+ * @param {Object} profile - Perfil normalizado (OAuthProvider#fetchProfile)
+ * @returns {Promise<User>}
+ */
+const resolveOAuthUser = async (req, provider, profile) => {
+  const identity = await UserIdentity.findByProviderSubject(
+    provider.name,
+    profile.subject
+  );
+
+  if (identity) {
+    const user = await User.findById(identity.user_id, {
+      includeDeleted: true,
+    });
 
-    // Buscar usuario por email
-    const user = await User.findByEmail(email);
     if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Credenciales inválidas',
+      await identity.delete();
+      logger.warn('Vinculación con un usuario inexistente eliminada', {
+        provider: provider.name,
+        userId: identity.user_id,
+      });
+    } else if (user.deleted_at && !user.isRestorable()) {
+      throw new ConflictError('La cuenta vinculada fue eliminada', {
+        code: 'OAUTH_ACCOUNT_DELETED',
       });
+    } else {
+      await identity.recordLogin();
+      return user;
     }
+  }
 
-    // Verificar password
-    const isPasswordValid = await user.verifyPassword(password);
-    if (!isPasswordValid) {
-      return res.status(401).json({
-        success: false,
-        message: 'Credenciales inválidas',
+  if (!profile.email || !profile.emailVerified) {
+    throw new ForbiddenError(
+      `${provider.displayName} no confirmó tu email. Verifícalo allí o usa otro método`,
+      { code: 'OAUTH_EMAIL_NOT_VERIFIED' }
+    );
+  }
+
+  let user = await User.findByEmail(profile.email, { includeDeleted: true });
+
+  if (user) {
+    // Igual que en el registro: el email de una cuenta eliminada sigue
+    // ocupado hasta la purga
+    if (user.deleted_at && !user.isRestorable()) {
+      throw new ConflictError('El email ya está registrado', {
+        code: 'EMAIL_TAKEN',
       });
     }
 
-    // Generar token JWT
-    const token = generateToken(user.id);
-
-    // Respuesta exitosa (RF-002)
-    res.status(200).json({
-      success: true,
-      message: 'Login exitoso',
-      token,
-      user: user.toPublicJSON(),
+    if (!user.email_verified_at) {
+      await user.changePassword(crypto.randomBytes(32).toString('base64url'));
+      await RefreshToken.revokeAllForUser(user.id);
+      await user.markEmailVerified();
+    }
+  } else {
+    const created = await User.create({
+      email: profile.email,
+      nombres: profile.nombres || profile.email.split('@')[0],
+      apellidos: profile.apellidos || '',
+      password: crypto.randomBytes(32).toString('base64url'),
     });
-  } catch (error) {
-    console.error('Error en login:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error interno del servidor',
+    user = await User.findById(created.id);
+    await user.markEmailVerified();
+
+    await recordAudit(req, AuditEvent.EVENTS.REGISTER, {
+      userId: user.id,
+      metadata: { provider: provider.name },
     });
   }
+
+  const linked = await UserIdentity.create({
+    userId: user.id,
+    provider: provider.name,
+    subject: profile.subject,
+    email: profile.email,
+  });
+  await linked.recordLogin();
+
+  await recordAudit(req, AuditEvent.EVENTS.OAUTH_LINK, {
+    userId: user.id,
+    metadata: { provider: provider.name },
+  });
+
+  return user;
 };
 
-// RF-004: Logout de Usuario
-const logout = async (req, res) => {
-  try {
-    // En una implementación JWT stateless, el logout se maneja en el frontend
-    // eliminando el token del localStorage/sessionStorage
-    res.status(200).json({
-      success: true,
-      message: 'Logout exitoso',
+/**
+ * 🌐 LOGIN SOCIAL (OAUTH2 / OPENID CONNECT)
+ *
+ * Endpoint: POST /api/auth/oauth/:provider/callback
+ *
+ * Body: { code, state, oauthToken }
+ * - code y state: los que el proveedor agregó a la redirect_uri
+ * - oauthToken: el de POST /api/auth/oauth/:provider/authorize
+ *
+ * Flujo:
+ * 1. Comprobar que state coincide con el guardado en oauthToken (CSRF)
+ *    y revocar el token: cada login se completa una sola vez
+ * 2. Canjear el código con el code_verifier (PKCE) y obtener el perfil
+ *    (en OpenID Connect: verificar el id_token y su nonce)
+ * 3. Buscar, vincular o crear el usuario (resolveOAuthUser)
+ * 4. Mismas comprobaciones que el login con password; con la
+ *    verificación en dos pasos activa, responder con el desafío
+ * 5. Completar el login (completeLogin)
+ */
+const loginOAuth = asyncHandler(async (req, res) => {
+  const { code, state, oauthToken } = req.body;
+
+  const provider = getProvider(req.params.provider);
+  if (!provider) {
+    throw new NotFoundError('Proveedor de login no disponible', {
+      code: 'OAUTH_PROVIDER_NOT_FOUND',
     });
-  } catch (error) {
-    console.error('Error en logout:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error interno del servidor',
+  }
+
+  const invalidState = () =>
+    new AuthenticationError('El inicio de sesión expiró. Inténtalo de nuevo', {
+      code: 'OAUTH_STATE_INVALID',
+    });
+
+  const saved = decodeOAuthState(oauthToken, provider.name);
+  if (!saved || saved.state !== state) {
+    throw invalidState();
+  }
+
+  // Se revoca antes de canjear el código: dos callbacks simultáneos con
+  // el mismo token no pueden terminar los dos
+  const revoked = await RevokedToken.revoke({
+    jti: saved.jti,
+    userId: null,
+    expiresAt: saved.expiresAt,
+  });
+  if (!revoked) {
+    throw invalidState();
+  }
+
+  const tokens = await provider.exchangeCode({
+    code,
+    redirectUri: getRedirectUri(provider.name),
+    codeVerifier: saved.codeVerifier,
+  });
+  const profile = await provider.fetchProfile(tokens, { nonce: saved.nonce });
+
+  const user = await resolveOAuthUser(req, provider, profile);
+
+  await ensureLoginAllowed(req, user);
+
+  // El proveedor reemplaza al password, no al segundo factor
+  if (await TotpSecret.isEnabled(user.id)) {
+    return respondMfaRequired(res, user);
+  }
+
+  await completeLogin(req, res, user, {
+    method: 'oauth',
+    provider: provider.name,
+  });
+});
+
+/**
+ * 🚪 RF-004: LOGOUT DE USUARIO
+ *
+ * Endpoint: POST /api/auth/logout (protegido con authMiddleware)
+ *
+ * Además de que el frontend elimine el token del localStorage,
+ * revocamos el token en el servidor: su jti se guarda en la tabla
+ * revoked_tokens hasta que expire. Así, aunque alguien haya copiado
+ * el token, deja de funcionar inmediatamente después del logout.
+ *
+ * Si el cliente envía su refreshToken en el body, revocamos también toda
+ * su familia para que no pueda usarse para obtener nuevos access tokens.
+ */
+const logout = asyncHandler(async (req, res) => {
+  // authMiddleware ya verificó el token y dejó su payload en req.tokenPayload
+  const { jti, exp } = req.tokenPayload;
+
+  await RevokedToken.revoke({
+    jti,
+    userId: req.userId,
+    expiresAt: new Date(exp * 1000), // 'exp' viene en segundos desde epoch
+  });
+
+  const { refreshToken } = req.body || {};
+  if (typeof refreshToken === 'string' && refreshToken) {
+    const storedToken = await RefreshToken.findByToken(refreshToken);
+
+    // Solo el dueño del refresh token puede revocarlo
+    if (storedToken && storedToken.user_id === req.userId) {
+      await RefreshToken.revokeFamily(storedToken.family_id);
+    }
+  }
+
+  await recordAudit(req, AuditEvent.EVENTS.LOGOUT);
+
+  res.status(200).json({
+    success: true,
+    message: 'Logout exitoso',
+  });
+});
+
+/**
+ * 🔄 RENOVACIÓN DE SESIÓN CON REFRESH TOKEN
+ *
+ * Endpoint: POST /api/auth/refresh
+ *
+ * Flujo:
+ * 1. Buscar el refresh token (por su hash) en la BD
+ * 2. Si ya fue usado o revocado → REUTILIZACIÓN: revocar toda la familia
+ * 3. Si expiró → rechazar
+ * 4. Consumir el token (un solo uso) y emitir un par nuevo en la misma familia
+ *
+ * No requiere authMiddleware: precisamente se llama cuando el
+ * access token ya expiró.
+ */
+const refresh = asyncHandler(async (req, res) => {
+  const storedToken = await RefreshToken.findByToken(req.body.refreshToken);
+  // Los refresh tokens de clientes OpenID Connect solo se canjean en
+  // POST /oauth2/token (ver oidcController)
+  if (!storedToken || storedToken.client_id) {
+    throw new AuthenticationError('Refresh token inválido', {
+      code: 'REFRESH_TOKEN_INVALID',
+    });
+  }
+
+  // consume() es atómico: si devuelve false, otro request ya lo usó
+  const consumed = !storedToken.revoked_at && (await storedToken.consume());
+  if (!consumed) {
+    // 🚨 Reutilización detectada: invalidar todas las sesiones de la familia
+    await RefreshToken.revokeFamily(storedToken.family_id);
+    logger.warn('Reutilización de refresh token detectada', {
+      userId: storedToken.user_id,
+      familyId: storedToken.family_id,
+    });
+    throw new AuthenticationError('Refresh token inválido', {
+      code: 'REFRESH_TOKEN_INVALID',
+    });
+  }
+
+  if (storedToken.isExpired()) {
+    throw new AuthenticationError('Refresh token expirado', {
+      code: 'REFRESH_TOKEN_EXPIRED',
+    });
+  }
+
+  const user = await User.findById(storedToken.user_id);
+  if (!user) {
+    throw new AuthenticationError('Usuario no encontrado', {
+      code: 'USER_NOT_FOUND',
+    });
+  }
+
+  if (user.disabled_at) {
+    throw new AuthenticationError('Cuenta deshabilitada', {
+      code: 'ACCOUNT_DISABLED',
     });
   }
-};
+
+  // Rotación: nuevo par de tokens en la MISMA familia
+  const { token, refreshToken } = await issueSession(
+    user,
+    storedToken.family_id
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Sesión renovada',
+    token,
+    refreshToken,
+  });
+});
 
 // Obtener perfil del usuario autenticado
-const getProfile = async (req, res) => {
-  try {
-    // El usuario viene del middleware de autenticación
-    const user = await User.findById(req.userId);
+const getProfile = asyncHandler(async (req, res) => {
+  // El usuario viene del middleware de autenticación
+  const user = await User.findById(req.userId);
 
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'Usuario no encontrado',
+  if (!user) {
+    throw new NotFoundError('Usuario no encontrado', {
+      code: 'USER_NOT_FOUND',
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    user: await toUserResponse(user),
+  });
+});
+
+/**
+ * ✏️ ACTUALIZAR PERFIL DEL USUARIO AUTENTICADO
+ *
+ * Endpoint: PUT /api/auth/profile
+ *
+ * Flujo:
+ * 1. Validar datos (validateUpdateProfile)
+ * 2. Tomar SOLO nombres, apellidos y email del body (nunca el body completo)
+ * 3. Si el email cambia: re-verificar la identidad con el password actual
+ *    y comprobar que el nuevo email no esté en uso (409 si lo está)
+ * 4. Guardar con User#update y devolver el perfil actualizado
+ * 5. Si el email cambió, queda sin verificar y se envía un enlace nuevo
+ *
+ * ¿Por qué pedir el password para cambiar el email?
+ * - El email es el identificador de login: cambiarlo equivale a
+ *   "apropiarse" de la cuenta
+ * - Si alguien roba un access token, no debe poder cambiarlo sin el password
+ */
+const updateProfile = asyncHandler(async (req, res) => {
+  const { nombres, apellidos, email, currentPassword } = req.body;
+  const user = req.user;
+
+  // Solo incluimos los campos enviados que realmente cambian
+  const changes = {};
+  if (nombres !== undefined && nombres !== user.nombres) {
+    changes.nombres = nombres;
+  }
+  if (apellidos !== undefined && apellidos !== user.apellidos) {
+    changes.apellidos = apellidos;
+  }
+  if (email !== undefined && email !== user.email) {
+    changes.email = email;
+  }
+
+  if (Object.keys(changes).length === 0) {
+    return res.status(200).json({
+      success: true,
+      message: 'No hay cambios en el perfil',
+      user: await toUserResponse(user),
+    });
+  }
+
+  if (changes.email) {
+    // 🔐 Re-verificación de identidad
+    const isPasswordValid =
+      typeof currentPassword === 'string' &&
+      (await user.verifyPassword(currentPassword));
+    if (!isPasswordValid) {
+      throw new AuthenticationError(
+        'Debes confirmar tu password actual para cambiar el email',
+        { code: 'INVALID_PASSWORD' }
+      );
+    }
+
+    // 🔎 Unicidad del nuevo email
+    const existingUser = await User.findByEmail(changes.email, {
+      includeDeleted: true,
+    });
+    if (existingUser && existingUser.id !== user.id) {
+      throw new ConflictError('El email ya está registrado', {
+        code: 'EMAIL_TAKEN',
       });
     }
+  }
 
-    res.status(200).json({
-      success: true,
-      user: user.toPublicJSON(),
+  // Si otro registro tomó el email entre la verificación y el UPDATE,
+  // User#update lanza un ConflictError (restricción UNIQUE de la BD)
+  await user.update(changes);
+
+  // Solo los nombres de los campos: el valor anterior del email sí se
+  // guarda, porque es necesario para rastrear un robo de cuenta
+  await recordAudit(req, AuditEvent.EVENTS.PROFILE_UPDATE, {
+    metadata: {
+      fields: Object.keys(changes),
+      ...(changes.email && { previousEmail: user.email }),
+    },
+  });
+
+  const updatedUser = await User.findById(user.id);
+
+  // El email nuevo queda sin verificar: enviamos el enlace a la nueva dirección
+  if (changes.email) {
+    try {
+      await sendVerificationEmail(updatedUser);
+    } catch (mailError) {
+      logger.error('Error al enviar email de verificación', {
+        userId: updatedUser.id,
+        error: mailError,
+      });
+    }
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Perfil actualizado exitosamente',
+    user: await toUserResponse(updatedUser),
+  });
+});
+
+/**
+ * 🔑 CAMBIAR PASSWORD DEL USUARIO AUTENTICADO
+ *
+ * Endpoint: PUT /api/auth/password
+ *
+ * Flujo:
+ * 1. Validar datos (validateChangePassword)
+ * 2. Verificar el password actual con User#verifyPassword
+ * 3. Rechazar el nuevo password si es el actual o uno de los últimos N
+ * 4. Guardar el nuevo hash (User#changePassword)
+ * 5. Cerrar TODAS las sesiones: JWT anteriores y refresh tokens
+ * 6. Emitir una sesión nueva para el dispositivo que hizo el cambio
+ *
+ * ¿Por qué cerrar las demás sesiones?
+ * - Si el usuario cambia el password porque sospecha de un robo,
+ *   el atacante no debe seguir conectado con un token ya emitido
+ */
+const changePassword = asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  const user = req.user;
+
+  const isPasswordValid = await user.verifyPassword(currentPassword);
+  if (!isPasswordValid) {
+    throw new AuthenticationError('El password actual es incorrecto', {
+      code: 'INVALID_PASSWORD',
     });
-  } catch (error) {
-    console.error('Error al obtener perfil:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error interno del servidor',
+  }
+
+  // 🔁 Evitar reutilizar el password actual o uno reciente
+  const isReused =
+    (await user.verifyPassword(newPassword)) ||
+    (await PasswordHistory.wasRecentlyUsed(user.id, newPassword));
+  if (isReused) {
+    throw new BadRequestError(
+      `El nuevo password no puede ser igual al actual ni a los últimos ${PasswordHistory.HISTORY_SIZE}`,
+      { code: 'PASSWORD_REUSED' }
+    );
+  }
+
+  await user.changePassword(newPassword);
+
+  // 🚪 Invalidar las demás sesiones: los JWT anteriores ya quedan
+  // rechazados por tokens_valid_after; revocamos también los refresh
+  // tokens y, explícitamente, el access token usado en esta petición
+  await RefreshToken.revokeAllForUser(user.id);
+  await RevokedToken.revoke({
+    jti: req.tokenPayload.jti,
+    userId: user.id,
+    expiresAt: new Date(req.tokenPayload.exp * 1000),
+  });
+
+  await recordAudit(req, AuditEvent.EVENTS.PASSWORD_CHANGE);
+
+  const { token, refreshToken } = await issueSession(user);
+
+  res.status(200).json({
+    success: true,
+    message: 'Password actualizado exitosamente',
+    token,
+    refreshToken,
+  });
+});
+
+/**
+ * 🗑️ ELIMINAR LA PROPIA CUENTA
+ *
+ * Endpoint: DELETE /api/auth/account
+ *
+ * Flujo:
+ * 1. Validar datos (validateDeleteAccount)
+ * 2. Confirmar el password: un token robado no basta para eliminar la cuenta
+ * 3. Marcar la cuenta como eliminada (User#softDelete)
+ * 4. Cerrar TODAS las sesiones, igual que al cambiar el password
+ *
+ * La cuenta no se borra de inmediato: durante el periodo de gracia
+ * (ACCOUNT_DELETION_GRACE_DAYS) iniciar sesión la restaura. Después la
+ * purga periódica la borra definitivamente (User.purgeDeleted).
+ */
+const deleteAccount = asyncHandler(async (req, res) => {
+  const user = req.user;
+
+  const isPasswordValid = await user.verifyPassword(req.body.password);
+  if (!isPasswordValid) {
+    throw new AuthenticationError('El password es incorrecto', {
+      code: 'INVALID_PASSWORD',
     });
   }
+
+  await user.softDelete();
+  await recordAudit(req, AuditEvent.EVENTS.ACCOUNT_DELETE);
+
+  // 🚪 Los JWT ya quedan rechazados (la cuenta no se encuentra y
+  // tokens_valid_after cambió); revocamos también los refresh tokens
+  // y el access token de esta petición
+  await RefreshToken.revokeAllForUser(user.id);
+  await RevokedToken.revoke({
+    jti: req.tokenPayload.jti,
+    userId: user.id,
+    expiresAt: new Date(req.tokenPayload.exp * 1000),
+  });
+
+  res.status(200).json({
+    success: true,
+    message:
+      'Cuenta eliminada. Puedes restaurarla iniciando sesión antes de la fecha indicada',
+    restorableUntil: user.restorableUntil().toISOString(),
+  });
+});
+
+/**
+ * 📧 ENVÍO DEL EMAIL DE RECUPERACIÓN (función interna)
+ *
+ * Busca al usuario, genera el token y envía el enlace por email.
+ * Si el email no existe, o si ya se envió un enlace hace muy poco
+ * (PasswordResetToken.canRequest), simplemente no hace nada.
+ *
+ * @param {string} email - Email recibido en la solicitud
+ */
+const processForgotPassword = async (email) => {
+  const user = await User.findByEmail(email);
+  if (!user || !(await PasswordResetToken.canRequest(user.id))) {
+    return;
+  }
+
+  const { token } = await PasswordResetToken.create(user.id);
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+  const resetUrl = `${frontendUrl}/reset-password?token=${encodeURIComponent(
+    token
+  )}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Restablece tu contraseña',
+    text: [
+      `Hola ${user.nombres},`,
+      '',
+      'Recibimos una solicitud para restablecer tu contraseña.',
+      `Abre este enlace para elegir una nueva: ${resetUrl}`,
+      '',
+      'Si no fuiste tú, ignora este mensaje: tu contraseña no cambiará.',
+    ].join('\n'),
+  });
+};
+
+/**
+ * 🆘 OLVIDÉ MI CONTRASEÑA
+ *
+ * Endpoint: POST /api/auth/forgot-password
+ *
+ * SIEMPRE responde 202 con el mismo mensaje, exista o no el email.
+ * Así un atacante no puede usar este endpoint para averiguar qué
+ * emails están registrados (enumeración de cuentas).
+ *
+ * ¿Por qué 202 Accepted?
+ * - La solicitud se aceptó, pero el resultado (el email) llega después
+ *
+ * ¿Por qué no esperamos (await) a processForgotPassword?
+ * - Si respondiéramos después de enviar el email, la respuesta tardaría
+ *   más cuando el usuario existe: el tiempo delataría la cuenta
+ */
+const forgotPassword = (req, res) => {
+  processForgotPassword(req.body.email).catch((error) => {
+    logger.error('Error al procesar recuperación de password', { error });
+  });
+
+  res.status(202).json({
+    success: true,
+    message:
+      'Si el email está registrado, recibirás instrucciones para restablecer tu contraseña',
+  });
+};
+
+/**
+ * 🔓 RESTABLECER CONTRASEÑA CON TOKEN
+ *
+ * Endpoint: POST /api/auth/reset-password
+ *
+ * Flujo:
+ * 1. Validar token y nuevo password (validateResetPassword)
+ * 2. Buscar el token: debe existir, no estar usado y no haber expirado
+ * 3. Rechazar passwords usados recientemente (igual que en el cambio)
+ * 4. Consumir el token (un solo uso) y guardar el nuevo password
+ * 5. Cerrar todas las sesiones abiertas del usuario
+ */
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, newPassword } = req.body;
+
+  const resetToken = await PasswordResetToken.findValid(token);
+  const user = resetToken ? await User.findById(resetToken.user_id) : null;
+  if (!user) {
+    throw new BadRequestError(
+      'El enlace de recuperación es inválido o ha expirado',
+      { code: 'RESET_TOKEN_INVALID' }
+    );
+  }
+
+  const isReused =
+    (await user.verifyPassword(newPassword)) ||
+    (await PasswordHistory.wasRecentlyUsed(user.id, newPassword));
+  if (isReused) {
+    throw new BadRequestError(
+      `El nuevo password no puede ser igual al actual ni a los últimos ${PasswordHistory.HISTORY_SIZE}`,
+      { code: 'PASSWORD_REUSED' }
+    );
+  }
+
+  // consume() es atómico: si otra petición ya usó el token, falla aquí
+  if (!(await resetToken.consume())) {
+    throw new BadRequestError(
+      'El enlace de recuperación es inválido o ha expirado',
+      { code: 'RESET_TOKEN_INVALID' }
+    );
+  }
+
+  await user.changePassword(newPassword);
+  await RefreshToken.revokeAllForUser(user.id);
+
+  await recordAudit(req, AuditEvent.EVENTS.PASSWORD_RESET, { userId: user.id });
+
+  res.status(200).json({
+    success: true,
+    message: 'Contraseña restablecida exitosamente. Ya puedes iniciar sesión',
+  });
+});
+
+/**
+ * ✅ VERIFICAR EMAIL
+ *
+ * Endpoint: GET /api/auth/verify-email/:token
+ *
+ * El token llega en el enlace del email. Es válido si:
+ * - La firma es correcta y no expiró
+ * - El usuario existe y su email sigue siendo el del token
+ */
+const verifyEmail = asyncHandler(async (req, res) => {
+  const payload = decodeVerificationToken(req.params.token);
+  const user = payload ? await User.findById(payload.userId) : null;
+
+  if (!user || user.email !== payload.email) {
+    throw new BadRequestError(
+      'El enlace de verificación es inválido o ha expirado',
+      { code: 'VERIFICATION_TOKEN_INVALID' }
+    );
+  }
+
+  if (!user.email_verified_at) {
+    await user.markEmailVerified();
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Email verificado exitosamente',
+    user: user.toPublicJSON(),
+  });
+});
+
+/**
+ * 🔁 REENVIAR EMAIL DE VERIFICACIÓN
+ *
+ * Endpoint: POST /api/auth/resend-verification
+ *
+ * Recibe el email en el body (no exige sesión: con la política 'block'
+ * el usuario no puede iniciar sesión). Igual que forgot-password:
+ * - Siempre responde 202, exista o no la cuenta
+ * - Solo envía si la cuenta existe, no está verificada y pasó el
+ *   intervalo mínimo desde el último envío (EMAIL_VERIFICATION_RESEND_SECONDS)
+ */
+const resendVerification = (req, res) => {
+  const processResend = async () => {
+    const user = await User.findByEmail(req.body.email);
+    if (
+      user &&
+      !user.email_verified_at &&
+      user.canResendVerification(getResendIntervalSeconds())
+    ) {
+      await sendVerificationEmail(user);
+    }
+  };
+
+  processResend().catch((error) => {
+    logger.error('Error al reenviar email de verificación', { error });
+  });
+
+  res.status(202).json({
+    success: true,
+    message:
+      'Si la cuenta existe y no está verificada, recibirás un nuevo enlace de verificación',
+  });
 };
 
 module.exports = {
   register,
   login,
+  loginMfa,
+  loginPasskey,
+  loginOAuth,
   logout,
+  refresh,
   getProfile,
+  updateProfile,
+  changePassword,
+  deleteAccount,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
 };
@@ -0,0 +1,79 @@
+/**
+ * 🌐 CONTROLADOR DE LOGIN SOCIAL (OAUTH2 / OPENID CONNECT) - GUÍA EDUCATIVA
+ *
+ * "Iniciar sesión con Google/GitHub/Microsoft": el usuario demuestra
+ * quién es ante el proveedor y este nos lo confirma. Nunca vemos su
+ * password del proveedor.
+ *
+ * Flujo (authorization code + PKCE):
+ * 1. GET  /oauth/providers: botones que puede mostrar el frontend
+ * 2. POST /oauth/:provider/authorize: URL del proveedor + oauthToken
+ *    (guarda state, nonce y code_verifier de este login)
+ * 3. El usuario inicia sesión en el proveedor, que lo devuelve al
+ *    frontend (/oauth/callback/:provider?code&state)
+ * 4. POST /oauth/:provider/callback: vive en authController (loginOAuth)
+ *    porque termina emitiendo la sesión igual que el login con password
+ *
+ * Cada proveedor es una clase en src/oauth; aquí no hay nada propio de
+ * ninguno en particular.
+ */
+
+const {
+  getProvider,
+  listProviders: listConfiguredProviders,
+  getRedirectUri,
+} = require('../oauth');
+const { createOAuthState, toCodeChallenge } = require('../utils/oauthState');
+const { NotFoundError, asyncHandler } = require('../utils/errors');
+
+/**
+ * 📋 PROVEEDORES DISPONIBLES
+ *
+ * Endpoint: GET /api/auth/oauth/providers (público)
+ */
+const listProviders = (req, res) => {
+  res.status(200).json({
+    success: true,
+    providers: listConfiguredProviders().map((provider) => ({
+      name: provider.name,
+      displayName: provider.displayName,
+    })),
+  });
+};
+
+/**
+ * 1️⃣ EMPEZAR EL LOGIN
+ *
+ * Endpoint: POST /api/auth/oauth/:provider/authorize (público)
+ *
+ * Devuelve la URL a la que el frontend redirige al usuario y el
+ * oauthToken que debe conservar (sessionStorage) hasta el callback.
+ */
+const authorize = asyncHandler(async (req, res) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider) {
+    throw new NotFoundError('Proveedor de login no disponible', {
+      code: 'OAUTH_PROVIDER_NOT_FOUND',
+    });
+  }
+
+  const { state, nonce, codeVerifier, token } = createOAuthState(provider.name);
+
+  const authorizationUrl = await provider.getAuthorizationUrl({
+    redirectUri: getRedirectUri(provider.name),
+    state,
+    nonce,
+    codeChallenge: toCodeChallenge(codeVerifier),
+  });
+
+  res.status(200).json({
+    success: true,
+    authorizationUrl,
+    oauthToken: token,
+  });
+});
+
+module.exports = {
+  listProviders,
+  authorize,
+};
@@ -0,0 +1,578 @@
+/**
+ * 🪪 CONTROLADOR DEL PROVEEDOR DE IDENTIDAD (OPENID CONNECT) - GUÍA EDUCATIVA
+ *
+ * El login social (oauthController) usa a Google como proveedor. Aquí es
+ * al revés: ESTE sistema es el proveedor y otras aplicaciones internas
+ * ("clientes", registrados por un administrador) inician sesión con sus
+ * cuentas en lugar de tener su propio registro y login.
+ *
+ * Flujo (authorization code + PKCE):
+ * 1. La aplicación descubre los endpoints en
+ *    GET /.well-known/openid-configuration
+ * 2. Redirige al usuario a GET /oauth2/authorize?client_id&redirect_uri
+ *    &scope&state&nonce&code_challenge... Si el pedido es válido, lo
+ *    enviamos a la página de consentimiento del frontend
+ *    (/oidc/authorize), que exige tener la sesión iniciada
+ * 3. El frontend muestra qué datos pide la aplicación
+ *    (GET /api/auth/oidc/authorize) y envía la decisión
+ *    (POST /api/auth/oidc/authorize), que devuelve la URL de vuelta a la
+ *    aplicación con un código de un solo uso
+ * 4. La aplicación canjea el código en POST /oauth2/token (con su secreto
+ *    y el code_verifier de PKCE): id_token, access_token y refresh_token
+ * 5. Con el access_token puede pedir GET /oauth2/userinfo
+ *
+ * Los errores del protocolo siguen el formato OAuth2 (RFC 6749):
+ * { error, error_description }, con códigos en minúsculas como
+ * 'invalid_grant'. Ver routes/oidcRoutes.js.
+ */
+
+const User = require('../models/User');
+const OidcClient = require('../models/OidcClient');
+const OidcAuthorizationCode = require('../models/OidcAuthorizationCode');
+const OidcConsent = require('../models/OidcConsent');
+const RefreshToken = require('../models/RefreshToken');
+const AuditEvent = require('../models/AuditEvent');
+const {
+  SUPPORTED_SCOPES,
+  SUPPORTED_CLAIMS,
+  getIssuer,
+  parseScope,
+  buildUserClaims,
+  createIdToken,
+  createAccessToken,
+  getExpiresIn,
+  verifyAccessToken,
+} = require('../utils/oidc');
+const { getSigningKey, getJwks } = require('../utils/signingKeys');
+const { toCodeChallenge } = require('../utils/oauthState');
+const {
+  BadRequestError,
+  AuthenticationError,
+  asyncHandler,
+} = require('../utils/errors');
+const logger = require('../utils/logger');
+const { recordAudit } = require('../utils/audit');
+
+// Parámetros del pedido de autorización que viajan al frontend y vuelven
+const AUTHORIZE_PARAMS = [
+  'client_id',
+  'redirect_uri',
+  'response_type',
+  'scope',
+  'state',
+  'nonce',
+  'code_challenge',
+  'code_challenge_method',
+];
+
+// PKCE S256: BASE64URL(SHA-256(verifier)) siempre tiene 43 caracteres
+const CODE_CHALLENGE_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+
+const pickAuthorizeParams = (source) =>
+  Object.fromEntries(
+    AUTHORIZE_PARAMS.filter((name) => source[name] !== undefined).map(
+      (name) => [name, source[name]]
+    )
+  );
+
+/**
+ * URL DE VUELTA A LA APLICACIÓN
+ *
+ * @param {string} redirectUri - Una de las registradas por el cliente
+ * @param {Object} params - code o error, más el state del pedido
+ * @returns {string}
+ */
+const buildRedirectUrl = (redirectUri, params) => {
+  const url = new URL(redirectUri);
+  Object.entries(params)
+    .filter(([, value]) => value !== undefined)
+    .forEach(([name, value]) => url.searchParams.set(name, value));
+  return url.toString();
+};
+
+/**
+ * VALIDAR UN PEDIDO DE AUTORIZACIÓN (función interna)
+ *
+ * Dos tipos de error:
+ * - Cliente desconocido o redirect_uri no registrada: NO se puede
+ *   redirigir (sería un redirector abierto), se responde 400
+ * - El resto (scope, PKCE...): se informa a la aplicación redirigiendo
+ *   a su redirect_uri con ?error=...&state=...
+ *
+ * @param {Object} params - Query o body con los parámetros del pedido
+ * @returns {Promise<{client: OidcClient, scopes: string[], redirectTo: string|null}>}
+ *   redirectTo: URL de error para la aplicación (null si el pedido es válido)
+ * @throws {BadRequestError} - Cliente o redirect_uri inválidos
+ */
+const checkAuthorizationRequest = async (params) => {
+  const client = await OidcClient.findByClientId(params.client_id);
+  if (!client) {
+    throw new BadRequestError('La aplicación no está registrada', {
+      code: 'OIDC_CLIENT_INVALID',
+    });
+  }
+
+  if (!client.allowsRedirectUri(params.redirect_uri)) {
+    throw new BadRequestError(
+      'La URL de vuelta no está registrada para la aplicación',
+      { code: 'OIDC_REDIRECT_URI_INVALID' }
+    );
+  }
+
+  const scopes = parseScope(params.scope);
+  const fail = (error, description) => ({
+    client,
+    scopes,
+    redirectTo: buildRedirectUrl(params.redirect_uri, {
+      error,
+      error_description: description,
+      state: params.state,
+    }),
+  });
+
+  if (params.response_type !== 'code') {
+    return fail(
+      'unsupported_response_type',
+      'Solo se admite response_type=code'
+    );
+  }
+
+  if (!scopes.includes('openid')) {
+    return fail('invalid_scope', "El scope debe incluir 'openid'");
+  }
+
+  const unsupported = scopes.filter(
+    (scope) => !SUPPORTED_SCOPES.includes(scope)
+  );
+  if (unsupported.length > 0) {
+    return fail(
+      'invalid_scope',
+      `Scope no soportado: ${unsupported.join(' ')}`
+    );
+  }
+
+  if (
+    params.code_challenge_method !== 'S256' ||
+    !CODE_CHALLENGE_PATTERN.test(params.code_challenge || '')
+  ) {
+    return fail(
+      'invalid_request',
+      'PKCE es obligatorio: code_challenge con code_challenge_method=S256'
+    );
+  }
+
+  return { client, scopes, redirectTo: null };
+};
+
+/**
+ * 🔎 DOCUMENTO DE DESCUBRIMIENTO
+ *
+ * Endpoint: GET /.well-known/openid-configuration (público)
+ *
+ * Las librerías cliente (openid-client, oidc-client-ts...) solo
+ * necesitan el issuer: el resto lo leen de aquí.
+ */
+const discovery = (req, res) => {
+  const issuer = getIssuer();
+
+  res.status(200).json({
+    issuer,
+    authorization_endpoint: `${issuer}/oauth2/authorize`,
+    token_endpoint: `${issuer}/oauth2/token`,
+    userinfo_endpoint: `${issuer}/oauth2/userinfo`,
+    jwks_uri: `${issuer}/oauth2/jwks`,
+    response_types_supported: ['code'],
+    grant_types_supported: ['authorization_code', 'refresh_token'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: [getSigningKey().alg],
+    scopes_supported: SUPPORTED_SCOPES,
+    claims_supported: SUPPORTED_CLAIMS,
+    token_endpoint_auth_methods_supported: [
+      'client_secret_basic',
+      'client_secret_post',
+      'none',
+    ],
+    code_challenge_methods_supported: ['S256'],
+  });
+};
+
+/**
+ * 🔑 CLAVES PÚBLICAS (JWKS)
+ *
+ * Endpoints (públicos, mismo conjunto de claves):
+ * - GET /oauth2/jwks: el que anuncia el documento de descubrimiento
+ * - GET /api/auth/.well-known/jwks.json: para los servicios que validan
+ *   los access tokens de la API
+ */
+const jwks = (req, res) => {
+  res.status(200).json(getJwks());
+};
+
+/**
+ * 1️⃣ PEDIDO DE AUTORIZACIÓN
+ *
+ * Endpoint: GET /oauth2/authorize (lo visita el navegador del usuario)
+ *
+ * No hay sesión del usuario en el backend (el access token vive en el
+ * frontend), así que el pedido válido se reenvía tal cual a la página
+ * de consentimiento del frontend.
+ */
+const authorize = asyncHandler(async (req, res) => {
+  const { redirectTo } = await checkAuthorizationRequest(req.query);
+  if (redirectTo) {
+    return res.redirect(redirectTo);
+  }
+
+  const consentUrl = new URL(
+    '/oidc/authorize',
+    process.env.FRONTEND_URL || 'http://localhost:5173'
+  );
+  consentUrl.search = new URLSearchParams(
+    pickAuthorizeParams(req.query)
+  ).toString();
+
+  res.redirect(consentUrl.toString());
+});
+
+/**
+ * 2️⃣ DATOS PARA LA PÁGINA DE CONSENTIMIENTO
+ *
+ * Endpoint: GET /api/auth/oidc/authorize (protegido)
+ *
+ * consentRequired: false si el usuario ya aprobó todos estos permisos a
+ * la aplicación; el frontend puede enviar la aprobación directamente.
+ */
+const getAuthorizationRequest = asyncHandler(async (req, res) => {
+  const { client, scopes, redirectTo } = await checkAuthorizationRequest(
+    req.query
+  );
+  if (redirectTo) {
+    return res.status(200).json({ success: true, redirectTo });
+  }
+
+  res.status(200).json({
+    success: true,
+    client: { name: client.name },
+    scopes,
+    consentRequired: !(await OidcConsent.covers(
+      req.userId,
+      client.client_id,
+      scopes
+    )),
+  });
+});
+
+/**
+ * 3️⃣ DECISIÓN DEL USUARIO
+ *
+ * Endpoint: POST /api/auth/oidc/authorize (protegido)
+ * Body: los parámetros del pedido más approve (true/false)
+ *
+ * Responde { redirectTo }: la URL de la aplicación con el código (o con
+ * error=access_denied si el usuario no aprobó). El frontend navega a ella.
+ */
+const decideAuthorization = asyncHandler(async (req, res) => {
+  const params = req.body;
+  const { client, scopes, redirectTo } = await checkAuthorizationRequest(
+    params
+  );
+  if (redirectTo) {
+    return res.status(200).json({ success: true, redirectTo });
+  }
+
+  if (!params.approve) {
+    return res.status(200).json({
+      success: true,
+      redirectTo: buildRedirectUrl(params.redirect_uri, {
+        error: 'access_denied',
+        error_description: 'El usuario no autorizó el acceso',
+        state: params.state,
+      }),
+    });
+  }
+
+  await OidcConsent.grant(req.userId, client.client_id, scopes);
+
+  const code = await OidcAuthorizationCode.issue({
+    clientId: client.client_id,
+    userId: req.userId,
+    redirectUri: params.redirect_uri,
+    scope: scopes.join(' '),
+    nonce: params.nonce,
+    codeChallenge: params.code_challenge,
+  });
+
+  await recordAudit(req, AuditEvent.EVENTS.OIDC_AUTHORIZE, {
+    metadata: { clientId: client.client_id, scope: scopes.join(' ') },
+  });
+
+  res.status(200).json({
+    success: true,
+    redirectTo: buildRedirectUrl(params.redirect_uri, {
+      code,
+      state: params.state,
+    }),
+  });
+});
+
+/**
+ * AUTENTICAR AL CLIENTE EN EL TOKEN ENDPOINT (función interna)
+ *
+ * - client_secret_basic: Authorization: Basic base64(client_id:secret)
+ * - client_secret_post: client_id y client_secret en el body
+ * - none: clientes públicos, solo client_id (los protege PKCE)
+ *
+ * @returns {Promise<OidcClient>}
+ * @throws {AuthenticationError} - invalid_client
+ */
+const invalidClient = () =>
+  new AuthenticationError('Autenticación del cliente fallida', {
+    code: 'invalid_client',
+  });
+
+const authenticateClient = async (req) => {
+  let { client_id: clientId, client_secret: clientSecret } = req.body;
+
+  const header = req.headers.authorization;
+  if (header && header.startsWith('Basic ')) {
+    const decoded = Buffer.from(header.substring(6), 'base64').toString();
+    const separator = decoded.indexOf(':');
+    if (separator === -1) {
+      throw invalidClient();
+    }
+
+    // Cada parte va codificada como formulario (RFC 6749, sección 2.3.1);
+    // un '%' mal formado es un error del cliente, no del servidor
+    try {
+      clientId = decodeURIComponent(decoded.substring(0, separator));
+      clientSecret = decodeURIComponent(decoded.substring(separator + 1));
+    } catch (error) {
+      throw invalidClient();
+    }
+  }
+
+  const client =
+    typeof clientId === 'string' && (await OidcClient.findByClientId(clientId));
+
+  if (
+    !client ||
+    (client.isConfidential && !client.verifySecret(clientSecret))
+  ) {
+    throw invalidClient();
+  }
+
+  return client;
+};
+
+const invalidGrant = (message) =>
+  new BadRequestError(message, { code: 'invalid_grant' });
+
+/**
+ * Usuario del código o del refresh token, si aún puede iniciar sesión
+ */
+const findActiveUser = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user || user.disabled_at) {
+    throw invalidGrant('La cuenta no está disponible');
+  }
+  return user;
+};
+
+/**
+ * EMITIR LOS TOKENS DEL CLIENTE (función interna)
+ *
+ * @returns {Promise<Object>} - Respuesta del token endpoint
+ */
+const issueTokens = async ({ user, client, scope, nonce, familyId }) => {
+  const accessToken = createAccessToken({
+    user,
+    clientId: client.client_id,
+    scope,
+  });
+  const { token: refreshToken } = await RefreshToken.issue(user.id, familyId, {
+    clientId: client.client_id,
+    scope,
+  });
+
+  return {
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: getExpiresIn(accessToken),
+    id_token: createIdToken({
+      user,
+      clientId: client.client_id,
+      scopes: parseScope(scope),
+      nonce,
+    }),
+    refresh_token: refreshToken,
+    scope,
+  };
+};
+
+/**
+ * grant_type=authorization_code
+ *
+ * 1. El código debe ser de este cliente. Se comprueba ANTES de
+ *    consumirlo: otro cliente no puede inutilizar el código ajeno
+ * 2. Se consume antes de comprobar nada más: un código robado que falla
+ *    la verificación (redirect_uri, PKCE) tampoco le sirve después
+ * 3. Un código que ya se usó fue copiado: se revocan los refresh tokens
+ *    emitidos con él (RFC 6749, sección 4.1.2)
+ */
+const exchangeAuthorizationCode = async (req, client) => {
+  const { code, redirect_uri: redirectUri, code_verifier: verifier } = req.body;
+  if (
+    [code, redirectUri, verifier].some((value) => typeof value !== 'string')
+  ) {
+    throw new BadRequestError(
+      'code, redirect_uri y code_verifier son obligatorios',
+      { code: 'invalid_request' }
+    );
+  }
+
+  const grant = await OidcAuthorizationCode.findByCode(code);
+  if (!grant || grant.client_id !== client.client_id) {
+    throw invalidGrant('Código de autorización inválido o expirado');
+  }
+
+  if (!(await grant.consume())) {
+    if (grant.family_id) {
+      await RefreshToken.revokeFamily(grant.family_id);
+    }
+    logger.warn('Reutilización de código de autorización detectada', {
+      userId: grant.user_id,
+      familyId: grant.family_id,
+      clientId: client.client_id,
+    });
+    throw invalidGrant('Código de autorización inválido o expirado');
+  }
+
+  if (
+    grant.isExpired() ||
+    grant.redirect_uri !== redirectUri ||
+    toCodeChallenge(verifier) !== grant.code_challenge
+  ) {
+    throw invalidGrant('Código de autorización inválido o expirado');
+  }
+
+  return issueTokens({
+    user: await findActiveUser(grant.user_id),
+    client,
+    scope: grant.scope,
+    nonce: grant.nonce,
+    // Un código anterior a la migración 014 no tiene familia: una nueva
+    familyId: grant.family_id || undefined,
+  });
+};
+
+/**
+ * grant_type=refresh_token
+ *
+ * Misma rotación y detección de reutilización que POST /api/auth/refresh
+ */
+const exchangeRefreshToken = async (req, client) => {
+  const { refresh_token: token } = req.body;
+  if (typeof token !== 'string') {
+    throw new BadRequestError('refresh_token es obligatorio', {
+      code: 'invalid_request',
+    });
+  }
+
+  const storedToken = await RefreshToken.findByToken(token);
+  if (!storedToken || storedToken.client_id !== client.client_id) {
+    throw invalidGrant('Refresh token inválido');
+  }
+
+  const consumed = !storedToken.revoked_at && (await storedToken.consume());
+  if (!consumed) {
+    await RefreshToken.revokeFamily(storedToken.family_id);
+    logger.warn('Reutilización de refresh token detectada', {
+      userId: storedToken.user_id,
+      familyId: storedToken.family_id,
+      clientId: client.client_id,
+    });
+    throw invalidGrant('Refresh token inválido');
+  }
+
+  if (storedToken.isExpired()) {
+    throw invalidGrant('Refresh token expirado');
+  }
+
+  return issueTokens({
+    user: await findActiveUser(storedToken.user_id),
+    client,
+    scope: storedToken.scope,
+    familyId: storedToken.family_id,
+  });
+};
+
+const GRANT_HANDLERS = {
+  authorization_code: exchangeAuthorizationCode,
+  refresh_token: exchangeRefreshToken,
+};
+
+/**
+ * 4️⃣ TOKEN ENDPOINT
+ *
+ * Endpoint: POST /oauth2/token
+ * Body (application/x-www-form-urlencoded): grant_type y los campos de
+ * cada grant
+ *
+ * Cache-Control: no-store: los tokens no deben quedar en ninguna caché.
+ */
+const token = asyncHandler(async (req, res) => {
+  const handler = GRANT_HANDLERS[req.body.grant_type];
+  if (!handler) {
+    throw new BadRequestError(
+      'grant_type debe ser authorization_code o refresh_token',
+      { code: 'unsupported_grant_type' }
+    );
+  }
+
+  const client = await authenticateClient(req);
+  const response = await handler(req, client);
+
+  res.set({ 'Cache-Control': 'no-store', Pragma: 'no-cache' });
+  res.status(200).json(response);
+});
+
+/**
+ * 5️⃣ USERINFO
+ *
+ * Endpoint: GET|POST /oauth2/userinfo
+ * Header: Authorization: Bearer <access_token del cliente>
+ *
+ * Los claims se leen en el momento (no del token): si el usuario cambió
+ * su nombre, la aplicación ve el dato actual.
+ */
+const userinfo = asyncHandler(async (req, res) => {
+  const header = req.headers.authorization;
+  if (!header || !header.startsWith('Bearer ')) {
+    throw new AuthenticationError('Access token requerido', {
+      code: 'invalid_token',
+    });
+  }
+
+  const payload = verifyAccessToken(header.substring(7));
+
+  // Cuenta eliminada o deshabilitada, o sesiones cerradas después de
+  // emitir el token (cambio de password, force-logout...)
+  const user = await User.findById(Number(payload.sub));
+  if (!user || user.disabled_at || user.isTokenInvalidated(payload.iat)) {
+    throw new AuthenticationError('Access token revocado', {
+      code: 'invalid_token',
+    });
+  }
+
+  res.status(200).json(buildUserClaims(user, parseScope(payload.scope)));
+});
+
+module.exports = {
+  discovery,
+  jwks,
+  authorize,
+  getAuthorizationRequest,
+  decideAuthorization,
+  token,
+  userinfo,
+};
@@ -0,0 +1,227 @@
+/**
+ * 🔢 CONTROLADOR DE VERIFICACIÓN EN DOS PASOS (2FA) - GUÍA EDUCATIVA
+ *
+ * ¿Qué es la verificación en dos pasos?
+ * - Además de algo que el usuario SABE (el password), se pide algo que
+ *   TIENE: el teléfono con una app de autenticación (TOTP)
+ * - Si alguien roba el password, sin el teléfono no puede entrar
+ *
+ * Ciclo de vida:
+ * 1. POST /2fa/setup: se genera el secreto y el QR para la app
+ * 2. POST /2fa/confirm: el primer código confirma que la app quedó bien
+ *    configurada; se activa y se entregan los códigos de recuperación
+ * 3. Desde entonces el login pide el código (POST /api/auth/login/mfa)
+ * 4. POST /2fa/disable y POST /2fa/recovery-codes exigen el password
+ *
+ * El segundo paso del login vive en authController (loginMfa) porque
+ * termina emitiendo la sesión igual que el login normal.
+ */
+
+const QRCode = require('qrcode');
+const TotpSecret = require('../models/TotpSecret');
+const RecoveryCode = require('../models/RecoveryCode');
+const AuditEvent = require('../models/AuditEvent');
+const { buildOtpauthUri } = require('../utils/totp');
+const { recordAudit } = require('../utils/audit');
+const {
+  BadRequestError,
+  AuthenticationError,
+  ConflictError,
+  asyncHandler,
+} = require('../utils/errors');
+
+/**
+ * 🔐 RE-VERIFICAR EL PASSWORD (función interna)
+ *
+ * Desactivar la verificación en dos pasos o regenerar los códigos
+ * debilita (o podría debilitar) la cuenta: un access token robado no
+ * debe bastar.
+ *
+ * @param {User} user - Usuario autenticado
+ * @param {string} password - Password enviado en el body
+ */
+const verifyPasswordReentry = async (user, password) => {
+  if (!(await user.verifyPassword(password))) {
+    throw new AuthenticationError('El password es incorrecto', {
+      code: 'INVALID_PASSWORD',
+    });
+  }
+};
+
+/**
+ * Secreto CONFIRMADO del usuario, o error si no tiene la
+ * verificación en dos pasos activa (función interna)
+ *
+ * @param {number} userId
+ * @returns {Promise<TotpSecret>}
+ */
+const findEnabledSecret = async (userId) => {
+  const totpSecret = await TotpSecret.findByUserId(userId);
+  if (!totpSecret || !totpSecret.confirmed_at) {
+    throw new BadRequestError('La verificación en dos pasos no está activada', {
+      code: 'MFA_NOT_ENABLED',
+    });
+  }
+  return totpSecret;
+};
+
+/**
+ * 📋 ESTADO DE LA VERIFICACIÓN EN DOS PASOS
+ *
+ * Endpoint: GET /api/auth/2fa
+ */
+const getStatus = asyncHandler(async (req, res) => {
+  const totpSecret = await TotpSecret.findByUserId(req.userId);
+  const enabled = Boolean(totpSecret && totpSecret.confirmed_at);
+
+  res.status(200).json({
+    success: true,
+    twoFactor: {
+      enabled,
+      enabledAt: enabled ? totpSecret.confirmed_at : null,
+      recoveryCodesRemaining: enabled
+        ? await RecoveryCode.countRemaining(req.userId)
+        : 0,
+    },
+  });
+});
+
+/**
+ * 1️⃣ INICIAR LA ACTIVACIÓN
+ *
+ * Endpoint: POST /api/auth/2fa/setup
+ *
+ * Devuelve el secreto de tres formas, para que el frontend elija:
+ * - qrCode: imagen PNG (data URL) para escanear con la app
+ * - otpauthUri: la URI que contiene el QR (para generar uno propio)
+ * - secret: para escribirlo a mano si no se puede escanear
+ *
+ * Llamarlo otra vez antes de confirmar genera un secreto nuevo.
+ */
+const setup = asyncHandler(async (req, res) => {
+  if (await TotpSecret.isEnabled(req.userId)) {
+    throw new ConflictError('La verificación en dos pasos ya está activada', {
+      code: 'MFA_ALREADY_ENABLED',
+    });
+  }
+
+  const secret = await TotpSecret.createPending(req.userId);
+  const otpauthUri = buildOtpauthUri({
+    secret,
+    accountName: req.user.email,
+  });
+
+  res.status(200).json({
+    success: true,
+    message:
+      'Escanea el código QR con tu app de autenticación y confirma con el código que muestra',
+    secret,
+    otpauthUri,
+    qrCode: await QRCode.toDataURL(otpauthUri),
+  });
+});
+
+/**
+ * 2️⃣ CONFIRMAR LA ACTIVACIÓN
+ *
+ * Endpoint: POST /api/auth/2fa/confirm
+ *
+ * Si el código es correcto, la app quedó bien configurada: se generan
+ * los códigos de recuperación y se activa la verificación en dos pasos.
+ * Los códigos se generan ANTES de activar: si algo falla entre ambos
+ * pasos, el usuario nunca queda con 2FA activo y sin códigos.
+ */
+const confirm = asyncHandler(async (req, res) => {
+  const totpSecret = await TotpSecret.findByUserId(req.userId);
+  if (!totpSecret || totpSecret.confirmed_at) {
+    // No se llega a probar ningún código: el intento no cuenta
+    await req.loginAttempt.release();
+  }
+  if (!totpSecret) {
+    throw new BadRequestError(
+      'Primero inicia la activación (POST /api/auth/2fa/setup)',
+      { code: 'MFA_SETUP_REQUIRED' }
+    );
+  }
+  if (totpSecret.confirmed_at) {
+    throw new ConflictError('La verificación en dos pasos ya está activada', {
+      code: 'MFA_ALREADY_ENABLED',
+    });
+  }
+
+  if (!(await totpSecret.verify(req.body.code))) {
+    // Cuenta para los retrasos y el bloqueo (ver loginThrottle)
+    await req.loginAttempt.recordFailure();
+    throw new BadRequestError('Código de verificación inválido', {
+      code: 'MFA_CODE_INVALID',
+    });
+  }
+
+  await req.loginAttempt.succeed();
+  const recoveryCodes = await RecoveryCode.regenerate(req.userId);
+  await totpSecret.confirm();
+
+  await recordAudit(req, AuditEvent.EVENTS.MFA_ENABLE);
+
+  res.status(200).json({
+    success: true,
+    message:
+      'Verificación en dos pasos activada. Guarda los códigos de recuperación: no se volverán a mostrar',
+    recoveryCodes,
+  });
+});
+
+/**
+ * 🚫 DESACTIVAR
+ *
+ * Endpoint: POST /api/auth/2fa/disable
+ *
+ * Borra el secreto y los códigos de recuperación: para volver a
+ * activarla hay que escanear un QR nuevo.
+ */
+const disable = asyncHandler(async (req, res) => {
+  await verifyPasswordReentry(req.user, req.body.password);
+  await findEnabledSecret(req.userId);
+
+  await RecoveryCode.deleteForUser(req.userId);
+  await TotpSecret.deleteForUser(req.userId);
+
+  await recordAudit(req, AuditEvent.EVENTS.MFA_DISABLE);
+
+  res.status(200).json({
+    success: true,
+    message: 'Verificación en dos pasos desactivada',
+  });
+});
+
+/**
+ * 🔁 REGENERAR LOS CÓDIGOS DE RECUPERACIÓN
+ *
+ * Endpoint: POST /api/auth/2fa/recovery-codes
+ *
+ * Para cuando se gastaron o se sospecha que alguien los vio: los
+ * anteriores dejan de funcionar.
+ */
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  await verifyPasswordReentry(req.user, req.body.password);
+  await findEnabledSecret(req.userId);
+
+  const recoveryCodes = await RecoveryCode.regenerate(req.userId);
+
+  await recordAudit(req, AuditEvent.EVENTS.MFA_RECOVERY_CODES_REGENERATE);
+
+  res.status(200).json({
+    success: true,
+    message:
+      'Códigos de recuperación regenerados. Los anteriores ya no funcionan',
+    recoveryCodes,
+  });
+});
+
+module.exports = {
+  getStatus,
+  setup,
+  confirm,
+  disable,
+  regenerateRecoveryCodes,
+};
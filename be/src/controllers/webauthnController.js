@@ -0,0 +1,264 @@
+/**
+ * 🗝️ CONTROLADOR DE PASSKEYS (WEBAUTHN) - GUÍA EDUCATIVA
+ *
+ * ¿Qué es una passkey?
+ * - Un par de claves creado por el autenticador del usuario (huella,
+ *   Face ID, PIN del dispositivo, llave de seguridad)
+ * - El servidor solo guarda la clave PÚBLICA: si roban la BD, no hay
+ *   nada con lo que iniciar sesión
+ * - El navegador solo la ofrece en este dominio: inmune al phishing
+ *
+ * Ceremonias (cada una en dos pasos: options → verify):
+ * - Registro (usuario autenticado): /register/options y /register/verify
+ *   crean una passkey nueva para la cuenta
+ * - Login (público): /login/options genera el desafío; la verificación
+ *   vive en authController (loginPasskey) porque termina emitiendo la
+ *   sesión igual que el login con password
+ *
+ * La criptografía (CBOR, COSE, firmas) la resuelve @simplewebauthn/server;
+ * aquí decidimos QUÉ se pide y QUÉ se guarda.
+ */
+
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+} = require('@simplewebauthn/server');
+const {
+  isoBase64URL,
+  isoUint8Array,
+} = require('@simplewebauthn/server/helpers');
+const WebAuthnCredential = require('../models/WebAuthnCredential');
+const RevokedToken = require('../models/RevokedToken');
+const AuditEvent = require('../models/AuditEvent');
+const {
+  CHALLENGE_PURPOSES,
+  getRelyingParty,
+  createChallengeToken,
+  decodeChallengeToken,
+} = require('../utils/webauthn');
+const { recordAudit } = require('../utils/audit');
+const {
+  BadRequestError,
+  NotFoundError,
+  ConflictError,
+  asyncHandler,
+} = require('../utils/errors');
+const logger = require('../utils/logger');
+
+/**
+ * 1️⃣ REGISTRO: OPCIONES
+ *
+ * Endpoint: POST /api/auth/webauthn/register/options
+ *
+ * Devuelve las opciones para navigator.credentials.create():
+ * - excludeCredentials: las passkeys que ya tiene, para que el mismo
+ *   autenticador no se registre dos veces
+ * - residentKey 'required': la passkey queda guardada en el autenticador
+ *   con el usuario ("credencial descubrible"), así el login no necesita
+ *   que se escriba el email
+ * - userVerification 'required': el autenticador pide huella/PIN; la
+ *   passkey cuenta como dos factores (tenerla + desbloquearla)
+ * - attestation 'none': no pedimos pruebas del fabricante del
+ *   autenticador (solo sirven para restringir modelos concretos)
+ */
+const registrationOptions = asyncHandler(async (req, res) => {
+  const { rpID, rpName } = getRelyingParty();
+  const credentials = await WebAuthnCredential.findAllByUserId(req.userId);
+
+  const options = await generateRegistrationOptions({
+    rpName,
+    rpID,
+    userName: req.user.email,
+    userDisplayName: `${req.user.nombres} ${req.user.apellidos}`,
+    // Siempre el mismo por usuario: si registra otra vez en el mismo
+    // autenticador, reemplaza la passkey anterior en lugar de duplicarla
+    userID: isoUint8Array.fromUTF8String(String(req.userId)),
+    attestationType: 'none',
+    excludeCredentials: credentials.map((credential) => ({
+      id: credential.credential_id,
+      transports: credential.transports,
+    })),
+    authenticatorSelection: {
+      residentKey: 'required',
+      userVerification: 'required',
+    },
+  });
+
+  res.status(200).json({
+    success: true,
+    options,
+    challengeToken: createChallengeToken(
+      CHALLENGE_PURPOSES.REGISTRATION,
+      options.challenge,
+      req.user
+    ),
+  });
+});
+
+/**
+ * 2️⃣ REGISTRO: VERIFICAR Y GUARDAR
+ *
+ * Endpoint: POST /api/auth/webauthn/register/verify
+ *
+ * Body: { challengeToken, credential, name? }
+ * - credential: lo que devuelve navigator.credentials.create() en JSON
+ *
+ * Se comprueba que la respuesta firma NUESTRO desafío, desde NUESTRO
+ * origen y con verificación del usuario; después se guarda la clave
+ * pública.
+ */
+const verifyRegistration = asyncHandler(async (req, res) => {
+  const { challengeToken, credential, name } = req.body;
+
+  const challenge = decodeChallengeToken(
+    challengeToken,
+    CHALLENGE_PURPOSES.REGISTRATION
+  );
+  if (!challenge || challenge.userId !== req.userId) {
+    throw new BadRequestError(
+      'El registro de la passkey expiró. Inténtalo de nuevo',
+      { code: 'PASSKEY_CHALLENGE_INVALID' }
+    );
+  }
+
+  const { rpID, origins } = getRelyingParty();
+  let verification;
+  try {
+    verification = await verifyRegistrationResponse({
+      response: credential,
+      expectedChallenge: challenge.challenge,
+      expectedOrigin: origins,
+      expectedRPID: rpID,
+      requireUserVerification: true,
+    });
+  } catch (error) {
+    logger.debug('Registro de passkey rechazado', { reason: error.message });
+  }
+
+  if (!verification || !verification.verified) {
+    throw new BadRequestError('No se pudo verificar la passkey', {
+      code: 'PASSKEY_REGISTRATION_FAILED',
+    });
+  }
+
+  // Cada desafío sirve para un solo registro
+  const revoked = await RevokedToken.revoke({
+    jti: challenge.jti,
+    userId: req.userId,
+    expiresAt: challenge.expiresAt,
+  });
+  if (!revoked) {
+    throw new BadRequestError(
+      'El registro de la passkey expiró. Inténtalo de nuevo',
+      { code: 'PASSKEY_CHALLENGE_INVALID' }
+    );
+  }
+
+  const { registrationInfo } = verification;
+  if (
+    await WebAuthnCredential.findByCredentialId(registrationInfo.credential.id)
+  ) {
+    throw new ConflictError('Esta passkey ya está registrada', {
+      code: 'PASSKEY_ALREADY_REGISTERED',
+    });
+  }
+
+  const passkey = await WebAuthnCredential.create({
+    userId: req.userId,
+    credentialId: registrationInfo.credential.id,
+    publicKey: isoBase64URL.fromBuffer(registrationInfo.credential.publicKey),
+    signCount: registrationInfo.credential.counter,
+    transports: registrationInfo.credential.transports,
+    deviceType: registrationInfo.credentialDeviceType,
+    backedUp: registrationInfo.credentialBackedUp,
+    name: name || null,
+  });
+
+  await recordAudit(req, AuditEvent.EVENTS.PASSKEY_REGISTER, {
+    metadata: { credentialId: passkey.id },
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Passkey registrada',
+    credential: passkey.toPublicJSON(),
+  });
+});
+
+/**
+ * 🔑 LOGIN: OPCIONES
+ *
+ * Endpoint: POST /api/auth/webauthn/login/options (público)
+ *
+ * No se pide el email: con allowCredentials vacío el navegador ofrece
+ * las passkeys guardadas para este sitio y el usuario elige una. Así
+ * tampoco se revela qué cuentas tienen passkeys.
+ */
+const authenticationOptions = asyncHandler(async (req, res) => {
+  const { rpID } = getRelyingParty();
+
+  const options = await generateAuthenticationOptions({
+    rpID,
+    userVerification: 'required',
+  });
+
+  res.status(200).json({
+    success: true,
+    options,
+    challengeToken: createChallengeToken(
+      CHALLENGE_PURPOSES.AUTHENTICATION,
+      options.challenge
+    ),
+  });
+});
+
+/**
+ * 📋 PASSKEYS DEL USUARIO
+ *
+ * Endpoint: GET /api/auth/webauthn/credentials
+ */
+const listCredentials = asyncHandler(async (req, res) => {
+  const credentials = await WebAuthnCredential.findAllByUserId(req.userId);
+
+  res.status(200).json({
+    success: true,
+    credentials: credentials.map((credential) => credential.toPublicJSON()),
+  });
+});
+
+/**
+ * 🗑️ ELIMINAR UNA PASSKEY
+ *
+ * Endpoint: DELETE /api/auth/webauthn/credentials/:id
+ *
+ * Solo las del propio usuario: una passkey ajena responde 404, igual
+ * que una que no existe.
+ */
+const deleteCredential = asyncHandler(async (req, res) => {
+  const credential = await WebAuthnCredential.findById(req.params.id);
+  if (!credential || credential.user_id !== req.userId) {
+    throw new NotFoundError('Passkey no encontrada', {
+      code: 'PASSKEY_NOT_FOUND',
+    });
+  }
+
+  await credential.delete();
+
+  await recordAudit(req, AuditEvent.EVENTS.PASSKEY_DELETE, {
+    metadata: { credentialId: credential.id },
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Passkey eliminada',
+  });
+});
+
+module.exports = {
+  registrationOptions,
+  verifyRegistration,
+  authenticationOptions,
+  listCredentials,
+  deleteCredential,
+};
@@ -0,0 +1,1245 @@
+// src/docs/openapi.js - Especificación OpenAPI 3 de la API
+const { version } = require('../../package.json');
+const validators = require('../middleware/validationMiddleware');
+const { schemaFromValidators } = require('./validatorSchema');
+
+/**
+ * 📖 DOCUMENTACIÓN OPENAPI
+ *
+ * OpenAPI (antes "Swagger") es un formato estándar para describir una API
+ * REST: rutas, parámetros, cuerpos y respuestas. A partir de él:
+ * - /api/docs muestra una documentación interactiva (Swagger UI) donde
+ *   se puede probar cada endpoint
+ * - Se pueden generar clientes o validar contratos automáticamente
+ *
+ * ¿De dónde sale cada parte?
+ * - Rutas: el catálogo OPERATIONS de este archivo (un test comprueba que
+ *   ninguna ruta de Express falte aquí)
+ * - Cuerpos y parámetros: de las validaciones de validationMiddleware.js
+ *   (ver validatorSchema.js), así no pueden contradecirse
+ * - Respuestas: los esquemas de 'components' de este archivo
+ */
+
+// Referencia a un componente: ref('User') → { $ref: '#/components/schemas/User' }
+const ref = (name, kind = 'schemas') => ({
+  $ref: `#/components/${kind}/${name}`,
+});
+
+const jsonContent = (schema) => ({ 'application/json': { schema } });
+
+/**
+ * Respuesta exitosa: { success: true, ...campos }
+ */
+const success = (description, properties = {}) => ({
+  description,
+  content: jsonContent({
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', example: true },
+      ...properties,
+    },
+  }),
+});
+
+// Misma respuesta, también disponible como archivo CSV
+const withCsv = (response) => ({
+  ...response,
+  content: {
+    ...response.content,
+    'text/csv': { schema: { type: 'string' } },
+  },
+});
+
+const message = { type: 'string' };
+
+/**
+ * COMPONENTES REUTILIZABLES
+ */
+const components = {
+  securitySchemes: {
+    bearerAuth: {
+      type: 'http',
+      scheme: 'bearer',
+      bearerFormat: 'JWT',
+      description:
+        'Access token obtenido en el login: Authorization: Bearer <token>. Firmado con RS256/ES256 (claves en /api/auth/.well-known/jwks.json); exige iss y aud.',
+    },
+  },
+
+  schemas: {
+    Error: {
+      type: 'object',
+      description:
+        'Formato común de los errores. Con "Accept: application/problem+json" se responde en formato RFC 7807',
+      properties: {
+        success: { type: 'boolean', example: false },
+        code: { type: 'string', example: 'VALIDATION_ERROR' },
+        message: { type: 'string', example: 'Errores de validación' },
+        requestId: {
+          type: 'string',
+          description: 'Igual al header X-Request-Id',
+        },
+        errors: {
+          type: 'array',
+          items: { type: 'string' },
+          description:
+            'Solo en VALIDATION_ERROR: un mensaje por validación fallida',
+        },
+        retryAfter: {
+          type: 'integer',
+          description: 'Solo en 429: segundos hasta poder reintentar',
+        },
+      },
+      required: ['success', 'code', 'message'],
+    },
+
+    User: {
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        email: { type: 'string', format: 'email' },
+        nombres: { type: 'string' },
+        apellidos: { type: 'string' },
+        email_verified_at: {
+          type: 'string',
+          format: 'date-time',
+          nullable: true,
+        },
+        role: { type: 'string', example: 'user' },
+        disabled_at: { type: 'string', format: 'date-time', nullable: true },
+        created_at: { type: 'string', format: 'date-time' },
+        updated_at: { type: 'string', format: 'date-time' },
+      },
+    },
+
+    UserWithPermissions: {
+      allOf: [
+        ref('User'),
+        {
+          type: 'object',
+          properties: {
+            permissions: {
+              type: 'array',
+              items: { type: 'string' },
+              example: ['profile:read', 'profile:update'],
+            },
+          },
+        },
+      ],
+    },
+
+    LoginSession: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean', example: true },
+        message: { type: 'string' },
+        token: { type: 'string', description: 'Access token (JWT)' },
+        refreshToken: { type: 'string', description: 'Refresh token opaco' },
+        user: ref('UserWithPermissions'),
+        accountRestored: { type: 'boolean' },
+        recoveryCodesRemaining: { type: 'integer' },
+      },
+    },
+
+    MfaChallenge: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean', example: true },
+        message: { type: 'string' },
+        mfaRequired: { type: 'boolean', example: true },
+        mfaToken: {
+          type: 'string',
+          description: 'Token de corta duración para POST /api/auth/login/mfa',
+        },
+      },
+    },
+
+    Passkey: {
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        name: { type: 'string', nullable: true },
+        deviceType: {
+          type: 'string',
+          enum: ['singleDevice', 'multiDevice'],
+          description: 'multiDevice: passkey sincronizada entre dispositivos',
+        },
+        backedUp: { type: 'boolean' },
+        transports: {
+          type: 'array',
+          items: { type: 'string', example: 'internal' },
+        },
+        lastUsedAt: { type: 'string', format: 'date-time', nullable: true },
+        createdAt: { type: 'string', format: 'date-time' },
+      },
+    },
+
+    OAuthError: {
+      type: 'object',
+      description:
+        'Errores de los endpoints del protocolo OpenID Connect (formato OAuth2, RFC 6749)',
+      properties: {
+        error: { type: 'string', example: 'invalid_grant' },
+        error_description: { type: 'string' },
+      },
+      required: ['error'],
+    },
+
+    Jwks: {
+      type: 'object',
+      description:
+        'JSON Web Key Set (RFC 7517): claves públicas RS256/ES256, identificadas por kid',
+      properties: {
+        keys: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              kty: { type: 'string', example: 'RSA' },
+              kid: { type: 'string' },
+              alg: { type: 'string', example: 'RS256' },
+              use: { type: 'string', example: 'sig' },
+            },
+          },
+        },
+      },
+    },
+
+    OidcClient: {
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        clientId: { type: 'string' },
+        name: { type: 'string' },
+        redirectUris: {
+          type: 'array',
+          items: { type: 'string', format: 'uri' },
+        },
+        confidential: {
+          type: 'boolean',
+          description: 'false: cliente público (sin secreto, solo PKCE)',
+        },
+        createdAt: { type: 'string', format: 'date-time' },
+      },
+    },
+
+    Role: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        description: { type: 'string' },
+      },
+    },
+
+    Pagination: {
+      type: 'object',
+      properties: {
+        page: { type: 'integer' },
+        limit: { type: 'integer' },
+        total: { type: 'integer' },
+        totalPages: { type: 'integer' },
+      },
+    },
+
+    AuditEvent: {
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        type: { type: 'string', example: 'auth.login_success' },
+        userId: { type: 'integer', nullable: true },
+        actorId: { type: 'integer', nullable: true },
+        ip: { type: 'string', nullable: true },
+        userAgent: { type: 'string', nullable: true },
+        requestId: { type: 'string', nullable: true },
+        metadata: { type: 'object', nullable: true },
+        createdAt: { type: 'string', format: 'date-time' },
+      },
+    },
+  },
+
+  responses: {
+    BadRequest: {
+      description:
+        'Datos inválidos (VALIDATION_ERROR u otro código de la operación)',
+      content: jsonContent(ref('Error')),
+    },
+    Unauthorized: {
+      description:
+        'Sin token, token inválido/expirado/revocado o credenciales inválidas',
+      content: jsonContent(ref('Error')),
+    },
+    Forbidden: {
+      description: 'Sin permiso para la operación',
+      content: jsonContent(ref('Error')),
+    },
+    NotFound: {
+      description: 'Recurso no encontrado',
+      content: jsonContent(ref('Error')),
+    },
+    Conflict: {
+      description: 'Choca con el estado actual (p. ej. EMAIL_TAKEN)',
+      content: jsonContent(ref('Error')),
+    },
+    TooManyRequests: {
+      description: 'Demasiadas peticiones (header Retry-After)',
+      content: jsonContent(ref('Error')),
+    },
+    BadGateway: {
+      description:
+        'Un servicio externo (p. ej. el proveedor de login social) no respondió',
+      content: jsonContent(ref('Error')),
+    },
+  },
+};
+
+const ERROR_RESPONSES = {
+  400: 'BadRequest',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'NotFound',
+  409: 'Conflict',
+  429: 'TooManyRequests',
+  502: 'BadGateway',
+};
+
+// Bloques de respuesta que se repiten
+const session = {
+  token: { type: 'string', description: 'Access token (JWT)' },
+  refreshToken: { type: 'string', description: 'Refresh token opaco' },
+};
+const recoveryCodes = {
+  recoveryCodes: {
+    type: 'array',
+    items: { type: 'string', example: 'ABCD-EFGH-IJKL-MNOP' },
+    description: 'Códigos de un solo uso; se muestran solo esta vez',
+  },
+};
+const webauthnCeremony = {
+  options: {
+    type: 'object',
+    description:
+      'Opciones para navigator.credentials.create() / get() (formato JSON de WebAuthn)',
+  },
+  challengeToken: {
+    type: 'string',
+    description: 'Devolverlo en el paso verify (un solo uso, 5 minutos)',
+  },
+};
+const webauthnBody = (properties = {}) => ({
+  type: 'object',
+  required: ['challengeToken', 'credential'],
+  properties: {
+    challengeToken: { type: 'string' },
+    credential: {
+      type: 'object',
+      description:
+        'Respuesta del autenticador serializada en JSON (id, rawId, type, response...)',
+    },
+    ...properties,
+  },
+});
+const oauthError = (description) => ({
+  description,
+  content: jsonContent(ref('OAuthError')),
+});
+const oidcAuthorizeResponse = {
+  description:
+    'Datos para la página de consentimiento, o redirectTo si el pedido no es válido',
+  content: jsonContent({
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', example: true },
+      client: {
+        type: 'object',
+        properties: { name: { type: 'string' } },
+      },
+      scopes: {
+        type: 'array',
+        items: { type: 'string', example: 'email' },
+      },
+      consentRequired: {
+        type: 'boolean',
+        description: 'false si el usuario ya aprobó estos permisos',
+      },
+      redirectTo: { type: 'string', format: 'uri' },
+    },
+  }),
+};
+const accepted = success(
+  'Aceptada (la respuesta es la misma exista o no la cuenta)',
+  { message }
+);
+
+/**
+ * 📋 CATÁLOGO DE OPERACIONES
+ *
+ * Una entrada por ruta de Express (path con la sintaxis de Express: ':id'):
+ * - auth: requiere access token (se agrega la respuesta 401)
+ * - permission: permiso de authorize() (se agrega la respuesta 403)
+ * - validators: array de validationMiddleware.js del que salen el cuerpo
+ *   y los parámetros
+ * - form: el cuerpo es un formulario (application/x-www-form-urlencoded)
+ * - responses: respuestas exitosas; errors: status de error posibles
+ */
+const OPERATIONS = [
+  {
+    method: 'get',
+    path: '/api/health',
+    tag: 'Utilidades',
+    summary: 'Health check del servidor',
+    responses: {
+      200: {
+        description: 'El servidor está funcionando',
+        content: jsonContent({
+          type: 'object',
+          properties: {
+            message: { type: 'string' },
+            timestamp: { type: 'string', format: 'date-time' },
+            status: { type: 'string', example: 'OK' },
+          },
+        }),
+      },
+    },
+  },
+  {
+    method: 'get',
+    path: '/api/openapi.json',
+    tag: 'Utilidades',
+    summary: 'Este documento OpenAPI',
+    responses: {
+      200: {
+        description: 'Especificación OpenAPI 3',
+        content: jsonContent({ type: 'object' }),
+      },
+    },
+  },
+
+  // 🔐 AUTENTICACIÓN
+  {
+    method: 'post',
+    path: '/api/auth/register',
+    tag: 'Autenticación',
+    summary: 'Registro de usuario',
+    description: 'Crea la cuenta y envía el email de verificación.',
+    validators: validators.validateRegister,
+    responses: {
+      201: success('Usuario registrado', { message, user: ref('User') }),
+    },
+    errors: [400, 409],
+  },
+  {
+    method: 'post',
+    path: '/api/auth/login',
+    tag: 'Autenticación',
+    summary: 'Login de usuario',
+    description:
+      'Durante el periodo de gracia, iniciar sesión restaura una cuenta eliminada (accountRestored: true). Los intentos fallidos producen retrasos progresivos y bloqueos temporales (429).\n\nCon la verificación en dos pasos activa no se devuelve la sesión sino `mfaRequired: true` y un `mfaToken` para POST /api/auth/login/mfa.',
+    validators: validators.validateLogin,
+    responses: {
+      200: {
+        description: 'Login exitoso, o desafío de verificación en dos pasos',
+        content: jsonContent({
+          oneOf: [ref('LoginSession'), ref('MfaChallenge')],
+        }),
+      },
+    },
+    errors: [400, 401, 403, 429],
+  },
+  {
+    method: 'post',
+    path: '/api/auth/login/mfa',
+    tag: 'Verificación en dos pasos',
+    summary: 'Login: segundo paso con el código de la app o de recuperación',
+    description:
+      'Los códigos fallidos cuentan para los retrasos y el bloqueo de la cuenta (429). Cada mfaToken sirve para un solo login; si expiró responde 401 con MFA_CHALLENGE_INVALID.',
+    validators: validators.validateLoginMfa,
+    responses: {
+      200: {
+        description:
+          'Login exitoso (recoveryCodesRemaining solo si se usó un código de recuperación)',
+        content: jsonContent(ref('LoginSession')),
+      },
+    },
+    errors: [400, 401, 429],
+  },
+  {
+    method: 'post',
+    path: '/api/auth/logout',
+    tag: 'Autenticación',
+    summary: 'Logout (revoca el access token)',
+    description:
+      'Si se envía el refreshToken en el body, se revoca también toda su familia.',
+    auth: true,
+    requestBody: {
+      type: 'object',
+      properties: { refreshToken: { type: 'string' } },
+    },
+    responses: { 200: success('Logout exitoso', { message }) },
+  },
+  {
+    method: 'post',
+    path: '/api/auth/refresh',
+    tag: 'Autenticación',
+    summary: 'Renovar la sesión con un refresh token (rotación)',
+    validators: validators.validateRefresh,
+    responses: { 200: success('Sesión renovada', { message, ...session }) },
+    errors: [400, 401],
+  },
+  {
+    method: 'get',
+    path: '/api/auth/.well-known/jwks.json',
+    tag: 'Autenticación',
+    summary: 'Claves públicas para verificar los access tokens (JWKS)',
+    description:
+      'Para servicios que validan los access tokens sin llamar a la API: la clave se elige por el kid del header. Durante una rotación incluye la clave nueva y la anterior.',
+    responses: {
+      200: {
+        description: 'JSON Web Key Set',
+        content: jsonContent(ref('Jwks')),
+      },
+    },
+  },
+  {
+    method: 'get',
+    path: '/api/auth/verify',
+    tag: 'Autenticación',
+    summary: 'Comprobar si el access token sigue siendo válido',
+    auth: true,
+    responses: { 200: success('Token válido', { message, user: ref('User') }) },
+  },
+  {
+    method: 'get',
+    path: '/api/auth/profile',
+    tag: 'Perfil',
+    summary: 'Perfil del usuario con su rol y permisos',
+    auth: true,
+    permission: 'profile:read',
+    responses: { 200: success('Perfil', { user: ref('UserWithPermissions') }) },
+    errors: [404],
+  },
+  {
+    method: 'put',
+    path: '/api/auth/profile',
+    tag: 'Perfil',
+    summary: 'Actualizar nombres, apellidos o email',
+    description:
+      'Cambiar el email exige currentPassword; el nuevo email queda sin verificar.',
+    auth: true,
+    permission: 'profile:update',
+    validators: validators.validateUpdateProfile,
+    responses: {
+      200: success('Perfil actualizado', {
+        message,
+        user: ref('UserWithPermissions'),
+      }),
+    },
+    errors: [400, 409],
+  },
+  {
+    method: 'put',
+    path: '/api/auth/password',
+    tag: 'Perfil',
+    summary: 'Cambiar el password',
+    description:
+      'Impide reutilizar los últimos passwords y cierra las demás sesiones. Devuelve una sesión nueva.',
+    auth: true,
+    verifiedEmail: true,
+    validators: validators.validateChangePassword,
+    responses: {
+      200: success('Password actualizado', { message, ...session }),
+    },
+    errors: [400],
+  },
+  {
+    method: 'delete',
+    path: '/api/auth/account',
+    tag: 'Perfil',
+    summary: 'Eliminar la propia cuenta',
+    description:
+      'La cuenta puede restaurarse iniciando sesión hasta restorableUntil; después se borra definitivamente.',
+    auth: true,
+    validators: validators.validateDeleteAccount,
+    responses: {
+      200: success('Cuenta eliminada', {
+        message,
+        restorableUntil: { type: 'string', format: 'date-time' },
+      }),
+    },
+    errors: [400],
+  },
+  {
+    method: 'get',
+    path: '/api/auth/2fa',
+    tag: 'Verificación en dos pasos',
+    summary: 'Estado de la verificación en dos pasos',
+    auth: true,
+    responses: {
+      200: success('Estado', {
+        twoFactor: {
+          type: 'object',
+          properties: {
+            enabled: { type: 'boolean' },
+            enabledAt: { type: 'string', format: 'date-time', nullable: true },
+            recoveryCodesRemaining: { type: 'integer' },
+          },
+        },
+      }),
+    },
+  },
+  {
+    method: 'post',
+    path: '/api/auth/2fa/setup',
+    tag: 'Verificación en dos pasos',
+    summary: 'Iniciar la activación: secreto, URI otpauth y código QR',
+    description:
+      'El secreto queda pendiente hasta confirmarlo con POST /api/auth/2fa/confirm. Llamarlo de nuevo genera otro secreto.',
+    auth: true,
+    responses: {
+      200: success('Secreto generado', {
+        message,
+        secret: { type: 'string', description: 'Secreto en Base32' },
+        otpauthUri: { type: 'string', example: 'otpauth://totp/...' },
+        qrCode: { type: 'string', description: 'PNG como data URL' },
+      }),
+    },
+    errors: [409],
+  },
+  {
+    method: 'post',
+    path: '/api/auth/2fa/confirm',
+    tag: 'Verificación en dos pasos',
+    summary: 'Confirmar la activación con el primer código de la app',
+    description:
+      'Los códigos fallidos cuentan para los retrasos y el bloqueo de la cuenta (429), como en POST /api/auth/login/mfa.',
+    auth: true,
+    validators: validators.validateTotpCode,
+    responses: { 200: success('Activada', { message, ...recoveryCodes }) },
+    errors: [400, 409, 429],
+  },
+  {
+    method: 'post',
+    path: '/api/auth/2fa/disable',
+    tag: 'Verificación en dos pasos',
+    summary: 'Desactivar (exige el password)',
+    auth: true,
+    validators: validators.validatePasswordReentry,
+    responses: { 200: success('Desactivada', { message }) },
+    errors: [400],
+  },
+  {
+    method: 'post',
+    path: '/api/auth/2fa/recovery-codes',
+    tag: 'Verificación en dos pasos',
+    summary: 'Regenerar los códigos de recuperación (exige el password)',
+    description: 'Los códigos anteriores dejan de funcionar.',
+    auth: true,
+    validators: validators.validatePasswordReentry,
+    responses: {
+      200: success('Códigos regenerados', { message, ...recoveryCodes }),
+    },
+    errors: [400],
+  },
+  {
+    method: 'post',
+    path: '/api/auth/webauthn/login/options',
+    tag: 'Passkeys',
+    summary: 'Login con passkey: generar el desafío',
+    description:
+      'No se pide el email: el navegador ofrece las passkeys guardadas para el sitio.',
+    responses: { 200: success('Desafío generado', webauthnCeremony) },
+    errors: [429],
+  },
+  {
+    method: 'post',
+    path: '/api/auth/webauthn/login/verify',
+    tag: 'Passkeys',
+    summary: 'Login con passkey: verificar la firma',
+    description:
+      'Responde igual que el login con password. No pide el código de la verificación en dos pasos: la passkey ya exige la huella o el PIN del dispositivo.',
+    validators: validators.validateWebauthnLogin,
+    requestBody: webauthnBody(),
+    responses: {
+      200: {
+        description: 'Login exitoso',
+        content: jsonContent(ref('LoginSession')),
+      },
+    },
+    errors: [400, 401, 403, 429],
+  },
+  {
+    method: 'post',
+    path: '/api/auth/webauthn/register/options',
+    tag: 'Passkeys',
+    summary: 'Registrar una passkey: generar el desafío',
+    auth: true,
+    responses: { 200: success('Desafío generado', webauthnCeremony) },
+  },
+  {
+    method: 'post',
+    path: '/api/auth/webauthn/register/verify',
+    tag: 'Passkeys',
+    summary: 'Registrar una passkey: verificar y guardar',
+    auth: true,
+    validators: validators.validateWebauthnRegistration,
+    requestBody: webauthnBody({
+      name: {
+        type: 'string',
+        maxLength: 64,
+        description: 'Nombre para reconocerla',
+      },
+    }),
+    responses: {
+      201: success('Passkey registrada', {
+        message,
+        credential: ref('Passkey'),
+      }),
+    },
+    errors: [400, 409],
+  },
+  {
+    method: 'get',
+    path: '/api/auth/webauthn/credentials',
+    tag: 'Passkeys',
+    summary: 'Passkeys del usuario',
+    auth: true,
+    responses: {
+      200: success('Passkeys', {
+        credentials: { type: 'array', items: ref('Passkey') },
+      }),
+    },
+  },
+  {
+    method: 'delete',
+    path: '/api/auth/webauthn/credentials/:id',
+    tag: 'Passkeys',
+    summary: 'Eliminar una passkey',
+    auth: true,
+    validators: validators.validatePasskeyId,
+    responses: { 200: success('Passkey eliminada', { message }) },
+    errors: [400, 404],
+  },
+  {
+    method: 'get',
+    path: '/api/auth/oauth/providers',
+    tag: 'Login social',
+    summary: 'Proveedores de login social configurados',
+    responses: {
+      200: success('Proveedores', {
+        providers: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string', example: 'google' },
+              displayName: { type: 'string', example: 'Google' },
+            },
+          },
+        },
+      }),
+    },
+  },
+  {
+    method: 'post',
+    path: '/api/auth/oauth/:provider/authorize',
+    tag: 'Login social',
+    summary: 'Login social: obtener la URL del proveedor',
+    description:
+      'Redirigir al usuario a authorizationUrl y conservar oauthToken hasta el callback (un solo uso, 10 minutos).',
+    validators: validators.validateOAuthProvider,
+    responses: {
+      200: success('URL generada', {
+        authorizationUrl: { type: 'string', format: 'uri' },
+        oauthToken: { type: 'string' },
+      }),
+    },
+    errors: [400, 404, 429, 502],
+  },
+  {
+    method: 'post',
+    path: '/api/auth/oauth/:provider/callback',
+    tag: 'Login social',
+    summary: 'Login social: canjear el código del proveedor',
+    description:
+      'Vincula la cuenta externa por email verificado a un usuario existente, o crea uno nuevo. Con la verificación en dos pasos activa responde `mfaRequired: true` igual que POST /api/auth/login.',
+    validators: validators.validateOAuthCallback,
+    responses: {
+      200: {
+        description: 'Login exitoso, o desafío de verificación en dos pasos',
+        content: jsonContent({
+          oneOf: [ref('LoginSession'), ref('MfaChallenge')],
+        }),
+      },
+    },
+    errors: [400, 401, 403, 404, 409, 429, 502],
+  },
+  {
+    method: 'post',
+    path: '/api/auth/forgot-password',
+    tag: 'Recuperación y verificación',
+    summary: 'Solicitar el enlace de recuperación de password',
+    description:
+      'Limitado por IP (429) y a un email por cuenta cada PASSWORD_RESET_INTERVAL_SECONDS (las solicitudes intermedias responden 202 sin enviar nada).',
+    validators: validators.validateForgotPassword,
+    responses: { 202: accepted },
+    errors: [400, 429],
+  },
+  {
+    method: 'post',
+    path: '/api/auth/reset-password',
+    tag: 'Recuperación y verificación',
+    summary: 'Restablecer el password con el token del email',
+    validators: validators.validateResetPassword,
+    responses: { 200: success('Password restablecido', { message }) },
+    errors: [400],
+  },
+  {
+    method: 'get',
+    path: '/api/auth/verify-email/:token',
+    tag: 'Recuperación y verificación',
+    summary: 'Verificar el email con el enlace recibido',
+    responses: {
+      200: success('Email verificado', { message, user: ref('User') }),
+    },
+    errors: [400],
+  },
+  {
+    method: 'post',
+    path: '/api/auth/resend-verification',
+    tag: 'Recuperación y verificación',
+    summary: 'Reenviar el email de verificación',
+    validators: validators.validateResendVerification,
+    responses: { 202: accepted },
+    errors: [400],
+  },
+
+  // 🪪 OPENID CONNECT
+  {
+    method: 'get',
+    path: '/.well-known/openid-configuration',
+    tag: 'OpenID Connect',
+    summary: 'Documento de descubrimiento',
+    responses: {
+      200: {
+        description: 'Endpoints, scopes y algoritmos del proveedor',
+        content: jsonContent({
+          type: 'object',
+          properties: {
+            issuer: { type: 'string', format: 'uri' },
+            authorization_endpoint: { type: 'string', format: 'uri' },
+            token_endpoint: { type: 'string', format: 'uri' },
+            userinfo_endpoint: { type: 'string', format: 'uri' },
+            jwks_uri: { type: 'string', format: 'uri' },
+          },
+        }),
+      },
+    },
+  },
+  {
+    method: 'get',
+    path: '/oauth2/jwks',
+    tag: 'OpenID Connect',
+    summary: 'Claves públicas para verificar los tokens (JWKS)',
+    responses: {
+      200: {
+        description: 'JSON Web Key Set',
+        content: jsonContent(ref('Jwks')),
+      },
+    },
+  },
+  {
+    method: 'get',
+    path: '/oauth2/authorize',
+    tag: 'OpenID Connect',
+    summary: 'Pedido de autorización (lo visita el navegador)',
+    description:
+      'Redirige a la página de consentimiento del frontend. Los errores del pedido (scope, PKCE...) se informan redirigiendo a redirect_uri con ?error; un cliente o redirect_uri desconocidos responden 400.',
+    validators: validators.validateOidcAuthorize,
+    responses: {
+      302: { description: 'Al consentimiento o de vuelta a la aplicación' },
+    },
+    errors: [400],
+  },
+  {
+    method: 'post',
+    path: '/oauth2/token',
+    tag: 'OpenID Connect',
+    summary: 'Canjear un código o un refresh token',
+    description:
+      'Autenticación del cliente con client_secret_basic, client_secret_post o, para clientes públicos, solo client_id. El código exige el code_verifier de PKCE.',
+    form: true,
+    requestBody: {
+      type: 'object',
+      required: ['grant_type'],
+      properties: {
+        grant_type: {
+          type: 'string',
+          enum: ['authorization_code', 'refresh_token'],
+        },
+        code: { type: 'string' },
+        redirect_uri: { type: 'string' },
+        code_verifier: { type: 'string' },
+        refresh_token: { type: 'string' },
+        client_id: { type: 'string' },
+        client_secret: { type: 'string' },
+      },
+    },
+    responses: {
+      200: {
+        description: 'Tokens emitidos',
+        content: jsonContent({
+          type: 'object',
+          properties: {
+            access_token: { type: 'string' },
+            token_type: { type: 'string', example: 'Bearer' },
+            expires_in: { type: 'integer' },
+            id_token: { type: 'string' },
+            refresh_token: { type: 'string' },
+            scope: { type: 'string', example: 'openid email profile' },
+          },
+        }),
+      },
+      400: oauthError(
+        'invalid_request, invalid_grant o unsupported_grant_type'
+      ),
+      401: oauthError('invalid_client'),
+    },
+  },
+  ...['get', 'post'].map((method) => ({
+    method,
+    path: '/oauth2/userinfo',
+    tag: 'OpenID Connect',
+    summary: 'Claims del usuario',
+    description:
+      'Header Authorization: Bearer con el access_token emitido por /oauth2/token. Los claims dependen del scope aprobado.',
+    responses: {
+      200: {
+        description: 'Claims',
+        content: jsonContent({
+          type: 'object',
+          properties: {
+            sub: { type: 'string' },
+            name: { type: 'string' },
+            given_name: { type: 'string' },
+            family_name: { type: 'string' },
+            email: { type: 'string', format: 'email' },
+            email_verified: { type: 'boolean' },
+          },
+        }),
+      },
+      401: oauthError('invalid_token'),
+    },
+  })),
+  {
+    method: 'get',
+    path: '/api/auth/oidc/authorize',
+    tag: 'OpenID Connect',
+    summary: 'Consentimiento: datos del pedido de autorización',
+    auth: true,
+    verifiedEmail: true,
+    validators: validators.validateOidcAuthorize,
+    responses: { 200: oidcAuthorizeResponse },
+    errors: [400],
+  },
+  {
+    method: 'post',
+    path: '/api/auth/oidc/authorize',
+    tag: 'OpenID Connect',
+    summary: 'Consentimiento: aprobar o rechazar',
+    description:
+      'Responde redirectTo: la redirect_uri de la aplicación con el código (o con error=access_denied).',
+    auth: true,
+    verifiedEmail: true,
+    validators: validators.validateOidcConsent,
+    responses: {
+      200: success('URL de vuelta a la aplicación', {
+        redirectTo: { type: 'string', format: 'uri' },
+      }),
+    },
+    errors: [400],
+  },
+
+  // 🛠️ ADMINISTRACIÓN
+  {
+    method: 'get',
+    path: '/api/admin/roles',
+    tag: 'Administración',
+    summary: 'Roles disponibles',
+    auth: true,
+    permission: 'users:read',
+    responses: {
+      200: success('Roles', { roles: { type: 'array', items: ref('Role') } }),
+    },
+  },
+  {
+    method: 'get',
+    path: '/api/admin/users',
+    tag: 'Administración',
+    summary: 'Listar usuarios (paginado, con búsqueda y filtros)',
+    auth: true,
+    permission: 'users:read',
+    validators: validators.validateListUsers,
+    responses: {
+      200: success('Página de usuarios', {
+        users: { type: 'array', items: ref('User') },
+        pagination: ref('Pagination'),
+      }),
+    },
+    errors: [400],
+  },
+  {
+    method: 'get',
+    path: '/api/admin/users/:id',
+    tag: 'Administración',
+    summary: 'Ver un usuario',
+    auth: true,
+    permission: 'users:read',
+    validators: validators.validateUserId,
+    responses: { 200: success('Usuario', { user: ref('User') }) },
+    errors: [400, 404],
+  },
+  {
+    method: 'put',
+    path: '/api/admin/users/:id',
+    tag: 'Administración',
+    summary: 'Editar nombres, apellidos, email o rol de un usuario',
+    auth: true,
+    permission: 'users:update',
+    validators: validators.validateAdminUpdateUser,
+    responses: {
+      200: success('Usuario actualizado', { message, user: ref('User') }),
+    },
+    errors: [400, 404, 409],
+  },
+  {
+    method: 'post',
+    path: '/api/admin/users/:id/disable',
+    tag: 'Administración',
+    summary: 'Deshabilitar la cuenta y cerrar sus sesiones',
+    auth: true,
+    permission: 'users:update',
+    validators: validators.validateUserId,
+    responses: {
+      200: success('Usuario deshabilitado', { message, user: ref('User') }),
+    },
+    errors: [400, 404],
+  },
+  {
+    method: 'post',
+    path: '/api/admin/users/:id/enable',
+    tag: 'Administración',
+    summary: 'Volver a habilitar la cuenta',
+    auth: true,
+    permission: 'users:update',
+    validators: validators.validateUserId,
+    responses: {
+      200: success('Usuario habilitado', { message, user: ref('User') }),
+    },
+    errors: [400, 404],
+  },
+  {
+    method: 'post',
+    path: '/api/admin/users/:id/logout',
+    tag: 'Administración',
+    summary: 'Cerrar todas las sesiones del usuario',
+    auth: true,
+    permission: 'users:update',
+    validators: validators.validateUserId,
+    responses: { 200: success('Sesiones cerradas', { message }) },
+    errors: [400, 404],
+  },
+  {
+    method: 'delete',
+    path: '/api/admin/users/:id',
+    tag: 'Administración',
+    summary: 'Eliminar el usuario (irreversible)',
+    auth: true,
+    permission: 'users:delete',
+    validators: validators.validateUserId,
+    responses: { 200: success('Usuario eliminado', { message }) },
+    errors: [400, 404],
+  },
+  {
+    method: 'get',
+    path: '/api/admin/audit',
+    tag: 'Administración',
+    summary: 'Registro de auditoría',
+    description:
+      'Con format=csv se descargan todos los eventos que cumplen los filtros (sin paginación).',
+    auth: true,
+    permission: 'audit:read',
+    validators: validators.validateListAudit,
+    responses: {
+      200: withCsv(
+        success('Página de eventos (o archivo CSV con format=csv)', {
+          events: { type: 'array', items: ref('AuditEvent') },
+          pagination: ref('Pagination'),
+        })
+      ),
+    },
+    errors: [400],
+  },
+  {
+    method: 'get',
+    path: '/api/admin/oidc-clients',
+    tag: 'Administración',
+    summary: 'Clientes OpenID Connect registrados',
+    auth: true,
+    permission: 'clients:manage',
+    responses: {
+      200: success('Clientes', {
+        clients: { type: 'array', items: ref('OidcClient') },
+      }),
+    },
+  },
+  {
+    method: 'post',
+    path: '/api/admin/oidc-clients',
+    tag: 'Administración',
+    summary: 'Registrar un cliente OpenID Connect',
+    description: 'El clientSecret solo se muestra en esta respuesta.',
+    auth: true,
+    permission: 'clients:manage',
+    validators: validators.validateCreateOidcClient,
+    requestBody: {
+      type: 'object',
+      required: ['name', 'redirectUris'],
+      properties: {
+        name: { type: 'string', minLength: 2, maxLength: 100 },
+        redirectUris: {
+          type: 'array',
+          minItems: 1,
+          maxItems: 10,
+          items: { type: 'string', format: 'uri' },
+        },
+        confidential: {
+          type: 'boolean',
+          default: true,
+          description: 'false: cliente público (SPA, app móvil), sin secreto',
+        },
+      },
+    },
+    responses: {
+      201: success('Cliente registrado', {
+        message,
+        client: ref('OidcClient'),
+        clientSecret: {
+          type: 'string',
+          nullable: true,
+          description: 'null en los clientes públicos',
+        },
+      }),
+    },
+    errors: [400],
+  },
+  {
+    method: 'delete',
+    path: '/api/admin/oidc-clients/:id',
+    tag: 'Administración',
+    summary: 'Eliminar un cliente OpenID Connect y revocar sus sesiones',
+    auth: true,
+    permission: 'clients:manage',
+    validators: validators.validateOidcClientId,
+    responses: { 200: success('Cliente eliminado', { message }) },
+    errors: [400, 404],
+  },
+];
+
+// Express ':id' → OpenAPI '{id}'
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+/**
+ * CONSTRUIR UNA OPERACIÓN
+ */
+const buildOperation = (operation) => {
+  const { body, parameters } = schemaFromValidators(operation.validators);
+  const requestBody = operation.requestBody || body;
+
+  // Los parámetros de la ruta sin validación propia se documentan como texto
+  const pathParams = [...operation.path.matchAll(/:(\w+)/g)]
+    .map(([, name]) => name)
+    .filter((name) =>
+      parameters.every((param) => param.in !== 'path' || param.name !== name)
+    )
+    .map((name) => ({
+      name,
+      in: 'path',
+      required: true,
+      schema: { type: 'string' },
+    }));
+
+  const errors = new Set(operation.errors || []);
+  if (operation.auth) {
+    errors.add(401);
+  }
+  if (operation.permission || operation.verifiedEmail) {
+    errors.add(403);
+  }
+
+  const notes = [
+    operation.description,
+    operation.permission && `Requiere el permiso \`${operation.permission}\`.`,
+    operation.verifiedEmail &&
+      'Con EMAIL_VERIFICATION_POLICY=limited requiere el email verificado.',
+  ].filter(Boolean);
+
+  return {
+    tags: [operation.tag],
+    summary: operation.summary,
+    ...(notes.length > 0 && { description: notes.join('\n\n') }),
+    ...(operation.auth && { security: [{ bearerAuth: [] }] }),
+    ...([...parameters, ...pathParams].length > 0 && {
+      parameters: [...pathParams, ...parameters],
+    }),
+    ...(requestBody && {
+      requestBody: {
+        required: Boolean(body || operation.form),
+        content: operation.form
+          ? { 'application/x-www-form-urlencoded': { schema: requestBody } }
+          : jsonContent(requestBody),
+      },
+    }),
+    responses: {
+      ...operation.responses,
+      ...Object.fromEntries(
+        [...errors]
+          .sort()
+          .map((status) => [status, ref(ERROR_RESPONSES[status], 'responses')])
+      ),
+    },
+  };
+};
+
+/**
+ * CONSTRUIR EL DOCUMENTO COMPLETO
+ *
+ * @returns {Object} Documento OpenAPI 3.0
+ */
+const buildOpenApiDocument = () => {
+  const paths = {};
+
+  OPERATIONS.forEach((operation) => {
+    const path = toOpenApiPath(operation.path);
+    paths[path] = paths[path] || {};
+    paths[path][operation.method] = buildOperation(operation);
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'API de Autenticación',
+      version,
+      description:
+        'API REST de autenticación (registro, login con JWT y refresh tokens, perfil, recuperación de password y administración de usuarios) y proveedor de identidad OpenID Connect para otras aplicaciones.',
+    },
+    tags: [...new Set(OPERATIONS.map(({ tag }) => tag))].map((name) => ({
+      name,
+    })),
+    paths,
+    components,
+  };
+};
+
+module.exports = {
+  buildOpenApiDocument,
+  toOpenApiPath,
+};
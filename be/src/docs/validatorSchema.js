@@ -0,0 +1,172 @@
+// src/docs/validatorSchema.js - Esquemas OpenAPI a partir de las validaciones de express-validator
+
+/**
+ * DE VALIDACIONES A ESQUEMAS
+ *
+ * Las reglas de cada campo ya están escritas en validationMiddleware.js:
+ *
+ *   body('nombres').trim().isLength({ min: 2, max: 100 }).matches(/.../)
+ *
+ * En lugar de repetirlas a mano en la documentación (y que con el tiempo
+ * dejen de coincidir), las leemos de las propias cadenas de validación.
+ * Cada cadena de express-validator expone su 'builder', que describe el
+ * campo (fields), dónde se busca (locations: body, query, params), si es
+ * opcional y la lista de validadores y sanitizadores (stack).
+ *
+ * Cada validador conocido se traduce a JSON Schema:
+ *   isEmail   → format: email
+ *   isLength  → minLength / maxLength
+ *   matches   → pattern
+ *   notEmpty  → minLength: 1
+ *   isInt     → type: integer, minimum / maximum
+ *   isIn      → enum
+ * Los mensajes de withMessage() se usan como descripción del campo.
+ * Las validaciones personalizadas (custom) no se pueden traducir: solo
+ * aportan su mensaje.
+ */
+
+/**
+ * Aplica un validador estándar (validator.js) al esquema del campo
+ */
+const applyValidator = (schema, name, options, negated) => {
+  const [option] = options;
+
+  if (negated) {
+    // not().isEmpty() es notEmpty(); el resto de negaciones solo se describen
+    if (name === 'isEmpty') {
+      schema.minLength = Math.max(schema.minLength || 0, 1);
+    }
+    return;
+  }
+
+  switch (name) {
+    case 'isEmail':
+      schema.format = 'email';
+      break;
+    case 'isLength':
+      if (option && option.min !== undefined) {
+        schema.minLength = option.min;
+      }
+      if (option && option.max !== undefined) {
+        schema.maxLength = option.max;
+      }
+      break;
+    case 'matches':
+      schema.pattern = option instanceof RegExp ? option.source : option;
+      break;
+    case 'isInt':
+      schema.type = 'integer';
+      if (option && option.min !== undefined) {
+        schema.minimum = option.min;
+      }
+      if (option && option.max !== undefined) {
+        schema.maximum = option.max;
+      }
+      break;
+    case 'isIn':
+      schema.enum = option;
+      break;
+    case 'isBoolean':
+      schema.type = 'boolean';
+      break;
+    default:
+      break;
+  }
+};
+
+/**
+ * DESCRIBIR UNA CADENA DE VALIDACIÓN
+ *
+ * @param {Function} chain - body(...)/query(...)/param(...) ya configurada
+ * @returns {{fields: string[], locations: string[], required: boolean, schema: Object}}
+ */
+const describeChain = (chain) => {
+  const { fields, locations, optional, stack } = chain.builder.build();
+  const schema = { type: 'string' };
+  const messages = [];
+
+  stack.forEach((item) => {
+    if (item.message && !messages.includes(item.message)) {
+      messages.push(item.message);
+    }
+
+    if (item.validator && item.validator.name && 'negated' in item) {
+      applyValidator(
+        schema,
+        item.validator.name,
+        item.options || [],
+        item.negated
+      );
+    }
+
+    // toInt() también implica un número en los parámetros de la URL
+    if (item.sanitizer && item.sanitizer.name === 'toInt') {
+      schema.type = 'integer';
+    }
+  });
+
+  if (messages.length > 0) {
+    schema.description = messages.join('. ');
+  }
+
+  return { fields, locations, required: !optional, schema };
+};
+
+/**
+ * ESQUEMAS DE UN ARRAY DE VALIDACIONES
+ *
+ * Los elementos que no son cadenas de express-validator (p. ej.
+ * rejectInvalid) se ignoran.
+ *
+ * @param {Array<Function>} validators - p. ej. validateRegister
+ * @returns {{body: Object|null, parameters: Object[]}}
+ *   body: JSON Schema del cuerpo (null si no hay campos de body)
+ *   parameters: parámetros OpenAPI de query y de la ruta
+ */
+const schemaFromValidators = (validators = []) => {
+  const properties = {};
+  const required = [];
+  const parameters = [];
+
+  validators
+    .filter((validator) => validator.builder)
+    .map(describeChain)
+    .forEach(({ fields, locations, required: isRequired, schema }) => {
+      fields.forEach((field) => {
+        locations.forEach((location) => {
+          if (location === 'body') {
+            properties[field] = schema;
+            if (isRequired) {
+              required.push(field);
+            }
+            return;
+          }
+
+          const { description, ...paramSchema } = schema;
+          parameters.push({
+            name: field,
+            in: location === 'params' ? 'path' : location,
+            // Los parámetros de la ruta siempre son obligatorios
+            required: location === 'params' || isRequired,
+            ...(description && { description }),
+            schema: paramSchema,
+          });
+        });
+      });
+    });
+
+  const body =
+    Object.keys(properties).length > 0
+      ? {
+          type: 'object',
+          properties,
+          ...(required.length > 0 && { required }),
+        }
+      : null;
+
+  return { body, parameters };
+};
+
+module.exports = {
+  schemaFromValidators,
+};
@@ -14,8 +14,19 @@
  * Este middleware implementa RF-003: Validación de Token JWT
  */
 
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const RevokedToken = require('../models/RevokedToken');
+const Role = require('../models/Role');
+const { getVerificationPolicy } = require('../utils/emailVerification');
+const { decodeMfaChallengeToken } = require('../utils/mfaChallenge');
+const { verifyJwt } = require('../utils/signingKeys');
+const { getIssuer, getApiAudience } = require('../utils/oidc');
+const logger = require('../utils/logger');
+const {
+  AuthenticationError,
+  ForbiddenError,
+  asyncHandler,
+} = require('../utils/errors');
 
 /**
  * 🔐 RF-003: VALIDACIÓN DE TOKEN JWT
@@ -27,93 +38,117 @@ const User = require('../models/User');
  * 1. Extraer token del header Authorization
  * 2. Verificar formato Bearer
  * 3. Validar token con JWT
- * 4. Buscar usuario en BD
- * 5. Adjuntar usuario a req para uso posterior
+ * 4. Verificar que el token no haya sido revocado (logout)
+ * 5. Buscar usuario en BD (y que su cuenta no esté deshabilitada)
+ * 6. Adjuntar usuario a req para uso posterior
  *
  * @param {Object} req - Request de Express
  * @param {Object} res - Response de Express
  * @param {Function} next - Función para continuar al siguiente middleware
  */
-const authMiddleware = async (req, res, next) => {
-  try {
-    // 📥 EXTRAER TOKEN DEL HEADER
-    // El header Authorization debe tener formato: "Bearer <token>"
-    const authHeader = req.headers.authorization;
+const authMiddleware = asyncHandler(async (req, res, next) => {
+  // 📥 EXTRAER TOKEN DEL HEADER
+  // El header Authorization debe tener formato: "Bearer <token>"
+  const authHeader = req.headers.authorization;
 
-    if (!authHeader) {
-      // Status 401: Unauthorized - credenciales faltantes o inválidas
-      return res.status(401).json({
-        success: false,
-        message: 'Token de acceso requerido',
-      });
-    }
+  if (!authHeader) {
+    // Status 401: Unauthorized - credenciales faltantes o inválidas
+    throw new AuthenticationError('Token de acceso requerido', {
+      code: 'TOKEN_MISSING',
+    });
+  }
 
-    // 🔍 VERIFICAR FORMATO BEARER
-    // Estándar RFC 6750 para tokens de portador
-    if (!authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        success: false,
-        message: 'Formato de token inválido. Use: Bearer <token>',
-      });
-    }
+  // 🔍 VERIFICAR FORMATO BEARER
+  // Estándar RFC 6750 para tokens de portador
+  if (!authHeader.startsWith('Bearer ')) {
+    throw new AuthenticationError(
+      'Formato de token inválido. Use: Bearer <token>',
+      { code: 'TOKEN_MALFORMED' }
+    );
+  }
 
-    // ✂️ EXTRAER EL TOKEN
-    // Remover "Bearer " (7 caracteres) del inicio
-    const token = authHeader.substring(7);
+  // ✂️ EXTRAER EL TOKEN
+  // Remover "Bearer " (7 caracteres) del inicio
+  const token = authHeader.substring(7);
 
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'Token no proporcionado',
-      });
-    }
+  if (!token) {
+    throw new AuthenticationError('Token no proporcionado', {
+      code: 'TOKEN_MISSING',
+    });
+  }
 
-    // 🔓 VERIFICAR Y DECODIFICAR EL TOKEN
-    let decoded;
-    try {
-      // jwt.verify() valida la firma y la expiración automáticamente
-      decoded = jwt.verify(token, process.env.JWT_SECRET);
-    } catch (jwtError) {
-      // 🚨 MANEJO ESPECÍFICO DE ERRORES JWT
-      if (jwtError.name === 'TokenExpiredError') {
-        return res.status(401).json({
-          success: false,
-          message: 'Token expirado',
-        });
-      } else if (jwtError.name === 'JsonWebTokenError') {
-        return res.status(401).json({
-          success: false,
-          message: 'Token inválido',
-        });
-      } else {
-        return res.status(401).json({
-          success: false,
-          message: 'Error al verificar token',
-        });
-      }
-    }
+  // 🔓 VERIFICAR Y DECODIFICAR EL TOKEN
+  // Valida la firma (clave según el 'kid'), la expiración, 'iss' y 'aud'
+  const decoded = verifyAccessToken(token);
 
-    // Verificar que el usuario existe
-    const user = await User.findById(decoded.userId);
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Usuario no encontrado',
-      });
-    }
+  // 🚫 VERIFICAR REVOCACIÓN
+  // Tokens sin jti no pueden revocarse, por eso tampoco los aceptamos
+  if (!decoded.jti || (await RevokedToken.isRevoked(decoded.jti))) {
+    throw new AuthenticationError('Token revocado', { code: 'TOKEN_REVOKED' });
+  }
 
-    // Adjuntar información del usuario a la request
-    req.userId = decoded.userId;
-    req.user = user;
+  // Verificar que el usuario existe
+  const user = await User.findById(decoded.userId);
+  if (!user) {
+    throw new AuthenticationError('Usuario no encontrado', {
+      code: 'USER_NOT_FOUND',
+    });
+  }
 
-    next();
-  } catch (error) {
-    console.error('Error en middleware de autenticación:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error interno del servidor',
+  // Cuenta deshabilitada por un administrador. Va antes que la
+  // invalidación: deshabilitar también invalida los tokens, y el cliente
+  // debe saber que volver a iniciar sesión no servirá
+  if (user.disabled_at) {
+    throw new AuthenticationError('Cuenta deshabilitada', {
+      code: 'ACCOUNT_DISABLED',
     });
   }
+
+  // Tokens emitidos antes de un cambio de password (u otra invalidación)
+  if (user.isTokenInvalidated(decoded.iat)) {
+    throw new AuthenticationError('Token revocado', { code: 'TOKEN_REVOKED' });
+  }
+
+  // Adjuntar información del usuario a la request
+  // tokenPayload se usa, por ejemplo, en logout para revocar este token
+  req.userId = decoded.userId;
+  req.user = user;
+  req.tokenPayload = decoded;
+
+  next();
+});
+
+/**
+ * 🚨 ERRORES DE JWT → AuthenticationError
+ *
+ * jsonwebtoken lanza errores con distintos 'name'; cada uno se traduce a
+ * un código propio para que el cliente sepa si vale la pena renovar la
+ * sesión (TOKEN_EXPIRED) o no.
+ */
+const JWT_ERRORS = {
+  TokenExpiredError: ['Token expirado', 'TOKEN_EXPIRED'],
+  JsonWebTokenError: ['Token inválido', 'TOKEN_INVALID'],
+};
+
+/**
+ * Solo pasan los access tokens de la API:
+ * - Los tokens con 'purpose' (verificación de email, desafío MFA) se
+ *   firman con JWT_SECRET: no tienen 'kid' de ninguna clave conocida
+ * - Los de OpenID Connect usan las mismas claves, pero otra audiencia
+ */
+const verifyAccessToken = (token) => {
+  try {
+    return verifyJwt(token, {
+      issuer: getIssuer(),
+      audience: getApiAudience(),
+    });
+  } catch (jwtError) {
+    const [message, code] = JWT_ERRORS[jwtError.name] || [
+      'Error al verificar token',
+      'TOKEN_INVALID',
+    ];
+    throw new AuthenticationError(message, { code });
+  }
 };
 
 // Middleware opcional - no requiere autenticación pero la procesa si está presente
@@ -125,27 +160,128 @@ const optionalAuth = async (req, res, next) => {
       const token = authHeader.substring(7);
 
       try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const user = await User.findById(decoded.userId);
+        const decoded = verifyAccessToken(token);
+        const revoked =
+          !decoded.jti || (await RevokedToken.isRevoked(decoded.jti));
+        const user = revoked ? null : await User.findById(decoded.userId);
 
-        if (user) {
+        if (
+          user &&
+          !user.isTokenInvalidated(decoded.iat) &&
+          !user.disabled_at
+        ) {
           req.userId = decoded.userId;
           req.user = user;
+          req.tokenPayload = decoded;
         }
       } catch (jwtError) {
         // En middleware opcional, ignoramos errores de JWT
-        console.log('Token opcional inválido:', jwtError.message);
+        logger.debug('Token opcional inválido', { reason: jwtError.message });
       }
     }
 
     next();
   } catch (error) {
-    console.error('Error en middleware opcional:', error);
+    logger.error('Error en middleware opcional', { error });
     next(); // Continuar sin autenticación
   }
 };
 
+/**
+ * 📧 MIDDLEWARE: EXIGIR EMAIL VERIFICADO
+ *
+ * Se usa DESPUÉS de authMiddleware en rutas que no deben estar disponibles
+ * para cuentas sin verificar cuando EMAIL_VERIFICATION_POLICY es 'limited'
+ * (con 'block' ni siquiera pueden iniciar sesión; con 'off' no aplica).
+ *
+ * Status 403: Forbidden - el usuario está autenticado pero no autorizado
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (getVerificationPolicy() !== 'off' && !req.user.email_verified_at) {
+    return next(
+      new ForbiddenError('Debes verificar tu email para realizar esta acción', {
+        code: 'EMAIL_NOT_VERIFIED',
+      })
+    );
+  }
+
+  next();
+};
+
+/**
+ * 🔢 MIDDLEWARE: DESAFÍO DE LA VERIFICACIÓN EN DOS PASOS
+ *
+ * Para POST /api/auth/login/mfa: verifica el mfaToken del body (el que
+ * devolvió el login tras comprobar el password) y lo deja en
+ * req.mfaChallenge ({userId, email, jti, expiresAt}).
+ *
+ * Va ANTES de loginThrottle: los códigos fallidos cuentan para el
+ * bloqueo de la cuenta del desafío, igual que los passwords fallidos.
+ */
+const requireMfaChallenge = asyncHandler(async (req, res, next) => {
+  const challenge = decodeMfaChallengeToken(req.body.mfaToken);
+
+  // Cada desafío sirve para un solo login (se revoca al completarlo)
+  if (!challenge || (await RevokedToken.isRevoked(challenge.jti))) {
+    throw new AuthenticationError(
+      'La verificación expiró. Inicia sesión de nuevo',
+      { code: 'MFA_CHALLENGE_INVALID' }
+    );
+  }
+
+  req.mfaChallenge = challenge;
+  next();
+});
+
+/**
+ * 🎭 MIDDLEWARE: AUTORIZACIÓN POR PERMISOS (RBAC)
+ *
+ * Autenticación ≠ Autorización:
+ * - authMiddleware responde "¿quién eres?" (401 si no lo sabemos)
+ * - authorize responde "¿puedes hacer esto?" (403 si no puedes)
+ *
+ * Es una "fábrica de middlewares": authorize('users:read') devuelve
+ * el middleware que exige ese permiso. Se usa DESPUÉS de authMiddleware:
+ *
+ *   router.get('/users', authMiddleware, authorize('users:read'), ...)
+ *
+ * Si se indican varios permisos, se exigen TODOS.
+ *
+ * ¿Por qué no usar el claim 'role' del JWT?
+ * - req.user viene de la BD en cada petición, así que su rol está al día
+ * - Los permisos del rol también se leen de la BD (pueden cambiar)
+ *
+ * @param {...string} requiredPermissions - Permisos necesarios
+ * @returns {Function} Middleware de Express
+ */
+const authorize = (...requiredPermissions) => {
+  return asyncHandler(async (req, res, next) => {
+    if (!req.user) {
+      throw new AuthenticationError('Token de acceso requerido', {
+        code: 'TOKEN_MISSING',
+      });
+    }
+
+    const permissions = await Role.getPermissions(req.user.role);
+    const allowed = requiredPermissions.every((permission) =>
+      permissions.includes(permission)
+    );
+
+    if (!allowed) {
+      throw new ForbiddenError('No tienes permisos para realizar esta acción');
+    }
+
+    // Disponible para los controladores (p. ej. para decisiones finas)
+    req.permissions = permissions;
+
+    next();
+  });
+};
+
 module.exports = {
   authMiddleware,
   optionalAuth,
+  requireVerifiedEmail,
+  requireMfaChallenge,
+  authorize,
 };
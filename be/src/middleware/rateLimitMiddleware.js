@@ -0,0 +1,149 @@
+/**
+ * 🚦 MIDDLEWARES DE LIMITACIÓN DEL LOGIN
+ *
+ * Dos capas complementarias contra ataques de fuerza bruta:
+ *
+ * 1. loginRateLimiter (express-rate-limit):
+ *    - Límite grueso de peticiones por IP en una ventana de tiempo
+ *    - Cuenta TODAS las peticiones, exitosas o no
+ *    - Frena inundaciones de peticiones antes de llegar a bcrypt
+ *
+ * 2. loginThrottle (utils/loginThrottle.js):
+ *    - Cuenta los intentos FALLIDOS, por IP y por cuenta (cada intento se
+ *      cuenta antes de verificar el password y se descuenta si acierta)
+ *    - Retrasos progresivos y bloqueo temporal de la cuenta
+ *
+ * Ambas responden 429 (Too Many Requests) con el header Retry-After,
+ * que indica en segundos cuándo puede volver a intentarse.
+ *
+ * ⚠️ req.ip detrás de un proxy (nginx, balanceador) es la IP del proxy
+ * a menos que Express confíe en él ('trust proxy').
+ */
+
+const rateLimit = require('express-rate-limit');
+const { ipThrottle, accountThrottle } = require('../utils/loginThrottle');
+const { TooManyRequestsError, asyncHandler } = require('../utils/errors');
+
+const toInt = (value, defaultValue) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? defaultValue : parsed;
+};
+
+/**
+ * 🧱 LÍMITE DE PETICIONES POR IP
+ *
+ * - standardHeaders: headers RateLimit-* (borrador IETF) con el estado del límite
+ * - legacyHeaders: false → sin los antiguos X-RateLimit-*
+ * - handler: pasa un TooManyRequestsError al manejador global, así la
+ *   respuesta tiene el mismo formato que el resto de la API
+ *
+ * Usa el MemoryStore de express-rate-limit. Con varias instancias del
+ * servidor se puede pasar la opción 'store' (p. ej. rate-limit-redis).
+ */
+const loginRateLimiter = rateLimit({
+  windowMs: toInt(process.env.LOGIN_RATE_LIMIT_WINDOW_MINUTES, 15) * 60000,
+  max: toInt(process.env.LOGIN_RATE_LIMIT_MAX, 50),
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res, next) => {
+    next(
+      new TooManyRequestsError(
+        'Demasiadas solicitudes de inicio de sesión. Intenta más tarde.'
+      )
+    );
+  },
+});
+
+/**
+ * 📧 LÍMITE DE SOLICITUDES DE RECUPERACIÓN DE PASSWORD POR IP
+ *
+ * Cada solicitud a POST /forgot-password envía un email: sin límite, un
+ * atacante podría inundar de emails cualquier dirección. Este límite
+ * frena a una IP que recorre muchas cuentas; para una sola cuenta,
+ * PasswordResetToken.canRequest() impone además un intervalo mínimo.
+ */
+const forgotPasswordRateLimiter = rateLimit({
+  windowMs:
+    toInt(process.env.FORGOT_PASSWORD_RATE_LIMIT_WINDOW_MINUTES, 15) * 60000,
+  max: toInt(process.env.FORGOT_PASSWORD_RATE_LIMIT_MAX, 5),
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res, next) => {
+    next(
+      new TooManyRequestsError(
+        'Demasiadas solicitudes de recuperación. Intenta más tarde.'
+      )
+    );
+  },
+});
+
+/**
+ * 🐢 RETRASOS PROGRESIVOS Y BLOQUEO POR CUENTA
+ *
+ * Se usa DESPUÉS de validateLogin (necesita el email ya normalizado).
+ * En el segundo paso del login (POST /login/mfa) la cuenta es la del
+ * desafío (req.mfaChallenge, ver requireMfaChallenge), y en las rutas
+ * autenticadas (POST /2fa/confirm) la del usuario (req.user).
+ *
+ * Si la IP o la cuenta deben esperar, responde 429 sin verificar el
+ * password. Si no, el intento ya quedó contado como fallo y deja en
+ * req.loginAttempt las funciones que el controlador llama según el
+ * resultado:
+ * - recordFailure(): credenciales o código inválidos (puede bloquear la
+ *   cuenta)
+ * - release(): credencial correcta, pero falta el segundo paso (el
+ *   intento se descuenta)
+ * - succeed(): login completo (olvida los fallos de la cuenta)
+ */
+const loginThrottle = asyncHandler(async (req, res, next) => {
+  const ip = req.ip;
+  const email = req.mfaChallenge
+    ? req.mfaChallenge.email
+    : (req.user || req.body).email;
+
+  const [ipState, accountState] = await Promise.all([
+    ipThrottle.registerAttempt(ip),
+    accountThrottle.registerAttempt(email),
+  ]);
+
+  const blocked = [accountState, ipState].find((state) => !state.allowed);
+  if (blocked) {
+    // Si solo uno de los dos rechazó el intento, el otro ya lo contó
+    await Promise.all([
+      ipState.allowed && ipThrottle.release(ip),
+      accountState.allowed && accountThrottle.release(email),
+    ]);
+
+    // El manejador global agrega el header Retry-After
+    throw new TooManyRequestsError(
+      blocked.locked
+        ? 'Cuenta bloqueada temporalmente por demasiados intentos fallidos'
+        : 'Demasiados intentos fallidos. Espera antes de volver a intentarlo',
+      {
+        code: blocked.locked ? 'ACCOUNT_LOCKED' : 'TOO_MANY_ATTEMPTS',
+        retryAfter: blocked.retryAfterSeconds,
+      }
+    );
+  }
+
+  req.loginAttempt = {
+    recordFailure: () =>
+      Promise.all([
+        ipThrottle.recordFailure(ip, ipState.failures),
+        accountThrottle.recordFailure(email, accountState.failures),
+      ]),
+    release: () =>
+      Promise.all([ipThrottle.release(ip), accountThrottle.release(email)]),
+    // Los fallos de la IP no se olvidan: solo se descuenta este intento
+    succeed: () =>
+      Promise.all([ipThrottle.release(ip), accountThrottle.reset(email)]),
+  };
+
+  next();
+});
+
+module.exports = {
+  loginRateLimiter,
+  forgotPasswordRateLimiter,
+  loginThrottle,
+};
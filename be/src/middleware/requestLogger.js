@@ -0,0 +1,78 @@
+// src/middleware/requestLogger.js - ID de correlación y log de acceso por request
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+/**
+ * ID DE CORRELACIÓN (X-Request-Id)
+ *
+ * Cada request recibe un identificador que:
+ * - Se guarda en req.id y en el contexto del logger: todos los logs
+ *   escritos mientras se atiende la request lo incluyen
+ * - Se devuelve en el header X-Request-Id y en las respuestas de error,
+ *   para que un usuario pueda reportarlo y soporte encuentre sus logs
+ *
+ * Si el cliente (o un proxy/balanceador delante) ya envía X-Request-Id,
+ * se reutiliza para seguir la misma petición a través de varios servicios.
+ * Solo se aceptan valores cortos y sin caracteres raros: el ID termina en
+ * los logs y en headers de respuesta.
+ */
+const REQUEST_ID_HEADER = 'X-Request-Id';
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+const resolveRequestId = (incoming) =>
+  incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+
+/**
+ * Nivel del log de acceso según el status de la respuesta
+ */
+const levelForStatus = (status) => {
+  if (status >= 500) {
+    return 'error';
+  }
+  return status >= 400 ? 'warn' : 'info';
+};
+
+/**
+ * LOG DE ACCESO
+ *
+ * Al terminar la respuesta ('finish') se escribe una línea con método,
+ * ruta, status y latencia. Con LOG_LEVEL=debug también se incluye el
+ * cuerpo de la petición. El logger oculta passwords, tokens y códigos,
+ * también los que viajan en la ruta o en el query string.
+ *
+ * Se monta antes que los demás middlewares para medir la latencia
+ * completa y para que incluso los errores de helmet o del parser de JSON
+ * tengan su ID.
+ */
+const requestLogger = (req, res, next) => {
+  const requestId = resolveRequestId(req.get(REQUEST_ID_HEADER));
+  const start = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set(REQUEST_ID_HEADER, requestId);
+
+  res.on('finish', () => {
+    const durationMs =
+      Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100;
+
+    logger[levelForStatus(res.statusCode)]('Request completada', {
+      requestId,
+      method: req.method,
+      path: logger.redactUrl(req.originalUrl),
+      status: res.statusCode,
+      durationMs,
+      ip: req.ip,
+      ...(req.userId && { userId: req.userId }),
+      ...(logger.isLevelEnabled('debug') &&
+        req.body &&
+        Object.keys(req.body).length > 0 && { body: req.body }),
+    });
+  });
+
+  logger.runWithContext({ requestId }, next);
+};
+
+module.exports = {
+  requestLogger,
+  REQUEST_ID_HEADER,
+};
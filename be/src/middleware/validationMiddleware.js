@@ -14,7 +14,16 @@
  * Este archivo implementa RF-005: Validación de Datos de Entrada
  */
 
-const { body } = require('express-validator');
+const {
+  body,
+  param,
+  query,
+  oneOf,
+  validationResult,
+} = require('express-validator');
+const User = require('../models/User');
+const AuditEvent = require('../models/AuditEvent');
+const { ValidationError } = require('../utils/errors');
 
 /**
  * 📝 RF-005: VALIDACIONES DE DATOS DE ENTRADA
@@ -27,6 +36,24 @@ const { body } = require('express-validator');
  * 5. Mensajes de error descriptivos
  */
 
+/**
+ * 🚧 RECHAZAR LA PETICIÓN SI ALGUNA VALIDACIÓN FALLÓ
+ *
+ * Las validaciones de express-validator solo ANOTAN los errores en la
+ * request; este middleware, el último de cada array, los revisa y corta
+ * la cadena con un ValidationError (400, código VALIDATION_ERROR) que
+ * responde el manejador global de app.js.
+ *
+ * Así los controladores solo se ejecutan con datos válidos.
+ */
+const rejectInvalid = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ValidationError(errors.array().map((error) => error.msg)));
+  }
+  next();
+};
+
 /**
  * 🔐 VALIDACIONES PARA REGISTRO DE USUARIO
  *
@@ -77,6 +104,8 @@ const validateRegister = [
     .not()
     .contains(' ')
     .withMessage('El password no puede contener espacios'),
+
+  rejectInvalid,
 ];
 
 // Validaciones para login de usuario
@@ -87,6 +116,8 @@ const validateLogin = [
     .normalizeEmail(),
 
   body('password').notEmpty().withMessage('El password es obligatorio'),
+
+  rejectInvalid,
 ];
 
 // Validaciones para actualizar perfil
@@ -114,6 +145,14 @@ const validateUpdateProfile = [
     .normalizeEmail()
     .isLength({ max: 255 })
     .withMessage('El email no debe exceder 255 caracteres'),
+
+  // Solo es obligatorio si cambia el email (lo verifica el controlador)
+  body('currentPassword')
+    .optional()
+    .isString()
+    .withMessage('El password actual debe ser texto'),
+
+  rejectInvalid,
 ];
 
 // Validaciones para cambio de password
@@ -139,11 +178,491 @@ const validateChangePassword = [
     }
     return true;
   }),
+
+  rejectInvalid,
+];
+
+// Validaciones para eliminar la propia cuenta
+const validateDeleteAccount = [
+  body('password')
+    .isString()
+    .withMessage('El password es obligatorio para eliminar la cuenta')
+    .bail()
+    .notEmpty()
+    .withMessage('El password es obligatorio para eliminar la cuenta'),
+
+  rejectInvalid,
+];
+
+/**
+ * 🔢 VALIDACIONES DE LA VERIFICACIÓN EN DOS PASOS
+ *
+ * Segundo paso del login: el token del desafío y, o bien el código de
+ * 6 dígitos de la app (code), o bien un código de recuperación
+ * (recoveryCode). oneOf() exige que llegue al menos uno de los dos.
+ */
+const totpCodeRule = (field) =>
+  body(field)
+    .isString()
+    .withMessage('El código debe tener 6 dígitos')
+    .bail()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('El código debe tener 6 dígitos');
+
+const validateLoginMfa = [
+  body('mfaToken')
+    .isString()
+    .withMessage('El token de verificación es obligatorio')
+    .bail()
+    .notEmpty()
+    .withMessage('El token de verificación es obligatorio'),
+
+  totpCodeRule('code').optional(),
+
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .withMessage('El código de recuperación debe ser texto')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 64 })
+    .withMessage('El código de recuperación no es válido'),
+
+  oneOf([body('code').exists(), body('recoveryCode').exists()], {
+    message: 'Envía el código de tu app (code) o un código de recuperación',
+  }),
+
+  rejectInvalid,
+];
+
+// Confirmar la activación con el primer código de la app
+const validateTotpCode = [totpCodeRule('code'), rejectInvalid];
+
+// Desactivar o regenerar los códigos exige volver a escribir el password
+const validatePasswordReentry = [
+  body('password')
+    .isString()
+    .withMessage('El password es obligatorio')
+    .bail()
+    .notEmpty()
+    .withMessage('El password es obligatorio'),
+
+  rejectInvalid,
+];
+
+// Passkeys: token del desafío + respuesta del autenticador. La
+// estructura interna de la credencial la valida @simplewebauthn/server
+const challengeTokenRule = body('challengeToken')
+  .isString()
+  .withMessage('El token del desafío es obligatorio')
+  .bail()
+  .notEmpty()
+  .withMessage('El token del desafío es obligatorio');
+
+const webauthnCredentialRule = body('credential')
+  .isObject()
+  .withMessage('La credencial es obligatoria')
+  .bail()
+  .custom((credential) => typeof credential.id === 'string')
+  .withMessage('La credencial no es válida');
+
+const validateWebauthnRegistration = [
+  challengeTokenRule,
+  webauthnCredentialRule,
+
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 64 })
+    .withMessage('El nombre no puede superar 64 caracteres'),
+
+  rejectInvalid,
+];
+
+const validateWebauthnLogin = [
+  challengeTokenRule,
+  webauthnCredentialRule,
+  rejectInvalid,
+];
+
+// ID de passkey en la ruta
+const validatePasskeyId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('El ID de la passkey no es válido')
+    .toInt(),
+  rejectInvalid,
+];
+
+// Login social: nombre del proveedor en la ruta y, en el callback, lo
+// que el proveedor agregó a la redirect_uri más el oauthToken
+const oauthProviderRule = param('provider')
+  .matches(/^[a-z0-9-]{1,32}$/)
+  .withMessage('El proveedor no es válido');
+
+const requiredString = (field, message) =>
+  body(field)
+    .isString()
+    .withMessage(message)
+    .bail()
+    .notEmpty()
+    .withMessage(message);
+
+const validateOAuthProvider = [oauthProviderRule, rejectInvalid];
+
+const validateOAuthCallback = [
+  oauthProviderRule,
+  requiredString('code', 'El código de autorización es obligatorio'),
+  requiredString('state', 'El parámetro state es obligatorio'),
+  requiredString('oauthToken', 'El token del inicio de sesión es obligatorio'),
+  rejectInvalid,
+];
+
+/**
+ * 🪪 PEDIDO DE AUTORIZACIÓN OPENID CONNECT
+ *
+ * Aquí solo se comprueba que cada parámetro sea texto; su contenido
+ * (cliente, redirect_uri, scope, PKCE) lo valida oidcController, que
+ * debe informar algunos errores a la aplicación redirigiendo a ella.
+ *
+ * @param {Function} location - query (GET) o body (POST)
+ */
+const oidcAuthorizeRules = (location) => [
+  location('client_id')
+    .isString()
+    .withMessage('client_id es obligatorio')
+    .bail()
+    .notEmpty()
+    .withMessage('client_id es obligatorio'),
+
+  location('redirect_uri')
+    .isString()
+    .withMessage('redirect_uri es obligatorio')
+    .bail()
+    .notEmpty()
+    .withMessage('redirect_uri es obligatorio'),
+
+  ...[
+    'response_type',
+    'scope',
+    'state',
+    'nonce',
+    'code_challenge',
+    'code_challenge_method',
+  ].map((field) =>
+    location(field)
+      .optional()
+      .isString()
+      .withMessage(`${field} debe ser texto`)
+      .isLength({ max: 512 })
+      .withMessage(`${field} no debe exceder 512 caracteres`)
+  ),
+];
+
+const validateOidcAuthorize = [...oidcAuthorizeRules(query), rejectInvalid];
+
+// Decisión de la página de consentimiento: el mismo pedido más approve
+const validateOidcConsent = [
+  ...oidcAuthorizeRules(body),
+
+  body('approve')
+    .isBoolean()
+    .withMessage('approve debe ser true o false')
+    .toBoolean(),
+
+  rejectInvalid,
+];
+
+// Validaciones para renovar la sesión con un refresh token
+const validateRefresh = [
+  body('refreshToken')
+    .isString()
+    .withMessage('El refresh token es obligatorio')
+    .bail() // Si no es string, no seguimos validando (evita mensajes repetidos)
+    .notEmpty()
+    .withMessage('El refresh token es obligatorio'),
+
+  rejectInvalid,
+];
+
+// Validaciones para solicitar la recuperación de password
+const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .withMessage('El email debe tener un formato válido')
+    .normalizeEmail(),
+
+  rejectInvalid,
+];
+
+// Validaciones para restablecer el password con el token del email
+const validateResetPassword = [
+  body('token')
+    .isString()
+    .withMessage('El token de recuperación es obligatorio')
+    .bail()
+    .notEmpty()
+    .withMessage('El token de recuperación es obligatorio'),
+
+  body('newPassword')
+    .isLength({ min: 8 })
+    .withMessage('El nuevo password debe tener al menos 8 caracteres')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage(
+      'El nuevo password debe contener al menos una mayúscula, una minúscula y un número'
+    )
+    .not()
+    .contains(' ')
+    .withMessage('El nuevo password no puede contener espacios'),
+
+  body('confirmPassword').custom((value, { req }) => {
+    if (value !== req.body.newPassword) {
+      throw new Error('La confirmación del password no coincide');
+    }
+    return true;
+  }),
+
+  rejectInvalid,
+];
+
+// Validaciones para reenviar el email de verificación
+const validateResendVerification = [
+  body('email')
+    .isEmail()
+    .withMessage('El email debe tener un formato válido')
+    .normalizeEmail(),
+
+  rejectInvalid,
+];
+
+/**
+ * 🛠️ VALIDACIONES PARA LA ADMINISTRACIÓN DE USUARIOS
+ *
+ * Además de body() usamos:
+ * - query(): parámetros de la URL (?page=2&search=ana)
+ * - param(): segmentos de la ruta (/users/:id)
+ *
+ * toInt() convierte el texto recibido en número para el controlador.
+ */
+
+// Listado: paginación, búsqueda, filtros y ordenamiento
+// Paginación de los listados: page y limit
+const paginationRules = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('page debe ser un entero mayor o igual a 1')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('limit debe ser un entero entre 1 y 100')
+    .toInt(),
+];
+
+const validateListUsers = [
+  ...paginationRules,
+
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('La búsqueda no debe exceder 100 caracteres'),
+
+  query('role').optional().trim(),
+
+  query('status')
+    .optional()
+    .isIn(['active', 'disabled'])
+    .withMessage("status debe ser 'active' o 'disabled'"),
+
+  query('sort')
+    .optional()
+    .isIn(User.SORTABLE_FIELDS)
+    .withMessage(`sort debe ser uno de: ${User.SORTABLE_FIELDS.join(', ')}`),
+
+  query('order')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage("order debe ser 'asc' o 'desc'"),
+
+  rejectInvalid,
+];
+
+/**
+ * Fin del día para una fecha sin hora (2024-05-01 → 2024-05-01T23:59:59.999Z):
+ * ?to=2024-05-01 debe incluir los eventos de ese día
+ */
+const toEndOfDay = (value) => {
+  const date = new Date(value);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+/**
+ * 🕵️ VALIDACIONES PARA EL REGISTRO DE AUDITORÍA
+ *
+ * from/to aceptan fechas ISO 8601 (con o sin hora) y se convierten a Date.
+ */
+const validateListAudit = [
+  ...paginationRules,
+
+  query('userId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('userId debe ser un entero positivo')
+    .toInt(),
+
+  query('type')
+    .optional()
+    .isIn(AuditEvent.EVENT_TYPES)
+    .withMessage(`type debe ser uno de: ${AuditEvent.EVENT_TYPES.join(', ')}`),
+
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from debe ser una fecha ISO 8601 (p. ej. 2024-05-01)')
+    .toDate(),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to debe ser una fecha ISO 8601 (p. ej. 2024-05-31)')
+    .customSanitizer(toEndOfDay)
+    .custom((to, { req }) => !req.query.from || req.query.from <= to)
+    .withMessage('to no puede ser anterior a from'),
+
+  query('format')
+    .optional()
+    .isIn(['json', 'csv'])
+    .withMessage("format debe ser 'json' o 'csv'"),
+
+  rejectInvalid,
+];
+
+// ID de usuario en la ruta
+const userIdParam = param('id')
+  .isInt({ min: 1 })
+  .withMessage('El ID de usuario no es válido')
+  .toInt();
+
+const validateUserId = [userIdParam, rejectInvalid];
+
+// Edición de un usuario por un administrador (todos los campos opcionales)
+const validateAdminUpdateUser = [
+  userIdParam,
+
+  body('nombres')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Los nombres deben tener entre 2 y 100 caracteres')
+    .matches(/^[a-zA-ZáéíóúÁÉÍÓÚñÑ\s]+$/)
+    .withMessage('Los nombres solo pueden contener letras y espacios'),
+
+  body('apellidos')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Los apellidos deben tener entre 2 y 100 caracteres')
+    .matches(/^[a-zA-ZáéíóúÁÉÍÓÚñÑ\s]+$/)
+    .withMessage('Los apellidos solo pueden contener letras y espacios'),
+
+  body('email')
+    .optional()
+    .isEmail()
+    .withMessage('El email debe tener un formato válido')
+    .normalizeEmail()
+    .isLength({ max: 255 })
+    .withMessage('El email no debe exceder 255 caracteres'),
+
+  // Que el rol exista lo comprueba el controlador (los roles viven en la BD)
+  body('role')
+    .optional()
+    .isString()
+    .withMessage('El rol debe ser texto')
+    .trim()
+    .notEmpty()
+    .withMessage('El rol no puede estar vacío'),
+
+  rejectInvalid,
+];
+
+/**
+ * 🪪 REGISTRO DE CLIENTES OPENID CONNECT (administración)
+ *
+ * redirect_uris: URLs absolutas http(s) sin fragmento (#), como exige
+ * OAuth2. http sin TLS solo tiene sentido en desarrollo (localhost).
+ */
+const validateCreateOidcClient = [
+  body('name')
+    .isString()
+    .withMessage('El nombre es obligatorio')
+    .bail()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('El nombre debe tener entre 2 y 100 caracteres'),
+
+  body('redirectUris')
+    .isArray({ min: 1, max: 10 })
+    .withMessage('redirectUris debe ser una lista de 1 a 10 URLs'),
+
+  body('redirectUris.*')
+    .isURL({
+      protocols: ['http', 'https'],
+      require_protocol: true,
+      require_tld: false,
+      allow_fragments: false,
+    })
+    .withMessage('Cada redirect URI debe ser una URL http(s) sin fragmento'),
+
+  body('confidential')
+    .optional()
+    .isBoolean()
+    .withMessage('confidential debe ser true o false')
+    .toBoolean(),
+
+  rejectInvalid,
+];
+
+// ID de cliente OpenID Connect en la ruta
+const validateOidcClientId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('El ID del cliente no es válido')
+    .toInt(),
+  rejectInvalid,
 ];
 
 module.exports = {
   validateRegister,
   validateLogin,
+  validateRefresh,
+  validateLoginMfa,
+  validateTotpCode,
+  validatePasswordReentry,
+  validateWebauthnRegistration,
+  validateWebauthnLogin,
+  validatePasskeyId,
+  validateOAuthProvider,
+  validateOAuthCallback,
+  validateOidcAuthorize,
+  validateOidcConsent,
   validateUpdateProfile,
   validateChangePassword,
+  validateDeleteAccount,
+  validateForgotPassword,
+  validateResetPassword,
+  validateResendVerification,
+  validateListUsers,
+  validateListAudit,
+  validateUserId,
+  validateAdminUpdateUser,
+  validateCreateOidcClient,
+  validateOidcClientId,
 };
@@ -0,0 +1,229 @@
+// src/models/AuditEvent.js - Registro de auditoría de eventos de seguridad (solo inserción)
+const { getRepository } = require('../config/database');
+
+/**
+ * MODELO AUDITEVENT
+ *
+ * Cada fila es un hecho que ya ocurrió: "el usuario 5 inició sesión desde
+ * la IP X", "el admin 1 deshabilitó la cuenta 7"... Por eso el modelo
+ * solo permite REGISTRAR y CONSULTAR: no hay update() ni delete(), y la
+ * BD también lo impide con un trigger (migración 009).
+ *
+ * ¿Diferencia con los logs de la aplicación (utils/logger.js)?
+ * - Los logs son para depurar: mucho detalle, se rotan y se pierden
+ * - La auditoría es para responder preguntas de seguridad meses después
+ *   ("¿quién cambió el rol de esta cuenta?"): poco volumen, se conserva
+ *   y la puede consultar un administrador desde la API
+ */
+
+/**
+ * CATÁLOGO DE EVENTOS
+ *
+ * Convención de nombres: 'recurso.acción' (las acciones de
+ * administración empiezan por 'admin.')
+ */
+const AUDIT_EVENTS = {
+  REGISTER: 'user.register',
+  LOGIN_SUCCESS: 'auth.login_success',
+  LOGIN_FAILURE: 'auth.login_failure',
+  LOGOUT: 'auth.logout',
+  PASSWORD_CHANGE: 'password.change',
+  PASSWORD_RESET: 'password.reset',
+  PROFILE_UPDATE: 'profile.update',
+  ACCOUNT_DELETE: 'account.delete',
+  ACCOUNT_RESTORE: 'account.restore',
+  MFA_ENABLE: 'mfa.enable',
+  MFA_DISABLE: 'mfa.disable',
+  MFA_RECOVERY_CODES_REGENERATE: 'mfa.recovery_codes_regenerate',
+  PASSKEY_REGISTER: 'passkey.register',
+  PASSKEY_DELETE: 'passkey.delete',
+  OAUTH_LINK: 'oauth.link',
+  OIDC_AUTHORIZE: 'oidc.authorize',
+  ADMIN_USER_UPDATE: 'admin.user_update',
+  ADMIN_USER_DISABLE: 'admin.user_disable',
+  ADMIN_USER_ENABLE: 'admin.user_enable',
+  ADMIN_USER_LOGOUT: 'admin.user_logout',
+  ADMIN_USER_DELETE: 'admin.user_delete',
+  ADMIN_CLIENT_CREATE: 'admin.client_create',
+  ADMIN_CLIENT_DELETE: 'admin.client_delete',
+};
+
+class AuditEvent {
+  constructor(data) {
+    this.id = data.id;
+    this.event_type = data.event_type;
+    this.user_id = data.user_id;
+    this.actor_id = data.actor_id;
+    this.ip = data.ip;
+    this.user_agent = data.user_agent;
+    this.request_id = data.request_id;
+    this.metadata = parseMetadata(data.metadata);
+    this.created_at = data.created_at;
+  }
+
+  static EVENTS = AUDIT_EVENTS;
+  static EVENT_TYPES = Object.values(AUDIT_EVENTS);
+
+  /**
+   * REGISTRAR UN EVENTO
+   *
+   * created_at se envía desde aquí en formato ISO 8601 (en lugar de
+   * DEFAULT CURRENT_TIMESTAMP) para que los filtros por fecha comparen
+   * el mismo formato en SQLite y PostgreSQL.
+   *
+   * @param {Object} event
+   * @param {string} event.type - Uno de AUDIT_EVENTS
+   * @param {number|null} [event.userId] - Cuenta afectada
+   * @param {number|null} [event.actorId] - Quién realizó la acción
+   * @param {string} [event.ip]
+   * @param {string} [event.userAgent]
+   * @param {string} [event.requestId] - X-Request-Id de la petición
+   * @param {Object} [event.metadata] - Detalles (se guardan como JSON)
+   * @returns {Promise<number>} - ID del evento
+   */
+  static async record({
+    type,
+    userId = null,
+    actorId = null,
+    ip = null,
+    userAgent = null,
+    requestId = null,
+    metadata = null,
+  }) {
+    if (!AuditEvent.EVENT_TYPES.includes(type)) {
+      throw new Error(`Tipo de evento de auditoría desconocido: '${type}'`);
+    }
+
+    const query = `
+      INSERT INTO audit_events
+        (event_type, user_id, actor_id, ip, user_agent, request_id, metadata, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      RETURNING id
+    `;
+
+    const row = await getRepository().get(query, [
+      type,
+      userId,
+      actorId,
+      ip,
+      userAgent,
+      requestId,
+      metadata ? JSON.stringify(metadata) : null,
+      new Date().toISOString(),
+    ]);
+    return row.id;
+  }
+
+  /**
+   * LISTAR EVENTOS (PAGINADO, DEL MÁS RECIENTE AL MÁS ANTIGUO)
+   *
+   * @param {Object} [options]
+   * @param {number} [options.userId] - Eventos de esta cuenta (afectada o actor)
+   * @param {string} [options.type] - Solo este tipo de evento
+   * @param {Date} [options.from] - Desde esta fecha (incluida)
+   * @param {Date} [options.to] - Hasta esta fecha (incluida)
+   * @param {number} [options.limit=50]
+   * @param {number} [options.offset=0]
+   * @returns {Promise<AuditEvent[]>}
+   */
+  static async findAll({ limit = 50, offset = 0, ...filters } = {}) {
+    const { where, params } = buildFilters(filters);
+
+    // 'id' como segundo criterio: orden estable entre páginas
+    const rows = await getRepository().all(
+      `
+        SELECT * FROM audit_events
+        ${where}
+        ORDER BY created_at DESC, id DESC
+        LIMIT ? OFFSET ?
+      `,
+      [...params, limit, offset]
+    );
+
+    return rows.map((row) => new AuditEvent(row));
+  }
+
+  /**
+   * CONTAR EVENTOS
+   *
+   * @param {Object} [filters] - { userId, type, from, to }
+   * @returns {Promise<number>}
+   */
+  static async count(filters = {}) {
+    const { where, params } = buildFilters(filters);
+
+    const row = await getRepository().get(
+      `SELECT COUNT(*) AS total FROM audit_events ${where}`,
+      params
+    );
+    return row.total;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      type: this.event_type,
+      userId: this.user_id,
+      actorId: this.actor_id,
+      ip: this.ip,
+      userAgent: this.user_agent,
+      requestId: this.request_id,
+      metadata: this.metadata,
+      createdAt: this.created_at,
+    };
+  }
+}
+
+/**
+ * CONSTRUIR EL WHERE DE LOS LISTADOS (función interna)
+ *
+ * - userId: la cuenta aparece como afectada O como actor (así se ven
+ *   también las acciones que un admin hizo sobre otros)
+ * - from/to: se comparan como texto ISO 8601, el formato de created_at
+ *
+ * @param {Object} filters - { userId, type, from, to }
+ * @returns {{where: string, params: Array}}
+ */
+const buildFilters = ({ userId, type, from, to } = {}) => {
+  const conditions = [];
+  const params = [];
+
+  if (userId) {
+    conditions.push('(user_id = ? OR actor_id = ?)');
+    params.push(userId, userId);
+  }
+
+  if (type) {
+    conditions.push('event_type = ?');
+    params.push(type);
+  }
+
+  if (from) {
+    conditions.push('created_at >= ?');
+    params.push(from.toISOString());
+  }
+
+  if (to) {
+    conditions.push('created_at <= ?');
+    params.push(to.toISOString());
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params,
+  };
+};
+
+// metadata se guarda como texto JSON
+const parseMetadata = (value) => {
+  if (!value) {
+    return null;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = AuditEvent;
@@ -0,0 +1,168 @@
+// src/models/LoginAttempt.js - Intentos de login fallidos (protección contra fuerza bruta)
+const { getRepository } = require('../config/database');
+
+/**
+ * MODELO LOGINATTEMPT
+ *
+ * Implementa la interfaz de "store" que usa utils/loginThrottle.js:
+ *
+ *   get(key)                      → Promise<{failures, lastFailureAt, lockedUntil} | null>
+ *   set(key, record)              → Promise<void>
+ *   delete(key)                   → Promise<void>
+ *   increment(key, windowStart)   → Promise<{failures, lastFailureAt, lockedUntil}>
+ *   decrement(key)                → Promise<void>
+ *
+ * Es el store por defecto para los límites por cuenta: al vivir en la BD,
+ * los intentos fallidos y los bloqueos sobreviven a un reinicio.
+ *
+ * Las fechas se guardan como texto ISO y se devuelven como Date.
+ */
+const toRecord = (row) => ({
+  failures: row.failures,
+  lastFailureAt: row.last_failure_at ? new Date(row.last_failure_at) : null,
+  lockedUntil: row.locked_until ? new Date(row.locked_until) : null,
+});
+
+class LoginAttempt {
+  /**
+   * OBTENER EL REGISTRO DE UNA CLAVE
+   *
+   * @param {string} key - Clave limitada (p. ej. 'account:ana@mail.com')
+   * @returns {Promise<Object|null>}
+   */
+  static async get(key) {
+    const db = getRepository();
+
+    const row = await db.get(
+      'SELECT * FROM login_attempts WHERE throttle_key = ?',
+      [key]
+    );
+    return row ? toRecord(row) : null;
+  }
+
+  /**
+   * GUARDAR (INSERTAR O REEMPLAZAR) EL REGISTRO DE UNA CLAVE
+   *
+   * "Upsert" con ON CONFLICT: como throttle_key es PRIMARY KEY, si ya
+   * existe una fila para la clave se actualizan todas sus columnas.
+   * 'excluded' es la fila que se intentó insertar.
+   *
+   * @param {string} key - Clave limitada
+   * @param {Object} record - { failures, lastFailureAt, lockedUntil }
+   * @returns {Promise<void>}
+   */
+  static async set(key, { failures, lastFailureAt, lockedUntil }) {
+    const db = getRepository();
+
+    const query = `
+      INSERT INTO login_attempts
+        (throttle_key, failures, last_failure_at, locked_until)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT (throttle_key) DO UPDATE SET
+        failures = excluded.failures,
+        last_failure_at = excluded.last_failure_at,
+        locked_until = excluded.locked_until
+    `;
+
+    await db.run(query, [
+      key,
+      failures,
+      lastFailureAt ? lastFailureAt.toISOString() : null,
+      lockedUntil ? lockedUntil.toISOString() : null,
+    ]);
+  }
+
+  /**
+   * CONTAR UN INTENTO (de forma atómica)
+   *
+   * Leer el contador, sumarle 1 y guardarlo en pasos separados pierde
+   * intentos cuando llegan varios a la vez: todos leen el mismo valor.
+   * Aquí la suma la hace la BD en una sola sentencia, y RETURNING
+   * devuelve el valor resultante: cada intento recibe un número distinto.
+   *
+   * Si el último fallo es anterior a windowStart, el contador vuelve a
+   * empezar desde 1 (los fallos antiguos ya no cuentan).
+   *
+   * @param {string} key - Clave limitada
+   * @param {Date} windowStart - Los fallos anteriores a esta fecha caducaron
+   * @returns {Promise<Object>} - El registro tras contar el intento
+   */
+  static async increment(key, windowStart) {
+    const db = getRepository();
+
+    const query = `
+      INSERT INTO login_attempts
+        (throttle_key, failures, last_failure_at, locked_until)
+      VALUES (?, 1, ?, NULL)
+      ON CONFLICT (throttle_key) DO UPDATE SET
+        failures = CASE
+          WHEN login_attempts.last_failure_at >= ?
+            THEN login_attempts.failures + 1
+          ELSE 1
+        END,
+        last_failure_at = excluded.last_failure_at
+      RETURNING failures, last_failure_at, locked_until
+    `;
+
+    const row = await db.get(query, [
+      key,
+      new Date().toISOString(),
+      windowStart.toISOString(),
+    ]);
+
+    return toRecord(row);
+  }
+
+  /**
+   * DESCONTAR UN INTENTO que al final no fue un fallo (también atómico)
+   *
+   * @param {string} key - Clave limitada
+   * @returns {Promise<void>}
+   */
+  static async decrement(key) {
+    const db = getRepository();
+
+    await db.run(
+      `UPDATE login_attempts SET failures = failures - 1
+       WHERE throttle_key = ? AND failures > 0`,
+      [key]
+    );
+  }
+
+  /**
+   * ELIMINAR EL REGISTRO DE UNA CLAVE (p. ej. tras un login exitoso)
+   *
+   * @param {string} key - Clave limitada
+   * @returns {Promise<void>}
+   */
+  static async delete(key) {
+    const db = getRepository();
+
+    await db.run('DELETE FROM login_attempts WHERE throttle_key = ?', [key]);
+  }
+
+  /**
+   * PURGAR REGISTROS ANTIGUOS
+   *
+   * Elimina las claves sin fallos recientes y sin un bloqueo vigente.
+   * Se ejecuta periódicamente desde app.js.
+   *
+   * @param {Date} olderThan - Último fallo anterior a esta fecha
+   * @returns {Promise<number>} - Cantidad de registros eliminados
+   */
+  static async purgeStale(olderThan) {
+    const db = getRepository();
+    const now = new Date().toISOString();
+
+    const query = `
+      DELETE FROM login_attempts
+      WHERE last_failure_at <= ?
+        AND (locked_until IS NULL OR locked_until <= ?)
+    `;
+
+    const { changes } = await db.run(query, [olderThan.toISOString(), now]);
+    return changes;
+  }
+}
+
+module.exports = LoginAttempt;
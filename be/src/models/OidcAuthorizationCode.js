@@ -0,0 +1,152 @@
+// src/models/OidcAuthorizationCode.js - Códigos de autorización de OpenID Connect (un solo uso)
+const crypto = require('crypto');
+const { getRepository } = require('../config/database');
+const { generateOpaqueToken, hashToken } = require('../utils/tokens');
+
+/**
+ * MODELO OIDCAUTHORIZATIONCODE
+ *
+ * Cuando el usuario da su consentimiento, el cliente recibe en su
+ * redirect_uri un código que canjea (una sola vez, en menos de un
+ * minuto) por los tokens en POST /oauth2/token. El código guarda todo
+ * lo que el token endpoint debe comprobar: cliente, redirect_uri y el
+ * code_challenge de PKCE.
+ *
+ * family_id es la familia de los refresh tokens que se emiten con el
+ * código: si el código se reutiliza, el token endpoint la revoca.
+ */
+
+// Vida del código: solo tiene que sobrevivir a una redirección
+const CODE_EXPIRES_SECONDS = 60;
+
+class OidcAuthorizationCode {
+  constructor(data) {
+    this.id = data.id;
+    this.client_id = data.client_id;
+    this.user_id = data.user_id;
+    this.redirect_uri = data.redirect_uri;
+    this.scope = data.scope;
+    this.nonce = data.nonce;
+    this.code_challenge = data.code_challenge;
+    this.family_id = data.family_id;
+    this.expires_at = data.expires_at;
+    this.used_at = data.used_at;
+  }
+
+  /**
+   * EMITIR UN CÓDIGO
+   *
+   * @param {Object} data
+   * @param {string} data.clientId
+   * @param {number} data.userId
+   * @param {string} data.redirectUri
+   * @param {string} data.scope - Permisos aprobados (separados por espacios)
+   * @param {string} [data.nonce]
+   * @param {string} data.codeChallenge - PKCE S256
+   * @returns {Promise<string>} - El código en texto plano
+   */
+  static async issue({
+    clientId,
+    userId,
+    redirectUri,
+    scope,
+    nonce = null,
+    codeChallenge,
+  }) {
+    const code = generateOpaqueToken(32);
+    const expiresAt = new Date(Date.now() + CODE_EXPIRES_SECONDS * 1000);
+
+    await getRepository().run(
+      `
+        INSERT INTO oidc_authorization_codes (
+          code_hash, client_id, user_id, redirect_uri, scope, nonce,
+          code_challenge, family_id, expires_at
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `,
+      [
+        hashToken(code),
+        clientId,
+        userId,
+        redirectUri,
+        scope,
+        nonce,
+        codeChallenge,
+        crypto.randomUUID(),
+        expiresAt.toISOString(),
+      ]
+    );
+
+    return code;
+  }
+
+  /**
+   * BUSCAR UN CÓDIGO
+   *
+   * Lo devuelve aunque ya se haya usado o haya expirado: el token
+   * endpoint necesita saberlo para detectar la reutilización.
+   *
+   * @param {string} code - Código en texto plano
+   * @returns {Promise<OidcAuthorizationCode|null>}
+   */
+  static async findByCode(code) {
+    const row = await getRepository().get(
+      'SELECT * FROM oidc_authorization_codes WHERE code_hash = ?',
+      [hashToken(code)]
+    );
+    return row ? new OidcAuthorizationCode(row) : null;
+  }
+
+  /**
+   * MARCAR EL CÓDIGO COMO USADO
+   *
+   * El UPDATE condicionado a used_at IS NULL es atómico: si dos
+   * peticiones llegan a la vez con el mismo código, solo una lo obtiene.
+   *
+   * @returns {Promise<boolean>} - false si ya se había usado
+   */
+  async consume() {
+    const now = new Date().toISOString();
+
+    const { changes } = await getRepository().run(
+      `
+        UPDATE oidc_authorization_codes SET used_at = ?
+        WHERE id = ? AND used_at IS NULL
+      `,
+      [now, this.id]
+    );
+    if (changes === 0) {
+      return false;
+    }
+
+    this.used_at = now;
+    return true;
+  }
+
+  /**
+   * ¿Expiró?
+   *
+   * @returns {boolean}
+   */
+  isExpired() {
+    return new Date(this.expires_at) <= new Date();
+  }
+
+  /**
+   * PURGAR CÓDIGOS EXPIRADOS
+   *
+   * Los ya canjeados también expiran al minuto: pasado ese tiempo nadie
+   * puede usarlos y la fila no aporta nada.
+   *
+   * @returns {Promise<number>} - Cantidad de registros eliminados
+   */
+  static async purgeExpired() {
+    const { changes } = await getRepository().run(
+      'DELETE FROM oidc_authorization_codes WHERE expires_at <= ?',
+      [new Date().toISOString()]
+    );
+    return changes;
+  }
+}
+
+module.exports = OidcAuthorizationCode;
@@ -0,0 +1,176 @@
+// src/models/OidcClient.js - Aplicaciones que inician sesión con este sistema (OpenID Connect)
+const crypto = require('crypto');
+const { getRepository } = require('../config/database');
+const { generateOpaqueToken, hashToken } = require('../utils/tokens');
+
+/**
+ * MODELO OIDCCLIENT
+ *
+ * Un "cliente" es otra aplicación que delega el login en este sistema.
+ * Lo registra un administrador con sus URLs de vuelta (redirect_uris).
+ *
+ * - Confidencial: tiene un client_secret (se muestra una sola vez; en la
+ *   BD solo su hash) y lo presenta en el token endpoint. Es el caso de
+ *   un backend
+ * - Público: sin secreto (SPA, app móvil). Se protege solo con PKCE,
+ *   que es obligatorio para todos
+ */
+
+class OidcClient {
+  constructor(data) {
+    this.id = data.id;
+    this.client_id = data.client_id;
+    this.client_secret_hash = data.client_secret_hash;
+    this.name = data.name;
+    this.redirect_uris = JSON.parse(data.redirect_uris);
+    this.created_at = data.created_at;
+  }
+
+  /**
+   * REGISTRAR UN CLIENTE
+   *
+   * @param {Object} data
+   * @param {string} data.name - Nombre que ve el usuario al dar su consentimiento
+   * @param {string[]} data.redirectUris - URLs de vuelta permitidas
+   * @param {boolean} [data.confidential=true] - ¿Se le genera un secreto?
+   * @returns {Promise<{client: OidcClient, clientSecret: string|null}>}
+   *   El secreto en texto plano: es la ÚNICA vez que está disponible
+   */
+  static async create({ name, redirectUris, confidential = true }) {
+    const clientId = generateOpaqueToken(16);
+    const clientSecret = confidential ? generateOpaqueToken(32) : null;
+
+    const { id } = await getRepository().get(
+      `
+        INSERT INTO oidc_clients (client_id, client_secret_hash, name, redirect_uris)
+        VALUES (?, ?, ?, ?)
+        RETURNING id
+      `,
+      [
+        clientId,
+        clientSecret && hashToken(clientSecret),
+        name,
+        JSON.stringify(redirectUris),
+      ]
+    );
+
+    return { client: await OidcClient.findById(id), clientSecret };
+  }
+
+  /**
+   * BUSCAR POR ID INTERNO
+   *
+   * @param {number} id
+   * @returns {Promise<OidcClient|null>}
+   */
+  static async findById(id) {
+    const row = await getRepository().get(
+      'SELECT * FROM oidc_clients WHERE id = ?',
+      [id]
+    );
+    return row ? new OidcClient(row) : null;
+  }
+
+  /**
+   * BUSCAR POR CLIENT_ID (authorize, token endpoint)
+   *
+   * @param {string} clientId
+   * @returns {Promise<OidcClient|null>}
+   */
+  static async findByClientId(clientId) {
+    const row = await getRepository().get(
+      'SELECT * FROM oidc_clients WHERE client_id = ?',
+      [clientId]
+    );
+    return row ? new OidcClient(row) : null;
+  }
+
+  /**
+   * TODOS LOS CLIENTES (administración)
+   *
+   * @returns {Promise<OidcClient[]>}
+   */
+  static async findAll() {
+    const rows = await getRepository().all(
+      'SELECT * FROM oidc_clients ORDER BY id'
+    );
+    return rows.map((row) => new OidcClient(row));
+  }
+
+  get isConfidential() {
+    return Boolean(this.client_secret_hash);
+  }
+
+  /**
+   * ¿Es la URL de vuelta una de las registradas? (coincidencia exacta)
+   *
+   * @param {string} redirectUri
+   * @returns {boolean}
+   */
+  allowsRedirectUri(redirectUri) {
+    return this.redirect_uris.includes(redirectUri);
+  }
+
+  /**
+   * VERIFICAR EL CLIENT_SECRET
+   *
+   * timingSafeEqual: la comparación tarda lo mismo acierte o no, así el
+   * tiempo de respuesta no revela cuántos caracteres coinciden.
+   *
+   * @param {string} clientSecret - Secreto en texto plano
+   * @returns {boolean}
+   */
+  verifySecret(clientSecret) {
+    if (!this.client_secret_hash || typeof clientSecret !== 'string') {
+      return false;
+    }
+    return crypto.timingSafeEqual(
+      Buffer.from(hashToken(clientSecret)),
+      Buffer.from(this.client_secret_hash)
+    );
+  }
+
+  /**
+   * ELIMINAR EL CLIENTE
+   *
+   * Sus códigos y consentimientos se borran y sus refresh tokens se
+   * revocan: la aplicación deja de poder renovar sesiones en el acto.
+   * Los access tokens ya emitidos valen hasta que expiran (son cortos).
+   *
+   * @returns {Promise<void>}
+   */
+  async delete() {
+    await getRepository().transaction(async (tx) => {
+      await tx.run('DELETE FROM oidc_authorization_codes WHERE client_id = ?', [
+        this.client_id,
+      ]);
+      await tx.run('DELETE FROM oidc_consents WHERE client_id = ?', [
+        this.client_id,
+      ]);
+      await tx.run(
+        `
+          UPDATE refresh_tokens SET revoked_at = ?
+          WHERE client_id = ? AND revoked_at IS NULL
+        `,
+        [new Date().toISOString(), this.client_id]
+      );
+      await tx.run('DELETE FROM oidc_clients WHERE id = ?', [this.id]);
+    });
+  }
+
+  /**
+   * DATOS PÚBLICOS (sin el hash del secreto)
+   */
+  toPublicJSON() {
+    return {
+      id: this.id,
+      clientId: this.client_id,
+      name: this.name,
+      redirectUris: this.redirect_uris,
+      confidential: this.isConfidential,
+      createdAt: this.created_at,
+    };
+  }
+}
+
+module.exports = OidcClient;
@@ -0,0 +1,67 @@
+// src/models/OidcConsent.js - Permisos que cada usuario aprobó a cada cliente OpenID Connect
+const { getRepository } = require('../config/database');
+
+/**
+ * MODELO OIDCCONSENT
+ *
+ * La primera vez que una aplicación pide acceso, el usuario ve qué datos
+ * solicita (scope) y decide. Si aprueba, se recuerda: los siguientes
+ * logins con los mismos permisos (o menos) no vuelven a preguntar. Si la
+ * aplicación pide algo nuevo, se pregunta otra vez.
+ */
+
+class OidcConsent {
+  /**
+   * PERMISOS APROBADOS
+   *
+   * @param {number} userId
+   * @param {string} clientId
+   * @returns {Promise<string[]>} - Vacío si nunca aprobó nada
+   */
+  static async findScopes(userId, clientId) {
+    const row = await getRepository().get(
+      'SELECT scope FROM oidc_consents WHERE user_id = ? AND client_id = ?',
+      [userId, clientId]
+    );
+    return row ? row.scope.split(' ') : [];
+  }
+
+  /**
+   * ¿Ya aprobó todos estos permisos?
+   *
+   * @param {number} userId
+   * @param {string} clientId
+   * @param {string[]} scopes - Permisos solicitados
+   * @returns {Promise<boolean>}
+   */
+  static async covers(userId, clientId, scopes) {
+    const granted = await OidcConsent.findScopes(userId, clientId);
+    return scopes.every((scope) => granted.includes(scope));
+  }
+
+  /**
+   * GUARDAR LA APROBACIÓN (se suma a la anterior)
+   *
+   * @param {number} userId
+   * @param {string} clientId
+   * @param {string[]} scopes - Permisos aprobados
+   * @returns {Promise<void>}
+   */
+  static async grant(userId, clientId, scopes) {
+    const granted = await OidcConsent.findScopes(userId, clientId);
+    const scope = [...new Set([...granted, ...scopes])].join(' ');
+    const now = new Date().toISOString();
+
+    await getRepository().run(
+      `
+        INSERT INTO oidc_consents (user_id, client_id, scope, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (user_id, client_id)
+        DO UPDATE SET scope = excluded.scope, updated_at = excluded.updated_at
+      `,
+      [userId, clientId, scope, now, now]
+    );
+  }
+}
+
+module.exports = OidcConsent;
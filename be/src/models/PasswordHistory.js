@@ -0,0 +1,99 @@
+// src/models/PasswordHistory.js - Historial de passwords para impedir su reutilización
+const { getRepository } = require('../config/database');
+const { verifyPassword } = require('../utils/passwordHasher');
+
+/**
+ * MODELO PASSWORDHISTORY
+ *
+ * ¿Por qué guardar passwords anteriores?
+ * - Si un password se filtró, volver a usarlo reabre la misma puerta
+ * - Muchas políticas de seguridad exigen no repetir los últimos N passwords
+ *
+ * Solo se guardan hashes (nunca el texto plano). Para saber si un password
+ * nuevo coincide con uno anterior lo verificamos contra cada hash guardado
+ * (verifyPassword de utils/passwordHasher.js reconoce el algoritmo de cada uno).
+ *
+ * PASSWORD_HISTORY_SIZE: cuántos passwords anteriores se recuerdan
+ * (además del actual, que siempre se compara).
+ */
+
+const PASSWORD_HISTORY_SIZE =
+  parseInt(process.env.PASSWORD_HISTORY_SIZE, 10) || 5;
+
+class PasswordHistory {
+  // Expuesto para poder mencionarlo en los mensajes de error
+  static HISTORY_SIZE = PASSWORD_HISTORY_SIZE;
+
+  /**
+   * AGREGAR UN HASH AL HISTORIAL
+   *
+   * Después de insertar, elimina las entradas más antiguas para
+   * conservar solo las últimas PASSWORD_HISTORY_SIZE.
+   *
+   * @param {number} userId - ID del usuario
+   * @param {string} passwordHash - Hash del password anterior
+   * @returns {Promise<void>}
+   */
+  static async add(userId, passwordHash) {
+    const db = getRepository();
+
+    await db.run(
+      'INSERT INTO password_history (user_id, password_hash) VALUES (?, ?)',
+      [userId, passwordHash]
+    );
+
+    const query = `
+      DELETE FROM password_history
+      WHERE user_id = ? AND id NOT IN (
+        SELECT id FROM password_history
+        WHERE user_id = ?
+        ORDER BY id DESC
+        LIMIT ?
+      )
+    `;
+
+    await db.run(query, [userId, userId, PASSWORD_HISTORY_SIZE]);
+  }
+
+  /**
+   * OBTENER LOS HASHES MÁS RECIENTES
+   *
+   * @param {number} userId - ID del usuario
+   * @returns {Promise<string[]>} - Hashes, del más reciente al más antiguo
+   */
+  static async getRecentHashes(userId) {
+    const db = getRepository();
+
+    const query = `
+      SELECT password_hash FROM password_history
+      WHERE user_id = ?
+      ORDER BY id DESC
+      LIMIT ?
+    `;
+
+    const rows = await db.all(query, [userId, PASSWORD_HISTORY_SIZE]);
+    return rows.map((row) => row.password_hash);
+  }
+
+  /**
+   * ¿EL PASSWORD FUE USADO RECIENTEMENTE?
+   *
+   * @param {number} userId - ID del usuario
+   * @param {string} plainPassword - Password candidato en texto plano
+   * @returns {Promise<boolean>} - true si coincide con algún hash del historial
+   */
+  static async wasRecentlyUsed(userId, plainPassword) {
+    const hashes = await PasswordHistory.getRecentHashes(userId);
+
+    for (const hash of hashes) {
+      const { valid } = await verifyPassword(plainPassword, hash);
+      if (valid) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+}
+
+module.exports = PasswordHistory;
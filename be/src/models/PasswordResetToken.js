@@ -0,0 +1,164 @@
+// src/models/PasswordResetToken.js - Tokens de un solo uso para restablecer el password
+const { getRepository } = require('../config/database');
+const { generateOpaqueToken, hashToken } = require('../utils/tokens');
+
+/**
+ * MODELO PASSWORDRESETTOKEN
+ *
+ * Flujo de "olvidé mi contraseña":
+ * 1. El usuario pide recuperar su cuenta → create() genera un token
+ * 2. El token (en texto plano) viaja SOLO en el enlace del email
+ * 3. El usuario abre el enlace y envía su nuevo password junto al token
+ * 4. consume() marca el token como usado: no puede usarse dos veces
+ *
+ * Medidas de seguridad:
+ * - En la BD solo se guarda el hash del token
+ * - Expira en RESET_TOKEN_EXPIRES_MINUTES (30 minutos por defecto)
+ * - Al pedir un token nuevo, los anteriores sin usar se invalidan
+ * - Como mucho un token por cuenta cada PASSWORD_RESET_INTERVAL_SECONDS
+ *   (60 por defecto): si no, cualquiera podría inundar de emails a un
+ *   usuario e invalidar una y otra vez su enlace pendiente
+ */
+
+const RESET_TOKEN_EXPIRES_MINUTES =
+  parseInt(process.env.RESET_TOKEN_EXPIRES_MINUTES, 10) || 30;
+
+const RESET_REQUEST_INTERVAL_SECONDS =
+  parseInt(process.env.PASSWORD_RESET_INTERVAL_SECONDS, 10) || 60;
+
+class PasswordResetToken {
+  constructor(data) {
+    this.id = data.id;
+    this.user_id = data.user_id;
+    this.token_hash = data.token_hash;
+    this.expires_at = data.expires_at;
+    this.used_at = data.used_at;
+    this.created_at = data.created_at;
+  }
+
+  /**
+   * CREAR UN TOKEN DE RECUPERACIÓN
+   *
+   * Invalida los tokens anteriores del usuario que no se usaron:
+   * solo el enlace del email más reciente funciona. Ambos pasos van en
+   * una transacción.
+   *
+   * @param {number} userId - ID del usuario
+   * @returns {Promise<{token: string, expiresAt: Date}>} - Token en texto plano
+   */
+  static async create(userId) {
+    const db = getRepository();
+    const token = generateOpaqueToken();
+    const now = new Date();
+    const expiresAt = new Date(
+      now.getTime() + RESET_TOKEN_EXPIRES_MINUTES * 60 * 1000
+    );
+
+    await db.transaction(async (tx) => {
+      await tx.run(
+        `
+          UPDATE password_reset_tokens SET used_at = ?
+          WHERE user_id = ? AND used_at IS NULL
+        `,
+        [now.toISOString(), userId]
+      );
+
+      // created_at explícito (ISO) para compararlo en canRequest()
+      await tx.run(
+        `
+          INSERT INTO password_reset_tokens (
+            user_id, token_hash, expires_at, created_at
+          )
+          VALUES (?, ?, ?, ?)
+        `,
+        [userId, hashToken(token), expiresAt.toISOString(), now.toISOString()]
+      );
+    });
+
+    return { token, expiresAt };
+  }
+
+  /**
+   * ¿PUEDE PEDIRSE OTRO TOKEN?
+   *
+   * Solo si el último se creó hace al menos
+   * PASSWORD_RESET_INTERVAL_SECONDS (igual que
+   * User#canResendVerification con el email de verificación).
+   *
+   * @param {number} userId - ID del usuario
+   * @returns {Promise<boolean>}
+   */
+  static async canRequest(userId) {
+    const since = new Date(Date.now() - RESET_REQUEST_INTERVAL_SECONDS * 1000);
+
+    const row = await getRepository().get(
+      `
+        SELECT id FROM password_reset_tokens
+        WHERE user_id = ? AND created_at > ?
+      `,
+      [userId, since.toISOString()]
+    );
+    return !row;
+  }
+
+  /**
+   * BUSCAR UN TOKEN VÁLIDO (NO USADO Y NO EXPIRADO)
+   *
+   * @param {string} token - Token en texto plano recibido del cliente
+   * @returns {Promise<PasswordResetToken|null>}
+   */
+  static async findValid(token) {
+    const db = getRepository();
+
+    const query = `
+      SELECT * FROM password_reset_tokens
+      WHERE token_hash = ? AND used_at IS NULL AND expires_at > ?
+    `;
+
+    const row = await db.get(query, [
+      hashToken(token),
+      new Date().toISOString(),
+    ]);
+    return row ? new PasswordResetToken(row) : null;
+  }
+
+  /**
+   * PURGAR TOKENS EXPIRADOS
+   *
+   * @returns {Promise<number>} - Cantidad de registros eliminados
+   */
+  static async purgeExpired() {
+    const db = getRepository();
+
+    const { changes } = await db.run(
+      'DELETE FROM password_reset_tokens WHERE expires_at <= ?',
+      [new Date().toISOString()]
+    );
+    return changes;
+  }
+
+  /**
+   * CONSUMIR EL TOKEN
+   *
+   * "used_at IS NULL" en el WHERE hace la operación atómica: si llegan
+   * dos peticiones con el mismo token, solo una lo consume.
+   *
+   * @returns {Promise<boolean>} - true si este llamado consumió el token
+   */
+  async consume() {
+    const db = getRepository();
+
+    const query = `
+      UPDATE password_reset_tokens SET used_at = ?
+      WHERE id = ? AND used_at IS NULL
+    `;
+
+    const { changes } = await db.run(query, [
+      new Date().toISOString(),
+      this.id,
+    ]);
+    return changes > 0;
+  }
+}
+
+module.exports = PasswordResetToken;
@@ -0,0 +1,121 @@
+// src/models/RecoveryCode.js - Códigos de recuperación de la verificación en dos pasos
+const crypto = require('crypto');
+const { getRepository } = require('../config/database');
+const { hashToken } = require('../utils/tokens');
+const { base32Encode } = require('../utils/totp');
+
+/**
+ * MODELO RECOVERYCODE
+ *
+ * Si el usuario pierde el teléfono con la app de autenticación, no
+ * podría volver a entrar. Los códigos de recuperación lo evitan:
+ * - Se muestran UNA sola vez, al activar (o regenerar) la verificación
+ *   en dos pasos; el usuario debe guardarlos en un lugar seguro
+ * - Cada uno sirve para UN login en lugar del código de la app
+ * - Regenerarlos invalida todos los anteriores
+ *
+ * Igual que los tokens opacos, solo se guarda su hash SHA-256: cada
+ * código tiene 80 bits aleatorios, demasiados para probarlos todos.
+ *
+ * Formato: XXXX-XXXX-XXXX-XXXX (Base32: sin 0/1/8/9, que se confunden
+ * con O/I/B/g al copiarlos a mano). Al verificar se ignoran guiones,
+ * espacios y mayúsculas/minúsculas.
+ */
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Quita los guiones y espacios y pasa a mayúsculas
+ *
+ * @param {string} code
+ * @returns {string}
+ */
+const normalizeCode = (code) => code.toUpperCase().replace(/[\s-]/g, '');
+
+const generateCode = () =>
+  base32Encode(crypto.randomBytes(10)).match(/.{4}/g).join('-');
+
+class RecoveryCode {
+  static COUNT = RECOVERY_CODE_COUNT;
+
+  /**
+   * GENERAR UN JUEGO NUEVO DE CÓDIGOS
+   *
+   * Borra los anteriores (usados o no) e inserta los nuevos, todo en
+   * una transacción.
+   *
+   * @param {number} userId - ID del usuario
+   * @returns {Promise<string[]>} - Códigos en texto plano (mostrarlos una vez)
+   */
+  static async regenerate(userId) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateCode);
+
+    await getRepository().transaction(async (tx) => {
+      await tx.run('DELETE FROM mfa_recovery_codes WHERE user_id = ?', [
+        userId,
+      ]);
+
+      for (const code of codes) {
+        await tx.run(
+          'INSERT INTO mfa_recovery_codes (user_id, code_hash) VALUES (?, ?)',
+          [userId, hashToken(normalizeCode(code))]
+        );
+      }
+    });
+
+    return codes;
+  }
+
+  /**
+   * USAR UN CÓDIGO
+   *
+   * "used_at IS NULL" en el WHERE hace la operación atómica: un código
+   * solo puede consumirse una vez aunque lleguen dos peticiones a la vez.
+   *
+   * @param {number} userId - ID del usuario
+   * @param {string} code - Código introducido por el usuario
+   * @returns {Promise<boolean>} - true si el código era válido y se consumió
+   */
+  static async consume(userId, code) {
+    const { changes } = await getRepository().run(
+      `
+        UPDATE mfa_recovery_codes SET used_at = ?
+        WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+      `,
+      [new Date().toISOString(), userId, hashToken(normalizeCode(code))]
+    );
+    return changes > 0;
+  }
+
+  /**
+   * CÓDIGOS SIN USAR
+   *
+   * @param {number} userId - ID del usuario
+   * @returns {Promise<number>}
+   */
+  static async countRemaining(userId) {
+    const row = await getRepository().get(
+      `
+        SELECT COUNT(*) AS total FROM mfa_recovery_codes
+        WHERE user_id = ? AND used_at IS NULL
+      `,
+      [userId]
+    );
+    return row.total;
+  }
+
+  /**
+   * ELIMINAR TODOS LOS CÓDIGOS DEL USUARIO
+   *
+   * @param {number} userId - ID del usuario
+   * @returns {Promise<void>}
+   */
+  static async deleteForUser(userId) {
+    await getRepository().run(
+      'DELETE FROM mfa_recovery_codes WHERE user_id = ?',
+      [userId]
+    );
+  }
+}
+
+module.exports = RecoveryCode;
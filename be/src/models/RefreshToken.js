@@ -0,0 +1,200 @@
+// src/models/RefreshToken.js - Refresh tokens opacos con rotación y detección de reutilización
+const crypto = require('crypto');
+const { getRepository } = require('../config/database');
+const { generateOpaqueToken, hashToken } = require('../utils/tokens');
+
+/**
+ * MODELO REFRESHTOKEN
+ *
+ * ¿Por qué refresh tokens?
+ * - Los access tokens (JWT) duran poco (p. ej. 15 minutos) para limitar
+ *   el daño si se filtran
+ * - El refresh token dura días y solo sirve para pedir un nuevo access token
+ * - Así el usuario no tiene que volver a iniciar sesión cada vez que expira
+ *
+ * ROTACIÓN:
+ * Cada vez que se usa un refresh token, se invalida y se entrega uno nuevo.
+ * Un refresh token solo puede usarse UNA vez.
+ *
+ * DETECCIÓN DE REUTILIZACIÓN:
+ * Si llega un refresh token que ya fue usado, alguien tiene una copia
+ * (el usuario legítimo o un atacante). Como no sabemos quién es quién,
+ * revocamos toda la "familia" de tokens que nació del mismo login y
+ * obligamos a iniciar sesión de nuevo.
+ *
+ * SEGURIDAD DEL ALMACENAMIENTO:
+ * El token es una cadena aleatoria de 48 bytes. En la BD solo guardamos su
+ * hash SHA-256 (no hace falta bcrypt: el token ya tiene alta entropía).
+ *
+ * CLIENTES OPENID CONNECT:
+ * Las aplicaciones que inician sesión con este sistema (ver
+ * controllers/oidcController.js) reciben refresh tokens de la misma
+ * tabla, marcados con su client_id y el scope aprobado. Solo se canjean
+ * en el token endpoint y solo por ese cliente; los de la aplicación
+ * propia tienen client_id NULL.
+ */
+
+const REFRESH_TOKEN_EXPIRES_DAYS =
+  parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS, 10) || 7;
+
+class RefreshToken {
+  constructor(data) {
+    this.id = data.id;
+    this.user_id = data.user_id;
+    this.token_hash = data.token_hash;
+    this.family_id = data.family_id;
+    this.client_id = data.client_id;
+    this.scope = data.scope;
+    this.expires_at = data.expires_at;
+    this.revoked_at = data.revoked_at;
+    this.created_at = data.created_at;
+  }
+
+  /**
+   * EMITIR UN NUEVO REFRESH TOKEN
+   *
+   * @param {number} userId - ID del usuario
+   * @param {string} [familyId] - Familia a la que pertenece (si es una
+   *   rotación). Si no se indica, se inicia una familia nueva (login).
+   * @param {Object} [grant] - Solo para clientes OpenID Connect
+   * @param {string} [grant.clientId] - Cliente al que se emite
+   * @param {string} [grant.scope] - Permisos aprobados
+   * @returns {Promise<{token: string, familyId: string, expiresAt: Date}>}
+   *   El token en texto plano: es la ÚNICA vez que está disponible
+   */
+  static async issue(
+    userId,
+    familyId = crypto.randomUUID(),
+    { clientId = null, scope = null } = {}
+  ) {
+    const db = getRepository();
+    const token = generateOpaqueToken();
+    const expiresAt = new Date(
+      Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000
+    );
+
+    const query = `
+      INSERT INTO refresh_tokens (
+        user_id, token_hash, family_id, expires_at, client_id, scope
+      )
+      VALUES (?, ?, ?, ?, ?, ?)
+    `;
+
+    await db.run(query, [
+      userId,
+      hashToken(token),
+      familyId,
+      expiresAt.toISOString(),
+      clientId,
+      scope,
+    ]);
+    return { token, familyId, expiresAt };
+  }
+
+  /**
+   * BUSCAR UN REFRESH TOKEN A PARTIR DEL VALOR EN TEXTO PLANO
+   *
+   * @param {string} token - Token recibido del cliente
+   * @returns {Promise<RefreshToken|null>}
+   */
+  static async findByToken(token) {
+    const db = getRepository();
+
+    const row = await db.get(
+      'SELECT * FROM refresh_tokens WHERE token_hash = ?',
+      [hashToken(token)]
+    );
+    return row ? new RefreshToken(row) : null;
+  }
+
+  /**
+   * REVOCAR UNA FAMILIA COMPLETA
+   *
+   * Se usa al detectar reutilización y en el logout.
+   *
+   * @param {string} familyId - Identificador de la familia
+   * @returns {Promise<number>} - Cantidad de tokens revocados
+   */
+  static async revokeFamily(familyId) {
+    const db = getRepository();
+
+    const query = `
+      UPDATE refresh_tokens SET revoked_at = ?
+      WHERE family_id = ? AND revoked_at IS NULL
+    `;
+
+    const { changes } = await db.run(query, [
+      new Date().toISOString(),
+      familyId,
+    ]);
+    return changes;
+  }
+
+  /**
+   * REVOCAR TODOS LOS REFRESH TOKENS DE UN USUARIO
+   *
+   * Útil cuando cambian las credenciales o se fuerza el cierre de sesiones.
+   *
+   * @param {number} userId - ID del usuario
+   * @returns {Promise<number>} - Cantidad de tokens revocados
+   */
+  static async revokeAllForUser(userId) {
+    const db = getRepository();
+
+    const query = `
+      UPDATE refresh_tokens SET revoked_at = ?
+      WHERE user_id = ? AND revoked_at IS NULL
+    `;
+
+    const { changes } = await db.run(query, [new Date().toISOString(), userId]);
+    return changes;
+  }
+
+  /**
+   * PURGAR REFRESH TOKENS EXPIRADOS
+   *
+   * @returns {Promise<number>} - Cantidad de registros eliminados
+   */
+  static async purgeExpired() {
+    const db = getRepository();
+
+    const { changes } = await db.run(
+      'DELETE FROM refresh_tokens WHERE expires_at <= ?',
+      [new Date().toISOString()]
+    );
+    return changes;
+  }
+
+  /**
+   * ¿EL TOKEN YA EXPIRÓ?
+   *
+   * @returns {boolean}
+   */
+  isExpired() {
+    return new Date(this.expires_at) <= new Date();
+  }
+
+  /**
+   * CONSUMIR EL TOKEN (MARCARLO COMO USADO)
+   *
+   * La condición "revoked_at IS NULL" hace la operación atómica:
+   * si dos peticiones usan el mismo token a la vez, solo una lo consigue
+   * y la otra se trata como reutilización.
+   *
+   * @returns {Promise<boolean>} - true si este llamado consumió el token
+   */
+  async consume() {
+    const db = getRepository();
+    const revokedAt = new Date().toISOString();
+
+    const query = `
+      UPDATE refresh_tokens SET revoked_at = ?
+      WHERE id = ? AND revoked_at IS NULL
+    `;
+
+    const { changes } = await db.run(query, [revokedAt, this.id]);
+    return changes > 0;
+  }
+}
+
+module.exports = RefreshToken;
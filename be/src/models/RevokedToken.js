@@ -0,0 +1,86 @@
+// src/models/RevokedToken.js - Lista de tokens JWT revocados (logout en servidor)
+const { getRepository } = require('../config/database');
+
+/**
+ * MODELO REVOKEDTOKEN
+ *
+ * Un JWT es "stateless": el servidor no guarda sesiones, así que por sí solo
+ * sigue siendo válido hasta que expira aunque el usuario haga logout.
+ * Si alguien roba el token, podría seguir usándolo.
+ *
+ * Para resolverlo guardamos una "lista negra" de tokens revocados:
+ * - Cada token lleva un identificador único (claim 'jti')
+ * - Al hacer logout, guardamos ese jti en la tabla revoked_tokens
+ * - authMiddleware consulta la tabla y rechaza los tokens revocados
+ *
+ * ¿Por qué guardar expires_at?
+ * - Un token expirado ya es rechazado por jwt.verify()
+ * - Por lo tanto, después de su expiración no necesitamos recordarlo
+ * - purgeExpired() elimina esos registros para que la tabla no crezca sin límite
+ */
+class RevokedToken {
+  /**
+   * REVOCAR UN TOKEN
+   *
+   * ON CONFLICT DO NOTHING: si el token ya estaba revocado (logout
+   * repetido), no se produce error de clave primaria duplicada.
+   *
+   * @param {Object} tokenData - Datos del token a revocar
+   * @param {string} tokenData.jti - Identificador único del token
+   * @param {number} tokenData.userId - ID del usuario dueño del token
+   * @param {Date} tokenData.expiresAt - Fecha de expiración del token
+   * @returns {Promise<boolean>} - true si se registró la revocación
+   */
+  static async revoke({ jti, userId, expiresAt }) {
+    const db = getRepository();
+
+    const query = `
+      INSERT INTO revoked_tokens (jti, user_id, expires_at)
+      VALUES (?, ?, ?)
+      ON CONFLICT (jti) DO NOTHING
+    `;
+
+    const { changes } = await db.run(query, [
+      jti,
+      userId,
+      expiresAt.toISOString(),
+    ]);
+    return changes > 0;
+  }
+
+  /**
+   * VERIFICAR SI UN TOKEN ESTÁ REVOCADO
+   *
+   * @param {string} jti - Identificador único del token
+   * @returns {Promise<boolean>} - true si el token fue revocado
+   */
+  static async isRevoked(jti) {
+    const db = getRepository();
+
+    const row = await db.get('SELECT 1 FROM revoked_tokens WHERE jti = ?', [
+      jti,
+    ]);
+    return Boolean(row);
+  }
+
+  /**
+   * PURGAR TOKENS EXPIRADOS
+   *
+   * Se ejecuta periódicamente desde app.js. Los tokens expirados ya
+   * son rechazados por jwt.verify(), así que mantenerlos en la lista
+   * negra solo ocupa espacio.
+   *
+   * @returns {Promise<number>} - Cantidad de registros eliminados
+   */
+  static async purgeExpired() {
+    const db = getRepository();
+
+    const { changes } = await db.run(
+      'DELETE FROM revoked_tokens WHERE expires_at <= ?',
+      [new Date().toISOString()]
+    );
+    return changes;
+  }
+}
+
+module.exports = RevokedToken;
@@ -0,0 +1,65 @@
+// src/models/Role.js - Roles y permisos (RBAC)
+const { getRepository } = require('../config/database');
+
+/**
+ * MODELO ROLE
+ *
+ * Consulta las tablas roles, permissions y role_permissions, sembradas
+ * al iniciar la BD a partir del catálogo de config/rbac.js.
+ *
+ * ¿Por qué consultar la BD y no usar directamente el catálogo?
+ * - La BD es la fuente de verdad: un administrador puede asignar
+ *   permisos a un rol sin cambiar el código
+ * - El catálogo solo define los valores iniciales
+ */
+class Role {
+  /**
+   * ¿EXISTE EL ROL?
+   *
+   * @param {string} name - Nombre del rol
+   * @returns {Promise<boolean>}
+   */
+  static async exists(name) {
+    const db = getRepository();
+
+    const row = await db.get('SELECT 1 FROM roles WHERE name = ?', [name]);
+    return Boolean(row);
+  }
+
+  /**
+   * LISTAR LOS ROLES
+   *
+   * @returns {Promise<Array<{name: string, description: string}>>}
+   */
+  static async findAll() {
+    const db = getRepository();
+
+    return db.all('SELECT name, description FROM roles ORDER BY name');
+  }
+
+  /**
+   * OBTENER LOS PERMISOS DE UN ROL
+   *
+   * JOIN entre role_permissions, roles y permissions para traducir
+   * el nombre del rol en la lista de nombres de permisos.
+   *
+   * @param {string} name - Nombre del rol
+   * @returns {Promise<string[]>} - Permisos (vacío si el rol no existe)
+   */
+  static async getPermissions(name) {
+    const db = getRepository();
+
+    const query = `
+      SELECT permissions.name FROM role_permissions
+      JOIN roles ON roles.id = role_permissions.role_id
+      JOIN permissions ON permissions.id = role_permissions.permission_id
+      WHERE roles.name = ?
+      ORDER BY permissions.name
+    `;
+
+    const rows = await db.all(query, [name]);
+    return rows.map((row) => row.name);
+  }
+}
+
+module.exports = Role;
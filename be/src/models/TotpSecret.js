@@ -0,0 +1,147 @@
+// src/models/TotpSecret.js - Secreto TOTP de la verificación en dos pasos
+const { getRepository } = require('../config/database');
+const { generateSecret, verifyCode } = require('../utils/totp');
+const { encryptSecret, decryptSecret } = require('../utils/encryption');
+
+/**
+ * MODELO TOTPSECRET
+ *
+ * Activación de la verificación en dos pasos:
+ * 1. createPending() genera un secreto nuevo (aún NO confirmado)
+ * 2. El usuario lo escanea con su app (código QR)
+ * 3. Envía el primer código: si verify() lo acepta, confirm() activa
+ *    la verificación en dos pasos
+ *
+ * Mientras no se confirme, el login sigue pidiendo solo el password:
+ * así un QR mal escaneado no deja al usuario fuera de su cuenta.
+ *
+ * El secreto se guarda cifrado (utils/encryption.js).
+ */
+
+class TotpSecret {
+  constructor(data) {
+    this.id = data.id;
+    this.user_id = data.user_id;
+    this.secret = data.secret;
+    this.confirmed_at = data.confirmed_at;
+    this.last_used_step = data.last_used_step;
+    this.created_at = data.created_at;
+  }
+
+  /**
+   * BUSCAR EL SECRETO DE UN USUARIO
+   *
+   * @param {number} userId - ID del usuario
+   * @returns {Promise<TotpSecret|null>}
+   */
+  static async findByUserId(userId) {
+    const row = await getRepository().get(
+      'SELECT * FROM totp_secrets WHERE user_id = ?',
+      [userId]
+    );
+    return row ? new TotpSecret(row) : null;
+  }
+
+  /**
+   * ¿TIENE EL USUARIO LA VERIFICACIÓN EN DOS PASOS ACTIVA?
+   *
+   * @param {number} userId - ID del usuario
+   * @returns {Promise<boolean>}
+   */
+  static async isEnabled(userId) {
+    const secret = await TotpSecret.findByUserId(userId);
+    return Boolean(secret && secret.confirmed_at);
+  }
+
+  /**
+   * GENERAR UN SECRETO PENDIENTE DE CONFIRMAR
+   *
+   * Reemplaza un secreto pendiente anterior (p. ej. si el usuario
+   * empezó la activación y no la terminó). El controlador comprueba
+   * antes que la verificación en dos pasos no esté ya activa.
+   *
+   * @param {number} userId - ID del usuario
+   * @returns {Promise<string>} - Secreto en Base32 (en texto plano, para el QR)
+   */
+  static async createPending(userId) {
+    const secret = generateSecret();
+
+    await getRepository().run(
+      `
+        INSERT INTO totp_secrets (user_id, secret)
+        VALUES (?, ?)
+        ON CONFLICT (user_id) DO UPDATE SET
+          secret = excluded.secret,
+          confirmed_at = NULL,
+          last_used_step = NULL,
+          created_at = CURRENT_TIMESTAMP
+      `,
+      [userId, encryptSecret(secret)]
+    );
+
+    return secret;
+  }
+
+  /**
+   * ELIMINAR EL SECRETO (DESACTIVAR)
+   *
+   * @param {number} userId - ID del usuario
+   * @returns {Promise<void>}
+   */
+  static async deleteForUser(userId) {
+    await getRepository().run('DELETE FROM totp_secrets WHERE user_id = ?', [
+      userId,
+    ]);
+  }
+
+  /**
+   * VERIFICAR UN CÓDIGO DE LA APP
+   *
+   * Un código aceptado no puede volver a usarse: se guarda su paso en
+   * last_used_step y solo se aceptan pasos posteriores. El UPDATE con
+   * la condición en el WHERE es atómico: si dos peticiones envían el
+   * mismo código a la vez, solo una lo consume.
+   *
+   * @param {string} code - Código de 6 dígitos
+   * @returns {Promise<boolean>}
+   */
+  async verify(code) {
+    const step = verifyCode(decryptSecret(this.secret), code, {
+      afterStep: this.last_used_step,
+    });
+    if (step === null) {
+      return false;
+    }
+
+    const { changes } = await getRepository().run(
+      `
+        UPDATE totp_secrets SET last_used_step = ?
+        WHERE id = ? AND (last_used_step IS NULL OR last_used_step < ?)
+      `,
+      [step, this.id, step]
+    );
+
+    if (changes > 0) {
+      this.last_used_step = step;
+    }
+    return changes > 0;
+  }
+
+  /**
+   * CONFIRMAR LA ACTIVACIÓN
+   *
+   * @returns {Promise<void>}
+   */
+  async confirm() {
+    const now = new Date().toISOString();
+
+    await getRepository().run(
+      'UPDATE totp_secrets SET confirmed_at = ? WHERE id = ?',
+      [now, this.id]
+    );
+
+    this.confirmed_at = now;
+  }
+}
+
+module.exports = TotpSecret;
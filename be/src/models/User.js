@@ -1,6 +1,17 @@
 // src/models/User.js - Modelo de datos para el usuario
-const bcrypt = require('bcryptjs');
-const { getDatabase } = require('../config/database');
+const { getRepository } = require('../config/database');
+const { hashPassword, verifyPassword } = require('../utils/passwordHasher');
+const { ConflictError } = require('../utils/errors');
+const logger = require('../utils/logger');
+const PasswordHistory = require('./PasswordHistory');
+
+/**
+ * ACCOUNT_DELETION_GRACE_DAYS: días durante los que una cuenta eliminada
+ * por su dueño puede restaurarse iniciando sesión (ver softDelete)
+ */
+const ACCOUNT_DELETION_GRACE_DAYS =
+  parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30;
+const GRACE_PERIOD_MS = ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000;
 
 /**
  * MODELO USER - PATRÓN ACTIVE RECORD
@@ -15,11 +26,18 @@ const { getDatabase } = require('../config/database');
  * - Encapsulación: Métodos públicos y privados
  * - Herencia: Posibilidad de extender funcionalidad
  *
- * ¿Qué es bcryptjs?
- * - Biblioteca para encriptar passwords de forma segura
- * - Implementa el algoritmo bcrypt con "salt" automático
+ * ¿Cómo se guardan los passwords?
+ * - Con un hash lento y con "salt" (bcrypt por defecto), nunca en texto plano
  * - Protege contra ataques de diccionario y rainbow tables
- * - Más seguro que MD5 o SHA porque es intencionalmente lento
+ * - El algoritmo y su coste se configuran en utils/passwordHasher.js
+ *   (PASSWORD_HASHER, BCRYPT_ROUNDS)
+ *
+ * ¿Cómo accede a la BD?
+ * - A través del adaptador de BD (getRepository(), ver config/adapters/):
+ *   get/all/run devuelven Promises, así que cada método es un simple await,
+ *   y el mismo SQL funciona con SQLite y con PostgreSQL
+ * - Las operaciones de varios pasos usan transaction() para que se
+ *   apliquen completas o no se apliquen
  */
 
 class User {
@@ -37,6 +55,12 @@ class User {
     this.nombres = data.nombres;
     this.apellidos = data.apellidos;
     this.password = data.password;
+    this.tokens_valid_after = data.tokens_valid_after;
+    this.email_verified_at = data.email_verified_at;
+    this.verification_sent_at = data.verification_sent_at;
+    this.role = data.role;
+    this.disabled_at = data.disabled_at;
+    this.deleted_at = data.deleted_at;
     this.created_at = data.created_at;
     this.updated_at = data.updated_at;
   }
@@ -48,7 +72,7 @@ class User {
    * Se llaman directamente: User.create() en lugar de user.create()
    *
    * ¿Por qué es async/await?
-   * - bcrypt.hash() es asíncrono para no bloquear el hilo principal
+   * - El hash del password es asíncrono para no bloquear el hilo principal
    * - Las operaciones de base de datos son asíncronas
    * - async/await hace el código más legible que callbacks anidados
    *
@@ -57,58 +81,44 @@ class User {
    */
   static async create(userData) {
     const { email, nombres, apellidos, password } = userData;
-    const db = getDatabase();
 
     try {
       /**
        * ENCRIPTACIÓN DEL PASSWORD
        *
-       * bcrypt.hash(password, saltRounds) donde saltRounds = 12:
+       * hashPassword() usa el algoritmo configurado (bcrypt con
+       * BCRYPT_ROUNDS rounds, 12 por defecto):
        * - Más rounds = más seguro pero más lento
-       * - 12 rounds es un buen balance para 2024
        * - El "salt" se genera automáticamente y se incluye en el hash
        * - Cada vez que encriptas la misma password, obtienes un hash diferente
        */
-      const hashedPassword = await bcrypt.hash(password, 12);
+      const hashedPassword = await hashPassword(password);
 
       /**
-       * PATRÓN PROMISE WRAPPER
+       * INSERCIÓN CON RETURNING
        *
-       * SQLite3 usa callbacks, pero preferimos Promises para consistency.
-       * Envolvemos la operación en una Promise para poder usar async/await.
-       *
-       * ¿Por qué usar function() en lugar de arrow function?
-       * - function() conserva el contexto 'this' del callback de SQLite
-       * - 'this.lastID' contiene el ID del registro recién insertado
-       * - Las arrow functions no tienen su propio 'this'
+       * RETURNING id devuelve el ID que la BD asignó al registro recién
+       * insertado (AUTOINCREMENT en SQLite, SERIAL en PostgreSQL), por
+       * eso se usa get() en lugar de run().
        */
-      return new Promise((resolve, reject) => {
-        const query = `
+      const { id } = await getRepository().get(
+        `
           INSERT INTO users (email, nombres, apellidos, password)
           VALUES (?, ?, ?, ?)
-        `;
-
-        db.run(
-          query,
-          [email, nombres, apellidos, hashedPassword],
-          function (err) {
-            if (err) {
-              reject(err);
-            } else {
-              // 'this.lastID' es específico de SQLite y contiene el ID del nuevo registro
-              resolve({
-                id: this.lastID,
-                email,
-                nombres,
-                apellidos,
-                created_at: new Date().toISOString(),
-              });
-            }
-          }
-        );
-      });
+          RETURNING id
+        `,
+        [email, nombres, apellidos, hashedPassword]
+      );
+
+      return {
+        id,
+        email,
+        nombres,
+        apellidos,
+        created_at: new Date().toISOString(),
+      };
     } catch (error) {
-      throw error;
+      throw toEmailConflict(error);
     }
   }
 
@@ -120,30 +130,31 @@ class User {
    * - Es lo que el usuario usa para hacer login
    * - Necesitamos verificar si un email ya existe al registrarse
    *
-   * ¿Por qué db.get() en lugar de db.all()?
-   * - db.get() retorna solo UNA fila (o null si no encuentra)
-   * - db.all() retorna un array de filas
+   * ¿Por qué get() en lugar de all()?
+   * - get() retorna solo UNA fila (o undefined si no encuentra)
+   * - all() retorna un array de filas
    * - Como email es único, esperamos máximo 1 resultado
    *
+   * Las cuentas eliminadas (deleted_at) no se devuelven, salvo con
+   * includeDeleted: lo necesitan el login (para restaurarlas) y las
+   * comprobaciones de email único (la fila sigue ocupando el email).
+   *
    * @param {string} email - Email del usuario a buscar
+   * @param {Object} [options]
+   * @param {boolean} [options.includeDeleted=false] - Incluir cuentas eliminadas
    * @returns {Promise<User|null>} - Instancia de User o null si no existe
    */
-  static async findByEmail(email) {
-    const db = getDatabase();
-
-    return new Promise((resolve, reject) => {
-      const query = 'SELECT * FROM users WHERE email = ?';
-
-      db.get(query, [email], (err, row) => {
-        if (err) {
-          reject(err);
-        } else {
-          // Si encontramos un registro, creamos una instancia de User
-          // Si no encontramos nada (row = undefined), retornamos null
-          resolve(row ? new User(row) : null);
-        }
-      });
-    });
+  static async findByEmail(email, { includeDeleted = false } = {}) {
+    const row = await getRepository().get(
+      `SELECT * FROM users WHERE email = ? ${
+        includeDeleted ? '' : 'AND deleted_at IS NULL'
+      }`,
+      [email]
+    );
+
+    // Si encontramos un registro, creamos una instancia de User
+    // Si no encontramos nada (row = undefined), retornamos null
+    return row ? new User(row) : null;
   }
 
   /**
@@ -154,23 +165,103 @@ class User {
    * - Obtener perfil de usuario
    * - Operaciones que requieren el usuario completo
    *
+   * Igual que findByEmail(), excluye las cuentas eliminadas: así sus
+   * tokens dejan de funcionar en authMiddleware.
+   *
    * @param {number} id - ID del usuario a buscar
+   * @param {Object} [options]
+   * @param {boolean} [options.includeDeleted=false] - Incluir cuentas eliminadas
    * @returns {Promise<User|null>} - Instancia de User o null si no existe
    */
-  static async findById(id) {
-    const db = getDatabase();
-
-    return new Promise((resolve, reject) => {
-      const query = 'SELECT * FROM users WHERE id = ?';
-
-      db.get(query, [id], (err, row) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(row ? new User(row) : null);
-        }
-      });
-    });
+  static async findById(id, { includeDeleted = false } = {}) {
+    const row = await getRepository().get(
+      `SELECT * FROM users WHERE id = ? ${
+        includeDeleted ? '' : 'AND deleted_at IS NULL'
+      }`,
+      [id]
+    );
+
+    return row ? new User(row) : null;
+  }
+
+  /**
+   * COLUMNAS POR LAS QUE SE PUEDE ORDENAR EN findAll()
+   *
+   * Igual que UPDATABLE_FIELDS: el nombre de la columna se concatena en
+   * el SQL (ORDER BY no admite parámetros '?'), así que solo aceptamos
+   * valores de esta lista blanca.
+   */
+  static SORTABLE_FIELDS = [
+    'id',
+    'email',
+    'nombres',
+    'apellidos',
+    'role',
+    'created_at',
+  ];
+
+  /**
+   * MÉTODO ESTÁTICO PARA LISTAR USUARIOS (PAGINADO)
+   *
+   * Pensado para la administración de usuarios:
+   * - Filtros: búsqueda de texto, rol y estado (ver buildListFilters)
+   * - Ordenamiento por una columna de SORTABLE_FIELDS
+   * - Paginación con LIMIT/OFFSET
+   *
+   * @param {Object} [options]
+   * @param {string} [options.search] - Texto a buscar en email, nombres y apellidos
+   * @param {string} [options.role] - Solo usuarios con este rol
+   * @param {'active'|'disabled'} [options.status] - Estado de la cuenta
+   * @param {string} [options.sort='created_at'] - Columna de ordenamiento
+   * @param {'asc'|'desc'} [options.order='desc'] - Dirección del orden
+   * @param {number} [options.limit=20] - Máximo de resultados
+   * @param {number} [options.offset=0] - Resultados a saltar
+   * @returns {Promise<User[]>}
+   */
+  static async findAll({
+    sort = 'created_at',
+    order = 'desc',
+    limit = 20,
+    offset = 0,
+    ...filters
+  } = {}) {
+    if (!User.SORTABLE_FIELDS.includes(sort)) {
+      throw new Error(`No se puede ordenar por '${sort}'`);
+    }
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    const { where, params } = buildListFilters(filters);
+
+    // 'id' como segundo criterio: orden estable entre páginas
+    const rows = await getRepository().all(
+      `
+        SELECT * FROM users
+        ${where}
+        ORDER BY ${sort} ${direction}, id ${direction}
+        LIMIT ? OFFSET ?
+      `,
+      [...params, limit, offset]
+    );
+
+    return rows.map((row) => new User(row));
+  }
+
+  /**
+   * MÉTODO ESTÁTICO PARA CONTAR USUARIOS
+   *
+   * Acepta los mismos filtros que findAll() para calcular el total
+   * de páginas de un listado.
+   *
+   * @param {Object} [filters] - { search, role, status }
+   * @returns {Promise<number>}
+   */
+  static async count(filters = {}) {
+    const { where, params } = buildListFilters(filters);
+
+    const row = await getRepository().get(
+      `SELECT COUNT(*) AS total FROM users ${where}`,
+      params
+    );
+    return row.total;
   }
 
   /**
@@ -181,18 +272,377 @@ class User {
    * - Compara contra el password encriptado de ESE usuario
    * - Se llama como: usuario.verifyPassword(password)
    *
-   * ¿Cómo funciona bcrypt.compare()?
+   * ¿Cómo se compara con el hash?
    * - Toma el password en texto plano y el hash almacenado
-   * - Extrae el salt del hash almacenado
+   * - Extrae el salt (y el coste) del hash almacenado
    * - Encripta el password plano con ese salt
    * - Compara los hashes resultantes
    * - Retorna true si coinciden, false si no
    *
+   * ACTUALIZACIÓN TRANSPARENTE DEL HASH:
+   * Si el password es correcto pero el hash se hizo con un coste menor
+   * que BCRYPT_ROUNDS (o con otro algoritmo), se vuelve a calcular con la
+   * configuración actual y se guarda. Es el único momento en que tenemos
+   * el password en texto plano. No es un cambio de password: no se toca
+   * el historial ni se invalidan sesiones.
+   *
    * @param {string} plainPassword - Password en texto plano
    * @returns {Promise<boolean>} - true si el password es correcto
    */
   async verifyPassword(plainPassword) {
-    return await bcrypt.compare(plainPassword, this.password);
+    const { valid, needsRehash } = await verifyPassword(
+      plainPassword,
+      this.password
+    );
+
+    if (valid && needsRehash) {
+      await this.rehashPassword(plainPassword);
+    }
+    return valid;
+  }
+
+  /**
+   * GUARDAR EL PASSWORD CON EL ALGORITMO Y COSTE ACTUALES
+   *
+   * 'AND password = ?': si el password cambió mientras se calculaba el
+   * hash (otra petición), no se sobrescribe el nuevo.
+   *
+   * Un fallo aquí no debe impedir el login: el hash antiguo sigue siendo
+   * válido y se reintentará en el próximo inicio de sesión.
+   *
+   * @param {string} plainPassword - Password en texto plano (ya verificado)
+   * @returns {Promise<void>}
+   */
+  async rehashPassword(plainPassword) {
+    try {
+      const hashedPassword = await hashPassword(plainPassword);
+
+      const { changes } = await getRepository().run(
+        'UPDATE users SET password = ? WHERE id = ? AND password = ?',
+        [hashedPassword, this.id, this.password]
+      );
+
+      if (changes > 0) {
+        this.password = hashedPassword;
+      }
+    } catch (error) {
+      logger.error('Error al actualizar el hash del password', {
+        userId: this.id,
+        error,
+      });
+    }
+  }
+
+  /**
+   * MÉTODO PARA CAMBIAR EL PASSWORD
+   *
+   * A diferencia de update(), este método:
+   * - Encripta el nuevo password (hashPassword) antes de guardarlo
+   * - Guarda el hash anterior en password_history (evita reutilización)
+   * - Invalida todos los JWT emitidos hasta ahora (tokens_valid_after)
+   *
+   * El UPDATE y el historial van en una transacción: si guardar el
+   * historial fallara, el password no cambia (y viceversa).
+   *
+   * @param {string} newPassword - Nuevo password en texto plano
+   * @returns {Promise<void>}
+   */
+  async changePassword(newPassword) {
+    const previousHash = this.password;
+    const hashedPassword = await hashPassword(newPassword);
+    const now = new Date().toISOString();
+    const tokensValidAfter = User.currentSecond();
+
+    await getRepository().transaction(async (tx) => {
+      await tx.run(
+        `
+          UPDATE users
+          SET password = ?, tokens_valid_after = ?, updated_at = ?
+          WHERE id = ?
+        `,
+        [hashedPassword, tokensValidAfter, now, this.id]
+      );
+
+      await PasswordHistory.add(this.id, previousHash);
+    });
+
+    this.password = hashedPassword;
+    this.tokens_valid_after = tokensValidAfter;
+    this.updated_at = now;
+  }
+
+  /**
+   * MÉTODO PARA INVALIDAR TODOS LOS JWT DEL USUARIO
+   *
+   * Los JWT no se guardan en la BD, así que no podemos borrarlos uno a uno.
+   * En su lugar guardamos una fecha de corte: authMiddleware rechaza
+   * cualquier token cuyo 'iat' (fecha de emisión) sea anterior.
+   *
+   * @returns {Promise<void>}
+   */
+  async invalidateTokens() {
+    const tokensValidAfter = User.currentSecond();
+
+    await getRepository().run(
+      'UPDATE users SET tokens_valid_after = ? WHERE id = ?',
+      [tokensValidAfter, this.id]
+    );
+
+    this.tokens_valid_after = tokensValidAfter;
+  }
+
+  /**
+   * MÉTODO PARA CAMBIAR EL ROL DEL USUARIO
+   *
+   * 'role' no está en UPDATABLE_FIELDS a propósito: update() se usa para
+   * editar el perfil propio y un usuario nunca debe poder elegir su rol.
+   *
+   * Los access tokens llevan el rol como claim, así que los emitidos antes
+   * del cambio se invalidan; el cliente obtiene uno nuevo (con el rol
+   * correcto) usando su refresh token.
+   *
+   * @param {string} role - Nombre del nuevo rol (debe existir en 'roles')
+   * @returns {Promise<void>}
+   */
+  async setRole(role) {
+    const tokensValidAfter = User.currentSecond();
+
+    await getRepository().run(
+      `
+        UPDATE users
+        SET role = ?, tokens_valid_after = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `,
+      [role, tokensValidAfter, this.id]
+    );
+
+    this.role = role;
+    this.tokens_valid_after = tokensValidAfter;
+  }
+
+  /**
+   * MÉTODOS PARA DESHABILITAR / HABILITAR LA CUENTA
+   *
+   * Deshabilitar es reversible (a diferencia de delete()): el usuario
+   * no puede iniciar sesión ni usar sus tokens, pero sus datos se
+   * conservan. Al deshabilitar también se invalidan sus access tokens;
+   * los refresh tokens se revocan desde el controlador.
+   *
+   * @returns {Promise<void>}
+   */
+  async disable() {
+    const now = User.currentSecond();
+
+    await getRepository().run(
+      `
+        UPDATE users
+        SET disabled_at = ?, tokens_valid_after = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `,
+      [now, now, this.id]
+    );
+
+    this.disabled_at = now;
+    this.tokens_valid_after = now;
+  }
+
+  async enable() {
+    await getRepository().run(
+      `
+        UPDATE users
+        SET disabled_at = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `,
+      [this.id]
+    );
+
+    this.disabled_at = null;
+  }
+
+  /**
+   * ELIMINACIÓN DE LA CUENTA CON PERIODO DE GRACIA ("SOFT DELETE")
+   *
+   * En lugar de borrar la fila se guarda la fecha en deleted_at:
+   * - findByEmail() y findById() dejan de encontrar la cuenta
+   * - Se invalidan todos sus access tokens (tokens_valid_after)
+   * - Durante ACCOUNT_DELETION_GRACE_DAYS días el usuario puede
+   *   arrepentirse: iniciar sesión restaura la cuenta (restore())
+   * - Pasado ese plazo, purgeDeleted() la borra definitivamente
+   *
+   * @returns {Promise<void>}
+   */
+  async softDelete() {
+    const now = User.currentSecond();
+
+    await getRepository().run(
+      `
+        UPDATE users
+        SET deleted_at = ?, tokens_valid_after = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `,
+      [now, now, this.id]
+    );
+
+    this.deleted_at = now;
+    this.tokens_valid_after = now;
+  }
+
+  async restore() {
+    await getRepository().run(
+      `
+        UPDATE users
+        SET deleted_at = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `,
+      [this.id]
+    );
+
+    this.deleted_at = null;
+  }
+
+  /**
+   * FIN DEL PERIODO DE GRACIA DE UNA CUENTA ELIMINADA
+   *
+   * @returns {Date|null} - null si la cuenta no está eliminada
+   */
+  restorableUntil() {
+    if (!this.deleted_at) {
+      return null;
+    }
+    return new Date(Date.parse(this.deleted_at) + GRACE_PERIOD_MS);
+  }
+
+  /**
+   * ¿SIGUE LA CUENTA ELIMINADA DENTRO DEL PERIODO DE GRACIA?
+   *
+   * false si la cuenta no está eliminada o si el plazo ya venció
+   * (en ese caso solo espera a la próxima purga).
+   *
+   * @returns {boolean}
+   */
+  isRestorable() {
+    const until = this.restorableUntil();
+    return Boolean(until) && until.getTime() > Date.now();
+  }
+
+  /**
+   * PURGAR LAS CUENTAS CUYO PERIODO DE GRACIA VENCIÓ
+   *
+   * Borra definitivamente las filas y sus datos asociados. Las tablas
+   * relacionadas declaran ON DELETE CASCADE, pero SQLite no aplica las
+   * claves foráneas salvo que se active PRAGMA foreign_keys: por eso
+   * se borran explícitamente, todo en una transacción.
+   *
+   * @returns {Promise<number>} - Cantidad de cuentas eliminadas
+   */
+  static async purgeDeleted() {
+    // Cuentas eliminadas antes de esta fecha ya no pueden restaurarse
+    const cutoff = new Date(Date.now() - GRACE_PERIOD_MS).toISOString();
+    const expired = 'SELECT id FROM users WHERE deleted_at <= ?';
+
+    return getRepository().transaction(async (tx) => {
+      for (const table of User.DEPENDENT_TABLES) {
+        await tx.run(`DELETE FROM ${table} WHERE user_id IN (${expired})`, [
+          cutoff,
+        ]);
+      }
+
+      const { changes } = await tx.run(
+        'DELETE FROM users WHERE deleted_at <= ?',
+        [cutoff]
+      );
+      return changes;
+    });
+  }
+
+  /**
+   * Tablas con una columna user_id que referencia a users
+   */
+  static DEPENDENT_TABLES = [
+    'password_history',
+    'refresh_tokens',
+    'revoked_tokens',
+    'password_reset_tokens',
+    'totp_secrets',
+    'mfa_recovery_codes',
+    'webauthn_credentials',
+    'user_identities',
+    'oidc_authorization_codes',
+    'oidc_consents',
+  ];
+
+  /**
+   * MÉTODO PARA MARCAR EL EMAIL COMO VERIFICADO
+   *
+   * @returns {Promise<void>}
+   */
+  async markEmailVerified() {
+    const now = new Date().toISOString();
+
+    await getRepository().run(
+      'UPDATE users SET email_verified_at = ? WHERE id = ?',
+      [now, this.id]
+    );
+
+    this.email_verified_at = now;
+  }
+
+  /**
+   * MÉTODO PARA REGISTRAR EL ENVÍO DEL EMAIL DE VERIFICACIÓN
+   *
+   * Guardamos la fecha para limitar los reenvíos (ver canResendVerification).
+   *
+   * @returns {Promise<void>}
+   */
+  async markVerificationSent() {
+    const now = new Date().toISOString();
+
+    await getRepository().run(
+      'UPDATE users SET verification_sent_at = ? WHERE id = ?',
+      [now, this.id]
+    );
+
+    this.verification_sent_at = now;
+  }
+
+  /**
+   * ¿PUEDE REENVIARSE EL EMAIL DE VERIFICACIÓN?
+   *
+   * @param {number} minIntervalSeconds - Segundos mínimos entre envíos
+   * @returns {boolean}
+   */
+  canResendVerification(minIntervalSeconds) {
+    if (!this.verification_sent_at) {
+      return true;
+    }
+    const elapsed = Date.now() - Date.parse(this.verification_sent_at);
+    return elapsed >= minIntervalSeconds * 1000;
+  }
+
+  /**
+   * ¿EL TOKEN FUE EMITIDO ANTES DE LA FECHA DE CORTE?
+   *
+   * @param {number} issuedAt - Claim 'iat' del JWT (segundos desde epoch)
+   * @returns {boolean} - true si el token debe rechazarse
+   */
+  isTokenInvalidated(issuedAt) {
+    if (!this.tokens_valid_after) {
+      return false;
+    }
+    return issuedAt * 1000 < Date.parse(this.tokens_valid_after);
+  }
+
+  /**
+   * FECHA ACTUAL REDONDEADA AL SEGUNDO
+   *
+   * El claim 'iat' de los JWT tiene precisión de segundos. Redondeamos la
+   * fecha de corte para que un token emitido en el mismo segundo que el
+   * cambio (el de la sesión actual) siga siendo válido.
+   *
+   * @returns {string} - Fecha ISO 8601
+   */
+  static currentSecond() {
+    return new Date(Math.floor(Date.now() / 1000) * 1000).toISOString();
   }
 
   /**
@@ -217,18 +667,32 @@ class User {
       email: this.email,
       nombres: this.nombres,
       apellidos: this.apellidos,
+      email_verified_at: this.email_verified_at || null,
+      role: this.role,
+      disabled_at: this.disabled_at || null,
       created_at: this.created_at,
       updated_at: this.updated_at,
     };
   }
 
+  /**
+   * CAMPOS ACTUALIZABLES CON update()
+   *
+   * Lista blanca de columnas que update() puede escribir.
+   * Como los nombres de columna se concatenan en el SQL, aceptar claves
+   * arbitrarias permitiría sobrescribir 'password', 'id' o cualquier
+   * columna futura. El password tiene su propio flujo (con hash).
+   */
+  static UPDATABLE_FIELDS = ['email', 'nombres', 'apellidos'];
+
   /**
    * MÉTODO PARA ACTUALIZAR USUARIO
    *
    * Este método implementa una actualización dinámica:
    * - Solo actualiza los campos que se proporcionan
    * - Construye la query SQL dinámicamente
-   * - Previene actualización del ID (por seguridad)
+   * - Solo acepta campos de User.UPDATABLE_FIELDS (lista blanca)
+   * - Si cambia el email, lo marca como NO verificado (email_verified_at)
    * - Actualiza automáticamente el timestamp updated_at
    *
    * ¿Por qué construcción dinámica de query?
@@ -240,13 +704,16 @@ class User {
    * @returns {Promise<boolean>} - true si se actualizó algún registro
    */
   async update(updateData) {
-    const db = getDatabase();
     const fields = [];
     const values = [];
 
     // Construir query dinámicamente - solo campos que existen en updateData
     Object.keys(updateData).forEach((key) => {
-      if (key !== 'id' && updateData[key] !== undefined) {
+      if (!User.UPDATABLE_FIELDS.includes(key)) {
+        throw new Error(`El campo '${key}' no se puede actualizar`);
+      }
+
+      if (updateData[key] !== undefined) {
         fields.push(`${key} = ?`);
         values.push(updateData[key]);
       }
@@ -256,64 +723,126 @@ class User {
       throw new Error('No hay campos para actualizar');
     }
 
+    // Un email nuevo debe verificarse de nuevo
+    if (updateData.email !== undefined && updateData.email !== this.email) {
+      fields.push('email_verified_at = NULL');
+    }
+
     // Agregar timestamp de actualización automáticamente
     fields.push('updated_at = ?');
     values.push(new Date().toISOString());
     values.push(this.id); // WHERE id = ?
 
-    return new Promise((resolve, reject) => {
-      const query = `UPDATE users SET ${fields.join(', ')} WHERE id = ?`;
-
-      db.run(query, values, function (err) {
-        if (err) {
-          reject(err);
-        } else {
-          // this.changes indica cuántos registros fueron afectados
-          // Retorna true si se actualizó al menos 1 registro
-          resolve(this.changes > 0);
-        }
+    const { changes } = await getRepository()
+      .run(`UPDATE users SET ${fields.join(', ')} WHERE id = ?`, values)
+      .catch((error) => {
+        throw toEmailConflict(error);
       });
-    });
+
+    // changes indica cuántos registros fueron afectados
+    // Retorna true si se actualizó al menos 1 registro
+    return changes > 0;
   }
 
   /**
    * MÉTODO PARA ELIMINAR USUARIO
    *
    * ¿Cuándo usar este método?
-   * - Cuando el usuario quiere eliminar su cuenta
+   * - Eliminación inmediata por un administrador
    * - Funcionalidades de administración
    * - Cumplimiento de GDPR (derecho al olvido)
    *
    * Consideraciones de seguridad:
    * - Solo permite eliminar el usuario actual (this.id)
    * - No acepta ID como parámetro para prevenir eliminación accidental
-   * - En aplicaciones reales, considerar "soft delete" en lugar de eliminación
    *
-   * ¿Qué es "soft delete"?
-   * - Marcar como eliminado en lugar de borrar físicamente
-   * - Agregar campo deleted_at en lugar de DELETE
-   * - Permite auditoría y recuperación de datos
+   * Es irreversible. Cuando el propio usuario elimina su cuenta se usa
+   * softDelete(), que permite recuperarla durante el periodo de gracia.
+   *
+   * Como en purgeDeleted(), los datos asociados (DEPENDENT_TABLES) se
+   * borran explícitamente en la misma transacción: SQLite no aplica el
+   * ON DELETE CASCADE sin PRAGMA foreign_keys.
    *
    * @returns {Promise<boolean>} - true si se eliminó el usuario
    */
   async delete() {
-    const db = getDatabase();
-
-    return new Promise((resolve, reject) => {
-      const query = 'DELETE FROM users WHERE id = ?';
-
-      db.run(query, [this.id], function (err) {
-        if (err) {
-          reject(err);
-        } else {
-          // this.changes indica cuántos registros fueron eliminados
-          resolve(this.changes > 0);
-        }
-      });
+    return getRepository().transaction(async (tx) => {
+      for (const table of User.DEPENDENT_TABLES) {
+        await tx.run(`DELETE FROM ${table} WHERE user_id = ?`, [this.id]);
+      }
+
+      const { changes } = await tx.run('DELETE FROM users WHERE id = ?', [
+        this.id,
+      ]);
+
+      // changes indica cuántos registros fueron eliminados
+      return changes > 0;
     });
   }
 }
 
+/**
+ * EMAIL DUPLICADO → ConflictError (función interna)
+ *
+ * Los controladores comprueban antes que el email esté libre, pero otra
+ * petición puede tomarlo entre esa comprobación y el INSERT/UPDATE: la
+ * restricción UNIQUE de la BD lo detecta. Cualquier otro error se
+ * devuelve sin cambios.
+ *
+ * @param {Error} error - Error de la BD
+ * @returns {Error}
+ */
+const toEmailConflict = (error) =>
+  getRepository().isUniqueViolation(error)
+    ? new ConflictError('El email ya está registrado', { code: 'EMAIL_TAKEN' })
+    : error;
+
+/**
+ * CONSTRUCCIÓN DEL WHERE PARA LISTADOS (función interna)
+ *
+ * Compartida por findAll() y count() para que el total y la página
+ * siempre usen exactamente los mismos filtros.
+ *
+ * - search: LIKE sobre email, nombres y apellidos. Los comodines de
+ *   LIKE (% y _) que escriba el usuario se escapan para buscarlos literalmente.
+ *   LOWER() en ambos lados: LIKE ignora mayúsculas en SQLite pero no en
+ *   PostgreSQL
+ * - role: igualdad exacta
+ * - status: 'active' (disabled_at IS NULL) o 'disabled'
+ * - Las cuentas eliminadas (deleted_at) nunca se listan
+ *
+ * @param {Object} filters - { search, role, status }
+ * @returns {{where: string, params: Array}}
+ */
+const buildListFilters = ({ search, role, status } = {}) => {
+  const conditions = ['deleted_at IS NULL'];
+  const params = [];
+
+  if (search) {
+    const pattern = `%${search.replace(/[\\%_]/g, '\\$&')}%`;
+    conditions.push(
+      "(LOWER(email) LIKE LOWER(?) ESCAPE '\\' OR LOWER(nombres) LIKE LOWER(?) ESCAPE '\\' OR LOWER(apellidos) LIKE LOWER(?) ESCAPE '\\')"
+    );
+    params.push(pattern, pattern, pattern);
+  }
+
+  if (role) {
+    conditions.push('role = ?');
+    params.push(role);
+  }
+
+  if (status === 'active') {
+    conditions.push('disabled_at IS NULL');
+  } else if (status === 'disabled') {
+    conditions.push('disabled_at IS NOT NULL');
+  }
+
+  return {
+    where: `WHERE ${conditions.join(' AND ')}`,
+    params,
+  };
+};
+
 /**
  * EXPORTACIÓN DEL MODELO
  *
@@ -0,0 +1,103 @@
+// src/models/UserIdentity.js - Cuentas externas (login social) vinculadas a los usuarios
+const { getRepository } = require('../config/database');
+
+/**
+ * MODELO USERIDENTITY
+ *
+ * Cada fila dice "la cuenta X del proveedor Y es el usuario Z". En el
+ * login social se busca primero aquí por (provider, subject); solo si
+ * no existe se intenta vincular por email (ver authController.loginOAuth).
+ */
+
+class UserIdentity {
+  constructor(data) {
+    this.id = data.id;
+    this.user_id = data.user_id;
+    this.provider = data.provider;
+    this.subject = data.subject;
+    this.email = data.email;
+    this.last_login_at = data.last_login_at;
+    this.created_at = data.created_at;
+  }
+
+  /**
+   * VINCULAR UNA CUENTA EXTERNA
+   *
+   * @param {Object} data
+   * @param {number} data.userId - ID del usuario
+   * @param {string} data.provider - Nombre del proveedor (google, github...)
+   * @param {string} data.subject - ID del usuario en el proveedor
+   * @param {string} [data.email] - Email informado por el proveedor
+   * @returns {Promise<UserIdentity>}
+   */
+  static async create({ userId, provider, subject, email = null }) {
+    const { id } = await getRepository().get(
+      `
+        INSERT INTO user_identities (user_id, provider, subject, email)
+        VALUES (?, ?, ?, ?)
+        RETURNING id
+      `,
+      [userId, provider, subject, email]
+    );
+
+    return UserIdentity.findById(id);
+  }
+
+  /**
+   * BUSCAR POR ID INTERNO
+   *
+   * @param {number} id
+   * @returns {Promise<UserIdentity|null>}
+   */
+  static async findById(id) {
+    const row = await getRepository().get(
+      'SELECT * FROM user_identities WHERE id = ?',
+      [id]
+    );
+    return row ? new UserIdentity(row) : null;
+  }
+
+  /**
+   * BUSCAR LA CUENTA EXTERNA (login)
+   *
+   * @param {string} provider - Nombre del proveedor
+   * @param {string} subject - ID del usuario en el proveedor
+   * @returns {Promise<UserIdentity|null>}
+   */
+  static async findByProviderSubject(provider, subject) {
+    const row = await getRepository().get(
+      'SELECT * FROM user_identities WHERE provider = ? AND subject = ?',
+      [provider, subject]
+    );
+    return row ? new UserIdentity(row) : null;
+  }
+
+  /**
+   * REGISTRAR UN LOGIN
+   *
+   * @returns {Promise<void>}
+   */
+  async recordLogin() {
+    const now = new Date().toISOString();
+
+    await getRepository().run(
+      'UPDATE user_identities SET last_login_at = ? WHERE id = ?',
+      [now, this.id]
+    );
+
+    this.last_login_at = now;
+  }
+
+  /**
+   * ELIMINAR LA VINCULACIÓN
+   *
+   * @returns {Promise<void>}
+   */
+  async delete() {
+    await getRepository().run('DELETE FROM user_identities WHERE id = ?', [
+      this.id,
+    ]);
+  }
+}
+
+module.exports = UserIdentity;
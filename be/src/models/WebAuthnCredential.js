@@ -0,0 +1,181 @@
+// src/models/WebAuthnCredential.js - Passkeys (credenciales WebAuthn) de los usuarios
+const { getRepository } = require('../config/database');
+
+/**
+ * MODELO WEBAUTHNCREDENTIAL
+ *
+ * Cada fila es una passkey: el autenticador (teléfono, portátil, llave
+ * de seguridad) guarda la clave privada y el servidor solo la pública.
+ * En el login, el autenticador firma un desafío aleatorio y el servidor
+ * comprueba la firma con esta clave pública: no hay ningún secreto
+ * compartido que se pueda robar de la BD.
+ *
+ * Los valores binarios (ID y clave pública) se guardan en Base64URL,
+ * el mismo formato en que los envía el navegador.
+ */
+
+class WebAuthnCredential {
+  constructor(data) {
+    this.id = data.id;
+    this.user_id = data.user_id;
+    this.credential_id = data.credential_id;
+    this.public_key = data.public_key;
+    this.sign_count = data.sign_count;
+    this.transports = data.transports ? JSON.parse(data.transports) : [];
+    this.device_type = data.device_type;
+    // SQLite guarda los booleanos como 0/1
+    this.backed_up = Boolean(data.backed_up);
+    this.name = data.name;
+    this.last_used_at = data.last_used_at;
+    this.created_at = data.created_at;
+  }
+
+  /**
+   * GUARDAR UNA CREDENCIAL NUEVA
+   *
+   * @param {Object} data
+   * @param {number} data.userId - ID del usuario
+   * @param {string} data.credentialId - ID de la credencial (Base64URL)
+   * @param {string} data.publicKey - Clave pública COSE (Base64URL)
+   * @param {number} data.signCount - Contador de firmas inicial
+   * @param {string[]} [data.transports] - usb, nfc, ble, internal, hybrid...
+   * @param {string} [data.deviceType] - singleDevice | multiDevice
+   * @param {boolean} [data.backedUp] - ¿Tiene copia de seguridad?
+   * @param {string} [data.name] - Nombre para reconocerla
+   * @returns {Promise<WebAuthnCredential>}
+   */
+  static async create({
+    userId,
+    credentialId,
+    publicKey,
+    signCount,
+    transports = [],
+    deviceType = null,
+    backedUp = false,
+    name = null,
+  }) {
+    const { id } = await getRepository().get(
+      `
+        INSERT INTO webauthn_credentials (
+          user_id, credential_id, public_key, sign_count, transports,
+          device_type, backed_up, name
+        )
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        RETURNING id
+      `,
+      [
+        userId,
+        credentialId,
+        publicKey,
+        signCount,
+        JSON.stringify(transports),
+        deviceType,
+        backedUp,
+        name,
+      ]
+    );
+
+    return WebAuthnCredential.findById(id);
+  }
+
+  /**
+   * BUSCAR POR ID INTERNO
+   *
+   * @param {number} id
+   * @returns {Promise<WebAuthnCredential|null>}
+   */
+  static async findById(id) {
+    const row = await getRepository().get(
+      'SELECT * FROM webauthn_credentials WHERE id = ?',
+      [id]
+    );
+    return row ? new WebAuthnCredential(row) : null;
+  }
+
+  /**
+   * BUSCAR POR EL ID QUE ENVÍA EL AUTENTICADOR (login)
+   *
+   * @param {string} credentialId - Base64URL
+   * @returns {Promise<WebAuthnCredential|null>}
+   */
+  static async findByCredentialId(credentialId) {
+    const row = await getRepository().get(
+      'SELECT * FROM webauthn_credentials WHERE credential_id = ?',
+      [credentialId]
+    );
+    return row ? new WebAuthnCredential(row) : null;
+  }
+
+  /**
+   * PASSKEYS DE UN USUARIO
+   *
+   * @param {number} userId - ID del usuario
+   * @returns {Promise<WebAuthnCredential[]>}
+   */
+  static async findAllByUserId(userId) {
+    const rows = await getRepository().all(
+      'SELECT * FROM webauthn_credentials WHERE user_id = ? ORDER BY id',
+      [userId]
+    );
+    return rows.map((row) => new WebAuthnCredential(row));
+  }
+
+  /**
+   * REGISTRAR UN USO (login)
+   *
+   * Guarda el contador de firmas nuevo, el estado de la copia de
+   * seguridad (puede cambiar si el usuario activa la sincronización) y
+   * la fecha de uso.
+   *
+   * @param {Object} data
+   * @param {number} data.signCount - Contador devuelto por el autenticador
+   * @param {boolean} data.backedUp - Estado actual de la copia de seguridad
+   * @returns {Promise<void>}
+   */
+  async recordUse({ signCount, backedUp }) {
+    const now = new Date().toISOString();
+
+    await getRepository().run(
+      `
+        UPDATE webauthn_credentials
+        SET sign_count = ?, backed_up = ?, last_used_at = ?
+        WHERE id = ?
+      `,
+      [signCount, backedUp, now, this.id]
+    );
+
+    this.sign_count = signCount;
+    this.backed_up = backedUp;
+    this.last_used_at = now;
+  }
+
+  /**
+   * ELIMINAR LA CREDENCIAL
+   *
+   * @returns {Promise<void>}
+   */
+  async delete() {
+    await getRepository().run('DELETE FROM webauthn_credentials WHERE id = ?', [
+      this.id,
+    ]);
+  }
+
+  /**
+   * DATOS PÚBLICOS (para listar las passkeys del usuario)
+   *
+   * La clave pública no es secreta, pero al frontend no le sirve.
+   */
+  toPublicJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      deviceType: this.device_type,
+      backedUp: this.backed_up,
+      transports: this.transports,
+      lastUsedAt: this.last_used_at,
+      createdAt: this.created_at,
+    };
+  }
+}
+
+module.exports = WebAuthnCredential;
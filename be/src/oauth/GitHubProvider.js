@@ -0,0 +1,58 @@
+// src/oauth/GitHubProvider.js - Login con GitHub (OAuth 2.0 sin OpenID Connect)
+const OAuthProvider = require('./OAuthProvider');
+
+/**
+ * GITHUB
+ *
+ * GitHub no implementa OpenID Connect: no hay id_token ni nonce. El
+ * perfil se pide a su API con el access token:
+ * - GET /user: ID numérico (el subject) y nombre
+ * - GET /user/emails: el email de /user es el público y puede faltar;
+ *   aquí se usa el principal, y solo si GitHub lo verificó
+ */
+
+const API_URL = 'https://api.github.com';
+
+class GitHubProvider extends OAuthProvider {
+  constructor(options) {
+    super({
+      name: 'github',
+      displayName: 'GitHub',
+      scopes: ['read:user', 'user:email'],
+      ...options,
+    });
+  }
+
+  async getEndpoints() {
+    return {
+      authorizationEndpoint: 'https://github.com/login/oauth/authorize',
+      tokenEndpoint: 'https://github.com/login/oauth/access_token',
+    };
+  }
+
+  async fetchProfile(tokens) {
+    const headers = { Authorization: `Bearer ${tokens.access_token}` };
+
+    const [{ data: user }, { data: emails }] = await Promise.all([
+      this.request(`${API_URL}/user`, { headers }),
+      this.request(`${API_URL}/user/emails`, { headers }),
+    ]);
+
+    const primary = (Array.isArray(emails) ? emails : []).find(
+      (entry) => entry.primary
+    );
+    const [nombres, ...apellidos] = (user.name || user.login || '')
+      .trim()
+      .split(/\s+/);
+
+    return {
+      subject: String(user.id),
+      email: primary ? primary.email : null,
+      emailVerified: Boolean(primary && primary.verified),
+      nombres: nombres || null,
+      apellidos: apellidos.join(' ') || null,
+    };
+  }
+}
+
+module.exports = GitHubProvider;
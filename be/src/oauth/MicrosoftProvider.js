@@ -0,0 +1,46 @@
+// src/oauth/MicrosoftProvider.js - Login con cuentas de Microsoft (Entra ID / cuentas personales)
+const OidcProvider = require('./OidcProvider');
+
+/**
+ * MICROSOFT
+ *
+ * Es OpenID Connect, con dos particularidades:
+ * - Con el tenant 'common' (cualquier organización o cuenta personal)
+ *   el documento de descubrimiento anuncia el emisor con un comodín:
+ *   https://login.microsoftonline.com/{tenantid}/v2.0. El 'iss' real
+ *   lleva el tenant del usuario (claim 'tid')
+ * - No envía email_verified: el email de una organización puede
+ *   escribirlo cualquier administrador de esa organización. Solo se
+ *   acepta como verificado con el claim opcional xms_edov (el dominio
+ *   del email pertenece a la organización), que hay que activar en el
+ *   registro de la aplicación
+ */
+
+class MicrosoftProvider extends OidcProvider {
+  /**
+   * @param {Object} options - Las de OAuthProvider, más:
+   * @param {string} [options.tenant='common'] - ID o dominio del tenant
+   */
+  constructor({ tenant, ...options }) {
+    super({
+      name: 'microsoft',
+      displayName: 'Microsoft',
+      issuer: `https://login.microsoftonline.com/${tenant || 'common'}/v2.0`,
+      ...options,
+    });
+  }
+
+  async expectedIssuer(claims) {
+    const issuer = await super.expectedIssuer(claims);
+    return issuer.replace('{tenantid}', claims.tid);
+  }
+
+  toProfile(claims) {
+    return {
+      ...super.toProfile(claims),
+      emailVerified: claims.email_verified === true || claims.xms_edov === true,
+    };
+  }
+}
+
+module.exports = MicrosoftProvider;
@@ -0,0 +1,187 @@
+// src/oauth/OAuthProvider.js - Base de los proveedores de login social (OAuth 2.0)
+const { AuthenticationError, BadGatewayError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+/**
+ * PROVEEDOR OAUTH 2.0 (FLUJO AUTHORIZATION CODE + PKCE)
+ *
+ * 1. El frontend redirige al usuario a la URL de autorización del
+ *    proveedor (getAuthorizationUrl) con:
+ *    - state: valor aleatorio que el proveedor devuelve tal cual; si no
+ *      coincide, la respuesta no es de un login que empezamos nosotros
+ *      (CSRF)
+ *    - code_challenge: SHA-256 de un secreto (code_verifier) que solo
+ *      conoce nuestro servidor (PKCE). Quien intercepte el código en la
+ *      redirección no puede canjearlo sin el verifier
+ * 2. El proveedor devuelve al usuario a redirect_uri con ?code&state
+ * 3. El servidor canjea el código (exchangeCode) enviando el verifier y
+ *    obtiene los tokens del proveedor
+ * 4. Con ellos obtiene el perfil (fetchProfile, propio de cada proveedor)
+ *
+ * Cada subclase implementa:
+ * - getEndpoints(): { authorizationEndpoint, tokenEndpoint }
+ * - fetchProfile(tokens, { nonce }): perfil normalizado
+ *   { subject, email, emailVerified, nombres, apellidos }
+ */
+
+class OAuthProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Identificador en las URLs (google, github...)
+   * @param {string} [options.displayName] - Nombre para el botón del frontend
+   * @param {string} options.clientId - Client ID registrado en el proveedor
+   * @param {string} [options.clientSecret] - Client secret
+   * @param {string[]} [options.scopes] - Permisos que se piden
+   */
+  constructor({ name, displayName, clientId, clientSecret, scopes = [] }) {
+    this.name = name;
+    this.displayName = displayName || name;
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.scopes = scopes;
+  }
+
+  /**
+   * ¿Se envía un nonce? Solo en OpenID Connect: vuelve dentro del
+   * id_token y prueba que ese token se emitió para este login
+   */
+  get usesNonce() {
+    return false;
+  }
+
+  async getEndpoints() {
+    throw new Error(`${this.constructor.name} debe implementar getEndpoints()`);
+  }
+
+  async fetchProfile() {
+    throw new Error(`${this.constructor.name} debe implementar fetchProfile()`);
+  }
+
+  /**
+   * URL A LA QUE SE REDIRIGE AL USUARIO
+   *
+   * @param {Object} params
+   * @param {string} params.redirectUri - Callback registrado en el proveedor
+   * @param {string} params.state - Valor anti-CSRF
+   * @param {string} [params.nonce] - Solo si usesNonce
+   * @param {string} params.codeChallenge - PKCE (S256)
+   * @returns {Promise<string>}
+   */
+  async getAuthorizationUrl({ redirectUri, state, nonce, codeChallenge }) {
+    const { authorizationEndpoint } = await this.getEndpoints();
+    const url = new URL(authorizationEndpoint);
+
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', this.clientId);
+    url.searchParams.set('redirect_uri', redirectUri);
+    url.searchParams.set('scope', this.scopes.join(' '));
+    url.searchParams.set('state', state);
+    url.searchParams.set('code_challenge', codeChallenge);
+    url.searchParams.set('code_challenge_method', 'S256');
+    if (this.usesNonce && nonce) {
+      url.searchParams.set('nonce', nonce);
+    }
+
+    return url.toString();
+  }
+
+  /**
+   * CANJEAR EL CÓDIGO POR LOS TOKENS DEL PROVEEDOR
+   *
+   * Un 4xx del proveedor significa que el código no sirve (expiró, ya se
+   * usó, el verifier no coincide): es un error del login, no del
+   * proveedor.
+   *
+   * @param {Object} params
+   * @param {string} params.code - Código recibido en el callback
+   * @param {string} params.redirectUri - La misma de getAuthorizationUrl
+   * @param {string} params.codeVerifier - Secreto PKCE
+   * @returns {Promise<Object>} - Respuesta del token endpoint
+   *   (access_token, id_token...)
+   */
+  async exchangeCode({ code, redirectUri, codeVerifier }) {
+    const { tokenEndpoint } = await this.getEndpoints();
+
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      client_id: this.clientId,
+      code_verifier: codeVerifier,
+      ...(this.clientSecret && { client_secret: this.clientSecret }),
+    });
+
+    const { status, data } = await this.request(tokenEndpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body,
+      allowClientErrors: true,
+    });
+
+    if (status >= 400 || !data.access_token) {
+      logger.debug('Canje del código OAuth rechazado', {
+        provider: this.name,
+        error: data.error,
+      });
+      throw new AuthenticationError(
+        'No se pudo completar el inicio de sesión. Inténtalo de nuevo',
+        { code: 'OAUTH_CODE_INVALID' }
+      );
+    }
+
+    return data;
+  }
+
+  /**
+   * PETICIÓN JSON AL PROVEEDOR
+   *
+   * Si el proveedor no responde (o responde 5xx) el error es suyo: 502.
+   * OAUTH_HTTP_TIMEOUT_MS limita la espera (10 segundos por defecto).
+   *
+   * @param {string} url
+   * @param {Object} [options] - Opciones de fetch()
+   * @param {boolean} [options.allowClientErrors] - Devolver los 4xx en
+   *   lugar de lanzar el error
+   * @returns {Promise<{status: number, data: Object}>}
+   */
+  async request(url, { allowClientErrors = false, ...options } = {}) {
+    const unavailable = () =>
+      new BadGatewayError(`${this.displayName} no está disponible`, {
+        code: 'OAUTH_PROVIDER_UNAVAILABLE',
+      });
+
+    let response;
+    let data;
+    try {
+      response = await fetch(url, {
+        ...options,
+        headers: { Accept: 'application/json', ...options.headers },
+        signal: AbortSignal.timeout(
+          Number(process.env.OAUTH_HTTP_TIMEOUT_MS) || 10000
+        ),
+      });
+      data = await response.json();
+    } catch (error) {
+      logger.warn('Error al contactar al proveedor OAuth', {
+        provider: this.name,
+        url,
+        error,
+      });
+      throw unavailable();
+    }
+
+    const isClientError = response.status >= 400 && response.status < 500;
+    if (!response.ok && !(allowClientErrors && isClientError)) {
+      logger.warn('Respuesta inesperada del proveedor OAuth', {
+        provider: this.name,
+        url,
+        status: response.status,
+      });
+      throw unavailable();
+    }
+
+    return { status: response.status, data };
+  }
+}
+
+module.exports = OAuthProvider;
@@ -0,0 +1,180 @@
+// src/oauth/OidcProvider.js - Proveedor OpenID Connect genérico (Google, Microsoft, Keycloak...)
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const OAuthProvider = require('./OAuthProvider');
+const { AuthenticationError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+/**
+ * PROVEEDOR OPENID CONNECT
+ *
+ * OpenID Connect agrega a OAuth 2.0 un id_token: un JWT firmado por el
+ * proveedor con los datos del usuario (sub, email, email_verified...).
+ * No hace falta llamar a ninguna otra API, pero SÍ hay que verificarlo:
+ * - Firma: con las claves públicas del proveedor (JWKS)
+ * - iss: lo emitió el proveedor esperado
+ * - aud: se emitió para NUESTRO client_id (no para otra aplicación)
+ * - exp: no expiró
+ * - nonce: coincide con el que enviamos al empezar ESTE login; un
+ *   id_token robado de otro login no sirve
+ *
+ * Las URLs (authorization_endpoint, token_endpoint, jwks_uri) se leen
+ * del documento de descubrimiento {issuer}/.well-known/openid-configuration
+ * y se guardan en memoria.
+ */
+
+// Algoritmos aceptados para el id_token ('none' y HS* nunca)
+const ID_TOKEN_ALGORITHMS = ['RS256', 'ES256'];
+
+class OidcProvider extends OAuthProvider {
+  /**
+   * @param {Object} options - Las de OAuthProvider, más:
+   * @param {string} options.issuer - URL del emisor (sin /.well-known)
+   */
+  constructor({ issuer, scopes = ['openid', 'email', 'profile'], ...options }) {
+    super({ ...options, scopes });
+    if (!issuer) {
+      throw new Error(`El proveedor '${options.name}' necesita un issuer`);
+    }
+    this.issuer = issuer.replace(/\/+$/, '');
+    this.discovery = null;
+    this.signingKeys = new Map();
+  }
+
+  get usesNonce() {
+    return true;
+  }
+
+  /**
+   * DOCUMENTO DE DESCUBRIMIENTO (se pide una sola vez)
+   */
+  async discover() {
+    if (!this.discovery) {
+      const { data } = await this.request(
+        `${this.issuer}/.well-known/openid-configuration`
+      );
+      this.discovery = data;
+    }
+    return this.discovery;
+  }
+
+  async getEndpoints() {
+    const discovery = await this.discover();
+
+    return {
+      authorizationEndpoint: discovery.authorization_endpoint,
+      tokenEndpoint: discovery.token_endpoint,
+    };
+  }
+
+  /**
+   * CLAVE PÚBLICA PARA UN 'kid'
+   *
+   * Si el kid no está en memoria se vuelve a pedir el JWKS: los
+   * proveedores rotan sus claves y publican la nueva antes de usarla.
+   *
+   * @param {string} kid - Header 'kid' del id_token
+   * @returns {Promise<crypto.KeyObject|null>}
+   */
+  async getSigningKey(kid) {
+    if (!this.signingKeys.has(kid)) {
+      const { jwks_uri: jwksUri } = await this.discover();
+      const { data } = await this.request(jwksUri);
+
+      this.signingKeys = new Map(
+        (data.keys || [])
+          .filter((jwk) => jwk.kid && (!jwk.use || jwk.use === 'sig'))
+          .map((jwk) => [
+            jwk.kid,
+            crypto.createPublicKey({ key: jwk, format: 'jwk' }),
+          ])
+      );
+    }
+
+    return this.signingKeys.get(kid) || null;
+  }
+
+  /**
+   * Emisor que debe figurar en el claim 'iss'
+   *
+   * El del documento de descubrimiento; las subclases pueden derivarlo
+   * de los claims (MicrosoftProvider: un emisor por tenant)
+   *
+   * @param {Object} claims - Claims del id_token (sin verificar aún; aquí
+   *   no se usan)
+   * @returns {Promise<string>}
+   */
+  async expectedIssuer(claims) {
+    return (await this.discover()).issuer;
+  }
+
+  /**
+   * VERIFICAR EL ID_TOKEN
+   *
+   * @param {string} idToken
+   * @param {string} nonce - El que se envió en la URL de autorización
+   * @returns {Promise<Object>} - Claims verificados
+   */
+  async verifyIdToken(idToken, nonce) {
+    const invalid = () =>
+      new AuthenticationError(
+        'No se pudo completar el inicio de sesión. Inténtalo de nuevo',
+        { code: 'OAUTH_ID_TOKEN_INVALID' }
+      );
+
+    const decoded = jwt.decode(idToken || '', { complete: true });
+    if (!decoded || !decoded.header.kid) {
+      throw invalid();
+    }
+
+    const key = await this.getSigningKey(decoded.header.kid);
+    if (!key) {
+      throw invalid();
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: ID_TOKEN_ALGORITHMS,
+        audience: this.clientId,
+        issuer: await this.expectedIssuer(decoded.payload),
+      });
+    } catch (error) {
+      logger.debug('id_token rechazado', {
+        provider: this.name,
+        reason: error.message,
+      });
+      throw invalid();
+    }
+
+    if (!claims.sub || claims.nonce !== nonce) {
+      throw invalid();
+    }
+
+    return claims;
+  }
+
+  async fetchProfile(tokens, { nonce }) {
+    const claims = await this.verifyIdToken(tokens.id_token, nonce);
+    return this.toProfile(claims);
+  }
+
+  /**
+   * PERFIL NORMALIZADO A PARTIR DE LOS CLAIMS ESTÁNDAR
+   *
+   * @param {Object} claims
+   * @returns {{subject: string, email: string|null, emailVerified: boolean,
+   *   nombres: string|null, apellidos: string|null}}
+   */
+  toProfile(claims) {
+    return {
+      subject: String(claims.sub),
+      email: claims.email || null,
+      emailVerified: claims.email_verified === true,
+      nombres: claims.given_name || claims.name || null,
+      apellidos: claims.family_name || null,
+    };
+  }
+}
+
+module.exports = OidcProvider;
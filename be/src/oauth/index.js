@@ -0,0 +1,128 @@
+// src/oauth/index.js - Registro de proveedores de login social
+const OAuthProvider = require('./OAuthProvider');
+const OidcProvider = require('./OidcProvider');
+const MicrosoftProvider = require('./MicrosoftProvider');
+const GitHubProvider = require('./GitHubProvider');
+
+/**
+ * PROVEEDORES DE LOGIN SOCIAL
+ *
+ * Igual que los transportes de email (utils/mailer.js), los proveedores
+ * se buscan por nombre en un registro:
+ * - Los incluidos se activan solo si sus variables de entorno están
+ *   definidas (ver .env.example): sin credenciales, no hay botón
+ * - registerProvider() permite agregar otros (o reemplazar uno en los
+ *   tests por un proveedor local)
+ *
+ * El nombre forma parte de las URLs: /api/auth/oauth/:provider/... y la
+ * redirect_uri del frontend (OAUTH_REDIRECT_BASE_URL/oauth/callback/:provider),
+ * que hay que registrar tal cual en la consola de cada proveedor.
+ */
+
+const providers = new Map();
+let envLoaded = false;
+
+// Proveedores incluidos: se crean si su CLIENT_ID está definido
+const BUILT_IN = {
+  google: (env) =>
+    new OidcProvider({
+      name: 'google',
+      displayName: 'Google',
+      issuer: 'https://accounts.google.com',
+      clientId: env.OAUTH_GOOGLE_CLIENT_ID,
+      clientSecret: env.OAUTH_GOOGLE_CLIENT_SECRET,
+    }),
+  microsoft: (env) =>
+    new MicrosoftProvider({
+      tenant: env.OAUTH_MICROSOFT_TENANT,
+      clientId: env.OAUTH_MICROSOFT_CLIENT_ID,
+      clientSecret: env.OAUTH_MICROSOFT_CLIENT_SECRET,
+    }),
+  github: (env) =>
+    new GitHubProvider({
+      clientId: env.OAUTH_GITHUB_CLIENT_ID,
+      clientSecret: env.OAUTH_GITHUB_CLIENT_SECRET,
+    }),
+  // Cualquier otro proveedor OpenID Connect (Keycloak, Auth0, GitLab...)
+  oidc: (env) =>
+    new OidcProvider({
+      name: 'oidc',
+      displayName: env.OAUTH_OIDC_NAME || 'OpenID Connect',
+      issuer: env.OAUTH_OIDC_ISSUER,
+      clientId: env.OAUTH_OIDC_CLIENT_ID,
+      clientSecret: env.OAUTH_OIDC_CLIENT_SECRET,
+    }),
+};
+
+/**
+ * Crea los proveedores configurados la primera vez que se consultan
+ * (las variables de entorno ya están cargadas). No reemplaza los que se
+ * hayan registrado a mano.
+ */
+const loadFromEnv = () => {
+  if (envLoaded) return;
+  envLoaded = true;
+
+  Object.entries(BUILT_IN).forEach(([name, create]) => {
+    const prefix = `OAUTH_${name.toUpperCase()}`;
+    if (process.env[`${prefix}_CLIENT_ID`] && !providers.has(name)) {
+      providers.set(name, create(process.env));
+    }
+  });
+};
+
+/**
+ * Registra (o reemplaza) un proveedor
+ *
+ * @param {OAuthProvider} provider
+ */
+const registerProvider = (provider) => {
+  if (!(provider instanceof OAuthProvider)) {
+    throw new Error('El proveedor debe extender OAuthProvider');
+  }
+  providers.set(provider.name, provider);
+};
+
+/**
+ * @param {string} name
+ * @returns {OAuthProvider|null}
+ */
+const getProvider = (name) => {
+  loadFromEnv();
+  return providers.get(name) || null;
+};
+
+/**
+ * @returns {OAuthProvider[]}
+ */
+const listProviders = () => {
+  loadFromEnv();
+  return [...providers.values()];
+};
+
+/**
+ * URL del frontend a la que el proveedor devuelve al usuario
+ *
+ * @param {string} name - Nombre del proveedor
+ * @returns {string}
+ */
+const getRedirectUri = (name) => {
+  const baseUrl = (
+    process.env.OAUTH_REDIRECT_BASE_URL ||
+    process.env.FRONTEND_URL ||
+    'http://localhost:5173'
+  ).replace(/\/+$/, '');
+
+  return `${baseUrl}/oauth/callback/${name}`;
+};
+
+module.exports = {
+  OAuthProvider,
+  OidcProvider,
+  MicrosoftProvider,
+  GitHubProvider,
+  registerProvider,
+  getProvider,
+  listProviders,
+  getRedirectUri,
+};
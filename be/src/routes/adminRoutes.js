@@ -0,0 +1,182 @@
+// src/routes/adminRoutes.js - Rutas de administración de usuarios
+const express = require('express');
+const router = express.Router();
+
+const adminController = require('../controllers/adminController');
+const { authMiddleware, authorize } = require('../middleware/authMiddleware');
+const {
+  validateListUsers,
+  validateListAudit,
+  validateUserId,
+  validateAdminUpdateUser,
+  validateCreateOidcClient,
+  validateOidcClientId,
+} = require('../middleware/validationMiddleware');
+
+/**
+ * ROUTER DE ADMINISTRACIÓN (/api/admin)
+ *
+ * router.use(authMiddleware) aplica la autenticación a TODAS las rutas
+ * de este router: no hace falta repetirla en cada una.
+ *
+ * Cada ruta declara después el permiso que necesita con authorize().
+ * Un usuario autenticado sin el permiso recibe 403.
+ */
+router.use(authMiddleware);
+
+/**
+ * GET /api/admin/roles
+ *
+ * Middleware Stack:
+ * 1. authMiddleware (router.use)
+ * 2. authorize('users:read')
+ * 3. adminController.listRoles: roles disponibles
+ */
+router.get('/roles', authorize('users:read'), adminController.listRoles);
+
+/**
+ * GET /api/admin/users
+ *
+ * Middleware Stack:
+ * 1. authMiddleware (router.use)
+ * 2. authorize('users:read')
+ * 3. validateListUsers: page, limit, search, role, status, sort, order
+ * 4. adminController.listUsers: página de usuarios + paginación
+ */
+router.get(
+  '/users',
+  authorize('users:read'),
+  validateListUsers,
+  adminController.listUsers
+);
+
+/**
+ * GET /api/admin/users/:id
+ *
+ * Middleware Stack:
+ * 1. authMiddleware (router.use)
+ * 2. authorize('users:read')
+ * 3. validateUserId: el ID debe ser un entero positivo
+ * 4. adminController.getUser
+ */
+router.get(
+  '/users/:id',
+  authorize('users:read'),
+  validateUserId,
+  adminController.getUser
+);
+
+/**
+ * PUT /api/admin/users/:id
+ *
+ * Middleware Stack:
+ * 1. authMiddleware (router.use)
+ * 2. authorize('users:update')
+ * 3. validateAdminUpdateUser: nombres, apellidos, email y role (opcionales)
+ * 4. adminController.updateUser
+ */
+router.put(
+  '/users/:id',
+  authorize('users:update'),
+  validateAdminUpdateUser,
+  adminController.updateUser
+);
+
+/**
+ * ACCIONES SOBRE LA CUENTA
+ *
+ * POST /api/admin/users/:id/disable - Deshabilitar y cerrar sus sesiones
+ * POST /api/admin/users/:id/enable - Volver a habilitar
+ * POST /api/admin/users/:id/logout - Cerrar todas sus sesiones
+ *
+ * Middleware Stack:
+ * 1. authMiddleware (router.use)
+ * 2. authorize('users:update')
+ * 3. validateUserId
+ * 4. controlador de la acción
+ */
+router.post(
+  '/users/:id/disable',
+  authorize('users:update'),
+  validateUserId,
+  adminController.disableUser
+);
+router.post(
+  '/users/:id/enable',
+  authorize('users:update'),
+  validateUserId,
+  adminController.enableUser
+);
+router.post(
+  '/users/:id/logout',
+  authorize('users:update'),
+  validateUserId,
+  adminController.forceLogout
+);
+
+/**
+ * DELETE /api/admin/users/:id
+ *
+ * Middleware Stack:
+ * 1. authMiddleware (router.use)
+ * 2. authorize('users:delete')
+ * 3. validateUserId
+ * 4. adminController.deleteUser
+ */
+router.delete(
+  '/users/:id',
+  authorize('users:delete'),
+  validateUserId,
+  adminController.deleteUser
+);
+
+/**
+ * GET /api/admin/audit
+ *
+ * Middleware Stack:
+ * 1. authMiddleware (router.use)
+ * 2. authorize('audit:read')
+ * 3. validateListAudit: userId, type, from, to, page, limit, format
+ * 4. adminController.listAuditEvents: página de eventos o exportación CSV
+ */
+router.get(
+  '/audit',
+  authorize('audit:read'),
+  validateListAudit,
+  adminController.listAuditEvents
+);
+
+/**
+ * CLIENTES OPENID CONNECT (aplicaciones que inician sesión con este sistema)
+ *
+ * GET    /api/admin/oidc-clients     - Listar
+ * POST   /api/admin/oidc-clients     - Registrar; Body: { name, redirectUris,
+ *                                      confidential }. El clientSecret se
+ *                                      muestra solo en esta respuesta
+ * DELETE /api/admin/oidc-clients/:id - Eliminar y revocar sus sesiones
+ *
+ * Middleware Stack:
+ * 1. authMiddleware (router.use)
+ * 2. authorize('clients:manage')
+ * 3. validación (POST y DELETE)
+ * 4. controlador de la acción
+ */
+router.get(
+  '/oidc-clients',
+  authorize('clients:manage'),
+  adminController.listOidcClients
+);
+router.post(
+  '/oidc-clients',
+  authorize('clients:manage'),
+  validateCreateOidcClient,
+  adminController.createOidcClient
+);
+router.delete(
+  '/oidc-clients/:id',
+  authorize('clients:manage'),
+  validateOidcClientId,
+  adminController.deleteOidcClient
+);
+
+module.exports = router;
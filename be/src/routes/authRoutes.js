@@ -4,11 +4,42 @@ const router = express.Router();
 
 // Importar controladores y middlewares
 const authController = require('../controllers/authController');
-const { authMiddleware } = require('../middleware/authMiddleware');
+const twoFactorController = require('../controllers/twoFactorController');
+const webauthnController = require('../controllers/webauthnController');
+const oauthController = require('../controllers/oauthController');
+const oidcController = require('../controllers/oidcController');
+const {
+  authMiddleware,
+  requireVerifiedEmail,
+  requireMfaChallenge,
+  authorize,
+} = require('../middleware/authMiddleware');
 const {
   validateRegister,
   validateLogin,
+  validateLoginMfa,
+  validateTotpCode,
+  validatePasswordReentry,
+  validateWebauthnRegistration,
+  validateWebauthnLogin,
+  validatePasskeyId,
+  validateOAuthProvider,
+  validateOAuthCallback,
+  validateOidcAuthorize,
+  validateOidcConsent,
+  validateRefresh,
+  validateUpdateProfile,
+  validateChangePassword,
+  validateDeleteAccount,
+  validateForgotPassword,
+  validateResetPassword,
+  validateResendVerification,
 } = require('../middleware/validationMiddleware');
+const {
+  loginRateLimiter,
+  forgotPasswordRateLimiter,
+  loginThrottle,
+} = require('../middleware/rateLimitMiddleware');
 
 /**
  * ROUTER DE EXPRESS
@@ -45,22 +76,66 @@ router.post('/register', validateRegister, authController.register);
  * POST /api/auth/login
  *
  * Middleware Stack:
- * 1. validateLogin: valida email y password
- * 2. authController.login: autentica y genera JWT
+ * 1. loginRateLimiter: límite de peticiones por IP (429 + Retry-After)
+ * 2. validateLogin: valida email y password
+ * 3. loginThrottle: retrasos progresivos por IP/cuenta y bloqueo temporal
+ * 4. authController.login: autentica y genera JWT
+ */
+router.post(
+  '/login',
+  loginRateLimiter,
+  validateLogin,
+  loginThrottle,
+  authController.login
+);
+
+/**
+ * LOGIN: SEGUNDO PASO (VERIFICACIÓN EN DOS PASOS)
+ *
+ * POST /api/auth/login/mfa
+ * - Body: { mfaToken, code } o { mfaToken, recoveryCode }
+ *
+ * Middleware Stack:
+ * 1. loginRateLimiter: mismo límite por IP que el login
+ * 2. validateLoginMfa: mfaToken y uno de los dos códigos
+ * 3. requireMfaChallenge: verifica el mfaToken (req.mfaChallenge)
+ * 4. loginThrottle: retrasos y bloqueo de la cuenta del desafío
+ * 5. authController.loginMfa: verifica el código y emite la sesión
  */
-router.post('/login', validateLogin, authController.login);
+router.post(
+  '/login/mfa',
+  loginRateLimiter,
+  validateLoginMfa,
+  requireMfaChallenge,
+  loginThrottle,
+  authController.loginMfa
+);
 
 /**
  * RF-004: RUTA DE LOGOUT DE USUARIO
  *
  * POST /api/auth/logout
  *
- * Nota: No requiere authMiddleware porque:
- * - El logout es principalmente del lado cliente
- * - Elimina el token del localStorage
- * - No necesita validar token para hacer logout
+ * Middleware Stack:
+ * 1. authMiddleware: verifica el JWT y expone su payload (jti, exp)
+ * 2. authController.logout: revoca el token en el servidor
+ *
+ * El frontend además elimina el token del localStorage.
+ */
+router.post('/logout', authMiddleware, authController.logout);
+
+/**
+ * RUTA DE RENOVACIÓN DE SESIÓN
+ *
+ * POST /api/auth/refresh
+ *
+ * Middleware Stack:
+ * 1. validateRefresh: exige el refreshToken en el body
+ * 2. authController.refresh: rota el refresh token y emite un access token nuevo
+ *
+ * No usa authMiddleware porque se llama cuando el access token ya expiró.
  */
-router.post('/logout', authController.logout);
+router.post('/refresh', validateRefresh, authController.refresh);
 
 /**
  * RUTA PROTEGIDA: OBTENER PERFIL
@@ -69,11 +144,272 @@ router.post('/logout', authController.logout);
  *
  * Middleware Stack:
  * 1. authMiddleware: verifica JWT y obtiene usuario
- * 2. authController.getProfile: retorna datos del usuario
+ * 2. authorize('profile:read'): el rol del usuario debe tener el permiso
+ * 3. authController.getProfile: retorna datos del usuario y sus permisos
+ *
+ * Esta ruta demuestra cómo proteger endpoints que requieren autenticación
+ * (authMiddleware) y autorización (authorize).
+ */
+router.get(
+  '/profile',
+  authMiddleware,
+  authorize('profile:read'),
+  authController.getProfile
+);
+
+/**
+ * RUTA PROTEGIDA: ACTUALIZAR PERFIL
+ *
+ * PUT /api/auth/profile
+ *
+ * Middleware Stack:
+ * 1. authMiddleware: verifica JWT y obtiene usuario
+ * 2. authorize('profile:update'): el rol del usuario debe tener el permiso
+ * 3. validateUpdateProfile: valida nombres, apellidos y email (opcionales)
+ * 4. authController.updateProfile: aplica los cambios permitidos
+ *
+ * Para cambiar el email se debe enviar también currentPassword.
+ */
+router.put(
+  '/profile',
+  authMiddleware,
+  authorize('profile:update'),
+  validateUpdateProfile,
+  authController.updateProfile
+);
+
+/**
+ * RUTA PROTEGIDA: CAMBIAR PASSWORD
+ *
+ * PUT /api/auth/password
+ *
+ * Middleware Stack:
+ * 1. authMiddleware: verifica JWT y obtiene usuario
+ * 2. requireVerifiedEmail: solo cuentas con email verificado
+ * 3. validateChangePassword: currentPassword, newPassword y confirmPassword
+ * 4. authController.changePassword: cambia el password y cierra las demás sesiones
+ *
+ * Responde con un token y refreshToken nuevos para la sesión actual.
+ */
+router.put(
+  '/password',
+  authMiddleware,
+  requireVerifiedEmail,
+  validateChangePassword,
+  authController.changePassword
+);
+
+/**
+ * RUTA PROTEGIDA: ELIMINAR LA PROPIA CUENTA
+ *
+ * DELETE /api/auth/account
+ *
+ * Middleware Stack:
+ * 1. authMiddleware: verifica JWT y obtiene usuario
+ * 2. validateDeleteAccount: exige el password en el body
+ * 3. authController.deleteAccount: elimina la cuenta (recuperable durante
+ *    el periodo de gracia iniciando sesión) y cierra todas las sesiones
+ */
+router.delete(
+  '/account',
+  authMiddleware,
+  validateDeleteAccount,
+  authController.deleteAccount
+);
+
+/**
+ * RUTAS PROTEGIDAS: VERIFICACIÓN EN DOS PASOS (TOTP)
+ *
+ * GET  /api/auth/2fa                → estado (activa, códigos restantes)
+ * POST /api/auth/2fa/setup          → secreto + QR (pendiente de confirmar)
+ * POST /api/auth/2fa/confirm        → Body: { code }; activa y devuelve
+ *                                     los códigos de recuperación
+ * POST /api/auth/2fa/disable        → Body: { password }
+ * POST /api/auth/2fa/recovery-codes → Body: { password }; códigos nuevos
+ *
+ * /2fa/confirm usa loginThrottle como POST /login/mfa: sin él, quien
+ * tenga una sesión podría probar los 10^6 códigos posibles.
+ */
+router.get('/2fa', authMiddleware, twoFactorController.getStatus);
+router.post('/2fa/setup', authMiddleware, twoFactorController.setup);
+router.post(
+  '/2fa/confirm',
+  authMiddleware,
+  validateTotpCode,
+  loginThrottle,
+  twoFactorController.confirm
+);
+router.post(
+  '/2fa/disable',
+  authMiddleware,
+  validatePasswordReentry,
+  twoFactorController.disable
+);
+router.post(
+  '/2fa/recovery-codes',
+  authMiddleware,
+  validatePasswordReentry,
+  twoFactorController.regenerateRecoveryCodes
+);
+
+/**
+ * RUTAS DE PASSKEYS (WEBAUTHN)
+ *
+ * Login (públicas, con el mismo límite por IP que el login):
+ * POST /api/auth/webauthn/login/options → desafío + challengeToken
+ * POST /api/auth/webauthn/login/verify  → Body: { challengeToken, credential };
+ *                                         responde igual que el login
+ *
+ * Gestión (protegidas):
+ * POST   /api/auth/webauthn/register/options → desafío + challengeToken
+ * POST   /api/auth/webauthn/register/verify  → Body: { challengeToken,
+ *                                               credential, name? }
+ * GET    /api/auth/webauthn/credentials      → passkeys del usuario
+ * DELETE /api/auth/webauthn/credentials/:id
+ *
+ * Sin loginThrottle: sin email no hay cuenta a la que asociar los
+ * fallos, y una firma no se puede adivinar por fuerza bruta.
+ */
+router.post(
+  '/webauthn/login/options',
+  loginRateLimiter,
+  webauthnController.authenticationOptions
+);
+router.post(
+  '/webauthn/login/verify',
+  loginRateLimiter,
+  validateWebauthnLogin,
+  authController.loginPasskey
+);
+router.post(
+  '/webauthn/register/options',
+  authMiddleware,
+  webauthnController.registrationOptions
+);
+router.post(
+  '/webauthn/register/verify',
+  authMiddleware,
+  validateWebauthnRegistration,
+  webauthnController.verifyRegistration
+);
+router.get(
+  '/webauthn/credentials',
+  authMiddleware,
+  webauthnController.listCredentials
+);
+router.delete(
+  '/webauthn/credentials/:id',
+  authMiddleware,
+  validatePasskeyId,
+  webauthnController.deleteCredential
+);
+
+/**
+ * RUTAS DE LOGIN SOCIAL (OAUTH2 / OPENID CONNECT)
+ *
+ * GET  /api/auth/oauth/providers           → proveedores configurados
+ * POST /api/auth/oauth/:provider/authorize → { authorizationUrl, oauthToken }
+ * POST /api/auth/oauth/:provider/callback  → Body: { code, state, oauthToken };
+ *                                            responde igual que el login
+ *
+ * Con el mismo límite por IP que el login. Sin loginThrottle: no hay
+ * password que adivinar (lo verifica el proveedor).
+ */
+router.get('/oauth/providers', oauthController.listProviders);
+router.post(
+  '/oauth/:provider/authorize',
+  loginRateLimiter,
+  validateOAuthProvider,
+  oauthController.authorize
+);
+router.post(
+  '/oauth/:provider/callback',
+  loginRateLimiter,
+  validateOAuthCallback,
+  authController.loginOAuth
+);
+
+/**
+ * RUTAS DE CONSENTIMIENTO OPENID CONNECT
+ *
+ * Las usa la página /oidc/authorize del frontend cuando otra aplicación
+ * pide iniciar sesión con esta cuenta (ver routes/oidcRoutes.js):
+ *
+ * GET  /api/auth/oidc/authorize?client_id&redirect_uri&scope...
+ *      → { client, scopes, consentRequired } (o { redirectTo } si el
+ *        pedido no es válido)
+ * POST /api/auth/oidc/authorize
+ *      → Body: los mismos parámetros más { approve }
+ *      → { redirectTo }: vuelta a la aplicación con el código o el error
+ */
+router.get(
+  '/oidc/authorize',
+  authMiddleware,
+  requireVerifiedEmail,
+  validateOidcAuthorize,
+  oidcController.getAuthorizationRequest
+);
+router.post(
+  '/oidc/authorize',
+  authMiddleware,
+  requireVerifiedEmail,
+  validateOidcConsent,
+  oidcController.decideAuthorization
+);
+
+/**
+ * RUTAS DE RECUPERACIÓN DE PASSWORD ("OLVIDÉ MI CONTRASEÑA")
+ *
+ * POST /api/auth/forgot-password
+ * - Body: { email }
+ * - Siempre responde 202 (no revela si el email existe)
+ * - Si existe, envía un enlace con un token de un solo uso
+ * - forgotPasswordRateLimiter: límite de solicitudes por IP (429); por
+ *   cuenta, como mucho un email cada PASSWORD_RESET_INTERVAL_SECONDS
+ *
+ * POST /api/auth/reset-password
+ * - Body: { token, newPassword, confirmPassword }
+ * - Consume el token y guarda el nuevo password
+ */
+router.post(
+  '/forgot-password',
+  forgotPasswordRateLimiter,
+  validateForgotPassword,
+  authController.forgotPassword
+);
+router.post(
+  '/reset-password',
+  validateResetPassword,
+  authController.resetPassword
+);
+
+/**
+ * RUTAS DE VERIFICACIÓN DE EMAIL
+ *
+ * GET /api/auth/verify-email/:token
+ * - El token llega en el enlace enviado por email
+ *
+ * POST /api/auth/resend-verification
+ * - Body: { email }
+ * - Siempre responde 202; los reenvíos están limitados por cuenta
+ */
+router.get('/verify-email/:token', authController.verifyEmail);
+router.post(
+  '/resend-verification',
+  validateResendVerification,
+  authController.resendVerification
+);
+
+/**
+ * CLAVES PÚBLICAS DE LOS ACCESS TOKENS (JWKS)
+ *
+ * GET /api/auth/.well-known/jwks.json
  *
- * Esta ruta demuestra cómo proteger endpoints que requieren autenticación.
+ * Para los servicios que validan los access tokens por su cuenta: eligen
+ * la clave por el 'kid' del header y exigen 'iss' y 'aud'. Durante una
+ * rotación incluye la clave nueva y la anterior (ver utils/signingKeys.js).
  */
-router.get('/profile', authMiddleware, authController.getProfile);
+router.get('/.well-known/jwks.json', oidcController.jwks);
 
 /**
  * RUTA DE VERIFICACIÓN DE TOKEN
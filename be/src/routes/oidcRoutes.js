@@ -0,0 +1,72 @@
+// src/routes/oidcRoutes.js - Endpoints del proveedor de identidad OpenID Connect
+const express = require('express');
+const router = express.Router();
+
+const oidcController = require('../controllers/oidcController');
+const { validateOidcAuthorize } = require('../middleware/validationMiddleware');
+const { AppError } = require('../utils/errors');
+
+/**
+ * RUTAS DEL PROTOCOLO OPENID CONNECT
+ *
+ * Se montan en la raíz del servidor (no bajo /api): las rutas de
+ * descubrimiento son estándar y las librerías cliente las buscan ahí.
+ *
+ * GET  /.well-known/openid-configuration → documento de descubrimiento
+ * GET  /oauth2/jwks                      → claves públicas (JWKS)
+ * GET  /oauth2/authorize                 → redirige a la página de
+ *                                          consentimiento del frontend
+ * POST /oauth2/token                     → canjea código o refresh token
+ * GET  /oauth2/userinfo (también POST)   → claims del usuario
+ *
+ * La página de consentimiento usa la API propia (con el access token
+ * del frontend): GET/POST /api/auth/oidc/authorize en authRoutes.js.
+ */
+router.get('/.well-known/openid-configuration', oidcController.discovery);
+router.get('/oauth2/jwks', oidcController.jwks);
+router.get(
+  '/oauth2/authorize',
+  validateOidcAuthorize,
+  oidcController.authorize
+);
+router.post('/oauth2/token', oidcController.token);
+router.get('/oauth2/userinfo', oidcController.userinfo);
+router.post('/oauth2/userinfo', oidcController.userinfo);
+
+/**
+ * ERRORES EN FORMATO OAUTH2
+ *
+ * Las librerías cliente esperan { error, error_description } (RFC 6749 y
+ * RFC 6750), no el formato propio de la API. Los controladores lanzan
+ * AppError con el código OAuth como 'code'; los demás errores (validación
+ * de /oauth2/authorize, 500...) siguen al manejador global de app.js.
+ */
+const OAUTH_ERROR_CODES = [
+  'invalid_request',
+  'invalid_client',
+  'invalid_grant',
+  'unsupported_grant_type',
+  'invalid_token',
+];
+
+router.use((err, req, res, next) => {
+  if (!(err instanceof AppError) || !OAUTH_ERROR_CODES.includes(err.code)) {
+    return next(err);
+  }
+
+  // 401 debe indicar cómo autenticarse
+  if (err.code === 'invalid_client') {
+    res.set('WWW-Authenticate', 'Basic realm="oauth2"');
+  }
+  if (err.code === 'invalid_token') {
+    res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+  }
+
+  res.set('Cache-Control', 'no-store');
+  res.status(err.status).json({
+    error: err.code,
+    error_description: err.message,
+  });
+});
+
+module.exports = router;
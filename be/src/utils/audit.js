@@ -0,0 +1,51 @@
+// src/utils/audit.js - Registro de eventos de auditoría a partir de la request
+const AuditEvent = require('../models/AuditEvent');
+const logger = require('./logger');
+
+/**
+ * REGISTRAR UN EVENTO DE AUDITORÍA
+ *
+ * Completa los datos que salen de la request (IP, User-Agent, request ID
+ * y quién actúa) para que los controladores solo indiquen qué pasó:
+ *
+ *   await recordAudit(req, AuditEvent.EVENTS.LOGOUT);
+ *   await recordAudit(req, AuditEvent.EVENTS.ADMIN_USER_DISABLE, {
+ *     userId: target.id,
+ *   });
+ *
+ * - userId: cuenta afectada (por defecto, el usuario autenticado)
+ * - actorId: por defecto el usuario autenticado; sin sesión (registro,
+ *   login), la propia cuenta afectada
+ *
+ * Igual que el envío de emails, un fallo al registrar no hace fallar la
+ * operación del usuario: se escribe en los logs y se continúa.
+ *
+ * @param {Object} req - Request de Express
+ * @param {string} type - Uno de AuditEvent.EVENTS
+ * @param {Object} [options]
+ * @param {number|null} [options.userId]
+ * @param {number|null} [options.actorId]
+ * @param {Object} [options.metadata] - Detalles (¡nunca passwords ni tokens!)
+ * @returns {Promise<void>}
+ */
+const recordAudit = async (req, type, { userId, actorId, metadata } = {}) => {
+  const subjectId = userId !== undefined ? userId : req.userId || null;
+
+  try {
+    await AuditEvent.record({
+      type,
+      userId: subjectId,
+      actorId: actorId !== undefined ? actorId : req.userId || subjectId,
+      ip: req.ip,
+      userAgent: req.get('User-Agent') || null,
+      requestId: req.id || null,
+      metadata,
+    });
+  } catch (error) {
+    logger.error('Error al registrar evento de auditoría', { type, error });
+  }
+};
+
+module.exports = {
+  recordAudit,
+};
@@ -0,0 +1,109 @@
+// src/utils/emailVerification.js - Verificación de email mediante enlaces firmados
+const jwt = require('jsonwebtoken');
+const { sendMail } = require('./mailer');
+
+/**
+ * VERIFICACIÓN DE EMAIL
+ *
+ * Al registrarse (o al cambiar de email) enviamos un enlace que contiene
+ * un token FIRMADO (JWT). No hace falta guardarlo en la BD:
+ * - La firma garantiza que lo generó este servidor
+ * - Expira solo (EMAIL_VERIFICATION_EXPIRES_IN)
+ * - Incluye el email: si el usuario cambia de email, los enlaces
+ *   enviados a la dirección anterior dejan de servir
+ * - El claim 'purpose' impide usarlo como access token (y viceversa)
+ *
+ * POLÍTICA PARA CUENTAS SIN VERIFICAR (EMAIL_VERIFICATION_POLICY):
+ * - off: no se exige verificación
+ * - limited (por defecto): pueden iniciar sesión, pero las rutas
+ *   protegidas con requireVerifiedEmail responden 403
+ * - block: no pueden iniciar sesión hasta verificar el email
+ */
+
+const TOKEN_PURPOSE = 'email-verification';
+
+const POLICIES = ['off', 'limited', 'block'];
+
+/**
+ * Política configurada (con 'limited' como valor por defecto)
+ *
+ * @returns {'off'|'limited'|'block'}
+ */
+const getVerificationPolicy = () => {
+  const policy = process.env.EMAIL_VERIFICATION_POLICY || 'limited';
+  return POLICIES.includes(policy) ? policy : 'limited';
+};
+
+/**
+ * Segundos mínimos entre dos envíos del email de verificación
+ */
+const getResendIntervalSeconds = () =>
+  parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS, 10) || 60;
+
+/**
+ * Genera el token firmado para un usuario
+ *
+ * @param {User} user - Usuario a verificar
+ * @returns {string} - JWT firmado
+ */
+const createVerificationToken = (user) =>
+  jwt.sign(
+    { purpose: TOKEN_PURPOSE, email: user.email },
+    process.env.JWT_SECRET,
+    {
+      subject: String(user.id),
+      expiresIn: process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h',
+    }
+  );
+
+/**
+ * Verifica un token de verificación
+ *
+ * @param {string} token - Token recibido en el enlace
+ * @returns {{userId: number, email: string}|null} - null si es inválido
+ */
+const decodeVerificationToken = (token) => {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    if (payload.purpose !== TOKEN_PURPOSE) {
+      return null;
+    }
+    return { userId: Number(payload.sub), email: payload.email };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Envía el email con el enlace de verificación y registra la fecha de envío
+ *
+ * @param {User} user - Usuario destinatario
+ * @returns {Promise<void>}
+ */
+const sendVerificationEmail = async (user) => {
+  const token = createVerificationToken(user);
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+  const verifyUrl = `${frontendUrl}/verify-email/${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verifica tu email',
+    text: [
+      `Hola ${user.nombres},`,
+      '',
+      'Confirma tu dirección de email abriendo este enlace:',
+      verifyUrl,
+      '',
+      'Si no creaste una cuenta, ignora este mensaje.',
+    ].join('\n'),
+  });
+
+  await user.markVerificationSent();
+};
+
+module.exports = {
+  getVerificationPolicy,
+  getResendIntervalSeconds,
+  decodeVerificationToken,
+  sendVerificationEmail,
+};
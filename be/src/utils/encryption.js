@@ -0,0 +1,89 @@
+// src/utils/encryption.js - Cifrado simétrico de secretos guardados en la BD
+const crypto = require('crypto');
+
+/**
+ * ¿HASH O CIFRADO?
+ *
+ * Los passwords y los tokens se guardan como HASH: el servidor solo
+ * necesita comprobar que coinciden, nunca recuperarlos.
+ *
+ * El secreto TOTP es distinto: para calcular el código esperado el
+ * servidor necesita el secreto original. Por eso se guarda CIFRADO
+ * (AES-256-GCM) con una clave que NO está en la BD: si solo se filtra
+ * la base de datos, los secretos no sirven.
+ *
+ * Clave (ENCRYPTION_KEY):
+ * - Cualquier texto largo y aleatorio; se deriva una clave de 256 bits
+ * - Si no se define, se deriva de JWT_SECRET (cómodo en desarrollo; en
+ *   producción conviene una clave propia)
+ * - Cambiarla invalida los secretos ya guardados (habría que volver a
+ *   activar la verificación en dos pasos)
+ *
+ * GCM además AUTENTICA el contenido: si alguien modifica el texto cifrado
+ * en la BD, decryptSecret() falla en lugar de devolver basura.
+ *
+ * Formato guardado: 'v1:<iv>:<tag>:<cifrado>' (base64url). El prefijo de
+ * versión permite cambiar el algoritmo en el futuro.
+ */
+
+const VERSION = 'v1';
+const ALGORITHM = 'aes-256-gcm';
+
+const getKey = () => {
+  const material = process.env.ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!material) {
+    throw new Error('ENCRYPTION_KEY (o JWT_SECRET) no está configurada');
+  }
+  return crypto.createHash('sha256').update(`encryption:${material}`).digest();
+};
+
+/**
+ * Cifra un texto
+ *
+ * @param {string} plaintext
+ * @returns {string} - 'v1:<iv>:<tag>:<cifrado>'
+ */
+const encryptSecret = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const encrypted = Buffer.concat([
+    cipher.update(plaintext, 'utf8'),
+    cipher.final(),
+  ]);
+
+  return [VERSION, iv, cipher.getAuthTag(), encrypted]
+    .map((part) => (Buffer.isBuffer(part) ? part.toString('base64url') : part))
+    .join(':');
+};
+
+/**
+ * Descifra un texto generado por encryptSecret()
+ *
+ * @param {string} payload
+ * @returns {string}
+ * @throws {Error} Si el formato es desconocido, la clave cambió o el
+ *   contenido fue modificado
+ */
+const decryptSecret = (payload) => {
+  const [version, iv, tag, encrypted] = String(payload).split(':');
+  if (version !== VERSION || !encrypted) {
+    throw new Error('Formato de secreto cifrado desconocido');
+  }
+
+  const decipher = crypto.createDecipheriv(
+    ALGORITHM,
+    getKey(),
+    Buffer.from(iv, 'base64url')
+  );
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(encrypted, 'base64url')),
+    decipher.final(),
+  ]).toString('utf8');
+};
+
+module.exports = {
+  encryptSecret,
+  decryptSecret,
+};
@@ -0,0 +1,148 @@
+// src/utils/errors.js - Errores de la API con status HTTP y código estable
+
+/**
+ * ERRORES TIPADOS DE LA API
+ *
+ * En lugar de que cada controlador arme su propio
+ * res.status(401).json({ success: false, message }), se lanza un error:
+ *
+ *   throw new AuthenticationError('Credenciales inválidas', {
+ *     code: 'INVALID_CREDENTIALS',
+ *   });
+ *
+ * y el manejador global de app.js lo convierte en la respuesta HTTP.
+ * Así todas las respuestas de error tienen el mismo formato:
+ *
+ *   {
+ *     "success": false,
+ *     "code": "INVALID_CREDENTIALS",   ← para programas (estable)
+ *     "message": "Credenciales inválidas", ← para personas (puede cambiar)
+ *     ...details                        ← p. ej. errors, retryAfter
+ *   }
+ *
+ * ¿Por qué un 'code' además del status?
+ * - Un 401 puede ser "token expirado" (conviene renovar la sesión) o
+ *   "credenciales inválidas" (no): el cliente necesita distinguirlos
+ * - Los mensajes están en español y pueden reescribirse; el código no
+ *
+ * Cada clase trae un status y un código por defecto; el código puede
+ * cambiarse para un caso concreto (segundo argumento).
+ */
+
+class AppError extends Error {
+  /**
+   * @param {string} message - Mensaje para el usuario
+   * @param {Object} [options]
+   * @param {string} [options.code] - Código estable (por defecto el de la clase)
+   * @param {Object} [options.details] - Campos extra para la respuesta
+   */
+  constructor(message, { code, details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = this.constructor.status;
+    this.code = code || this.constructor.code;
+    this.details = details;
+  }
+
+  static status = 500;
+  static code = 'INTERNAL_ERROR';
+}
+
+// 400: datos de entrada inválidos (express-validator)
+class ValidationError extends AppError {
+  /**
+   * @param {string[]} errors - Un mensaje por cada validación fallida
+   */
+  constructor(errors = [], message = 'Errores de validación') {
+    super(message, { details: { errors } });
+  }
+
+  static status = 400;
+  static code = 'VALIDATION_ERROR';
+}
+
+// 400: la petición es correcta en forma pero no puede aplicarse
+class BadRequestError extends AppError {
+  static status = 400;
+  static code = 'BAD_REQUEST';
+}
+
+// 401: no sabemos quién es (sin token, token inválido, credenciales)
+class AuthenticationError extends AppError {
+  static status = 401;
+  static code = 'UNAUTHORIZED';
+}
+
+// 403: sabemos quién es, pero no puede hacer esto
+class ForbiddenError extends AppError {
+  static status = 403;
+  static code = 'FORBIDDEN';
+}
+
+class NotFoundError extends AppError {
+  static status = 404;
+  static code = 'NOT_FOUND';
+}
+
+// 409: choca con el estado actual (p. ej. email ya registrado)
+class ConflictError extends AppError {
+  static status = 409;
+  static code = 'CONFLICT';
+}
+
+// 429: el manejador global agrega el header Retry-After
+class TooManyRequestsError extends AppError {
+  /**
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {string} [options.code]
+   * @param {number} [options.retryAfter] - Segundos hasta poder reintentar
+   */
+  constructor(message, { code, retryAfter } = {}) {
+    super(message, {
+      code,
+      details: retryAfter !== undefined ? { retryAfter } : undefined,
+    });
+    this.retryAfter = retryAfter;
+  }
+
+  static status = 429;
+  static code = 'TOO_MANY_REQUESTS';
+}
+
+// 502: un servicio externo (p. ej. un proveedor de login social) no respondió bien
+class BadGatewayError extends AppError {
+  static status = 502;
+  static code = 'BAD_GATEWAY';
+}
+
+/**
+ * ENVOLTORIO PARA CONTROLADORES Y MIDDLEWARES ASYNC
+ *
+ * Express 4 no captura los errores de las funciones async: una Promise
+ * rechazada quedaría sin responder. asyncHandler pasa el error a next(),
+ * que lo entrega al manejador global:
+ *
+ *   const getProfile = asyncHandler(async (req, res) => {
+ *     if (!user) throw new NotFoundError('Usuario no encontrado');
+ *     ...
+ *   });
+ *
+ * @param {Function} handler - async (req, res, next) => ...
+ * @returns {Function} Middleware de Express
+ */
+const asyncHandler = (handler) => (req, res, next) =>
+  Promise.resolve(handler(req, res, next)).catch(next);
+
+module.exports = {
+  AppError,
+  ValidationError,
+  BadRequestError,
+  AuthenticationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError,
+  BadGatewayError,
+  asyncHandler,
+};
@@ -0,0 +1,210 @@
+// src/utils/logger.js - Logs estructurados (JSON) con niveles y contexto por request
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * LOGS ESTRUCTURADOS
+ *
+ * En lugar de console.log('✅ Algo pasó con el usuario 5'), cada log es
+ * una línea JSON con campos:
+ *
+ *   {"time":"2024-05-01T12:00:00.000Z","level":"info",
+ *    "msg":"Administrador creado","requestId":"9b1c...","email":"a@b.co"}
+ *
+ * ¿Por qué JSON?
+ * - Las herramientas de logs (Loki, CloudWatch, ELK...) lo indexan: se
+ *   puede buscar por requestId, level o cualquier campo
+ * - El mensaje es fijo y los datos variables van aparte
+ *
+ * NIVELES (LOG_LEVEL, por defecto 'info'):
+ *   error > warn > info > debug
+ * Se escriben los del nivel configurado y los más graves. 'silent' no
+ * escribe nada (útil en tests).
+ *
+ * LOG_FORMAT=pretty muestra una línea legible en lugar de JSON, cómodo
+ * durante el desarrollo.
+ *
+ * CONTEXTO POR REQUEST
+ * runWithContext() guarda campos (p. ej. requestId) con AsyncLocalStorage,
+ * igual que las transacciones de la base de datos: cualquier log que se
+ * escriba mientras se atiende esa request los incluye sin pasarlos a mano.
+ *
+ * REDACCIÓN
+ * Los campos cuyo nombre parece un secreto (password, token,
+ * authorization, los códigos de la verificación en dos pasos...) se
+ * reemplazan por '[REDACTED]' antes de escribirse, por si algún log
+ * incluye el cuerpo de una petición.
+ *
+ * Las URLs también pueden llevar secretos (el token del enlace de
+ * verificación de email va en la ruta): redactUrl() los oculta antes de
+ * escribir la ruta en el log de acceso.
+ */
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+const REDACTED = '[REDACTED]';
+const SENSITIVE_KEY =
+  /pass(word)?|token|secret|authorization|cookie|api[-_]?key|^(code|recovery_?code|code_verifier)$/i;
+
+// Segmentos de una ruta que son tokens: JWT (tres partes separadas por
+// puntos) o cadenas aleatorias largas
+const TOKEN_SEGMENT = /^[\w-]+\.[\w-]+\.[\w-]+$|^[\w-]{32,}$/;
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Nivel configurado (LOG_LEVEL); se lee en cada llamada, como en mailer.js
+ */
+const getLevel = () => {
+  const level = (process.env.LOG_LEVEL || 'info').toLowerCase();
+  if (level === 'silent') {
+    return -1;
+  }
+  return level in LEVELS ? LEVELS[level] : LEVELS.info;
+};
+
+/**
+ * Copia de un valor con los campos sensibles ocultos
+ *
+ * Recorre objetos y arrays; los Error se convierten en objetos planos
+ * (JSON.stringify de un Error devuelve {}). Las fechas se escriben en
+ * ISO 8601 y los Buffer pasan sin cambios: recorrer sus propiedades
+ * devolvería {} o un objeto con un campo por byte.
+ */
+const redact = (value, seen = new WeakSet()) => {
+  if (value instanceof Date) {
+    // Como JSON.stringify: una fecha inválida se escribe como null
+    return Number.isNaN(value.getTime()) ? null : value.toISOString();
+  }
+
+  if (Buffer.isBuffer(value)) {
+    return value;
+  }
+
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      ...(value.code !== undefined && { code: value.code }),
+      stack: value.stack,
+    };
+  }
+
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+
+  // Referencias circulares
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, seen));
+  }
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      SENSITIVE_KEY.test(key) && item != null ? REDACTED : redact(item, seen),
+    ])
+  );
+};
+
+/**
+ * URL SIN SECRETOS
+ *
+ *   /api/auth/verify-email/eyJhbGciOi...  → /api/auth/verify-email/[REDACTED]
+ *   /callback?code=abc&state=xyz          → /callback?code=[REDACTED]&state=xyz
+ *
+ * @param {string} url - Ruta con query string (p. ej. req.originalUrl)
+ * @returns {string}
+ */
+const redactUrl = (url) => {
+  const [pathname, ...rest] = url.split('?');
+  const query = rest.join('?');
+
+  const safePath = pathname
+    .split('/')
+    .map((segment) => (TOKEN_SEGMENT.test(segment) ? REDACTED : segment))
+    .join('/');
+
+  if (!query) {
+    return safePath;
+  }
+
+  const safeQuery = query
+    .split('&')
+    .map((pair) => {
+      const [key] = pair.split('=');
+      return SENSITIVE_KEY.test(key) ? `${key}=${REDACTED}` : pair;
+    })
+    .join('&');
+
+  return `${safePath}?${safeQuery}`;
+};
+
+const formatPretty = ({ time, level, msg, ...fields }) => {
+  const extra = Object.entries(fields)
+    .map(([key, value]) => `${key}=${JSON.stringify(value)}`)
+    .join(' ');
+  return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${
+    extra ? ` ${extra}` : ''
+  }`;
+};
+
+const write = (level, msg, fields = {}) => {
+  if (LEVELS[level] > getLevel()) {
+    return;
+  }
+
+  const entry = redact({
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...context.getStore(),
+    ...fields,
+  });
+
+  const line =
+    process.env.LOG_FORMAT === 'pretty'
+      ? formatPretty(entry)
+      : JSON.stringify(entry);
+
+  // Igual que console.error/console.warn: los problemas van a stderr
+  const stream = LEVELS[level] <= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+};
+
+/**
+ * EJECUTAR CON CONTEXTO
+ *
+ * Los campos se suman a los del contexto actual (si lo hay).
+ *
+ * @param {Object} fields - Campos que se agregan a cada log (p. ej. requestId)
+ * @param {Function} callback - Código que se ejecuta con ese contexto
+ */
+const runWithContext = (fields, callback) =>
+  context.run({ ...context.getStore(), ...fields }, callback);
+
+/**
+ * API DEL LOGGER
+ *
+ *   logger.info('Administrador creado', { email });
+ *   logger.error('Error al enviar email', { error });
+ *
+ * @param {string} msg - Mensaje fijo (sin datos variables)
+ * @param {Object} [fields] - Datos del evento
+ */
+const logger = {
+  error: (msg, fields) => write('error', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  debug: (msg, fields) => write('debug', msg, fields),
+  isLevelEnabled: (level) => LEVELS[level] <= getLevel(),
+  runWithContext,
+  redact,
+  redactUrl,
+};
+
+module.exports = logger;
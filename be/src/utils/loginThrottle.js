@@ -0,0 +1,383 @@
+// src/utils/loginThrottle.js - Retrasos progresivos y bloqueo temporal ante intentos fallidos
+const LoginAttempt = require('../models/LoginAttempt');
+
+/**
+ * PROTECCIÓN CONTRA FUERZA BRUTA EN EL LOGIN
+ *
+ * Un atacante que prueba passwords necesita MUCHOS intentos. Si cada
+ * intento fallido obliga a esperar más que el anterior, el ataque deja
+ * de ser práctico sin molestar a un usuario que se equivoca una o dos veces.
+ *
+ * Para cada clave (una IP o una cuenta) contamos los fallos consecutivos.
+ * El intento se cuenta ANTES de verificar el password (bcrypt tarda):
+ * si se contara al fallar, una ráfaga de peticiones simultáneas pasaría
+ * entera mientras todas esperan a bcrypt. Si resulta no ser un fallo, se
+ * descuenta.
+ *
+ * 1. RETRASO PROGRESIVO:
+ *    - Los primeros N fallos son "gratis"
+ *    - Después, hay que esperar base * 2^(fallos - N) segundos
+ *      entre intentos (1s, 2s, 4s, 8s...) hasta un máximo
+ *
+ * 2. BLOQUEO TEMPORAL (solo por cuenta):
+ *    - Tras LOGIN_LOCKOUT_THRESHOLD fallos la cuenta se bloquea
+ *      LOGIN_LOCKOUT_MINUTES, aunque el password sea correcto
+ *
+ * 3. OLVIDO:
+ *    - Los fallos más antiguos que LOGIN_ATTEMPT_WINDOW_MINUTES no cuentan
+ *    - Un login exitoso borra los fallos de la cuenta (no los de la IP:
+ *      si no, entrar con una cuenta propia "limpiaría" la IP del atacante)
+ *
+ * ¿Por qué bloquear también emails que no existen?
+ * - Si solo se bloquearan cuentas reales, la respuesta 429 revelaría
+ *   qué emails están registrados
+ *
+ * STORES INTERCAMBIABLES:
+ * Cada limitador guarda sus contadores en un "store" con la interfaz:
+ *
+ *   get(key) → Promise<{failures, lastFailureAt, lockedUntil} | null>
+ *   set(key, record) → Promise<void>
+ *   delete(key) → Promise<void>
+ *   increment(key, windowStart) → Promise<{failures, lastFailureAt, lockedUntil}>
+ *   decrement(key) → Promise<void>
+ *
+ * increment() y decrement() deben ser ATÓMICOS: con dos peticiones a la
+ * vez, cada una ve un contador distinto (en la BD, una sola sentencia
+ * con RETURNING; nunca leer, sumar y guardar por separado).
+ * increment() cuenta un intento ahora y reinicia el contador si el
+ * último fallo es anterior a windowStart.
+ *
+ * - Por IP: MemoryStore (rápido; se pierde al reiniciar)
+ * - Por cuenta: LoginAttempt (SQLite; sobrevive a reinicios)
+ *
+ * Con varias instancias del servidor, setThrottleStores() permite usar
+ * un store compartido (Redis, la BD, ...) para que todas vean los mismos
+ * contadores.
+ */
+
+const toInt = (value, defaultValue) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? defaultValue : parsed;
+};
+
+const WINDOW_MS = toInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES, 15) * 60000;
+const BASE_DELAY_SECONDS = toInt(process.env.LOGIN_BASE_DELAY_SECONDS, 1);
+const MAX_DELAY_SECONDS = toInt(process.env.LOGIN_MAX_DELAY_SECONDS, 60);
+
+/**
+ * STORE EN MEMORIA
+ *
+ * Un Map de JavaScript. Suficiente para una sola instancia del servidor.
+ * Las entradas antiguas se eliminan en purgeStale() para que no crezca
+ * sin límite.
+ */
+class MemoryStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async get(key) {
+    return this.records.get(key) || null;
+  }
+
+  async set(key, record) {
+    this.records.set(key, record);
+  }
+
+  async delete(key) {
+    this.records.delete(key);
+  }
+
+  // Sin await entre leer y guardar: atómico en un solo proceso
+  async increment(key, windowStart) {
+    const record = this.records.get(key);
+    const active = record && record.lastFailureAt >= windowStart;
+
+    const updated = {
+      failures: active ? record.failures + 1 : 1,
+      lastFailureAt: new Date(),
+      lockedUntil: record ? record.lockedUntil : null,
+    };
+    this.records.set(key, updated);
+    return updated;
+  }
+
+  async decrement(key) {
+    const record = this.records.get(key);
+    if (record && record.failures > 0) {
+      this.records.set(key, { ...record, failures: record.failures - 1 });
+    }
+  }
+
+  async purgeStale(olderThan) {
+    let removed = 0;
+    const now = Date.now();
+
+    for (const [key, record] of this.records) {
+      const locked = record.lockedUntil && record.lockedUntil > now;
+      if (!locked && record.lastFailureAt <= olderThan) {
+        this.records.delete(key);
+        removed += 1;
+      }
+    }
+    return removed;
+  }
+}
+
+/**
+ * LIMITADOR DE INTENTOS
+ *
+ * Una instancia por tipo de clave (IP o cuenta), con su propia
+ * configuración y su propio store.
+ */
+class LoginThrottle {
+  /**
+   * @param {Object} options
+   * @param {string} options.prefix - Prefijo de las claves ('ip', 'account')
+   * @param {Object} options.store - Store con get/set/delete/increment/decrement
+   * @param {number} options.freeAttempts - Fallos permitidos sin retraso
+   * @param {number|null} [options.lockoutThreshold] - Fallos para bloquear (null = nunca)
+   * @param {number} [options.lockoutMinutes] - Duración del bloqueo
+   */
+  constructor({
+    prefix,
+    store,
+    freeAttempts,
+    lockoutThreshold = null,
+    lockoutMinutes = 15,
+  }) {
+    this.prefix = prefix;
+    this.store = store;
+    this.freeAttempts = freeAttempts;
+    this.lockoutThreshold = lockoutThreshold;
+    this.lockoutMinutes = lockoutMinutes;
+  }
+
+  key(id) {
+    return `${this.prefix}:${String(id).toLowerCase()}`;
+  }
+
+  /**
+   * Segundos de espera exigidos tras 'failures' fallos consecutivos
+   */
+  delayFor(failures) {
+    if (failures < this.freeAttempts) {
+      return 0;
+    }
+    const delay = BASE_DELAY_SECONDS * 2 ** (failures - this.freeAttempts);
+    return Math.min(delay, MAX_DELAY_SECONDS);
+  }
+
+  /**
+   * Registro vigente (null si no existe o si sus fallos ya caducaron)
+   */
+  async getActiveRecord(id) {
+    const record = await this.store.get(this.key(id));
+    if (!record) {
+      return null;
+    }
+
+    const now = Date.now();
+    const locked = record.lockedUntil && record.lockedUntil > now;
+    const stale =
+      !record.lastFailureAt || now - record.lastFailureAt > WINDOW_MS;
+
+    return locked || !stale ? record : null;
+  }
+
+  /**
+   * ¿PUEDE INTENTARSE UN LOGIN AHORA?
+   *
+   * @param {string} id - IP o email
+   * @returns {Promise<{allowed: boolean, locked: boolean, retryAfterSeconds: number, failures?: number}>}
+   *   failures: fallos vigentes (si se permite)
+   */
+  async check(id) {
+    const record = await this.getActiveRecord(id);
+    const now = Date.now();
+
+    if (!record) {
+      return {
+        allowed: true,
+        locked: false,
+        retryAfterSeconds: 0,
+        failures: 0,
+      };
+    }
+
+    if (record.lockedUntil && record.lockedUntil > now) {
+      return {
+        allowed: false,
+        locked: true,
+        retryAfterSeconds: Math.ceil((record.lockedUntil - now) / 1000),
+      };
+    }
+
+    const nextAttemptAt =
+      record.lastFailureAt.getTime() + this.delayFor(record.failures) * 1000;
+
+    if (now < nextAttemptAt) {
+      return {
+        allowed: false,
+        locked: false,
+        retryAfterSeconds: Math.ceil((nextAttemptAt - now) / 1000),
+      };
+    }
+
+    return {
+      allowed: true,
+      locked: false,
+      retryAfterSeconds: 0,
+      failures: record.failures,
+    };
+  }
+
+  /**
+   * CONTAR UN INTENTO (antes de verificar el password)
+   *
+   * check() decide con el contador que leyó, pero entre esa lectura y
+   * increment() pueden haberse contado otros intentos simultáneos. El
+   * contador que devuelve increment() lo dice: si hubo otros y el último
+   * ya exige esperar, este intento se rechaza (y se descuenta).
+   *
+   * @param {string} id - IP o email
+   * @returns {Promise<{allowed: boolean, locked: boolean, retryAfterSeconds: number, failures?: number}>}
+   *   failures: contador con este intento incluido (si se permite)
+   */
+  async registerAttempt(id) {
+    const state = await this.check(id);
+    if (!state.allowed) {
+      return state;
+    }
+
+    const key = this.key(id);
+    const { failures } = await this.store.increment(
+      key,
+      new Date(Date.now() - WINDOW_MS)
+    );
+    const previous = failures - 1;
+
+    if (previous > state.failures && this.delayFor(previous) > 0) {
+      await this.store.decrement(key);
+      return {
+        allowed: false,
+        locked: false,
+        retryAfterSeconds: this.delayFor(previous),
+      };
+    }
+
+    return { allowed: true, locked: false, retryAfterSeconds: 0, failures };
+  }
+
+  /**
+   * EL INTENTO CONTADO FUE UN FALLO
+   *
+   * Ya se contó en registerAttempt(); solo falta bloquear si se alcanzó
+   * el umbral. El contador vuelve a cero: al terminar el bloqueo se
+   * dispone otra vez de los intentos gratuitos (y de los retrasos
+   * progresivos).
+   *
+   * @param {string} id - IP o email
+   * @param {number} failures - Contador que devolvió registerAttempt()
+   * @returns {Promise<void>}
+   */
+  async recordFailure(id, failures) {
+    if (!this.lockoutThreshold || failures < this.lockoutThreshold) {
+      return;
+    }
+
+    const now = new Date();
+    await this.store.set(this.key(id), {
+      failures: 0,
+      lastFailureAt: now,
+      lockedUntil: new Date(now.getTime() + this.lockoutMinutes * 60000),
+    });
+  }
+
+  /**
+   * EL INTENTO CONTADO NO FUE UN FALLO: se descuenta
+   *
+   * @param {string} id - IP o email
+   * @returns {Promise<void>}
+   */
+  async release(id) {
+    await this.store.decrement(this.key(id));
+  }
+
+  /**
+   * OLVIDAR LOS FALLOS (tras un login exitoso)
+   *
+   * @param {string} id - IP o email
+   * @returns {Promise<void>}
+   */
+  async reset(id) {
+    await this.store.delete(this.key(id));
+  }
+
+  /**
+   * PURGAR REGISTROS ANTIGUOS (si el store lo soporta)
+   *
+   * @returns {Promise<number>} - Cantidad de registros eliminados
+   */
+  async purgeStale() {
+    if (typeof this.store.purgeStale !== 'function') {
+      return 0;
+    }
+    return this.store.purgeStale(new Date(Date.now() - WINDOW_MS));
+  }
+}
+
+// Por IP: más margen (varias personas pueden compartir IP), sin bloqueo
+const ipThrottle = new LoginThrottle({
+  prefix: 'ip',
+  store: new MemoryStore(),
+  freeAttempts: toInt(process.env.LOGIN_IP_FREE_ATTEMPTS, 10),
+});
+
+// Por cuenta: pocos intentos gratuitos y bloqueo temporal
+const accountThrottle = new LoginThrottle({
+  prefix: 'account',
+  store: LoginAttempt,
+  freeAttempts: toInt(process.env.LOGIN_ACCOUNT_FREE_ATTEMPTS, 3),
+  lockoutThreshold: toInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10),
+  lockoutMinutes: toInt(process.env.LOGIN_LOCKOUT_MINUTES, 15),
+});
+
+/**
+ * REEMPLAZAR LOS STORES (p. ej. por uno compartido entre instancias)
+ *
+ * @param {Object} stores
+ * @param {Object} [stores.ip] - Store para los límites por IP
+ * @param {Object} [stores.account] - Store para los límites por cuenta
+ */
+const setThrottleStores = ({ ip, account } = {}) => {
+  [
+    [ipThrottle, ip],
+    [accountThrottle, account],
+  ].forEach(([throttle, store]) => {
+    if (!store) return;
+
+    ['get', 'set', 'delete', 'increment', 'decrement'].forEach((method) => {
+      if (typeof store[method] !== 'function') {
+        throw new Error(`El store debe implementar ${method}()`);
+      }
+    });
+    throttle.store = store;
+  });
+};
+
+/**
+ * PURGAR LOS REGISTROS ANTIGUOS DE AMBOS LIMITADORES
+ *
+ * @returns {Promise<number>} - Cantidad de registros eliminados
+ */
+const purgeLoginAttempts = async () =>
+  (await ipThrottle.purgeStale()) + (await accountThrottle.purgeStale());
+
+module.exports = {
+  ipThrottle,
+  accountThrottle,
+  MemoryStore,
+  setThrottleStores,
+  purgeLoginAttempts,
+};
@@ -0,0 +1,128 @@
+// src/utils/mailer.js - Abstracción para el envío de emails
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+/**
+ * SERVICIO DE EMAIL CON TRANSPORTES INTERCAMBIABLES
+ *
+ * El resto de la aplicación solo llama a sendMail({ to, subject, text, html })
+ * sin saber CÓMO se entrega el mensaje. Ese "cómo" lo decide el transporte,
+ * configurado con la variable de entorno MAIL_TRANSPORT.
+ *
+ * Transportes incluidos:
+ * - console: imprime el email en la consola (desarrollo)
+ * - file: guarda cada email como archivo JSON en MAIL_FILE_DIR
+ *   (útil en desarrollo y pruebas para "abrir" los enlaces recibidos)
+ * - smtp: envío real mediante nodemailer (SMTP_HOST, SMTP_PORT, ...)
+ *
+ * ¿Por qué una abstracción?
+ * - En desarrollo no necesitamos un servidor SMTP real
+ * - Cambiar de proveedor no obliga a tocar los controladores
+ * - registerTransport() permite agregar transportes propios
+ *
+ * Un transporte es simplemente un objeto con un método async send(message).
+ */
+
+const MAIL_FROM = process.env.MAIL_FROM || 'no-reply@localhost';
+
+const transports = {
+  console: {
+    async send(message) {
+      console.log('📧 Email (transporte console):');
+      console.log(`   Para: ${message.to}`);
+      console.log(`   Asunto: ${message.subject}`);
+      console.log(`   ${message.text.split('\n').join('\n   ')}`);
+    },
+  },
+
+  file: {
+    async send(message) {
+      const dir = path.resolve(process.env.MAIL_FILE_DIR || 'tmp/mails');
+      await fs.promises.mkdir(dir, { recursive: true });
+
+      // Nombre ordenable por fecha y único aunque se envíen varios a la vez
+      const fileName = `${Date.now()}-${Math.random()
+        .toString(36)
+        .slice(2, 8)}.json`;
+
+      await fs.promises.writeFile(
+        path.join(dir, fileName),
+        JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2)
+      );
+      logger.info('Email guardado', { file: path.join(dir, fileName) });
+    },
+  },
+
+  smtp: {
+    /**
+     * El cliente SMTP se crea la primera vez que se usa: así nodemailer
+     * solo se carga si realmente se eligió este transporte.
+     */
+    client: null,
+
+    async send(message) {
+      if (!this.client) {
+        const nodemailer = require('nodemailer');
+        this.client = nodemailer.createTransport({
+          host: process.env.SMTP_HOST,
+          port: parseInt(process.env.SMTP_PORT, 10) || 587,
+          secure: process.env.SMTP_SECURE === 'true', // true para el puerto 465
+          auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined,
+        });
+      }
+
+      await this.client.sendMail(message);
+    },
+  },
+};
+
+/**
+ * REGISTRAR UN TRANSPORTE PERSONALIZADO
+ *
+ * @param {string} name - Nombre con el que se seleccionará en MAIL_TRANSPORT
+ * @param {{send: Function}} transport - Objeto con método async send(message)
+ */
+const registerTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error(`El transporte '${name}' debe tener un método send()`);
+  }
+  transports[name] = transport;
+};
+
+/**
+ * OBTENER EL TRANSPORTE CONFIGURADO
+ *
+ * Se lee en cada envío para que pueda cambiarse sin reiniciar módulos
+ * (por ejemplo, en scripts o pruebas).
+ */
+const getTransport = () => {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Transporte de email desconocido: '${name}'`);
+  }
+  return transport;
+};
+
+/**
+ * ENVIAR UN EMAIL
+ *
+ * @param {Object} message - Datos del mensaje
+ * @param {string} message.to - Destinatario
+ * @param {string} message.subject - Asunto
+ * @param {string} message.text - Cuerpo en texto plano
+ * @param {string} [message.html] - Cuerpo en HTML (opcional)
+ * @returns {Promise<void>}
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  await getTransport().send({ from: MAIL_FROM, to, subject, text, html });
+};
+
+module.exports = {
+  sendMail,
+  registerTransport,
+};
@@ -0,0 +1,67 @@
+// src/utils/mfaChallenge.js - Token del segundo paso del login (verificación en dos pasos)
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * TOKEN DE DESAFÍO MFA
+ *
+ * Con la verificación en dos pasos activa, un password correcto ya no
+ * basta: POST /api/auth/login responde con este token en lugar de la
+ * sesión, y el cliente lo envía junto al código de la app a
+ * POST /api/auth/login/mfa.
+ *
+ * Es un JWT firmado (igual que el enlace de verificación de email):
+ * - Prueba que el password ya se verificó, sin guardar nada en la BD
+ * - Dura poco (MFA_CHALLENGE_EXPIRES_IN, 5 minutos por defecto)
+ * - El claim 'purpose' impide usarlo como access token (y viceversa)
+ * - Lleva un jti: al completar el login se revoca (revoked_tokens), así
+ *   que cada desafío sirve para un solo login
+ */
+
+const TOKEN_PURPOSE = 'mfa-challenge';
+
+/**
+ * Genera el token de desafío para un usuario
+ *
+ * @param {User} user - Usuario cuyo password ya se verificó
+ * @returns {string} - JWT firmado
+ */
+const createMfaChallengeToken = (user) =>
+  jwt.sign(
+    { purpose: TOKEN_PURPOSE, email: user.email },
+    process.env.JWT_SECRET,
+    {
+      subject: String(user.id),
+      expiresIn: process.env.MFA_CHALLENGE_EXPIRES_IN || '5m',
+      jwtid: crypto.randomUUID(),
+    }
+  );
+
+/**
+ * Verifica un token de desafío
+ *
+ * @param {string} token - Token recibido del cliente
+ * @returns {{userId: number, email: string, jti: string, expiresAt: Date}|null}
+ *   null si es inválido o expiró
+ */
+const decodeMfaChallengeToken = (token) => {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    if (payload.purpose !== TOKEN_PURPOSE || !payload.jti) {
+      return null;
+    }
+    return {
+      userId: Number(payload.sub),
+      email: payload.email,
+      jti: payload.jti,
+      expiresAt: new Date(payload.exp * 1000),
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  createMfaChallengeToken,
+  decodeMfaChallengeToken,
+};
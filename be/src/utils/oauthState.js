@@ -0,0 +1,97 @@
+// src/utils/oauthState.js - Estado del login social entre la redirección y el callback
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * TOKEN DE ESTADO OAUTH
+ *
+ * Entre POST /oauth/:provider/authorize y el callback, el servidor debe
+ * recordar tres secretos de ESTE login:
+ * - state: lo devuelve el proveedor; si no coincide, el callback no
+ *   viene de un login que empezó este navegador (CSRF)
+ * - nonce: vuelve dentro del id_token (OpenID Connect)
+ * - code_verifier: el secreto PKCE para canjear el código
+ *
+ * En lugar de una sesión en el servidor, se guardan en un JWT firmado
+ * (igual que el mfaToken o el challengeToken de las passkeys) que el
+ * frontend conserva en sessionStorage y devuelve en el callback:
+ * - Dura poco (OAUTH_STATE_EXPIRES_IN, 10 minutos por defecto)
+ * - Está ligado al proveedor (claim 'provider')
+ * - Su jti se revoca al usarlo: cada login se completa una sola vez
+ *
+ * El code_verifier viaja dentro del token firmado pero NO cifrado: el
+ * frontend podría leerlo, pero no le sirve a nadie más (quien intercepte
+ * el código en la redirección no tiene este token).
+ */
+
+const TOKEN_PURPOSE = 'oauth-state';
+
+const randomValue = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * PKCE: code_challenge = BASE64URL(SHA-256(code_verifier))
+ *
+ * @param {string} codeVerifier
+ * @returns {string}
+ */
+const toCodeChallenge = (codeVerifier) =>
+  crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+/**
+ * Genera los secretos de un login nuevo y su token
+ *
+ * @param {string} provider - Nombre del proveedor
+ * @returns {{state: string, nonce: string, codeVerifier: string, token: string}}
+ */
+const createOAuthState = (provider) => {
+  const state = randomValue();
+  const nonce = randomValue();
+  const codeVerifier = randomValue();
+
+  const token = jwt.sign(
+    { purpose: TOKEN_PURPOSE, provider, state, nonce, codeVerifier },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: process.env.OAUTH_STATE_EXPIRES_IN || '10m',
+      jwtid: crypto.randomUUID(),
+    }
+  );
+
+  return { state, nonce, codeVerifier, token };
+};
+
+/**
+ * Verifica un token de estado
+ *
+ * @param {string} token - Token recibido del cliente
+ * @param {string} provider - Proveedor del callback
+ * @returns {{state: string, nonce: string, codeVerifier: string, jti: string, expiresAt: Date}|null}
+ *   null si es inválido, expiró o es de otro proveedor
+ */
+const decodeOAuthState = (token, provider) => {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    if (
+      payload.purpose !== TOKEN_PURPOSE ||
+      payload.provider !== provider ||
+      !payload.jti
+    ) {
+      return null;
+    }
+    return {
+      state: payload.state,
+      nonce: payload.nonce,
+      codeVerifier: payload.codeVerifier,
+      jti: payload.jti,
+      expiresAt: new Date(payload.exp * 1000),
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  toCodeChallenge,
+  createOAuthState,
+  decodeOAuthState,
+};
@@ -0,0 +1,194 @@
+// src/utils/oidc.js - Tokens y claims del proveedor de identidad OpenID Connect
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { signJwt, verifyJwt } = require('./signingKeys');
+const { AuthenticationError } = require('./errors');
+
+/**
+ * TOKENS PARA LAS APLICACIONES CLIENTE
+ *
+ * Al canjear el código, el cliente recibe:
+ * - id_token: QUIÉN inició sesión (sub, email, nombre...). Es para el
+ *   cliente (aud = su client_id), que lo verifica con el JWKS
+ * - access_token: para llamar a GET /oauth2/userinfo. Lleva el scope
+ *   aprobado y el header typ 'at+jwt' (RFC 9068), que impide usar un
+ *   id_token como access token
+ * - refresh_token: opaco, como los de la aplicación propia
+ *
+ * Ambos JWT se firman con las claves de signingKeys.js, igual que los
+ * access tokens de la API propia; la audiencia ('aud') los separa: un
+ * access token de un cliente no sirve en /api y viceversa.
+ */
+
+// Permisos (scope) que puede pedir un cliente
+const SUPPORTED_SCOPES = ['openid', 'profile', 'email'];
+
+// Claims que entrega cada scope (para el documento de descubrimiento)
+const SUPPORTED_CLAIMS = [
+  'sub',
+  'name',
+  'given_name',
+  'family_name',
+  'email',
+  'email_verified',
+];
+
+const ACCESS_TOKEN_TYPE = 'at+jwt';
+
+const getTokenExpiresIn = () =>
+  process.env.OIDC_ACCESS_TOKEN_EXPIRES_IN || '15m';
+
+/**
+ * EMISOR (issuer)
+ *
+ * URL pública del backend; las aplicaciones la usan para encontrar
+ * /.well-known/openid-configuration y la comparan con el claim 'iss'.
+ *
+ * @returns {string} - Sin barra final
+ */
+const getIssuer = () =>
+  (
+    process.env.OIDC_ISSUER || `http://localhost:${process.env.PORT || 3001}`
+  ).replace(/\/+$/, '');
+
+/**
+ * AUDIENCIA DE LOS ACCESS TOKENS DE LA API PROPIA
+ *
+ * Los emite el mismo servidor (iss = getIssuer()) pero son para /api
+ * (JWT_AUDIENCE). Difiere de la de los access tokens de los clientes (el
+ * issuer) y de la de los id_token (el client_id).
+ *
+ * @returns {string}
+ */
+const getApiAudience = () => process.env.JWT_AUDIENCE || `${getIssuer()}/api`;
+
+/**
+ * 'openid email  email' → ['openid', 'email']
+ *
+ * @param {string} [scope]
+ * @returns {string[]}
+ */
+const parseScope = (scope) => [
+  ...new Set((scope || '').split(' ').filter(Boolean)),
+];
+
+/**
+ * CLAIMS DEL USUARIO SEGÚN EL SCOPE APROBADO
+ *
+ * Salen de User#toPublicJSON(): a un cliente nunca le llega nada que no
+ * vea ya el propio frontend.
+ *
+ * @param {User} user
+ * @param {string[]} scopes
+ * @returns {Object}
+ */
+const buildUserClaims = (user, scopes) => {
+  const data = user.toPublicJSON();
+  const claims = { sub: String(data.id) };
+
+  if (scopes.includes('profile')) {
+    claims.name = `${data.nombres} ${data.apellidos}`;
+    claims.given_name = data.nombres;
+    claims.family_name = data.apellidos;
+  }
+
+  if (scopes.includes('email')) {
+    claims.email = data.email;
+    claims.email_verified = Boolean(data.email_verified_at);
+  }
+
+  return claims;
+};
+
+const signOptions = (audience) => ({
+  issuer: getIssuer(),
+  audience,
+  expiresIn: getTokenExpiresIn(),
+});
+
+/**
+ * ID TOKEN
+ *
+ * @param {Object} data
+ * @param {User} data.user
+ * @param {string} data.clientId - Audiencia
+ * @param {string[]} data.scopes
+ * @param {string} [data.nonce] - El del pedido de autorización
+ * @returns {string}
+ */
+const createIdToken = ({ user, clientId, scopes, nonce }) =>
+  signJwt(
+    { ...buildUserClaims(user, scopes), ...(nonce && { nonce }) },
+    signOptions(clientId)
+  );
+
+/**
+ * ACCESS TOKEN
+ *
+ * La audiencia es el propio emisor: el único recurso que protege es
+ * /oauth2/userinfo.
+ *
+ * @param {Object} data
+ * @param {User} data.user
+ * @param {string} data.clientId
+ * @param {string} data.scope
+ * @returns {string}
+ */
+const createAccessToken = ({ user, clientId, scope }) =>
+  signJwt(
+    { sub: String(user.id), client_id: clientId, scope },
+    {
+      ...signOptions(getIssuer()),
+      jwtid: crypto.randomUUID(),
+      header: { typ: ACCESS_TOKEN_TYPE },
+    }
+  );
+
+/**
+ * Segundos de validez de los access tokens (expires_in de la respuesta)
+ *
+ * @param {string} accessToken - Token recién emitido
+ * @returns {number}
+ */
+const getExpiresIn = (accessToken) => {
+  const { iat, exp } = jwt.decode(accessToken);
+  return exp - iat;
+};
+
+/**
+ * VERIFICAR UN ACCESS TOKEN DE CLIENTE
+ *
+ * @param {string} token
+ * @returns {Object} - Payload (sub, client_id, scope, iat...)
+ * @throws {AuthenticationError} - Código 'invalid_token' (RFC 6750)
+ */
+const verifyAccessToken = (token) => {
+  try {
+    const { header, payload } = verifyJwt(token, {
+      issuer: getIssuer(),
+      audience: getIssuer(),
+      complete: true,
+    });
+    if (header.typ !== ACCESS_TOKEN_TYPE) {
+      throw new Error('No es un access token');
+    }
+    return payload;
+  } catch (error) {
+    throw new AuthenticationError('Access token inválido o expirado', {
+      code: 'invalid_token',
+    });
+  }
+};
+
+module.exports = {
+  SUPPORTED_SCOPES,
+  SUPPORTED_CLAIMS,
+  getIssuer,
+  getApiAudience,
+  parseScope,
+  buildUserClaims,
+  createIdToken,
+  createAccessToken,
+  getExpiresIn,
+  verifyAccessToken,
+};
@@ -0,0 +1,226 @@
+// src/utils/passwordHasher.js - Hash de passwords con algoritmos intercambiables
+const crypto = require('crypto');
+const { promisify } = require('util');
+const bcrypt = require('bcryptjs');
+
+/**
+ * HASH DE PASSWORDS CON ALGORITMOS INTERCAMBIABLES
+ *
+ * Los modelos solo llaman a hashPassword() y verifyPassword() sin saber
+ * QUÉ algoritmo hay detrás. Igual que los transportes de mailer.js, cada
+ * algoritmo es un "hasher" y PASSWORD_HASHER elige el que se usa para los
+ * hashes NUEVOS.
+ *
+ * Hashers incluidos:
+ * - bcrypt (por defecto): coste configurable con BCRYPT_ROUNDS
+ * - scrypt: incluido en Node (crypto.scrypt), sin dependencias extra
+ *
+ * registerHasher() permite agregar otros (por ejemplo argon2).
+ *
+ * Un hasher es un objeto con:
+ *   hash(password)         → Promise<string>
+ *   verify(password, hash) → Promise<boolean>
+ *   identifies(hash)       → boolean: ¿el hash tiene el formato de este algoritmo?
+ *   needsRehash(hash)      → boolean: ¿se hizo con parámetros más débiles
+ *                            que los configurados?
+ *
+ * ¿POR QUÉ "REHASH"?
+ * Subir BCRYPT_ROUNDS (o cambiar de algoritmo) solo afecta a los hashes
+ * nuevos: los guardados siguen con el coste antiguo. Como el password en
+ * texto plano solo lo tenemos al iniciar sesión, ese es el momento de
+ * volver a calcular el hash con la configuración actual.
+ */
+
+const scrypt = promisify(crypto.scrypt);
+
+const DEFAULT_BCRYPT_ROUNDS = 12;
+
+// Parámetros de scrypt: N (coste de CPU/memoria), r (bloque), p (paralelismo)
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEY_LENGTH = 64;
+
+/**
+ * Rounds de bcrypt configurados (BCRYPT_ROUNDS)
+ *
+ * bcrypt acepta de 4 a 31; fuera de ese rango se usa el valor por defecto.
+ */
+const getBcryptRounds = () => {
+  const rounds = parseInt(process.env.BCRYPT_ROUNDS, 10);
+  return rounds >= 4 && rounds <= 31 ? rounds : DEFAULT_BCRYPT_ROUNDS;
+};
+
+const hashers = {
+  bcrypt: {
+    /**
+     * bcrypt.hash(password, rounds):
+     * - Cada round más duplica el tiempo de cálculo
+     * - El "salt" se genera automáticamente y se incluye en el hash
+     */
+    hash(password) {
+      return bcrypt.hash(password, getBcryptRounds());
+    },
+
+    verify(password, hash) {
+      return bcrypt.compare(password, hash);
+    },
+
+    // $2a$12$... / $2b$12$...: el número es el coste usado
+    identifies(hash) {
+      return /^\$2[aby]\$\d{2}\$/.test(hash);
+    },
+
+    needsRehash(hash) {
+      return bcrypt.getRounds(hash) < getBcryptRounds();
+    },
+  },
+
+  scrypt: {
+    /**
+     * Formato: $scrypt$N=16384,r=8,p=1$<salt>$<hash> (base64)
+     * Los parámetros van dentro del hash para poder verificarlo aunque
+     * SCRYPT_PARAMS cambie en el futuro.
+     */
+    async hash(password) {
+      const salt = crypto.randomBytes(16);
+      const key = await scrypt(
+        password,
+        salt,
+        SCRYPT_KEY_LENGTH,
+        SCRYPT_PARAMS
+      );
+      const { N, r, p } = SCRYPT_PARAMS;
+
+      return `$scrypt$N=${N},r=${r},p=${p}$${salt.toString(
+        'base64'
+      )}$${key.toString('base64')}`;
+    },
+
+    async verify(password, hash) {
+      const parsed = parseScryptHash(hash);
+      if (!parsed) {
+        return false;
+      }
+
+      const key = await scrypt(password, parsed.salt, parsed.key.length, {
+        ...parsed.params,
+        // Memoria suficiente para los parámetros guardados en el hash
+        maxmem: 256 * parsed.params.N * parsed.params.r,
+      });
+      // Comparación en tiempo constante
+      return crypto.timingSafeEqual(key, parsed.key);
+    },
+
+    identifies(hash) {
+      return hash.startsWith('$scrypt$');
+    },
+
+    needsRehash(hash) {
+      const parsed = parseScryptHash(hash);
+      return !parsed || parsed.params.N < SCRYPT_PARAMS.N;
+    },
+  },
+};
+
+/**
+ * Separa un hash scrypt en parámetros, salt y clave (null si no es válido)
+ */
+const parseScryptHash = (hash) => {
+  const match = /^\$scrypt\$N=(\d+),r=(\d+),p=(\d+)\$([^$]+)\$([^$]+)$/.exec(
+    hash
+  );
+  if (!match) {
+    return null;
+  }
+
+  const [, N, r, p, salt, key] = match;
+  return {
+    params: { N: Number(N), r: Number(r), p: Number(p) },
+    salt: Buffer.from(salt, 'base64'),
+    key: Buffer.from(key, 'base64'),
+  };
+};
+
+/**
+ * REGISTRAR UN HASHER PERSONALIZADO
+ *
+ *   registerHasher('argon2', {
+ *     hash: (password) => argon2.hash(password),
+ *     verify: (password, hash) => argon2.verify(hash, password),
+ *     identifies: (hash) => hash.startsWith('$argon2'),
+ *     needsRehash: (hash) => argon2.needsRehash(hash),
+ *   });
+ *
+ * @param {string} name - Nombre con el que se seleccionará en PASSWORD_HASHER
+ * @param {Object} hasher - Objeto con hash, verify, identifies y needsRehash
+ */
+const registerHasher = (name, hasher) => {
+  const methods = ['hash', 'verify', 'identifies', 'needsRehash'];
+  const missing = methods.filter(
+    (method) => !hasher || typeof hasher[method] !== 'function'
+  );
+
+  if (missing.length > 0) {
+    throw new Error(
+      `El hasher '${name}' debe implementar: ${missing.join(', ')}`
+    );
+  }
+  hashers[name] = hasher;
+};
+
+/**
+ * OBTENER EL HASHER CONFIGURADO (PASSWORD_HASHER)
+ *
+ * Se lee en cada llamada, igual que MAIL_TRANSPORT en mailer.js.
+ */
+const getHasher = () => {
+  const name = process.env.PASSWORD_HASHER || 'bcrypt';
+  const hasher = hashers[name];
+
+  if (!hasher) {
+    throw new Error(`Algoritmo de hash desconocido: '${name}'`);
+  }
+  return hasher;
+};
+
+/**
+ * CALCULAR EL HASH DE UN PASSWORD
+ *
+ * @param {string} password - Password en texto plano
+ * @returns {Promise<string>} - Hash con el algoritmo y coste configurados
+ */
+const hashPassword = (password) => getHasher().hash(password);
+
+/**
+ * VERIFICAR UN PASSWORD CONTRA UN HASH GUARDADO
+ *
+ * El algoritmo se deduce del formato del hash (no de PASSWORD_HASHER):
+ * así siguen funcionando los hashes hechos con un algoritmo anterior.
+ *
+ * needsRehash es true si el password es correcto pero el hash se hizo
+ * con otro algoritmo o con un coste menor que el configurado.
+ *
+ * @param {string} password - Password en texto plano
+ * @param {string} hash - Hash guardado
+ * @returns {Promise<{valid: boolean, needsRehash: boolean}>}
+ */
+const verifyPassword = async (password, hash) => {
+  const hasher =
+    typeof hash === 'string' &&
+    Object.values(hashers).find((candidate) => candidate.identifies(hash));
+
+  // Formato desconocido: no hay forma de comprobar el password
+  if (!hasher || !(await hasher.verify(password, hash))) {
+    return { valid: false, needsRehash: false };
+  }
+
+  return {
+    valid: true,
+    needsRehash: hasher !== getHasher() || hasher.needsRehash(hash),
+  };
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  registerHasher,
+};
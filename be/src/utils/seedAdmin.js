@@ -0,0 +1,67 @@
+// src/utils/seedAdmin.js - Creación de la cuenta de administrador inicial
+const User = require('../models/User');
+const logger = require('./logger');
+
+/**
+ * CUENTA DE ADMINISTRADOR INICIAL
+ *
+ * Problema del "huevo y la gallina": solo un admin puede asignar roles,
+ * pero al instalar la aplicación todavía no existe ningún admin.
+ *
+ * Solución: al iniciar el servidor, si ADMIN_EMAIL y ADMIN_PASSWORD están
+ * configurados, nos aseguramos de que esa cuenta exista con rol 'admin':
+ * - Si no existe, se crea (con el email ya verificado)
+ * - Si existe con otro rol, se promueve a 'admin'
+ * - Si se había eliminado (aún sin purgar), se restaura
+ * - El password de una cuenta existente NUNCA se sobrescribe
+ *
+ * Opcionales: ADMIN_NOMBRES y ADMIN_APELLIDOS
+ *
+ * ⚠️ Usa un password robusto y no lo subas al repositorio (.env).
+ */
+
+const ADMIN_ROLE = 'admin';
+
+/**
+ * @returns {Promise<void>}
+ */
+const seedAdmin = async () => {
+  const email = process.env.ADMIN_EMAIL;
+  const password = process.env.ADMIN_PASSWORD;
+
+  if (!email || !password) {
+    logger.info(
+      'ADMIN_EMAIL/ADMIN_PASSWORD no configurados: no se siembra administrador'
+    );
+    return;
+  }
+
+  let admin = await User.findByEmail(email, { includeDeleted: true });
+
+  if (!admin) {
+    const { id } = await User.create({
+      email,
+      password,
+      nombres: process.env.ADMIN_NOMBRES || 'Administrador',
+      apellidos: process.env.ADMIN_APELLIDOS || 'Sistema',
+    });
+
+    admin = await User.findById(id);
+    await admin.markEmailVerified();
+    logger.info('Administrador creado', { email });
+  }
+
+  if (admin.deleted_at) {
+    await admin.restore();
+    logger.info('Administrador restaurado', { email });
+  }
+
+  if (admin.role !== ADMIN_ROLE) {
+    await admin.setRole(ADMIN_ROLE);
+    logger.info('Rol de administrador asignado', { email, role: ADMIN_ROLE });
+  }
+};
+
+module.exports = {
+  seedAdmin,
+};
@@ -0,0 +1,235 @@
+// src/utils/signingKeys.js - Claves asimétricas con las que se firman los access tokens y los tokens OpenID Connect
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const logger = require('./logger');
+
+/**
+ * ¿POR QUÉ CLAVES ASIMÉTRICAS?
+ *
+ * Con un secreto compartido (HS256) quien puede verificar un token
+ * también puede fabricarlo: cada servicio que valide los access tokens
+ * tendría que guardar el secreto de firma. Con RS256/ES256 firmamos con
+ * la clave PRIVADA (solo la tiene este servidor) y publicamos las
+ * PÚBLICAS en el JWKS:
+ * - GET /api/auth/.well-known/jwks.json (access tokens de la API)
+ * - GET /oauth2/jwks (el mismo conjunto, para las aplicaciones OpenID
+ *   Connect)
+ *
+ * JWT_SECRET sigue firmando los tokens de un solo propósito (verificación
+ * de email, desafío MFA, state de OAuth...): solo los verifica este
+ * servidor.
+ *
+ * Claves:
+ * - JWT_SIGNING_KEY_FILE: archivo PEM con la clave privada que firma,
+ *   RSA (RS256) o EC P-256 (ES256), relativo a be/. Por ejemplo:
+ *     openssl genpkey -algorithm RSA -pkeyopt rsa_keygen_bits:2048 -out jwt.pem
+ *   Si no se define, se genera una clave RSA temporal al arrancar (cómodo
+ *   en desarrollo): al reiniciar cambia y los access tokens emitidos
+ *   dejan de verificarse (el frontend los renueva con el refresh token).
+ *   En producción (NODE_ENV=production) es obligatoria: con varias
+ *   instancias cada una firmaría con su propia clave temporal
+ * - JWT_VERIFICATION_KEY_FILES: otros archivos PEM (claves públicas o
+ *   privadas) separados por comas. Se aceptan al verificar y se publican
+ *   en el JWKS, pero no firman
+ *
+ * Cada token lleva en el header el 'kid' (identificador) de la clave que
+ * lo firmó: es su huella RFC 7638, así que el mismo archivo produce
+ * siempre el mismo kid.
+ *
+ * ROTACIÓN SIN CORTES
+ * 1. Generar la clave nueva y añadirla a JWT_VERIFICATION_KEY_FILES: los
+ *    demás servicios la ven en el JWKS antes de que firme nada
+ * 2. Pasarla a JWT_SIGNING_KEY_FILE y dejar la anterior en
+ *    JWT_VERIFICATION_KEY_FILES: los tokens ya emitidos siguen valiendo
+ * 3. Cuando expiren (JWT_EXPIRES_IN / OIDC_ACCESS_TOKEN_EXPIRES_IN),
+ *    quitar la clave anterior
+ *
+ * Las claves se leen una vez al arrancar: cada paso es un reinicio.
+ */
+
+// Miembros de la JWK que entran en la huella (RFC 7638), por tipo
+const THUMBPRINT_MEMBERS = {
+  RSA: ['e', 'kty', 'n'],
+  EC: ['crv', 'kty', 'x', 'y'],
+};
+
+let keyring = null;
+
+const getAlgorithm = (key, file) => {
+  const { asymmetricKeyType, asymmetricKeyDetails } = key;
+  if (asymmetricKeyType === 'rsa') {
+    return 'RS256';
+  }
+  if (
+    asymmetricKeyType === 'ec' &&
+    asymmetricKeyDetails.namedCurve === 'prime256v1'
+  ) {
+    return 'ES256';
+  }
+  throw new Error(`${file} debe contener una clave RSA o EC P-256`);
+};
+
+const readKeyFile = (file) =>
+  fs.readFileSync(path.resolve(__dirname, '../..', file));
+
+/**
+ * Huella RFC 7638: SHA-256 del JSON con los miembros obligatorios de la
+ * JWK, en orden alfabético y sin espacios
+ *
+ * @param {Object} jwk - Clave pública en formato JWK
+ * @returns {string} - base64url
+ */
+const thumbprint = (jwk) => {
+  const members = THUMBPRINT_MEMBERS[jwk.kty].map(
+    (name) => `"${name}":"${jwk[name]}"`
+  );
+  return crypto
+    .createHash('sha256')
+    .update(`{${members.join(',')}}`)
+    .digest('base64url');
+};
+
+/**
+ * @param {crypto.KeyObject} publicKey
+ * @param {string} file - Origen de la clave (para los mensajes de error)
+ * @returns {{kid: string, alg: string, publicKey: crypto.KeyObject}}
+ */
+const describeKey = (publicKey, file) => ({
+  kid: thumbprint(publicKey.export({ format: 'jwk' })),
+  alg: getAlgorithm(publicKey, file),
+  publicKey,
+});
+
+const loadSigningKey = () => {
+  const file = process.env.JWT_SIGNING_KEY_FILE;
+  let privateKey;
+
+  if (file) {
+    privateKey = crypto.createPrivateKey(readKeyFile(file));
+  } else if (process.env.NODE_ENV === 'production') {
+    throw new Error(
+      'JWT_SIGNING_KEY_FILE es obligatoria en producción (ver .env.example)'
+    );
+  } else {
+    logger.warn(
+      'JWT_SIGNING_KEY_FILE no configurada: se usa una clave temporal que cambia al reiniciar'
+    );
+    privateKey = crypto.generateKeyPairSync('rsa', {
+      modulusLength: 2048,
+    }).privateKey;
+  }
+
+  return {
+    ...describeKey(crypto.createPublicKey(privateKey), 'JWT_SIGNING_KEY_FILE'),
+    privateKey,
+  };
+};
+
+const loadVerificationKeys = () =>
+  (process.env.JWT_VERIFICATION_KEY_FILES || '')
+    .split(',')
+    .map((file) => file.trim())
+    .filter(Boolean)
+    .map((file) =>
+      // createPublicKey acepta también una clave privada (extrae la pública)
+      describeKey(crypto.createPublicKey(readKeyFile(file)), file)
+    );
+
+/**
+ * CLAVES (se cargan una sola vez)
+ *
+ * @returns {{signing: Object, verification: Map<string, Object>}}
+ *   verification incluye la clave de firma, indexadas por kid
+ */
+const getKeyring = () => {
+  if (!keyring) {
+    const signing = loadSigningKey();
+    const verification = new Map([[signing.kid, signing]]);
+
+    for (const key of loadVerificationKeys()) {
+      if (!verification.has(key.kid)) {
+        verification.set(key.kid, key);
+      }
+    }
+
+    keyring = { signing, verification };
+  }
+  return keyring;
+};
+
+/**
+ * CLAVE DE FIRMA
+ *
+ * @returns {{kid: string, alg: string, privateKey: crypto.KeyObject, publicKey: crypto.KeyObject}}
+ */
+const getSigningKey = () => getKeyring().signing;
+
+/**
+ * JWKS: las claves públicas para verificar los tokens (la de firma
+ * primero)
+ *
+ * @returns {{keys: Object[]}}
+ */
+const getJwks = () => ({
+  keys: [...getKeyring().verification.values()].map(
+    ({ kid, alg, publicKey }) => ({
+      ...publicKey.export({ format: 'jwk' }),
+      kid,
+      alg,
+      use: 'sig',
+    })
+  ),
+});
+
+/**
+ * FIRMAR UN JWT con la clave de firma actual (header con alg y kid)
+ *
+ * @param {Object} payload
+ * @param {Object} [options] - Opciones de jwt.sign (issuer, audience...)
+ * @returns {string}
+ */
+const signJwt = (payload, options = {}) => {
+  const { kid, alg, privateKey } = getSigningKey();
+  return jwt.sign(payload, privateKey, {
+    ...options,
+    algorithm: alg,
+    keyid: kid,
+  });
+};
+
+/**
+ * VERIFICAR UN JWT con la clave que indica su 'kid'
+ *
+ * El algoritmo lo fija la clave, no el header del token: un token con
+ * alg 'none' o 'HS256' (firmado con la clave pública como secreto) no
+ * pasa.
+ *
+ * @param {string} token
+ * @param {Object} [options] - Opciones de jwt.verify (issuer, audience...)
+ * @returns {Object} - Payload (o { header, payload } con complete: true)
+ * @throws {jwt.JsonWebTokenError} - Firma, clave o claims inválidos
+ * @throws {jwt.TokenExpiredError}
+ */
+const verifyJwt = (token, options = {}) => {
+  const decoded = jwt.decode(token, { complete: true });
+  const key =
+    decoded && getKeyring().verification.get(decoded.header.kid || '');
+
+  if (!key) {
+    throw new jwt.JsonWebTokenError('Clave de firma desconocida');
+  }
+
+  return jwt.verify(token, key.publicKey, {
+    ...options,
+    algorithms: [key.alg],
+  });
+};
+
+module.exports = {
+  getSigningKey,
+  getJwks,
+  signJwt,
+  verifyJwt,
+};
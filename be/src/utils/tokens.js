@@ -0,0 +1,38 @@
+// src/utils/tokens.js - Utilidades para tokens opacos (aleatorios) de un solo uso
+const crypto = require('crypto');
+
+/**
+ * TOKENS OPACOS
+ *
+ * A diferencia de un JWT, un token opaco no contiene información:
+ * es solo una cadena aleatoria que el servidor busca en la BD.
+ * Se usan para refresh tokens, recuperación de password, etc.
+ *
+ * ¿Por qué guardar solo el hash?
+ * - Si la BD se filtra, los tokens guardados no pueden usarse
+ * - Como el token tiene alta entropía (48 bytes aleatorios), basta con
+ *   SHA-256; no hace falta un hash lento como bcrypt
+ */
+
+/**
+ * Genera un token aleatorio seguro, apto para URLs
+ *
+ * @param {number} [bytes=48] - Cantidad de bytes aleatorios
+ * @returns {string} - Token en base64url
+ */
+const generateOpaqueToken = (bytes = 48) =>
+  crypto.randomBytes(bytes).toString('base64url');
+
+/**
+ * Calcula el hash SHA-256 (hex) de un token en texto plano
+ *
+ * @param {string} token - Token en texto plano
+ * @returns {string} - Hash hexadecimal
+ */
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+module.exports = {
+  generateOpaqueToken,
+  hashToken,
+};
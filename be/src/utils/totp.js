@@ -0,0 +1,205 @@
+// src/utils/totp.js - Códigos de un solo uso basados en tiempo (TOTP, RFC 6238)
+const crypto = require('crypto');
+
+/**
+ * TOTP: EL CÓDIGO DE 6 DÍGITOS DE LAS APPS DE AUTENTICACIÓN
+ *
+ * Google Authenticator, Authy, 1Password... calculan el código con:
+ *
+ *   código = HMAC-SHA1(secreto, paso) → 6 dígitos
+ *   paso   = segundos desde 1970 / 30
+ *
+ * El servidor y la app comparten el SECRETO (se intercambia una sola vez,
+ * con el código QR) y ambos conocen la hora, así que calculan el mismo
+ * código sin comunicarse. Cada 30 segundos el paso cambia y el código
+ * también.
+ *
+ * - El secreto se muestra en Base32 (A-Z y 2-7): es el formato que
+ *   esperan las apps y el que se puede teclear a mano
+ * - Se aceptan también el paso anterior y el siguiente (window = 1)
+ *   para tolerar relojes desfasados unos segundos
+ * - verifyCode() devuelve el paso que coincidió: guardándolo, el mismo
+ *   código no puede usarse dos veces (ver TotpSecret#verify)
+ */
+
+const PERIOD_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Codifica bytes en Base32 (RFC 4648, sin relleno '=')
+ *
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decodifica Base32 (ignora espacios, guiones y mayúsculas/minúsculas)
+ *
+ * @param {string} input
+ * @returns {Buffer}
+ */
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Carácter Base32 inválido: '${char}'`);
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Genera un secreto aleatorio nuevo
+ *
+ * 20 bytes (160 bits) es el tamaño recomendado por la RFC 4226 para
+ * HMAC-SHA1.
+ *
+ * @returns {string} - Secreto en Base32
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Paso de tiempo actual (o de una fecha dada)
+ *
+ * @param {number} [timestamp=Date.now()] - Milisegundos desde epoch
+ * @returns {number}
+ */
+const currentStep = (timestamp = Date.now()) =>
+  Math.floor(timestamp / 1000 / PERIOD_SECONDS);
+
+/**
+ * Calcula el código de un paso (HOTP, RFC 4226)
+ *
+ * @param {string} secret - Secreto en Base32
+ * @param {number} step - Paso de tiempo
+ * @returns {string} - Código de 6 dígitos (con ceros a la izquierda)
+ */
+const generateCode = (secret, step = currentStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto
+    .createHmac('sha1', base32Decode(secret))
+    .update(counter)
+    .digest();
+
+  // "Truncado dinámico": el último nibble indica dónde leer 4 bytes
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Verifica un código
+ *
+ * @param {string} secret - Secreto en Base32
+ * @param {string} code - Código introducido por el usuario
+ * @param {Object} [options]
+ * @param {number} [options.window=1] - Pasos de tolerancia hacia atrás y adelante
+ * @param {number|null} [options.afterStep] - Solo se aceptan pasos posteriores a este
+ * @param {number} [options.timestamp] - Hora de referencia (para tests)
+ * @returns {number|null} - Paso que coincidió, o null si el código no es válido
+ */
+const verifyCode = (
+  secret,
+  code,
+  { window = 1, afterStep = null, timestamp } = {}
+) => {
+  if (typeof code !== 'string' || !/^\d{6}$/.test(code)) {
+    return null;
+  }
+
+  const now = currentStep(timestamp);
+  const expected = Buffer.from(code);
+
+  for (let step = now - window; step <= now + window; step += 1) {
+    if (afterStep !== null && step <= afterStep) {
+      continue;
+    }
+
+    // Comparación en tiempo constante
+    if (
+      crypto.timingSafeEqual(Buffer.from(generateCode(secret, step)), expected)
+    ) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * URI otpauth:// que las apps leen desde el código QR
+ *
+ * Formato (Key Uri Format de Google Authenticator):
+ *   otpauth://totp/Emisor:cuenta?secret=...&issuer=Emisor&digits=6&period=30
+ *
+ * @param {Object} options
+ * @param {string} options.secret - Secreto en Base32
+ * @param {string} options.accountName - Normalmente el email del usuario
+ * @param {string} [options.issuer] - Nombre del servicio que muestra la app
+ * @returns {string}
+ */
+const buildOtpauthUri = ({
+  secret,
+  accountName,
+  issuer = process.env.TOTP_ISSUER || 'Sistema de Autenticación',
+}) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString().replace(/\+/g, '%20')}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  currentStep,
+  verifyCode,
+  buildOtpauthUri,
+};
@@ -0,0 +1,101 @@
+// src/utils/webauthn.js - Configuración y desafíos de las passkeys (WebAuthn)
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * PASSKEYS (WEBAUTHN)
+ *
+ * Una passkey es un par de claves que crea el autenticador del usuario
+ * (Touch ID, Windows Hello, el teléfono, una llave USB). El navegador
+ * solo la usa en el sitio para el que se creó, así que no se puede
+ * entregar a una web falsa (phishing).
+ *
+ * Cada operación ("ceremonia") tiene dos pasos:
+ * 1. options: el servidor genera un DESAFÍO aleatorio
+ * 2. verify: el autenticador lo firma y el servidor comprueba la firma
+ *
+ * El desafío se devuelve dentro de un token firmado (challengeToken),
+ * igual que el mfaToken de la verificación en dos pasos: no hace falta
+ * guardarlo en la BD, dura poco y su jti se revoca al usarlo, así que
+ * cada desafío sirve una sola vez.
+ *
+ * PARTE CONFIANTE (relying party): el sitio al que pertenecen las passkeys
+ * - WEBAUTHN_RP_ID: dominio (sin protocolo ni puerto). Por defecto, el
+ *   de FRONTEND_URL. Las passkeys creadas para un dominio no funcionan
+ *   en otro: no cambiarlo en producción
+ * - WEBAUTHN_ORIGIN: origen(es) desde los que se llama a la API de
+ *   WebAuthn del navegador (separados por comas). Por defecto, FRONTEND_URL
+ * - WEBAUTHN_RP_NAME: nombre que muestra el navegador
+ */
+
+const CHALLENGE_PURPOSES = {
+  REGISTRATION: 'webauthn-registration',
+  AUTHENTICATION: 'webauthn-authentication',
+};
+
+/**
+ * Datos de la parte confiante según la configuración
+ *
+ * @returns {{rpID: string, rpName: string, origins: string[]}}
+ */
+const getRelyingParty = () => {
+  const frontendUrl = new URL(
+    process.env.FRONTEND_URL || 'http://localhost:5173'
+  );
+
+  return {
+    rpID: process.env.WEBAUTHN_RP_ID || frontendUrl.hostname,
+    rpName: process.env.WEBAUTHN_RP_NAME || 'Sistema de Autenticación',
+    origins: (process.env.WEBAUTHN_ORIGIN || frontendUrl.origin)
+      .split(',')
+      .map((origin) => origin.trim())
+      .filter(Boolean),
+  };
+};
+
+/**
+ * Genera el token que acompaña a un desafío
+ *
+ * @param {string} purpose - CHALLENGE_PURPOSES.*
+ * @param {string} challenge - Desafío (Base64URL) de las options
+ * @param {User} [user] - Solo en el registro: el usuario que lo pidió
+ * @returns {string} - JWT firmado
+ */
+const createChallengeToken = (purpose, challenge, user) =>
+  jwt.sign({ purpose, challenge }, process.env.JWT_SECRET, {
+    ...(user && { subject: String(user.id) }),
+    expiresIn: process.env.WEBAUTHN_CHALLENGE_EXPIRES_IN || '5m',
+    jwtid: crypto.randomUUID(),
+  });
+
+/**
+ * Verifica un token de desafío
+ *
+ * @param {string} token - Token recibido del cliente
+ * @param {string} purpose - CHALLENGE_PURPOSES.* esperado
+ * @returns {{challenge: string, userId: number|null, jti: string, expiresAt: Date}|null}
+ *   null si es inválido, expiró o es de otra ceremonia
+ */
+const decodeChallengeToken = (token, purpose) => {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    if (payload.purpose !== purpose || !payload.challenge || !payload.jti) {
+      return null;
+    }
+    return {
+      challenge: payload.challenge,
+      userId: payload.sub ? Number(payload.sub) : null,
+      jti: payload.jti,
+      expiresAt: new Date(payload.exp * 1000),
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  CHALLENGE_PURPOSES,
+  getRelyingParty,
+  createChallengeToken,
+  decodeChallengeToken,
+};
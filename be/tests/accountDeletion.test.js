@@ -0,0 +1,197 @@
+// tests/accountDeletion.test.js - Eliminación de la cuenta con periodo de gracia y purga
+require('./helpers/testEnv');
+
+const app = require('../src/app');
+const { startTestServer } = require('./helpers/testServer');
+const {
+  initDatabase,
+  closeDatabase,
+  getRepository,
+  withDatabase,
+} = require('../config/database');
+const User = require('../src/models/User');
+const UserIdentity = require('../src/models/UserIdentity');
+
+const PASSWORD = 'Password123';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let database;
+let api;
+let closeServer;
+
+// Las llamadas directas a los modelos usan la BD de este archivo
+const inDatabase = (work) => withDatabase(database, work);
+
+/**
+ * Registra una cuenta e inicia sesión; devuelve la respuesta del login
+ * ({ token, refreshToken, user })
+ */
+const createAccount = async (email) => {
+  await api('post', '/api/auth/register', {
+    body: {
+      email,
+      password: PASSWORD,
+      confirmPassword: PASSWORD,
+      nombres: 'Elena',
+      apellidos: 'Soto',
+    },
+  });
+  return login(email);
+};
+
+const login = async (email) =>
+  (
+    await api('post', '/api/auth/login', {
+      body: { email, password: PASSWORD },
+    })
+  ).body;
+
+const deleteAccount = (token, password = PASSWORD) =>
+  api('delete', '/api/auth/account', { token, body: { password } });
+
+// Mueve la fecha de eliminación hacia atrás, como si hubieran pasado días
+const backdateDeletion = (userId, days) =>
+  inDatabase(() =>
+    getRepository().run('UPDATE users SET deleted_at = ? WHERE id = ?', [
+      new Date(Date.now() - days * DAY_MS).toISOString(),
+      userId,
+    ])
+  );
+
+// Filas del usuario en users y en cada tabla dependiente
+const rowsOf = (userId) =>
+  inDatabase(async () => {
+    const counts = {};
+    for (const table of ['users', ...User.DEPENDENT_TABLES]) {
+      const column = table === 'users' ? 'id' : 'user_id';
+      const { count } = await getRepository().get(
+        `SELECT COUNT(*) AS count FROM ${table} WHERE ${column} = ?`,
+        [userId]
+      );
+      counts[table] = Number(count);
+    }
+    return counts;
+  });
+
+beforeAll(async () => {
+  database = await initDatabase();
+  ({ api, close: closeServer } = startTestServer(app, database));
+});
+
+afterAll(async () => {
+  await closeServer();
+  await closeDatabase(database);
+});
+
+describe('Eliminación de la propia cuenta', () => {
+  test('exige el password y cierra todas las sesiones', async () => {
+    const session = await createAccount('baja@example.com');
+
+    const wrong = await deleteAccount(session.token, 'Incorrecto123');
+    expect(wrong.status).toBe(401);
+    expect(wrong.body.code).toBe('INVALID_PASSWORD');
+
+    const { status, body } = await deleteAccount(session.token);
+    expect(status).toBe(200);
+    const graceDays = (Date.parse(body.restorableUntil) - Date.now()) / DAY_MS;
+    expect(Math.round(graceDays)).toBe(30);
+
+    expect(
+      (await api('get', '/api/auth/profile', { token: session.token })).status
+    ).toBe(401);
+    const refreshed = await api('post', '/api/auth/refresh', {
+      body: { refreshToken: session.refreshToken },
+    });
+    expect(refreshed.status).toBe(401);
+
+    // La fila sigue ahí, marcada como eliminada
+    const user = await inDatabase(() =>
+      User.findByEmail('baja@example.com', { includeDeleted: true })
+    );
+    expect(user.deleted_at).toEqual(expect.any(String));
+    expect(
+      await inDatabase(() => User.findByEmail('baja@example.com'))
+    ).toBeNull();
+  });
+
+  test('iniciar sesión durante el periodo de gracia la restaura', async () => {
+    const session = await createAccount('arrepentida@example.com');
+    await deleteAccount(session.token);
+    await backdateDeletion(session.user.id, 29);
+
+    const restored = await login('arrepentida@example.com');
+    expect(restored.accountRestored).toBe(true);
+    expect(
+      (await api('get', '/api/auth/profile', { token: restored.token })).status
+    ).toBe(200);
+
+    // Un login posterior ya es normal
+    expect((await login('arrepentida@example.com')).accountRestored).toBe(
+      undefined
+    );
+  });
+
+  test('pasado el periodo de gracia ya no se puede iniciar sesión', async () => {
+    const session = await createAccount('vencida@example.com');
+    await deleteAccount(session.token);
+    await backdateDeletion(session.user.id, 31);
+
+    const { status, body } = await api('post', '/api/auth/login', {
+      body: { email: 'vencida@example.com', password: PASSWORD },
+    });
+    expect(status).toBe(401);
+    expect(body.code).toBe('INVALID_CREDENTIALS');
+  });
+});
+
+describe('User.purgeDeleted()', () => {
+  test('borra las cuentas vencidas sin dejar filas asociadas', async () => {
+    const expired = await createAccount('purgada@example.com');
+    const recent = await createAccount('reciente@example.com');
+
+    // Datos en varias tablas dependientes: historial de passwords,
+    // refresh tokens, tokens revocados y una cuenta vinculada
+    await api('put', '/api/auth/password', {
+      token: expired.token,
+      body: {
+        currentPassword: PASSWORD,
+        newPassword: 'Purgada1234',
+        confirmPassword: 'Purgada1234',
+      },
+    });
+    await inDatabase(() =>
+      UserIdentity.create({
+        userId: expired.user.id,
+        provider: 'github',
+        subject: 'github-purgada',
+      })
+    );
+    const { body: current } = await api('post', '/api/auth/login', {
+      body: { email: 'purgada@example.com', password: 'Purgada1234' },
+    });
+    await api('delete', '/api/auth/account', {
+      token: current.token,
+      body: { password: 'Purgada1234' },
+    });
+    await deleteAccount(recent.token);
+
+    await backdateDeletion(expired.user.id, 31);
+    await backdateDeletion(recent.user.id, 5);
+
+    const before = await rowsOf(expired.user.id);
+    expect(before.password_history).toBeGreaterThan(0);
+    expect(before.user_identities).toBe(1);
+
+    // También purga la de otros tests ya vencida ('vencida@example.com')
+    expect(await inDatabase(() => User.purgeDeleted())).toBeGreaterThan(0);
+    expect(await inDatabase(() => User.purgeDeleted())).toBe(0);
+
+    expect(await rowsOf(expired.user.id)).toEqual(
+      Object.fromEntries(Object.keys(before).map((table) => [table, 0]))
+    );
+
+    // La eliminada hace 5 días sigue pudiendo restaurarse
+    expect((await rowsOf(recent.user.id)).users).toBe(1);
+    expect((await login('reciente@example.com')).accountRestored).toBe(true);
+  });
+});
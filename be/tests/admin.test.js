@@ -0,0 +1,198 @@
+// tests/admin.test.js - API de administración de usuarios
+require('./helpers/testEnv');
+
+const app = require('../src/app');
+const { startTestServer } = require('./helpers/testServer');
+const {
+  initDatabase,
+  closeDatabase,
+  getRepository,
+  withDatabase,
+} = require('../config/database');
+const User = require('../src/models/User');
+const UserIdentity = require('../src/models/UserIdentity');
+const WebAuthnCredential = require('../src/models/WebAuthnCredential');
+
+const PASSWORD = 'Password123';
+
+let database;
+let api;
+let closeServer;
+let admin;
+
+// Las llamadas directas a los modelos usan la BD de este archivo
+const inDatabase = (work) => withDatabase(database, work);
+
+const register = (email, nombres = 'Ana') =>
+  api('post', '/api/auth/register', {
+    body: {
+      email,
+      password: PASSWORD,
+      confirmPassword: PASSWORD,
+      nombres,
+      apellidos: 'Pérez',
+    },
+  });
+
+/**
+ * Registra una cuenta e inicia sesión; devuelve { user, token }
+ */
+const createAccount = async (email, nombres) => {
+  await register(email, nombres);
+  const { body } = await api('post', '/api/auth/login', {
+    body: { email, password: PASSWORD },
+  });
+  return { user: body.user, token: body.token };
+};
+
+describe('Administración de usuarios', () => {
+  beforeAll(async () => {
+    database = await initDatabase();
+    ({ api, close: closeServer } = startTestServer(app, database));
+
+    const { user } = await createAccount('jefa@example.com', 'Jefa');
+    await inDatabase(async () =>
+      (await User.findById(user.id)).setRole('admin')
+    );
+    admin = await createAccount('jefa@example.com');
+  });
+
+  afterAll(async () => {
+    await closeServer();
+    await closeDatabase(database);
+  });
+
+  test('lista los usuarios por páginas', async () => {
+    for (const n of [1, 2, 3, 4, 5]) {
+      await register(`listado${n}@example.com`);
+    }
+
+    const { status, body } = await api(
+      'get',
+      '/api/admin/users?search=listado&sort=email&order=asc&limit=2&page=2',
+      { token: admin.token }
+    );
+
+    expect(status).toBe(200);
+    expect(body.users.map(({ email }) => email)).toEqual([
+      'listado3@example.com',
+      'listado4@example.com',
+    ]);
+    expect(body.pagination).toEqual({
+      page: 2,
+      limit: 2,
+      total: 5,
+      totalPages: 3,
+    });
+    expect(body.users[0].password).toBeUndefined();
+
+    const invalid = await api('get', '/api/admin/users?limit=500', {
+      token: admin.token,
+    });
+    expect(invalid.status).toBe(400);
+  });
+
+  test('cambia el rol de un usuario', async () => {
+    const { user } = await createAccount('ascenso@example.com');
+
+    const { status, body } = await api('put', `/api/admin/users/${user.id}`, {
+      token: admin.token,
+      body: { role: 'admin' },
+    });
+    expect(status).toBe(200);
+    expect(body.user.role).toBe('admin');
+
+    const unknown = await api('put', `/api/admin/users/${user.id}`, {
+      token: admin.token,
+      body: { role: 'superusuario' },
+    });
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.code).toBe('ROLE_NOT_FOUND');
+  });
+
+  test('una cuenta deshabilitada pierde sus sesiones', async () => {
+    const { user, token } = await createAccount('suspendida@example.com');
+
+    const disabled = await api('post', `/api/admin/users/${user.id}/disable`, {
+      token: admin.token,
+    });
+    expect(disabled.status).toBe(200);
+    expect(disabled.body.user.disabled_at).toEqual(expect.any(String));
+
+    const me = await api('get', '/api/auth/profile', { token });
+    expect(me.status).toBe(401);
+    expect(me.body.code).toBe('ACCOUNT_DISABLED');
+
+    const login = await api('post', '/api/auth/login', {
+      body: { email: 'suspendida@example.com', password: PASSWORD },
+    });
+    expect(login.status).toBe(403);
+    expect(login.body.code).toBe('ACCOUNT_DISABLED');
+
+    await api('post', `/api/admin/users/${user.id}/enable`, {
+      token: admin.token,
+    });
+    const again = await api('post', '/api/auth/login', {
+      body: { email: 'suspendida@example.com', password: PASSWORD },
+    });
+    expect(again.status).toBe(200);
+  });
+
+  test('un administrador no puede degradarse ni eliminarse', async () => {
+    const demoted = await api('put', `/api/admin/users/${admin.user.id}`, {
+      token: admin.token,
+      body: { role: 'user' },
+    });
+    expect(demoted.status).toBe(400);
+    expect(demoted.body.code).toBe('SELF_ACTION_FORBIDDEN');
+
+    const deleted = await api('delete', `/api/admin/users/${admin.user.id}`, {
+      token: admin.token,
+    });
+    expect(deleted.status).toBe(400);
+    expect(deleted.body.code).toBe('SELF_ACTION_FORBIDDEN');
+
+    const me = await api('get', '/api/auth/profile', { token: admin.token });
+    expect(me.body.user.role).toBe('admin');
+  });
+
+  test('eliminar un usuario borra también sus datos asociados', async () => {
+    const { user } = await createAccount('eliminada@example.com');
+    await inDatabase(async () => {
+      await UserIdentity.create({
+        userId: user.id,
+        provider: 'google',
+        subject: 'google-eliminada',
+      });
+      await WebAuthnCredential.create({
+        userId: user.id,
+        credentialId: 'credencial-eliminada',
+        publicKey: 'clave',
+        signCount: 0,
+      });
+    });
+
+    const { status } = await api('delete', `/api/admin/users/${user.id}`, {
+      token: admin.token,
+    });
+    expect(status).toBe(200);
+
+    // Ninguna tabla conserva filas del usuario eliminado
+    const tables = ['users', ...User.DEPENDENT_TABLES];
+    const leftovers = await inDatabase(async () => {
+      const counts = {};
+      for (const table of tables) {
+        const column = table === 'users' ? 'id' : 'user_id';
+        const { count } = await getRepository().get(
+          `SELECT COUNT(*) AS count FROM ${table} WHERE ${column} = ?`,
+          [user.id]
+        );
+        counts[table] = Number(count);
+      }
+      return counts;
+    });
+    expect(leftovers).toEqual(
+      Object.fromEntries(tables.map((table) => [table, 0]))
+    );
+  });
+});
@@ -0,0 +1,216 @@
+// tests/audit.test.js - Registro de auditoría: solo inserción, filtros y exportación CSV
+require('./helpers/testEnv');
+
+const app = require('../src/app');
+const { startTestServer } = require('./helpers/testServer');
+const {
+  initDatabase,
+  closeDatabase,
+  getRepository,
+  withDatabase,
+} = require('../config/database');
+const AuditEvent = require('../src/models/AuditEvent');
+const User = require('../src/models/User');
+
+const PASSWORD = 'Password123';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let database;
+let baseUrl;
+let api;
+let closeServer;
+let admin;
+
+// Las llamadas directas a los modelos usan la BD de este archivo
+const inDatabase = (work) => withDatabase(database, work);
+
+/**
+ * Registra una cuenta e inicia sesión; devuelve { user, token }
+ */
+const createAccount = async (email) => {
+  await api('post', '/api/auth/register', {
+    body: {
+      email,
+      password: PASSWORD,
+      confirmPassword: PASSWORD,
+      nombres: 'Nuria',
+      apellidos: 'Vega',
+    },
+  });
+  const { body } = await api('post', '/api/auth/login', {
+    body: { email, password: PASSWORD },
+  });
+  return { user: body.user, token: body.token };
+};
+
+const listAudit = (query) =>
+  api('get', `/api/admin/audit?${new URLSearchParams(query)}`, {
+    token: admin.token,
+  });
+
+const day = (offsetDays) =>
+  new Date(Date.now() + offsetDays * DAY_MS).toISOString().slice(0, 10);
+
+beforeAll(async () => {
+  database = await initDatabase();
+  ({ baseUrl, api, close: closeServer } = startTestServer(app, database));
+
+  const { user } = await createAccount('auditora@example.com');
+  await inDatabase(async () => (await User.findById(user.id)).setRole('admin'));
+  admin = await createAccount('auditora@example.com');
+});
+
+afterAll(async () => {
+  await closeServer();
+  await closeDatabase(database);
+});
+
+describe('Tabla audit_events (solo inserción)', () => {
+  test('rechaza UPDATE y DELETE', async () => {
+    const id = await inDatabase(() =>
+      AuditEvent.record({ type: AuditEvent.EVENTS.LOGOUT, ip: '10.0.0.1' })
+    );
+
+    await inDatabase(async () => {
+      const repository = getRepository();
+
+      await expect(
+        repository.run('UPDATE audit_events SET ip = ? WHERE id = ?', [
+          '10.0.0.2',
+          id,
+        ])
+      ).rejects.toThrow('audit_events es de solo inserción');
+      await expect(
+        repository.run('DELETE FROM audit_events WHERE id = ?', [id])
+      ).rejects.toThrow('audit_events es de solo inserción');
+
+      expect(
+        await repository.get('SELECT ip FROM audit_events WHERE id = ?', [id])
+      ).toEqual({ ip: '10.0.0.1' });
+    });
+  });
+
+  test('rechaza tipos de evento desconocidos', async () => {
+    await expect(
+      inDatabase(() => AuditEvent.record({ type: 'user.inventado' }))
+    ).rejects.toThrow(
+      "Tipo de evento de auditoría desconocido: 'user.inventado'"
+    );
+  });
+});
+
+describe('GET /api/admin/audit', () => {
+  let user;
+
+  beforeAll(async () => {
+    ({ user } = await createAccount('auditada@example.com'));
+    await api('post', '/api/auth/login', {
+      body: { email: 'auditada@example.com', password: 'Incorrecto123' },
+    });
+  });
+
+  test('filtra por cuenta y por tipo de evento', async () => {
+    const { status, body } = await listAudit({ userId: user.id });
+    expect(status).toBe(200);
+    expect(body.events.map(({ type }) => type)).toEqual([
+      'auth.login_failure',
+      'auth.login_success',
+      'user.register',
+    ]);
+    expect(body.events.every(({ userId }) => userId === user.id)).toBe(true);
+
+    const failures = await listAudit({
+      userId: user.id,
+      type: 'auth.login_failure',
+    });
+    expect(failures.body.pagination.total).toBe(1);
+    expect(failures.body.events[0].metadata).toMatchObject({
+      reason: 'invalid_credentials',
+    });
+  });
+
+  test('incluye las acciones de un admin sobre otras cuentas', async () => {
+    await api('post', `/api/admin/users/${user.id}/logout`, {
+      token: admin.token,
+    });
+
+    const { body } = await listAudit({
+      userId: admin.user.id,
+      type: 'admin.user_logout',
+    });
+    expect(body.events).toHaveLength(1);
+    expect(body.events[0]).toMatchObject({
+      userId: user.id,
+      actorId: admin.user.id,
+    });
+  });
+
+  test('filtra por rango de fechas', async () => {
+    const total = async (query) =>
+      (await listAudit({ userId: user.id, ...query })).body.pagination.total;
+
+    const all = await total({});
+    expect(all).toBeGreaterThan(0);
+    expect(await total({ from: day(0), to: day(0) })).toBe(all);
+    expect(await total({ from: day(1) })).toBe(0);
+    expect(await total({ to: day(-1) })).toBe(0);
+
+    const invalid = await listAudit({ from: day(0), to: day(-1) });
+    expect(invalid.status).toBe(400);
+  });
+
+  test('exige el permiso audit:read', async () => {
+    const { token } = await createAccount('curiosa@example.com');
+
+    const { status } = await api('get', '/api/admin/audit', { token });
+    expect(status).toBe(403);
+  });
+});
+
+describe('Exportación CSV', () => {
+  test('entrecomilla comas y comillas y neutraliza fórmulas', async () => {
+    const { user } = await createAccount('csv@example.com');
+    await inDatabase(async () => {
+      await AuditEvent.record({
+        type: AuditEvent.EVENTS.LOGIN_FAILURE,
+        userId: user.id,
+        userAgent: 'Navegador "raro", v1',
+        metadata: { email: 'csv@example.com', reason: 'invalid_credentials' },
+      });
+      await AuditEvent.record({
+        type: AuditEvent.EVENTS.LOGOUT,
+        userId: user.id,
+        userAgent: '=HYPERLINK("http://example.com")',
+      });
+    });
+
+    const response = await fetch(
+      `${baseUrl}/api/admin/audit?userId=${user.id}&type=auth.login_failure&format=csv`,
+      { headers: { Authorization: `Bearer ${admin.token}` } }
+    );
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toMatch(/^text\/csv/);
+    expect(response.headers.get('content-disposition')).toMatch(
+      /attachment; filename="audit-\d{4}-\d{2}-\d{2}\.csv"/
+    );
+
+    const [header, row, ...rest] = (await response.text()).split('\r\n');
+    expect(header).toBe(
+      'id,createdAt,type,userId,actorId,ip,userAgent,requestId,metadata'
+    );
+    expect(rest).toEqual(['']);
+    expect(row).toContain(',auth.login_failure,');
+    expect(row).toContain(',"Navegador ""raro"", v1",');
+    expect(row).toMatch(
+      /,"\{""email"":""csv@example\.com"",""reason"":""invalid_credentials""\}"$/
+    );
+
+    const logout = await fetch(
+      `${baseUrl}/api/admin/audit?userId=${user.id}&type=auth.logout&format=csv`,
+      { headers: { Authorization: `Bearer ${admin.token}` } }
+    );
+    expect((await logout.text()).split('\r\n')[1]).toContain(
+      `,"'=HYPERLINK(""http://example.com"")",`
+    );
+  });
+});
@@ -0,0 +1,156 @@
+// tests/authorize.test.js - Autorización por permisos (RBAC) y administrador sembrado
+require('./helpers/testEnv');
+
+const jwt = require('jsonwebtoken');
+const app = require('../src/app');
+const { startTestServer } = require('./helpers/testServer');
+const {
+  initDatabase,
+  closeDatabase,
+  withDatabase,
+} = require('../config/database');
+const { authorize } = require('../src/middleware/authMiddleware');
+const { seedAdmin } = require('../src/utils/seedAdmin');
+const { signJwt } = require('../src/utils/signingKeys');
+const User = require('../src/models/User');
+
+const PASSWORD = 'Password123';
+const ADMIN_EMAIL = 'sembrado@example.com';
+const ADMIN_PASSWORD = 'Sembrado123';
+
+let database;
+let api;
+let closeServer;
+
+// Las llamadas directas a los modelos usan la BD de este archivo
+const inDatabase = (work) => withDatabase(database, work);
+
+/**
+ * Registra una cuenta e inicia sesión; devuelve la respuesta del login
+ * ({ token, refreshToken, user })
+ */
+const createAccount = async (email) => {
+  await api('post', '/api/auth/register', {
+    body: {
+      email,
+      password: PASSWORD,
+      confirmPassword: PASSWORD,
+      nombres: 'Raúl',
+      apellidos: 'Díaz',
+    },
+  });
+  const { body } = await api('post', '/api/auth/login', {
+    body: { email, password: PASSWORD },
+  });
+  return body;
+};
+
+const listUsers = (token) => api('get', '/api/admin/users', { token });
+
+beforeAll(async () => {
+  database = await initDatabase();
+  ({ api, close: closeServer } = startTestServer(app, database));
+
+  process.env.ADMIN_EMAIL = ADMIN_EMAIL;
+  process.env.ADMIN_PASSWORD = ADMIN_PASSWORD;
+  await inDatabase(() => seedAdmin());
+});
+
+afterAll(async () => {
+  delete process.env.ADMIN_EMAIL;
+  delete process.env.ADMIN_PASSWORD;
+  await closeServer();
+  await closeDatabase(database);
+});
+
+describe('authorize()', () => {
+  test('responde 401 si no hay usuario autenticado', async () => {
+    // Usado sin authMiddleware delante: no hay req.user
+    const error = await new Promise((resolve) =>
+      authorize('users:read')({}, {}, resolve)
+    );
+
+    expect(error.status).toBe(401);
+    expect(error.code).toBe('TOKEN_MISSING');
+  });
+
+  test('responde 403 si el rol no tiene el permiso', async () => {
+    const { token } = await createAccount('sinpermiso@example.com');
+
+    const { status, body } = await listUsers(token);
+    expect(status).toBe(403);
+    expect(body.code).toBe('FORBIDDEN');
+  });
+
+  test('usa el rol de la BD, no el claim del token', async () => {
+    const { token } = await createAccount('claim@example.com');
+    const forged = signJwt({ ...jwt.decode(token), role: 'admin' });
+
+    expect((await listUsers(forged)).status).toBe(403);
+  });
+
+  test('un cambio de rol se aplica en la siguiente petición', async () => {
+    const session = await createAccount('cambiorol@example.com');
+    const { body: admin } = await api('post', '/api/auth/login', {
+      body: { email: ADMIN_EMAIL, password: ADMIN_PASSWORD },
+    });
+    const setRole = (role) =>
+      api('put', `/api/admin/users/${session.user.id}`, {
+        token: admin.token,
+        body: { role },
+      });
+    const refresh = async (refreshToken) =>
+      (await api('post', '/api/auth/refresh', { body: { refreshToken } })).body;
+
+    expect((await listUsers(session.token)).status).toBe(403);
+
+    // Un token emitido antes del cambio ya no sirve
+    const { iat, ...payload } = jwt.decode(session.token);
+    const earlier = signJwt({ ...payload, jti: 'anterior', iat: iat - 5 });
+    expect((await setRole('admin')).status).toBe(200);
+    const stale = await listUsers(earlier);
+    expect(stale.status).toBe(401);
+    expect(stale.body.code).toBe('TOKEN_REVOKED');
+
+    // La sesión renovada ya tiene los permisos nuevos...
+    const promoted = await refresh(session.refreshToken);
+    expect((await listUsers(promoted.token)).status).toBe(200);
+
+    // ...y los pierde en cuanto se le quita el rol
+    expect((await setRole('user')).status).toBe(200);
+    const demoted = await refresh(promoted.refreshToken);
+    expect((await listUsers(demoted.token)).status).toBe(403);
+  });
+});
+
+describe('Administrador sembrado (ADMIN_EMAIL)', () => {
+  test('puede iniciar sesión y administrar usuarios', async () => {
+    const { status, body } = await api('post', '/api/auth/login', {
+      body: { email: ADMIN_EMAIL, password: ADMIN_PASSWORD },
+    });
+    expect(status).toBe(200);
+    expect(body.user).toMatchObject({
+      role: 'admin',
+      email_verified_at: expect.any(String),
+    });
+    expect(body.user.permissions).toEqual(
+      expect.arrayContaining(['users:read', 'users:update', 'users:delete'])
+    );
+
+    expect((await listUsers(body.token)).status).toBe(200);
+  });
+
+  test('sembrar de nuevo no duplica la cuenta y recupera el rol', async () => {
+    await inDatabase(async () =>
+      (await User.findByEmail(ADMIN_EMAIL)).setRole('user')
+    );
+
+    await inDatabase(() => seedAdmin());
+
+    const admin = await inDatabase(() => User.findByEmail(ADMIN_EMAIL));
+    expect(admin.role).toBe('admin');
+    expect(
+      Number(await inDatabase(() => User.count({ search: ADMIN_EMAIL })))
+    ).toBe(1);
+  });
+});
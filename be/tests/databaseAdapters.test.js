@@ -0,0 +1,168 @@
+// tests/databaseAdapters.test.js - La misma interfaz de BD sobre SQLite y PostgreSQL
+process.env.LOG_LEVEL = 'silent';
+
+const { newDb } = require('pg-mem');
+const SqliteAdapter = require('../config/adapters/sqlite');
+const PostgresAdapter = require('../config/adapters/postgres');
+const { createDatabase } = require('../config/database');
+const { rollback, status } = require('../config/migrator');
+
+/**
+ * Cada prueba se ejecuta contra los dos adaptadores. PostgreSQL es
+ * pg-mem: un motor en memoria compatible con 'pg', así que no hace falta
+ * un servidor. Sus límites:
+ *
+ * - Ignora BEGIN y ROLLBACK: el ROLLBACK de una transacción solo se
+ *   prueba con SQLite
+ * - No implementa funciones ni triggers: las sentencias que crean los de
+ *   audit_events (solo inserción, migración 009) se omiten
+ * - noAstCoverageCheck: sin él rechaza un CREATE TABLE IF NOT EXISTS de
+ *   una tabla que ya existe
+ */
+const connectPgMem = () => {
+  const mem = newDb({ noAstCoverageCheck: true });
+  mem.public.interceptQueries((sql) =>
+    /\b(FUNCTION|TRIGGER)\b/i.test(sql) ? [] : null
+  );
+  const { Pool } = mem.adapters.createPg();
+  return new PostgresAdapter(new Pool());
+};
+
+const ADAPTERS = [
+  [
+    'SQLite',
+    { connect: () => SqliteAdapter.connect(':memory:'), rollsBack: true },
+  ],
+  ['PostgreSQL (pg-mem)', { connect: connectPgMem, rollsBack: false }],
+];
+
+describe.each(ADAPTERS)('Adaptador %s', (_, engine) => {
+  let db;
+
+  const countItems = async () =>
+    Number((await db.get('SELECT COUNT(*) AS total FROM items')).total);
+
+  beforeEach(async () => {
+    db = await engine.connect();
+    await db.run(`
+      CREATE TABLE items (
+        id ${db.types.id},
+        name TEXT NOT NULL UNIQUE,
+        quantity INTEGER NOT NULL DEFAULT 0
+      )
+    `);
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  test('get, all y run', async () => {
+    const inserted = await db.run(
+      'INSERT INTO items (name, quantity) VALUES (?, ?)',
+      ['lápiz', 3]
+    );
+    expect(inserted.changes).toBe(1);
+    await db.run('INSERT INTO items (name, quantity) VALUES (?, ?)', [
+      'goma',
+      1,
+    ]);
+
+    expect(
+      await db.get('SELECT name, quantity FROM items WHERE name = ?', ['lápiz'])
+    ).toEqual({ name: 'lápiz', quantity: 3 });
+    expect(
+      await db.get('SELECT * FROM items WHERE name = ?', ['nada'])
+    ).toBeUndefined();
+    expect(
+      (await db.all('SELECT name FROM items ORDER BY name')).map(
+        ({ name }) => name
+      )
+    ).toEqual(['goma', 'lápiz']);
+
+    const updated = await db.run('UPDATE items SET quantity = quantity + 1');
+    expect(updated.changes).toBe(2);
+  });
+
+  test('INSERT ... RETURNING id devuelve el ID asignado', async () => {
+    const first = await db.get(
+      'INSERT INTO items (name) VALUES (?) RETURNING id',
+      ['regla']
+    );
+    const second = await db.get(
+      'INSERT INTO items (name) VALUES (?) RETURNING id',
+      ['compás']
+    );
+
+    expect(Number(second.id)).toBeGreaterThan(Number(first.id));
+    expect(
+      (await db.get('SELECT name FROM items WHERE id = ?', [first.id])).name
+    ).toBe('regla');
+  });
+
+  test("los '?' entre comillas no son parámetros", async () => {
+    await db.run('INSERT INTO items (name, quantity) VALUES (?, ?)', [
+      '¿qué?',
+      7,
+    ]);
+
+    const row = await db.get(
+      "SELECT quantity FROM items WHERE name = '¿qué?' AND quantity = ?",
+      [7]
+    );
+    expect(row.quantity).toBe(7);
+  });
+
+  (engine.rollsBack ? test : test.skip)(
+    'una transacción que falla no deja cambios',
+    async () => {
+      await expect(
+        db.transaction(async (tx) => {
+          await tx.run('INSERT INTO items (name) VALUES (?)', ['cuaderno']);
+          throw new Error('falla a mitad');
+        })
+      ).rejects.toThrow('falla a mitad');
+      expect(await countItems()).toBe(0);
+
+      const result = await db.transaction(async (tx) => {
+        await tx.run('INSERT INTO items (name) VALUES (?)', ['cuaderno']);
+        return 'hecho';
+      });
+      expect(result).toBe('hecho');
+      expect(await countItems()).toBe(1);
+    }
+  );
+
+  test('isUniqueViolation reconoce solo las restricciones UNIQUE', async () => {
+    await db.run('INSERT INTO items (name) VALUES (?)', ['tijera']);
+
+    const duplicate = await db
+      .run('INSERT INTO items (name) VALUES (?)', ['tijera'])
+      .catch((error) => error);
+    expect(db.isUniqueViolation(duplicate)).toBe(true);
+
+    const missingColumn = await db
+      .run('INSERT INTO items (quantity) VALUES (?)', [1])
+      .catch((error) => error);
+    expect(missingColumn.message).toMatch(/null/i);
+    expect(db.isUniqueViolation(missingColumn)).toBe(false);
+  });
+
+  test('las migraciones se aplican y se revierten', async () => {
+    const database = await createDatabase({ adapter: db });
+    const migrations = await status(database);
+
+    expect(migrations.every(({ appliedAt }) => appliedAt)).toBe(true);
+    expect((await database.columns('users')).map(({ name }) => name)).toEqual(
+      expect.arrayContaining(['id', 'email', 'deleted_at'])
+    );
+
+    const reverted = await rollback(database, migrations.length);
+    expect(reverted).toHaveLength(migrations.length);
+    expect((await status(database)).some(({ appliedAt }) => appliedAt)).toBe(
+      false
+    );
+    expect(await database.columns('users')).toEqual([]);
+    expect(await database.columns('login_attempts')).toEqual([]);
+  });
+});
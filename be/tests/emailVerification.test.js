@@ -0,0 +1,217 @@
+// tests/emailVerification.test.js - Verificación de email: políticas, enlaces y reenvíos
+const { sentMails } = require('./helpers/testEnv');
+
+const app = require('../src/app');
+const { startTestServer } = require('./helpers/testServer');
+const {
+  initDatabase,
+  closeDatabase,
+  getRepository,
+  withDatabase,
+} = require('../config/database');
+
+const PASSWORD = 'Password123';
+
+let database;
+let api;
+let closeServer;
+
+// Las llamadas directas a los modelos usan la BD de este archivo
+const inDatabase = (work) => withDatabase(database, work);
+
+/**
+ * resend-verification responde 202 y envía el email después: esperamos a
+ * que termine (o a que pase el tiempo, si no debe enviarse nada)
+ */
+const waitForMails = async (count, timeoutMs = 1000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (sentMails.length < count && Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  return sentMails.length;
+};
+
+// Último enlace de verificación enviado a un email
+const verificationTokenFor = (email) => {
+  const mail = sentMails.filter(({ to }) => to === email).pop();
+  const url = mail.text.match(/https?:\/\/\S+/)[0];
+  return url.slice(url.lastIndexOf('/') + 1);
+};
+
+const register = (email) =>
+  api('post', '/api/auth/register', {
+    body: {
+      email,
+      password: PASSWORD,
+      confirmPassword: PASSWORD,
+      nombres: 'Sara',
+      apellidos: 'Ruiz',
+    },
+  });
+
+const login = (email) =>
+  api('post', '/api/auth/login', { body: { email, password: PASSWORD } });
+
+const verify = (token) => api('get', `/api/auth/verify-email/${token}`);
+
+// PUT /api/auth/password es una de las rutas con requireVerifiedEmail
+const changePassword = (token) =>
+  api('put', '/api/auth/password', {
+    token,
+    body: {
+      currentPassword: PASSWORD,
+      newPassword: 'OtroPassword1',
+      confirmPassword: 'OtroPassword1',
+    },
+  });
+
+beforeAll(async () => {
+  database = await initDatabase();
+  ({ api, close: closeServer } = startTestServer(app, database));
+});
+
+afterEach(() => {
+  process.env.EMAIL_VERIFICATION_POLICY = 'off';
+});
+
+afterAll(async () => {
+  await closeServer();
+  await closeDatabase(database);
+});
+
+describe('Políticas para cuentas sin verificar', () => {
+  test("'off': no exige la verificación", async () => {
+    await register('sinpolitica@example.com');
+    const { body } = await login('sinpolitica@example.com');
+    expect(body.user.email_verified_at).toBeNull();
+
+    expect((await changePassword(body.token)).status).toBe(200);
+  });
+
+  test("'limited': inicia sesión, pero no usa las rutas protegidas", async () => {
+    process.env.EMAIL_VERIFICATION_POLICY = 'limited';
+    await register('limitada@example.com');
+
+    const session = await login('limitada@example.com');
+    expect(session.status).toBe(200);
+    expect(
+      (await api('get', '/api/auth/profile', { token: session.body.token }))
+        .status
+    ).toBe(200);
+
+    const blocked = await changePassword(session.body.token);
+    expect(blocked.status).toBe(403);
+    expect(blocked.body.code).toBe('EMAIL_NOT_VERIFIED');
+
+    await verify(verificationTokenFor('limitada@example.com'));
+    expect((await changePassword(session.body.token)).status).toBe(200);
+  });
+
+  test("'block': no inicia sesión hasta verificar", async () => {
+    process.env.EMAIL_VERIFICATION_POLICY = 'block';
+    await register('bloqueada@example.com');
+
+    const blocked = await login('bloqueada@example.com');
+    expect(blocked.status).toBe(403);
+    expect(blocked.body.code).toBe('EMAIL_NOT_VERIFIED');
+
+    const verified = await verify(
+      verificationTokenFor('bloqueada@example.com')
+    );
+    expect(verified.status).toBe(200);
+    expect(verified.body.user.email_verified_at).toEqual(expect.any(String));
+
+    expect((await login('bloqueada@example.com')).status).toBe(200);
+  });
+});
+
+describe('Enlaces de verificación', () => {
+  test('un enlace ya usado no cambia la fecha de verificación', async () => {
+    await register('repetida@example.com');
+    const token = verificationTokenFor('repetida@example.com');
+
+    const first = await verify(token);
+    expect(first.status).toBe(200);
+
+    const second = await verify(token);
+    expect(second.status).toBe(200);
+    expect(second.body.user.email_verified_at).toBe(
+      first.body.user.email_verified_at
+    );
+  });
+
+  test('un enlace a un email anterior deja de servir', async () => {
+    await register('anterior@example.com');
+    const oldToken = verificationTokenFor('anterior@example.com');
+    const { body: session } = await login('anterior@example.com');
+
+    await api('put', '/api/auth/profile', {
+      token: session.token,
+      body: { email: 'actual@example.com', currentPassword: PASSWORD },
+    });
+
+    const { status, body } = await verify(oldToken);
+    expect(status).toBe(400);
+    expect(body.code).toBe('VERIFICATION_TOKEN_INVALID');
+
+    // El enlace enviado a la dirección nueva sí sirve
+    expect(
+      (await verify(verificationTokenFor('actual@example.com'))).status
+    ).toBe(200);
+  });
+
+  test('rechaza un enlace expirado o manipulado', async () => {
+    process.env.EMAIL_VERIFICATION_EXPIRES_IN = '-1s';
+    try {
+      await register('expirada@example.com');
+    } finally {
+      delete process.env.EMAIL_VERIFICATION_EXPIRES_IN;
+    }
+    const token = verificationTokenFor('expirada@example.com');
+
+    const expired = await verify(token);
+    expect(expired.status).toBe(400);
+    expect(expired.body.code).toBe('VERIFICATION_TOKEN_INVALID');
+
+    const tampered = await verify(`${token.slice(0, -2)}xx`);
+    expect(tampered.status).toBe(400);
+    expect(tampered.body.code).toBe('VERIFICATION_TOKEN_INVALID');
+  });
+});
+
+describe('Reenvío del enlace', () => {
+  const resend = (email) =>
+    api('post', '/api/auth/resend-verification', { body: { email } });
+
+  test('no reenvía antes del intervalo mínimo', async () => {
+    await register('reenvio@example.com');
+    const sent = sentMails.length;
+
+    // Acaba de enviarse el del registro: responde igual, pero no envía
+    const early = await resend('reenvio@example.com');
+    expect(early.status).toBe(202);
+    expect(await waitForMails(sent + 1, 300)).toBe(sent);
+
+    // Pasado el intervalo (EMAIL_VERIFICATION_RESEND_SECONDS) sí
+    await inDatabase(() =>
+      getRepository().run(
+        'UPDATE users SET verification_sent_at = ? WHERE email = ?',
+        [new Date(Date.now() - 120 * 1000).toISOString(), 'reenvio@example.com']
+      )
+    );
+    await resend('reenvio@example.com');
+    expect(await waitForMails(sent + 1)).toBe(sent + 1);
+    expect(sentMails[sent].to).toBe('reenvio@example.com');
+  });
+
+  test('no envía nada a una cuenta ya verificada o inexistente', async () => {
+    await register('verificada@example.com');
+    await verify(verificationTokenFor('verificada@example.com'));
+    const sent = sentMails.length;
+
+    for (const email of ['verificada@example.com', 'nadie@example.com']) {
+      expect((await resend(email)).status).toBe(202);
+    }
+    expect(await waitForMails(sent + 1, 300)).toBe(sent);
+  });
+});
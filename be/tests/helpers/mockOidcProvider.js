@@ -0,0 +1,170 @@
+// tests/helpers/mockOidcProvider.js - Proveedor OpenID Connect local para los tests
+const crypto = require('crypto');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+
+/**
+ * PROVEEDOR OPENID CONNECT DE PRUEBA
+ *
+ * Un servidor HTTP en 127.0.0.1 que hace de Google/Microsoft: así los
+ * tests recorren el login social completo sin red ni cuentas reales.
+ *
+ * - GET  /.well-known/openid-configuration: descubrimiento
+ * - GET  /jwks: clave pública RSA con la que firma los id_token
+ * - GET  /authorize: en lugar de mostrar un formulario de login,
+ *   "inicia sesión" como this.user y redirige (302) a la redirect_uri
+ *   con code y state, igual que el proveedor real
+ * - POST /token: canjea el código comprobando client_id, client_secret,
+ *   redirect_uri y el PKCE (S256); devuelve el id_token con el nonce
+ *
+ * Para probar ataques, idTokenClaims() permite alterar el id_token
+ * antes de firmarlo (p. ej. otro nonce u otra audiencia).
+ */
+
+const sha256 = (value) =>
+  crypto.createHash('sha256').update(value).digest('base64url');
+
+class MockOidcProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.clientId
+   * @param {string} options.clientSecret
+   */
+  constructor({ clientId, clientSecret }) {
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.kid = crypto.randomUUID();
+    this.codes = new Map();
+    this.user = null;
+    this.idTokenClaims = (claims) => claims;
+
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+      modulusLength: 2048,
+    });
+    this.privateKey = privateKey;
+    this.publicKey = publicKey;
+
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  /**
+   * Arranca el servidor en un puerto libre
+   *
+   * @returns {Promise<string>} - URL del emisor (issuer)
+   */
+  async start() {
+    await new Promise((resolve) => this.server.listen(0, '127.0.0.1', resolve));
+    this.issuer = `http://127.0.0.1:${this.server.address().port}`;
+    return this.issuer;
+  }
+
+  stop() {
+    return new Promise((resolve) => this.server.close(resolve));
+  }
+
+  /**
+   * Lo que haría el navegador con la URL de autorización: la visita y
+   * lee la redirección
+   *
+   * @param {string} authorizationUrl
+   * @returns {Promise<{code: string, state: string}>}
+   */
+  async authorize(authorizationUrl) {
+    const response = await fetch(authorizationUrl, { redirect: 'manual' });
+    const location = new URL(response.headers.get('location'));
+
+    return {
+      code: location.searchParams.get('code'),
+      state: location.searchParams.get('state'),
+    };
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, this.issuer);
+    const json = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (url.pathname === '/.well-known/openid-configuration') {
+      return json(200, {
+        issuer: this.issuer,
+        authorization_endpoint: `${this.issuer}/authorize`,
+        token_endpoint: `${this.issuer}/token`,
+        jwks_uri: `${this.issuer}/jwks`,
+        code_challenge_methods_supported: ['S256'],
+      });
+    }
+
+    if (url.pathname === '/jwks') {
+      const jwk = this.publicKey.export({ format: 'jwk' });
+      return json(200, {
+        keys: [{ ...jwk, kid: this.kid, use: 'sig', alg: 'RS256' }],
+      });
+    }
+
+    if (url.pathname === '/authorize') {
+      const params = url.searchParams;
+      const code = crypto.randomBytes(16).toString('base64url');
+
+      this.codes.set(code, {
+        clientId: params.get('client_id'),
+        redirectUri: params.get('redirect_uri'),
+        codeChallenge: params.get('code_challenge'),
+        codeChallengeMethod: params.get('code_challenge_method'),
+        nonce: params.get('nonce'),
+        user: this.user,
+      });
+
+      const redirect = new URL(params.get('redirect_uri'));
+      redirect.searchParams.set('code', code);
+      redirect.searchParams.set('state', params.get('state'));
+      res.writeHead(302, { Location: redirect.toString() });
+      return res.end();
+    }
+
+    if (url.pathname === '/token' && req.method === 'POST') {
+      let raw = '';
+      for await (const chunk of req) raw += chunk;
+      const form = new URLSearchParams(raw);
+
+      // Cada código sirve una sola vez
+      const grant = this.codes.get(form.get('code'));
+      this.codes.delete(form.get('code'));
+
+      const valid =
+        grant &&
+        form.get('grant_type') === 'authorization_code' &&
+        form.get('client_id') === this.clientId &&
+        form.get('client_secret') === this.clientSecret &&
+        form.get('redirect_uri') === grant.redirectUri &&
+        grant.codeChallengeMethod === 'S256' &&
+        sha256(form.get('code_verifier') || '') === grant.codeChallenge;
+
+      if (!valid) {
+        return json(400, { error: 'invalid_grant' });
+      }
+
+      const idToken = jwt.sign(
+        this.idTokenClaims({
+          ...grant.user,
+          nonce: grant.nonce,
+          iss: this.issuer,
+          aud: this.clientId,
+        }),
+        this.privateKey,
+        { algorithm: 'RS256', keyid: this.kid, expiresIn: '5m' }
+      );
+
+      return json(200, {
+        access_token: crypto.randomBytes(16).toString('base64url'),
+        token_type: 'Bearer',
+        id_token: idToken,
+      });
+    }
+
+    return json(404, { error: 'not_found' });
+  }
+}
+
+module.exports = MockOidcProvider;
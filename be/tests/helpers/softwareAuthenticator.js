@@ -0,0 +1,165 @@
+// tests/helpers/softwareAuthenticator.js - Autenticador WebAuthn en software para los tests
+const crypto = require('crypto');
+const { isoCBOR } = require('@simplewebauthn/server/helpers');
+
+/**
+ * AUTENTICADOR EN SOFTWARE
+ *
+ * Hace lo mismo que Touch ID o una llave USB, pero en memoria: crea un
+ * par de claves P-256 (ES256) y responde a las ceremonias con el mismo
+ * formato JSON que devuelve el navegador. Así los tests recorren el
+ * registro y el login con passkey sin hardware ni navegador.
+ *
+ * Datos del autenticador (authenticatorData):
+ *   hash del rpId (32) | flags (1) | contador (4) | [credencial (registro)]
+ * Flags: UP (usuario presente) y UV (usuario verificado); AT indica que
+ * se incluye la credencial nueva.
+ */
+
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_ATTESTED_CREDENTIAL = 0x40;
+
+const base64url = (buffer) => Buffer.from(buffer).toString('base64url');
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+class SoftwareAuthenticator {
+  /**
+   * @param {Object} options
+   * @param {string} options.origin - Origen que "ve" el navegador
+   * @param {boolean} [options.userVerification=true] - ¿Se verifica al usuario?
+   */
+  constructor({ origin, userVerification = true }) {
+    this.origin = origin;
+    this.userVerification = userVerification;
+    this.credentialId = crypto.randomBytes(16);
+    this.signCount = 0;
+    this.userHandle = null;
+    this.rpId = null;
+
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', {
+      namedCurve: 'P-256',
+    });
+    this.privateKey = privateKey;
+    this.publicKey = publicKey;
+  }
+
+  /**
+   * Clave pública en formato COSE (EC2, ES256, P-256)
+   */
+  cosePublicKey() {
+    const { x, y } = this.publicKey.export({ format: 'jwk' });
+
+    return isoCBOR.encode(
+      new Map([
+        [1, 2],
+        [3, -7],
+        [-1, 1],
+        [-2, Buffer.from(x, 'base64url')],
+        [-3, Buffer.from(y, 'base64url')],
+      ])
+    );
+  }
+
+  authenticatorData(extraFlags = 0, attestedCredential = Buffer.alloc(0)) {
+    const flags =
+      FLAG_USER_PRESENT |
+      (this.userVerification ? FLAG_USER_VERIFIED : 0) |
+      extraFlags;
+    const counter = Buffer.alloc(4);
+    counter.writeUInt32BE(this.signCount);
+
+    return Buffer.concat([
+      sha256(this.rpId),
+      Buffer.from([flags]),
+      counter,
+      attestedCredential,
+    ]);
+  }
+
+  clientData(type, challenge) {
+    return Buffer.from(
+      JSON.stringify({ type, challenge, origin: this.origin })
+    );
+  }
+
+  /**
+   * navigator.credentials.create()
+   *
+   * @param {Object} options - PublicKeyCredentialCreationOptionsJSON
+   * @returns {Object} - RegistrationResponseJSON
+   */
+  createCredential(options) {
+    this.rpId = options.rp.id;
+    this.userHandle = options.user.id;
+
+    const idLength = Buffer.alloc(2);
+    idLength.writeUInt16BE(this.credentialId.length);
+    const attestedCredential = Buffer.concat([
+      Buffer.alloc(16), // AAGUID: ceros (sin attestation)
+      idLength,
+      this.credentialId,
+      Buffer.from(this.cosePublicKey()),
+    ]);
+
+    const attestationObject = isoCBOR.encode(
+      new Map([
+        ['fmt', 'none'],
+        ['attStmt', new Map()],
+        [
+          'authData',
+          this.authenticatorData(FLAG_ATTESTED_CREDENTIAL, attestedCredential),
+        ],
+      ])
+    );
+
+    return {
+      id: base64url(this.credentialId),
+      rawId: base64url(this.credentialId),
+      type: 'public-key',
+      response: {
+        clientDataJSON: base64url(
+          this.clientData('webauthn.create', options.challenge)
+        ),
+        attestationObject: base64url(attestationObject),
+        transports: ['internal'],
+      },
+      clientExtensionResults: {},
+    };
+  }
+
+  /**
+   * navigator.credentials.get()
+   *
+   * @param {Object} options - PublicKeyCredentialRequestOptionsJSON
+   * @returns {Object} - AuthenticationResponseJSON
+   */
+  getAssertion(options) {
+    this.signCount += 1;
+
+    const authenticatorData = this.authenticatorData();
+    const clientDataJSON = this.clientData('webauthn.get', options.challenge);
+
+    // Se firma authenticatorData + SHA-256(clientDataJSON) (ECDSA en DER)
+    const signature = crypto.sign(
+      'sha256',
+      Buffer.concat([authenticatorData, sha256(clientDataJSON)]),
+      this.privateKey
+    );
+
+    return {
+      id: base64url(this.credentialId),
+      rawId: base64url(this.credentialId),
+      type: 'public-key',
+      response: {
+        clientDataJSON: base64url(clientDataJSON),
+        authenticatorData: base64url(authenticatorData),
+        signature: base64url(signature),
+        userHandle: this.userHandle,
+      },
+      clientExtensionResults: {},
+    };
+  }
+}
+
+module.exports = SoftwareAuthenticator;
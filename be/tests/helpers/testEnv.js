@@ -0,0 +1,37 @@
+// tests/helpers/testEnv.js - Entorno común de los tests que recorren la API
+/**
+ * ENTORNO DE PRUEBA
+ *
+ * Hay que importarlo ANTES que la app: varios módulos leen process.env
+ * al cargarse (ver src/app.js).
+ *
+ * - BD SQLite en memoria (un test que necesite otra la cambia antes de
+ *   initDatabase())
+ * - Sin logs ni verificación de email obligatoria
+ * - bcrypt con el coste mínimo (4): cada login calcula un hash y los
+ *   tests hacen muchos
+ * - Emails a un transporte 'test' que solo los guarda en sentMails
+ *
+ * Con jest.resetModules() hay que volver a importarlo: el mailer nuevo
+ * no tiene registrado el transporte.
+ */
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.LOG_LEVEL = 'silent';
+process.env.DB_PATH = ':memory:';
+process.env.EMAIL_VERIFICATION_POLICY = 'off';
+process.env.BCRYPT_ROUNDS = '4';
+process.env.FRONTEND_URL = 'http://localhost:5173';
+process.env.MAIL_TRANSPORT = 'test';
+
+const { registerTransport } = require('../../src/utils/mailer');
+
+// Emails "enviados" durante el test ({ to, subject, text... })
+const sentMails = [];
+
+registerTransport('test', {
+  send: async (message) => {
+    sentMails.push(message);
+  },
+});
+
+module.exports = { sentMails };
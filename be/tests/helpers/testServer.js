@@ -0,0 +1,51 @@
+// tests/helpers/testServer.js - La app escuchando en un puerto libre y un cliente JSON para llamarla
+const http = require('http');
+const { withDatabase } = require('../../config/database');
+
+/**
+ * SERVIDOR DE PRUEBA
+ *
+ * listen(0) elige un puerto libre: los tests pueden ejecutarse en
+ * paralelo sin chocar. Cada petición se atiende dentro de
+ * withDatabase(database), como en startServer (src/app.js). La BD no se
+ * abre ni se cierra aquí: cada test la inicializa y la cierra.
+ *
+ * @param {Express} app
+ * @param {Repository} database - BD que usan los modelos
+ * @returns {{baseUrl: string, api: Function, close: Function}}
+ */
+const startTestServer = (app, database) => {
+  const server = http
+    .createServer((req, res) => withDatabase(database, () => app(req, res)))
+    .listen(0);
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  /**
+   * Petición JSON a la API; devuelve { status, body }
+   *
+   * @param {string} method
+   * @param {string} path
+   * @param {Object} [options]
+   * @param {Object} [options.body]
+   * @param {string} [options.token] - Access token (Authorization: Bearer)
+   * @returns {Promise<{status: number, body: Object}>}
+   */
+  const api = async (method, path, { body, token } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+      ...(body && { body: JSON.stringify(body) }),
+    });
+
+    return { status: response.status, body: await response.json() };
+  };
+
+  const close = () => new Promise((resolve) => server.close(resolve));
+
+  return { baseUrl, api, close };
+};
+
+module.exports = { startTestServer };
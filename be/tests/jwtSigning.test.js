@@ -0,0 +1,225 @@
+// tests/jwtSigning.test.js - Access tokens firmados con claves asimétricas (JWKS y rotación)
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+
+const PASSWORD = 'Password123';
+const ISSUER = 'http://localhost:3001';
+const AUDIENCE = 'http://localhost:3001/api';
+
+/**
+ * Las claves se leen una vez al arrancar, así que cada paso de la
+ * rotación es un "reinicio": módulos nuevos con otras variables de
+ * entorno sobre la misma BD (un archivo temporal, no ':memory:').
+ */
+let tmpDir;
+let dbPath;
+let api;
+let stop;
+
+const writeKey = (name, type, options) => {
+  const file = path.join(tmpDir, name);
+  const { privateKey } = crypto.generateKeyPairSync(type, options);
+  fs.writeFileSync(file, privateKey.export({ type: 'pkcs8', format: 'pem' }));
+  return file;
+};
+
+const start = async ({ signing, verification = [] }) => {
+  jest.resetModules();
+  require('./helpers/testEnv');
+  process.env.DB_PATH = dbPath;
+  process.env.JWT_SIGNING_KEY_FILE = signing;
+  process.env.JWT_VERIFICATION_KEY_FILES = verification.join(',');
+
+  const app = require('../src/app');
+  const { initDatabase, closeDatabase } = require('../config/database');
+  const { startTestServer } = require('./helpers/testServer');
+
+  const database = await initDatabase();
+  const server = startTestServer(app, database);
+  api = server.api;
+  stop = async () => {
+    await server.close();
+    await closeDatabase(database);
+  };
+};
+
+const login = async () => {
+  const { body } = await api('post', '/api/auth/login', {
+    body: { email: 'keys@example.com', password: PASSWORD },
+  });
+  return body.token;
+};
+
+/**
+ * Valida un access token como lo haría otro servicio: solo con el JWKS
+ * publicado, exigiendo iss y aud
+ */
+const verifyWithJwks = async (token) => {
+  const { body: jwks } = await api('get', '/api/auth/.well-known/jwks.json');
+  const { header } = jwt.decode(token, { complete: true });
+  const jwk = jwks.keys.find((key) => key.kid === header.kid);
+
+  return jwt.verify(
+    token,
+    crypto.createPublicKey({ key: jwk, format: 'jwk' }),
+    {
+      algorithms: [jwk.alg],
+      issuer: ISSUER,
+      audience: AUDIENCE,
+    }
+  );
+};
+
+describe('Firma asimétrica de los access tokens', () => {
+  let oldKeyFile;
+  let newKeyFile;
+
+  beforeAll(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-keys-'));
+    dbPath = path.join(tmpDir, 'test.sqlite');
+
+    oldKeyFile = writeKey('old.pem', 'ec', { namedCurve: 'P-256' });
+    newKeyFile = writeKey('new.pem', 'rsa', { modulusLength: 2048 });
+
+    await start({ signing: oldKeyFile });
+    await api('post', '/api/auth/register', {
+      body: {
+        email: 'keys@example.com',
+        password: PASSWORD,
+        confirmPassword: PASSWORD,
+        nombres: 'Rosa',
+        apellidos: 'Díaz',
+      },
+    });
+  });
+
+  afterAll(async () => {
+    await stop();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('firma con la clave del archivo e incluye kid, iss y aud', async () => {
+    const token = await login();
+    const { header, payload } = jwt.decode(token, { complete: true });
+    const { body: jwks } = await api('get', '/api/auth/.well-known/jwks.json');
+
+    expect(header.alg).toBe('ES256');
+    expect(jwks.keys).toHaveLength(1);
+    expect(jwks.keys[0]).toMatchObject({
+      kid: header.kid,
+      alg: 'ES256',
+      use: 'sig',
+    });
+    expect(jwks.keys[0].d).toBeUndefined();
+    expect(payload).toMatchObject({ iss: ISSUER, aud: AUDIENCE });
+  });
+
+  test('otro servicio valida el token solo con el JWKS', async () => {
+    const token = await login();
+
+    const payload = await verifyWithJwks(token);
+    expect(payload.role).toBe('user');
+
+    const { status } = await api('get', '/api/auth/profile', { token });
+    expect(status).toBe(200);
+  });
+
+  test('rechaza tokens con otra audiencia o emisor', async () => {
+    const privateKey = crypto.createPrivateKey(fs.readFileSync(oldKeyFile));
+    const { header, payload } = jwt.decode(await login(), { complete: true });
+
+    for (const claims of [
+      { aud: 'otra-api' },
+      { iss: 'https://otro.example.com' },
+    ]) {
+      const token = jwt.sign({ ...payload, ...claims }, privateKey, {
+        algorithm: 'ES256',
+        keyid: header.kid,
+      });
+
+      const { status, body } = await api('get', '/api/auth/profile', { token });
+      expect(status).toBe(401);
+      expect(body.code).toBe('TOKEN_INVALID');
+    }
+  });
+
+  test('rechaza tokens HS256, aunque usen la clave pública como secreto', async () => {
+    const { header, payload } = jwt.decode(await login(), { complete: true });
+    const publicPem = crypto
+      .createPublicKey(fs.readFileSync(oldKeyFile))
+      .export({ type: 'spki', format: 'pem' });
+
+    const forged = [
+      jwt.sign(payload, process.env.JWT_SECRET),
+      jwt.sign(payload, publicPem, { keyid: header.kid }),
+    ];
+
+    for (const token of forged) {
+      const { status, body } = await api('get', '/api/auth/profile', { token });
+      expect(status).toBe(401);
+      expect(body.code).toBe('TOKEN_INVALID');
+    }
+  });
+
+  test('rota la clave sin invalidar los tokens ya emitidos', async () => {
+    const oldToken = await login();
+    const oldKid = jwt.decode(oldToken, { complete: true }).header.kid;
+
+    // Paso 2: firma la clave nueva; la anterior solo verifica
+    await stop();
+    await start({ signing: newKeyFile, verification: [oldKeyFile] });
+
+    const newToken = await login();
+    const { header } = jwt.decode(newToken, { complete: true });
+    const { body: jwks } = await api('get', '/api/auth/.well-known/jwks.json');
+
+    expect(header.alg).toBe('RS256');
+    expect(header.kid).not.toBe(oldKid);
+    expect(jwks.keys.map(({ kid }) => kid)).toEqual([header.kid, oldKid]);
+
+    expect(
+      (await api('get', '/api/auth/profile', { token: oldToken })).status
+    ).toBe(200);
+    await expect(verifyWithJwks(oldToken)).resolves.toBeDefined();
+
+    // Paso 3: se retira la clave anterior
+    await stop();
+    await start({ signing: newKeyFile });
+
+    const rejected = await api('get', '/api/auth/profile', { token: oldToken });
+    expect(rejected.status).toBe(401);
+    expect(rejected.body.code).toBe('TOKEN_INVALID');
+    expect(
+      (await api('get', '/api/auth/profile', { token: newToken })).status
+    ).toBe(200);
+  });
+
+  test('en producción exige el archivo de la clave de firma', () => {
+    const previousEnv = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    delete process.env.JWT_SIGNING_KEY_FILE;
+
+    try {
+      jest.isolateModules(() => {
+        const { getSigningKey } = require('../src/utils/signingKeys');
+        expect(getSigningKey).toThrow('JWT_SIGNING_KEY_FILE es obligatoria');
+      });
+    } finally {
+      process.env.NODE_ENV = previousEnv;
+    }
+  });
+
+  test('no acepta claves EC que no sean P-256', () => {
+    process.env.JWT_SIGNING_KEY_FILE = writeKey('p384.pem', 'ec', {
+      namedCurve: 'P-384',
+    });
+
+    jest.isolateModules(() => {
+      const { getJwks } = require('../src/utils/signingKeys');
+      expect(getJwks).toThrow('RSA o EC P-256');
+    });
+  });
+});
@@ -0,0 +1,104 @@
+// tests/loginThrottle.test.js - Retrasos progresivos ante intentos de login simultáneos
+require('./helpers/testEnv');
+
+const app = require('../src/app');
+const { startTestServer } = require('./helpers/testServer');
+const {
+  initDatabase,
+  closeDatabase,
+  withDatabase,
+} = require('../config/database');
+const LoginAttempt = require('../src/models/LoginAttempt');
+const { MemoryStore } = require('../src/utils/loginThrottle');
+
+const PASSWORD = 'Password123';
+const EMAIL = 'rafaga@example.com';
+
+let database;
+let api;
+let closeServer;
+
+// Las llamadas directas a los modelos usan la BD de este archivo
+const inDatabase = (work) => withDatabase(database, work);
+
+describe('Protección contra fuerza bruta', () => {
+  beforeAll(async () => {
+    database = await initDatabase();
+    ({ api, close: closeServer } = startTestServer(app, database));
+
+    await api('post', '/api/auth/register', {
+      body: {
+        email: EMAIL,
+        password: PASSWORD,
+        confirmPassword: PASSWORD,
+        nombres: 'Eva',
+        apellidos: 'Ruiz',
+      },
+    });
+  });
+
+  afterAll(async () => {
+    await closeServer();
+    await closeDatabase(database);
+  });
+
+  test.each([
+    ['MemoryStore', () => new MemoryStore()],
+    ['LoginAttempt', () => LoginAttempt],
+  ])('%s cuenta los intentos simultáneos sin perder ninguno', (_, create) =>
+    inDatabase(async () => {
+      const store = create();
+      const key = `test:${Date.now()}`;
+      const windowStart = new Date(Date.now() - 60000);
+
+      const records = await Promise.all(
+        Array.from({ length: 20 }, () => store.increment(key, windowStart))
+      );
+      const counts = records
+        .map(({ failures }) => failures)
+        .sort((a, b) => a - b);
+      expect(counts).toEqual(Array.from({ length: 20 }, (__, i) => i + 1));
+
+      await Promise.all([store.decrement(key), store.decrement(key)]);
+      expect((await store.get(key)).failures).toBe(18);
+
+      // Un fallo anterior a la ventana ya no cuenta: se empieza de nuevo
+      const { failures } = await store.increment(
+        key,
+        new Date(Date.now() + 1000)
+      );
+      expect(failures).toBe(1);
+    })
+  );
+
+  test('una ráfaga simultánea solo verifica los intentos gratuitos', async () => {
+    const responses = await Promise.all(
+      Array.from({ length: 10 }, () =>
+        api('post', '/api/auth/login', {
+          body: { email: EMAIL, password: 'PasswordIncorrecto1' },
+        })
+      )
+    );
+    const statuses = responses.map(({ status }) => status);
+
+    // 3 intentos gratuitos por cuenta; el resto espera sin llegar a bcrypt
+    expect(statuses.filter((status) => status === 401)).toHaveLength(3);
+    expect(statuses.filter((status) => status === 429)).toHaveLength(7);
+    expect(
+      (await inDatabase(() => LoginAttempt.get(`account:${EMAIL}`))).failures
+    ).toBe(3);
+  });
+
+  test('un login exitoso olvida los fallos de la cuenta', async () => {
+    // Tras 3 fallos hay que esperar 1s
+    await new Promise((resolve) => setTimeout(resolve, 1100));
+
+    const { status } = await api('post', '/api/auth/login', {
+      body: { email: EMAIL, password: PASSWORD },
+    });
+    expect(status).toBe(200);
+    expect(
+      await inDatabase(() => LoginAttempt.get(`account:${EMAIL}`))
+    ).toBeNull();
+  });
+});
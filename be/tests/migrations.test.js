@@ -0,0 +1,114 @@
+// tests/migrations.test.js - Todas las migraciones se aplican, se revierten y se vuelven a aplicar
+process.env.LOG_LEVEL = 'silent';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const SqliteAdapter = require('../config/adapters/sqlite');
+const { migrate, rollback, status } = require('../config/migrator');
+
+const MIGRATIONS = fs
+  .readdirSync(path.join(__dirname, '..', 'migrations'))
+  .filter((file) => /^\d+_[\w-]+\.js$/.test(file))
+  .sort()
+  .map((file) => file.replace(/\.js$/, ''));
+
+/**
+ * Esquema completo de la BD (tablas, índices y triggers), sin la tabla
+ * de control de las migraciones
+ */
+const schemaOf = (db) =>
+  db.all(`
+    SELECT type, name, sql FROM sqlite_master
+    WHERE name NOT LIKE 'sqlite_%' AND name <> 'schema_migrations'
+    ORDER BY type, name
+  `);
+
+describe('Migraciones (config/migrator.js)', () => {
+  let db;
+
+  beforeEach(async () => {
+    db = await SqliteAdapter.connect(':memory:');
+  });
+
+  afterEach(async () => {
+    await db.close();
+  });
+
+  test('up, down de todas, status y up de nuevo', async () => {
+    expect(await migrate(db)).toEqual(MIGRATIONS);
+    const schema = await schemaOf(db);
+    expect(schema.length).toBeGreaterThan(0);
+
+    // Se revierten de la más nueva a la más vieja
+    expect(await rollback(db, MIGRATIONS.length)).toEqual(
+      [...MIGRATIONS].reverse()
+    );
+    expect(await schemaOf(db)).toEqual([]);
+
+    const pending = await status(db);
+    expect(pending.map(({ version, name }) => `${version}_${name}`)).toEqual(
+      MIGRATIONS
+    );
+    expect(pending.every(({ appliedAt }) => appliedAt === null)).toBe(true);
+
+    // Volver a aplicarlas deja exactamente el mismo esquema
+    expect(await migrate(db)).toEqual(MIGRATIONS);
+    expect(await schemaOf(db)).toEqual(schema);
+    expect((await status(db)).every(({ appliedAt }) => appliedAt)).toBe(true);
+  });
+
+  test('sin nada pendiente, up no hace nada', async () => {
+    await migrate(db);
+
+    expect(await migrate(db)).toEqual([]);
+    expect(await rollback(db, 0)).toEqual([]);
+  });
+});
+
+describe('CLI (scripts/migrate.js)', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migraciones-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const cli = (...args) =>
+    execFileSync(
+      process.execPath,
+      [path.join(__dirname, '..', 'scripts', 'migrate.js'), ...args],
+      {
+        cwd: dir,
+        encoding: 'utf8',
+        env: {
+          ...process.env,
+          DATABASE_URL: '',
+          DB_PATH: path.join(dir, 'cli.sqlite'),
+          LOG_LEVEL: 'silent',
+        },
+      }
+    );
+
+  test('up, down de todas, status y up de nuevo', () => {
+    cli('up');
+    expect(cli('up')).toContain('La base de datos ya está al día');
+
+    cli('down', String(MIGRATIONS.length));
+    const pending = cli('status');
+    for (const migration of MIGRATIONS) {
+      expect(pending).toContain(`${migration}: ⏳ pendiente`);
+    }
+
+    cli('up');
+    const applied = cli('status');
+    expect(applied).not.toContain('pendiente');
+    for (const migration of MIGRATIONS) {
+      expect(applied).toContain(`${migration}: ✅ aplicada`);
+    }
+  });
+});
@@ -0,0 +1,285 @@
+// tests/oauth.test.js - Login social contra un proveedor OpenID Connect local
+require('./helpers/testEnv');
+
+const crypto = require('crypto');
+const app = require('../src/app');
+const { startTestServer } = require('./helpers/testServer');
+const {
+  initDatabase,
+  closeDatabase,
+  withDatabase,
+} = require('../config/database');
+const { registerProvider, OidcProvider } = require('../src/oauth');
+const User = require('../src/models/User');
+const UserIdentity = require('../src/models/UserIdentity');
+const { generateCode } = require('../src/utils/totp');
+const MockOidcProvider = require('./helpers/mockOidcProvider');
+
+const CLIENT = { clientId: 'test-client', clientSecret: 'test-secret' };
+const PASSWORD = 'Password123';
+
+let database;
+let api;
+let closeServer;
+let mock;
+
+// Las llamadas directas a los modelos usan la BD de este archivo
+const inDatabase = (work) => withDatabase(database, work);
+
+/**
+ * Empieza un login: pide la URL al backend y "visita" el proveedor
+ */
+const startLogin = async () => {
+  const { body } = await api('post', '/api/auth/oauth/mock/authorize');
+  const { code, state } = await mock.authorize(body.authorizationUrl);
+
+  return { code, state, oauthToken: body.oauthToken };
+};
+
+const callback = (params) =>
+  api('post', '/api/auth/oauth/mock/callback', { body: params });
+
+// Login completo como el usuario indicado
+const loginAs = async (user) => {
+  mock.user = user;
+  return callback(await startLogin());
+};
+
+const googleUser = (email, overrides = {}) => ({
+  sub: crypto.randomUUID(),
+  email,
+  email_verified: true,
+  given_name: 'Lucía',
+  family_name: 'Gómez',
+  ...overrides,
+});
+
+const registerUser = async (email) => {
+  await api('post', '/api/auth/register', {
+    body: {
+      email,
+      password: PASSWORD,
+      confirmPassword: PASSWORD,
+      nombres: 'Ana',
+      apellidos: 'Pérez',
+    },
+  });
+  return inDatabase(() => User.findByEmail(email));
+};
+
+describe('Login social (OAuth2 / OpenID Connect)', () => {
+  beforeAll(async () => {
+    database = await initDatabase();
+    ({ api, close: closeServer } = startTestServer(app, database));
+
+    mock = new MockOidcProvider(CLIENT);
+    const issuer = await mock.start();
+    registerProvider(
+      new OidcProvider({
+        name: 'mock',
+        displayName: 'Proveedor de prueba',
+        issuer,
+        ...CLIENT,
+      })
+    );
+  });
+
+  afterEach(() => {
+    mock.idTokenClaims = (claims) => claims;
+  });
+
+  afterAll(async () => {
+    await mock.stop();
+    await closeServer();
+    await closeDatabase(database);
+  });
+
+  test('lista los proveedores configurados', async () => {
+    const { status, body } = await api('get', '/api/auth/oauth/providers');
+
+    expect(status).toBe(200);
+    expect(body.providers).toContainEqual({
+      name: 'mock',
+      displayName: 'Proveedor de prueba',
+    });
+  });
+
+  test('la URL de autorización usa PKCE, state y nonce', async () => {
+    const { body } = await api('post', '/api/auth/oauth/mock/authorize');
+    const params = new URL(body.authorizationUrl).searchParams;
+
+    expect(params.get('response_type')).toBe('code');
+    expect(params.get('client_id')).toBe(CLIENT.clientId);
+    expect(params.get('redirect_uri')).toBe(
+      'http://localhost:5173/oauth/callback/mock'
+    );
+    expect(params.get('code_challenge_method')).toBe('S256');
+    expect(params.get('code_challenge')).toEqual(expect.any(String));
+    expect(params.get('state')).toEqual(expect.any(String));
+    expect(params.get('nonce')).toEqual(expect.any(String));
+  });
+
+  test('crea un usuario nuevo y lo reconoce en el siguiente login', async () => {
+    const profile = googleUser('nuevo@example.com');
+
+    const first = await loginAs(profile);
+    expect(first.status).toBe(200);
+    expect(first.body.token).toEqual(expect.any(String));
+    expect(first.body.user).toMatchObject({
+      email: 'nuevo@example.com',
+      nombres: 'Lucía',
+      apellidos: 'Gómez',
+    });
+    expect(first.body.user.email_verified_at).not.toBeNull();
+
+    // Aunque el email cambie en el proveedor, el subject es el mismo
+    const second = await loginAs({ ...profile, email: 'otro@example.com' });
+    expect(second.status).toBe(200);
+    expect(second.body.user.id).toBe(first.body.user.id);
+  });
+
+  test('descarta una vinculación cuyo usuario ya no existe', async () => {
+    const profile = googleUser('huerfana@example.com');
+    await inDatabase(() =>
+      UserIdentity.create({
+        userId: 999999,
+        provider: 'mock',
+        subject: profile.sub,
+      })
+    );
+
+    const { status, body } = await loginAs(profile);
+    expect(status).toBe(200);
+    expect(body.user.email).toBe('huerfana@example.com');
+
+    const identity = await inDatabase(() =>
+      UserIdentity.findByProviderSubject('mock', profile.sub)
+    );
+    expect(identity.user_id).toBe(body.user.id);
+  });
+
+  test('vincula por email verificado una cuenta existente', async () => {
+    const user = await registerUser('existente@example.com');
+    await inDatabase(() => user.markEmailVerified());
+
+    const { status, body } = await loginAs(googleUser('existente@example.com'));
+
+    expect(status).toBe(200);
+    expect(body.user.id).toBe(user.id);
+
+    // El password de la cuenta sigue funcionando
+    const login = await api('post', '/api/auth/login', {
+      body: { email: 'existente@example.com', password: PASSWORD },
+    });
+    expect(login.status).toBe(200);
+  });
+
+  test('al vincular una cuenta sin verificar reemplaza su password', async () => {
+    const user = await registerUser('sinverificar@example.com');
+
+    const { status, body } = await loginAs(
+      googleUser('sinverificar@example.com')
+    );
+
+    expect(status).toBe(200);
+    expect(body.user.id).toBe(user.id);
+
+    const login = await api('post', '/api/auth/login', {
+      body: { email: 'sinverificar@example.com', password: PASSWORD },
+    });
+    expect(login.status).toBe(401);
+  });
+
+  test('rechaza un email que el proveedor no verificó', async () => {
+    await registerUser('victima@example.com');
+
+    const { status, body } = await loginAs(
+      googleUser('victima@example.com', { email_verified: false })
+    );
+
+    expect(status).toBe(403);
+    expect(body.code).toBe('OAUTH_EMAIL_NOT_VERIFIED');
+  });
+
+  test('rechaza un state que no coincide (CSRF)', async () => {
+    mock.user = googleUser('csrf@example.com');
+    const params = await startLogin();
+
+    const { status, body } = await callback({ ...params, state: 'otro' });
+
+    expect(status).toBe(401);
+    expect(body.code).toBe('OAUTH_STATE_INVALID');
+  });
+
+  test('cada oauthToken sirve para un solo login', async () => {
+    mock.user = googleUser('replay@example.com');
+    const params = await startLogin();
+
+    expect((await callback(params)).status).toBe(200);
+
+    const replay = await callback(params);
+    expect(replay.status).toBe(401);
+    expect(replay.body.code).toBe('OAUTH_STATE_INVALID');
+  });
+
+  test('rechaza un código emitido para otro login (PKCE)', async () => {
+    mock.user = googleUser('pkce@example.com');
+    const stolen = await startLogin();
+    const own = await startLogin();
+
+    // El código robado con el state y el token de otro login: el
+    // code_verifier no corresponde a su code_challenge
+    const { status, body } = await callback({ ...own, code: stolen.code });
+
+    expect(status).toBe(401);
+    expect(body.code).toBe('OAUTH_CODE_INVALID');
+  });
+
+  test('rechaza un id_token con otro nonce', async () => {
+    mock.idTokenClaims = (claims) => ({ ...claims, nonce: 'otro' });
+
+    const { status, body } = await loginAs(googleUser('nonce@example.com'));
+
+    expect(status).toBe(401);
+    expect(body.code).toBe('OAUTH_ID_TOKEN_INVALID');
+  });
+
+  test('rechaza un id_token emitido para otra aplicación', async () => {
+    mock.idTokenClaims = (claims) => ({ ...claims, aud: 'otra-app' });
+
+    const { status, body } = await loginAs(googleUser('aud@example.com'));
+
+    expect(status).toBe(401);
+    expect(body.code).toBe('OAUTH_ID_TOKEN_INVALID');
+  });
+
+  test('con la verificación en dos pasos pide el código', async () => {
+    const profile = googleUser('mfa@example.com');
+    const { body: session } = await loginAs(profile);
+
+    const { body: setup } = await api('post', '/api/auth/2fa/setup', {
+      token: session.token,
+    });
+    await api('post', '/api/auth/2fa/confirm', {
+      token: session.token,
+      body: { code: generateCode(setup.secret) },
+    });
+
+    const { status, body } = await loginAs(profile);
+
+    expect(status).toBe(200);
+    expect(body.mfaRequired).toBe(true);
+    expect(body.mfaToken).toEqual(expect.any(String));
+    expect(body).not.toHaveProperty('token');
+  });
+
+  test('responde 404 con un proveedor no configurado', async () => {
+    const { status, body } = await api(
+      'post',
+      '/api/auth/oauth/desconocido/authorize'
+    );
+
+    expect(status).toBe(404);
+    expect(body.code).toBe('OAUTH_PROVIDER_NOT_FOUND');
+  });
+});
@@ -0,0 +1,554 @@
+// tests/oidc.test.js - Este sistema como proveedor OpenID Connect de otras aplicaciones
+require('./helpers/testEnv');
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const app = require('../src/app');
+const { startTestServer } = require('./helpers/testServer');
+const {
+  initDatabase,
+  closeDatabase,
+  getRepository,
+  withDatabase,
+} = require('../config/database');
+const User = require('../src/models/User');
+const OidcClient = require('../src/models/OidcClient');
+const OidcAuthorizationCode = require('../src/models/OidcAuthorizationCode');
+
+const PASSWORD = 'Password123';
+const REDIRECT_URI = 'http://app.example.com/callback';
+
+let database;
+let baseUrl;
+let api;
+let closeServer;
+let client;
+let clientSecret;
+let session;
+
+// Las llamadas directas a los modelos usan la BD de este archivo
+const inDatabase = (work) => withDatabase(database, work);
+
+/**
+ * POST /oauth2/token como lo hace una aplicación: formulario y
+ * client_secret_basic
+ */
+const tokenRequest = async (
+  form,
+  secret = clientSecret,
+  clientId = client.client_id
+) => {
+  const credentials = Buffer.from(`${clientId}:${secret}`).toString('base64');
+  const response = await fetch(`${baseUrl}/oauth2/token`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Authorization: `Basic ${credentials}`,
+    },
+    body: new URLSearchParams(form).toString(),
+  });
+
+  return {
+    status: response.status,
+    headers: response.headers,
+    body: await response.json(),
+  };
+};
+
+/**
+ * Pedido de autorización con PKCE, como lo arma la aplicación cliente
+ */
+const authorizationRequest = (overrides = {}) => {
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const params = {
+    client_id: client.client_id,
+    redirect_uri: REDIRECT_URI,
+    response_type: 'code',
+    scope: 'openid profile email',
+    state: crypto.randomUUID(),
+    nonce: crypto.randomUUID(),
+    code_challenge: crypto
+      .createHash('sha256')
+      .update(codeVerifier)
+      .digest('base64url'),
+    code_challenge_method: 'S256',
+    ...overrides,
+  };
+
+  return { params, codeVerifier };
+};
+
+/**
+ * Aprueba el pedido en la página de consentimiento y devuelve el código
+ */
+const approve = async (params) => {
+  const { body } = await api('post', '/api/auth/oidc/authorize', {
+    token: session.token,
+    body: { ...params, approve: true },
+  });
+  return new URL(body.redirectTo).searchParams.get('code');
+};
+
+// Flujo completo hasta los tokens
+const loginWithClient = async () => {
+  const { params, codeVerifier } = authorizationRequest();
+  const code = await approve(params);
+
+  const { body } = await tokenRequest({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: REDIRECT_URI,
+    code_verifier: codeVerifier,
+  });
+  return body;
+};
+
+/**
+ * Verifica un JWT con la clave publicada en el JWKS, como haría la
+ * aplicación cliente (sin conocer ningún secreto del servidor)
+ */
+const verifyWithJwks = async (token, options) => {
+  const { body: discovery } = await api(
+    'get',
+    '/.well-known/openid-configuration'
+  );
+  const { body: jwks } = await api('get', new URL(discovery.jwks_uri).pathname);
+  const { header } = jwt.decode(token, { complete: true });
+  const jwk = jwks.keys.find((key) => key.kid === header.kid);
+
+  return jwt.verify(
+    token,
+    crypto.createPublicKey({ key: jwk, format: 'jwk' }),
+    {
+      algorithms: discovery.id_token_signing_alg_values_supported,
+      issuer: discovery.issuer,
+      ...options,
+    }
+  );
+};
+
+describe('Proveedor OpenID Connect', () => {
+  beforeAll(async () => {
+    database = await initDatabase();
+    ({ baseUrl, api, close: closeServer } = startTestServer(app, database));
+
+    ({ client, clientSecret } = await inDatabase(() =>
+      OidcClient.create({ name: 'Intranet', redirectUris: [REDIRECT_URI] })
+    ));
+
+    await api('post', '/api/auth/register', {
+      body: {
+        email: 'oidc@example.com',
+        password: PASSWORD,
+        confirmPassword: PASSWORD,
+        nombres: 'Ana',
+        apellidos: 'Pérez',
+      },
+    });
+    ({ body: session } = await api('post', '/api/auth/login', {
+      body: { email: 'oidc@example.com', password: PASSWORD },
+    }));
+  });
+
+  afterAll(async () => {
+    await closeServer();
+    await closeDatabase(database);
+  });
+
+  test('publica el documento de descubrimiento', async () => {
+    const { status, body } = await api(
+      'get',
+      '/.well-known/openid-configuration'
+    );
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({
+      issuer: 'http://localhost:3001',
+      authorization_endpoint: 'http://localhost:3001/oauth2/authorize',
+      token_endpoint: 'http://localhost:3001/oauth2/token',
+      code_challenge_methods_supported: ['S256'],
+    });
+  });
+
+  test('redirige el pedido de autorización a la página de consentimiento', async () => {
+    const { params } = authorizationRequest();
+    const response = await fetch(
+      `${baseUrl}/oauth2/authorize?${new URLSearchParams(params)}`,
+      { redirect: 'manual' }
+    );
+    const location = new URL(response.headers.get('location'));
+
+    expect(response.status).toBe(302);
+    expect(location.origin + location.pathname).toBe(
+      'http://localhost:5173/oidc/authorize'
+    );
+    expect(Object.fromEntries(location.searchParams)).toEqual(params);
+  });
+
+  test('informa a la aplicación los errores del pedido', async () => {
+    const { params } = authorizationRequest();
+    delete params.code_challenge;
+
+    const response = await fetch(
+      `${baseUrl}/oauth2/authorize?${new URLSearchParams(params)}`,
+      { redirect: 'manual' }
+    );
+    const location = new URL(response.headers.get('location'));
+
+    expect(location.origin + location.pathname).toBe(REDIRECT_URI);
+    expect(location.searchParams.get('error')).toBe('invalid_request');
+    expect(location.searchParams.get('state')).toBe(params.state);
+  });
+
+  test('no redirige a una URL que el cliente no registró', async () => {
+    const { params } = authorizationRequest({
+      redirect_uri: 'https://atacante.example.com/callback',
+    });
+
+    const response = await fetch(
+      `${baseUrl}/oauth2/authorize?${new URLSearchParams(params)}`,
+      { redirect: 'manual' }
+    );
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).code).toBe('OIDC_REDIRECT_URI_INVALID');
+  });
+
+  test('el consentimiento se pide una vez por aplicación', async () => {
+    const { params } = authorizationRequest();
+    const query = new URLSearchParams(params);
+
+    const first = await api('get', `/api/auth/oidc/authorize?${query}`, {
+      token: session.token,
+    });
+    expect(first.status).toBe(200);
+    expect(first.body).toMatchObject({
+      client: { name: 'Intranet' },
+      scopes: ['openid', 'profile', 'email'],
+      consentRequired: true,
+    });
+
+    await approve(params);
+
+    const second = await api('get', `/api/auth/oidc/authorize?${query}`, {
+      token: session.token,
+    });
+    expect(second.body.consentRequired).toBe(false);
+  });
+
+  test('si el usuario rechaza, la aplicación recibe access_denied', async () => {
+    const { params } = authorizationRequest();
+
+    const { body } = await api('post', '/api/auth/oidc/authorize', {
+      token: session.token,
+      body: { ...params, approve: false },
+    });
+    const redirect = new URL(body.redirectTo);
+
+    expect(redirect.searchParams.get('error')).toBe('access_denied');
+    expect(redirect.searchParams.get('state')).toBe(params.state);
+    expect(redirect.searchParams.has('code')).toBe(false);
+  });
+
+  test('canjea el código por tokens verificables con el JWKS', async () => {
+    const { params, codeVerifier } = authorizationRequest();
+    const code = await approve(params);
+
+    const { status, headers, body } = await tokenRequest({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: REDIRECT_URI,
+      code_verifier: codeVerifier,
+    });
+
+    expect(status).toBe(200);
+    expect(headers.get('cache-control')).toBe('no-store');
+    expect(body).toMatchObject({
+      token_type: 'Bearer',
+      scope: 'openid profile email',
+      refresh_token: expect.any(String),
+    });
+
+    const claims = await verifyWithJwks(body.id_token, {
+      audience: client.client_id,
+    });
+    expect(claims).toMatchObject({
+      sub: String(session.user.id),
+      nonce: params.nonce,
+      email: 'oidc@example.com',
+      given_name: 'Ana',
+      family_name: 'Pérez',
+    });
+  });
+
+  test('userinfo entrega los claims de User#toPublicJSON()', async () => {
+    const tokens = await loginWithClient();
+
+    const { status, body } = await api('get', '/oauth2/userinfo', {
+      token: tokens.access_token,
+    });
+
+    expect(status).toBe(200);
+    expect(body).toEqual({
+      sub: String(session.user.id),
+      name: 'Ana Pérez',
+      given_name: 'Ana',
+      family_name: 'Pérez',
+      email: 'oidc@example.com',
+      email_verified: false,
+    });
+  });
+
+  test('los tokens propios y los de las aplicaciones no se mezclan', async () => {
+    const tokens = await loginWithClient();
+
+    // Un id_token no es un access token
+    const idToken = await api('get', '/oauth2/userinfo', {
+      token: tokens.id_token,
+    });
+    expect(idToken.status).toBe(401);
+    expect(idToken.body.error).toBe('invalid_token');
+
+    // El access token de la aplicación no sirve en la API propia...
+    const profile = await api('get', '/api/auth/profile', {
+      token: tokens.access_token,
+    });
+    expect(profile.status).toBe(401);
+
+    // ...ni su refresh token en /api/auth/refresh
+    const refresh = await api('post', '/api/auth/refresh', {
+      body: { refreshToken: tokens.refresh_token },
+    });
+    expect(refresh.status).toBe(401);
+  });
+
+  test('cada código sirve una sola vez', async () => {
+    const { params, codeVerifier } = authorizationRequest();
+    const form = {
+      grant_type: 'authorization_code',
+      code: await approve(params),
+      redirect_uri: REDIRECT_URI,
+      code_verifier: codeVerifier,
+    };
+
+    const { body: tokens } = await tokenRequest(form);
+    expect(tokens.refresh_token).toEqual(expect.any(String));
+    const { body: renewed } = await tokenRequest({
+      grant_type: 'refresh_token',
+      refresh_token: tokens.refresh_token,
+    });
+
+    const replay = await tokenRequest(form);
+    expect(replay.status).toBe(400);
+    expect(replay.body.error).toBe('invalid_grant');
+
+    // Alguien copió el código: los tokens emitidos con él (y sus
+    // sucesores por rotación) se revocan
+    const revoked = await tokenRequest({
+      grant_type: 'refresh_token',
+      refresh_token: renewed.refresh_token,
+    });
+    expect(revoked.status).toBe(400);
+    expect(revoked.body.error).toBe('invalid_grant');
+  });
+
+  test('otro cliente no puede gastar el código', async () => {
+    const other = await inDatabase(() =>
+      OidcClient.create({ name: 'Otra', redirectUris: [REDIRECT_URI] })
+    );
+    const { params, codeVerifier } = authorizationRequest();
+    const form = {
+      grant_type: 'authorization_code',
+      code: await approve(params),
+      redirect_uri: REDIRECT_URI,
+      code_verifier: codeVerifier,
+    };
+
+    const stolen = await tokenRequest(
+      form,
+      other.clientSecret,
+      other.client.client_id
+    );
+    expect(stolen.status).toBe(400);
+    expect(stolen.body.error).toBe('invalid_grant');
+
+    // El código sigue sirviendo a su cliente
+    expect((await tokenRequest(form)).status).toBe(200);
+  });
+
+  test('exige el code_verifier del pedido (PKCE)', async () => {
+    const { params } = authorizationRequest();
+
+    const { status, body } = await tokenRequest({
+      grant_type: 'authorization_code',
+      code: await approve(params),
+      redirect_uri: REDIRECT_URI,
+      code_verifier: crypto.randomBytes(32).toString('base64url'),
+    });
+
+    expect(status).toBe(400);
+    expect(body.error).toBe('invalid_grant');
+  });
+
+  test('rechaza un client_secret incorrecto', async () => {
+    const { params, codeVerifier } = authorizationRequest();
+
+    const { status, headers, body } = await tokenRequest(
+      {
+        grant_type: 'authorization_code',
+        code: await approve(params),
+        redirect_uri: REDIRECT_URI,
+        code_verifier: codeVerifier,
+      },
+      'otro-secreto'
+    );
+
+    expect(status).toBe(401);
+    expect(headers.get('www-authenticate')).toMatch(/^Basic/);
+    expect(body.error).toBe('invalid_client');
+  });
+
+  test('responde invalid_client ante credenciales Basic mal codificadas', async () => {
+    const credentials = Buffer.from('%E0%A4%A:secreto').toString('base64');
+    const response = await fetch(`${baseUrl}/oauth2/token`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Authorization: `Basic ${credentials}`,
+      },
+      body: new URLSearchParams({ grant_type: 'refresh_token' }).toString(),
+    });
+
+    expect(response.status).toBe(401);
+    expect((await response.json()).error).toBe('invalid_client');
+  });
+
+  test('purga los códigos expirados', () =>
+    inDatabase(async () => {
+      const user = await User.findByEmail('oidc@example.com');
+      const code = await OidcAuthorizationCode.issue({
+        clientId: client.client_id,
+        userId: user.id,
+        redirectUri: REDIRECT_URI,
+        scope: 'openid',
+        codeChallenge: authorizationRequest().params.code_challenge,
+      });
+      await getRepository().run(
+        'UPDATE oidc_authorization_codes SET expires_at = ?',
+        [new Date(Date.now() - 1000).toISOString()]
+      );
+
+      expect(await OidcAuthorizationCode.purgeExpired()).toBeGreaterThan(0);
+      const { count } = await getRepository().get(
+        'SELECT COUNT(*) AS count FROM oidc_authorization_codes'
+      );
+      expect(count).toBe(0);
+      expect(await OidcAuthorizationCode.findByCode(code)).toBeNull();
+    }));
+
+  test('renueva con el refresh token y detecta su reutilización', async () => {
+    const tokens = await loginWithClient();
+    const form = {
+      grant_type: 'refresh_token',
+      refresh_token: tokens.refresh_token,
+    };
+
+    const renewed = await tokenRequest(form);
+    expect(renewed.status).toBe(200);
+    expect(renewed.body.refresh_token).not.toBe(tokens.refresh_token);
+
+    // El token anterior ya se usó: se revoca toda la familia
+    const replay = await tokenRequest(form);
+    expect(replay.status).toBe(400);
+    expect(replay.body.error).toBe('invalid_grant');
+
+    const revoked = await tokenRequest({
+      grant_type: 'refresh_token',
+      refresh_token: renewed.body.refresh_token,
+    });
+    expect(revoked.body.error).toBe('invalid_grant');
+  });
+
+  test('rechaza un grant_type no soportado', async () => {
+    const { status, body } = await tokenRequest({ grant_type: 'password' });
+
+    expect(status).toBe(400);
+    expect(body.error).toBe('unsupported_grant_type');
+  });
+
+  test('un administrador registra y elimina clientes', async () => {
+    await api('post', '/api/auth/register', {
+      body: {
+        email: 'admin-oidc@example.com',
+        password: PASSWORD,
+        confirmPassword: PASSWORD,
+        nombres: 'Admin',
+        apellidos: 'Sistema',
+      },
+    });
+    const admin = await inDatabase(() =>
+      User.findByEmail('admin-oidc@example.com')
+    );
+    await inDatabase(() => admin.setRole('admin'));
+    const { body: adminSession } = await api('post', '/api/auth/login', {
+      body: { email: 'admin-oidc@example.com', password: PASSWORD },
+    });
+
+    // Un usuario sin el permiso no puede
+    const forbidden = await api('get', '/api/admin/oidc-clients', {
+      token: session.token,
+    });
+    expect(forbidden.status).toBe(403);
+
+    const created = await api('post', '/api/admin/oidc-clients', {
+      token: adminSession.token,
+      body: {
+        name: 'Panel de ventas',
+        redirectUris: ['https://ventas.example.com/callback'],
+      },
+    });
+    expect(created.status).toBe(201);
+    expect(created.body.client).toMatchObject({
+      name: 'Panel de ventas',
+      confidential: true,
+    });
+    expect(created.body.clientSecret).toEqual(expect.any(String));
+
+    const { body: list } = await api('get', '/api/admin/oidc-clients', {
+      token: adminSession.token,
+    });
+    expect(list.clients.map(({ clientId }) => clientId)).toContain(
+      created.body.client.clientId
+    );
+    expect(JSON.stringify(list)).not.toContain(created.body.clientSecret);
+
+    const deleted = await api(
+      'delete',
+      `/api/admin/oidc-clients/${created.body.client.id}`,
+      { token: adminSession.token }
+    );
+    expect(deleted.status).toBe(200);
+    expect(
+      await inDatabase(() =>
+        OidcClient.findByClientId(created.body.client.clientId)
+      )
+    ).toBeNull();
+  });
+
+  test('rechaza redirect URIs inválidas al registrar un cliente', async () => {
+    const admin = await inDatabase(() =>
+      User.findByEmail('admin-oidc@example.com')
+    );
+    const { body: adminSession } = await api('post', '/api/auth/login', {
+      body: { email: admin.email, password: PASSWORD },
+    });
+
+    const { status, body } = await api('post', '/api/admin/oidc-clients', {
+      token: adminSession.token,
+      body: { name: 'Malo', redirectUris: ['javascript:alert(1)'] },
+    });
+
+    expect(status).toBe(400);
+    expect(body.code).toBe('VALIDATION_ERROR');
+  });
+});
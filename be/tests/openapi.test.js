@@ -0,0 +1,82 @@
+// tests/openapi.test.js - La especificación OpenAPI documenta todas las rutas
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.LOG_LEVEL = 'silent';
+
+const app = require('../src/app');
+const { buildOpenApiDocument, toOpenApiPath } = require('../src/docs/openapi');
+
+/**
+ * PREFIJO DE UN ROUTER MONTADO
+ *
+ * Express 4 no guarda el path de app.use('/api/auth', router): solo la
+ * expresión regular generada (p. ej. /^\/api\/auth\/?(?=\/|$)/i).
+ * La convertimos de vuelta al texto original.
+ */
+const mountPath = (layer) =>
+  layer.regexp.source
+    .replace('^', '')
+    .replace('\\/?(?=\\/|$)', '')
+    .replace(/\\\//g, '/');
+
+/**
+ * RUTAS REGISTRADAS EN EXPRESS
+ *
+ * Recorre la pila de la app (y de cada router montado) y devuelve
+ * 'método /path' por cada ruta.
+ */
+const collectRoutes = (stack, prefix = '') =>
+  stack.flatMap((layer) => {
+    if (layer.route) {
+      return Object.keys(layer.route.methods)
+        .filter((method) => method !== '_all')
+        .map((method) => `${method} ${prefix}${layer.route.path}`);
+    }
+    if (layer.name === 'router') {
+      return collectRoutes(layer.handle.stack, prefix + mountPath(layer));
+    }
+    return [];
+  });
+
+describe('Especificación OpenAPI', () => {
+  const spec = buildOpenApiDocument();
+  const routes = collectRoutes(app._router.stack);
+
+  test('encuentra las rutas de la app', () => {
+    expect(routes).toContain('post /api/auth/login');
+    expect(routes).toContain('get /api/admin/users/:id');
+  });
+
+  test.each(routes)('documenta %s', (route) => {
+    const [method, path] = route.split(' ');
+    const operations = spec.paths[toOpenApiPath(path)] || {};
+
+    expect(Object.keys(operations)).toContain(method);
+  });
+
+  test('no documenta rutas que no existen', () => {
+    const documented = Object.entries(spec.paths).flatMap(
+      ([path, operations]) =>
+        Object.keys(operations).map((method) => `${method} ${path}`)
+    );
+    const registered = routes.map((route) => {
+      const [method, path] = route.split(' ');
+      return `${method} ${toOpenApiPath(path)}`;
+    });
+
+    expect(documented.filter((route) => !registered.includes(route))).toEqual(
+      []
+    );
+  });
+
+  test('los cuerpos salen de las validaciones', () => {
+    const register =
+      spec.paths['/api/auth/register'].post.requestBody.content[
+        'application/json'
+      ].schema;
+
+    expect(register.required).toEqual(
+      expect.arrayContaining(['email', 'password', 'nombres', 'apellidos'])
+    );
+    expect(register.properties.email.format).toBe('email');
+  });
+});
@@ -0,0 +1,210 @@
+// tests/passwordHasher.test.js - Algoritmos de hash intercambiables y actualización del hash al iniciar sesión
+require('./helpers/testEnv');
+
+const bcrypt = require('bcryptjs');
+const app = require('../src/app');
+const { startTestServer } = require('./helpers/testServer');
+const {
+  initDatabase,
+  closeDatabase,
+  withDatabase,
+} = require('../config/database');
+const {
+  hashPassword,
+  verifyPassword,
+  registerHasher,
+} = require('../src/utils/passwordHasher');
+const User = require('../src/models/User');
+
+const PASSWORD = 'Password123';
+
+/**
+ * Ejecuta fn con variables de entorno temporales y restaura las anteriores
+ */
+const withEnv = async (vars, fn) => {
+  const previous = Object.fromEntries(
+    Object.keys(vars).map((name) => [name, process.env[name]])
+  );
+  Object.assign(process.env, vars);
+
+  try {
+    return await fn();
+  } finally {
+    for (const [name, value] of Object.entries(previous)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  }
+};
+
+describe('passwordHasher', () => {
+  test('bcrypt: necesita rehash si el coste es menor que BCRYPT_ROUNDS', async () => {
+    const hash = await withEnv({ BCRYPT_ROUNDS: '4' }, () =>
+      hashPassword(PASSWORD)
+    );
+    expect(bcrypt.getRounds(hash)).toBe(4);
+
+    expect(await verifyPassword(PASSWORD, hash)).toEqual({
+      valid: true,
+      needsRehash: false,
+    });
+    await withEnv({ BCRYPT_ROUNDS: '5' }, async () => {
+      expect(await verifyPassword(PASSWORD, hash)).toEqual({
+        valid: true,
+        needsRehash: true,
+      });
+    });
+  });
+
+  test('scrypt y bcrypt: cada uno verifica el hash del otro y pide migrarlo', async () => {
+    const bcryptHash = await hashPassword(PASSWORD);
+    const scryptHash = await withEnv({ PASSWORD_HASHER: 'scrypt' }, () =>
+      hashPassword(PASSWORD)
+    );
+    expect(scryptHash).toMatch(/^\$scrypt\$N=16384,r=8,p=1\$/);
+
+    // Configurado bcrypt (por defecto): el hash scrypt vale, pero se migra
+    expect(await verifyPassword(PASSWORD, scryptHash)).toEqual({
+      valid: true,
+      needsRehash: true,
+    });
+    expect(await verifyPassword(PASSWORD, bcryptHash)).toEqual({
+      valid: true,
+      needsRehash: false,
+    });
+
+    // Y al revés con PASSWORD_HASHER=scrypt
+    await withEnv({ PASSWORD_HASHER: 'scrypt' }, async () => {
+      expect(await verifyPassword(PASSWORD, bcryptHash)).toEqual({
+        valid: true,
+        needsRehash: true,
+      });
+      expect(await verifyPassword(PASSWORD, scryptHash)).toEqual({
+        valid: true,
+        needsRehash: false,
+      });
+    });
+  });
+
+  test('un password incorrecto o un hash desconocido no son válidos', async () => {
+    const scryptHash = await withEnv({ PASSWORD_HASHER: 'scrypt' }, () =>
+      hashPassword(PASSWORD)
+    );
+
+    for (const hash of [await hashPassword(PASSWORD), scryptHash]) {
+      expect(await verifyPassword('Otro123456', hash)).toEqual({
+        valid: false,
+        needsRehash: false,
+      });
+    }
+    expect(await verifyPassword(PASSWORD, 'texto-plano')).toEqual({
+      valid: false,
+      needsRehash: false,
+    });
+    expect(await verifyPassword(PASSWORD, null)).toEqual({
+      valid: false,
+      needsRehash: false,
+    });
+  });
+
+  test('rechaza un algoritmo desconocido o un hasher incompleto', async () => {
+    await withEnv({ PASSWORD_HASHER: 'md5' }, () => {
+      expect(() => hashPassword(PASSWORD)).toThrow(
+        "Algoritmo de hash desconocido: 'md5'"
+      );
+    });
+    expect(() => registerHasher('incompleto', { hash: () => '' })).toThrow(
+      'verify, identifies, needsRehash'
+    );
+  });
+});
+
+describe('Actualización del hash al iniciar sesión', () => {
+  let database;
+  let api;
+  let closeServer;
+  let sequence = 0;
+
+  // Las llamadas directas a los modelos usan la BD de este archivo
+  const inDatabase = (work) => withDatabase(database, work);
+
+  // Crea una cuenta (con el hasher configurado) y devuelve su email
+  const createAccount = async () => {
+    sequence += 1;
+    const email = `hash${sequence}@example.com`;
+    await api('post', '/api/auth/register', {
+      body: {
+        email,
+        password: PASSWORD,
+        confirmPassword: PASSWORD,
+        nombres: 'Pablo',
+        apellidos: 'Gil',
+      },
+    });
+    return email;
+  };
+
+  const login = (email) =>
+    api('post', '/api/auth/login', { body: { email, password: PASSWORD } });
+
+  const storedHash = async (email) =>
+    (await inDatabase(() => User.findByEmail(email))).password;
+
+  beforeAll(async () => {
+    database = await initDatabase();
+    ({ api, close: closeServer } = startTestServer(app, database));
+  });
+
+  afterAll(async () => {
+    await closeServer();
+    await closeDatabase(database);
+  });
+
+  test('un hash bcrypt de menor coste se recalcula con BCRYPT_ROUNDS', async () => {
+    const email = await createAccount();
+    const original = await storedHash(email);
+    expect(bcrypt.getRounds(original)).toBe(4);
+
+    await withEnv({ BCRYPT_ROUNDS: '5' }, async () => {
+      expect((await login(email)).status).toBe(200);
+    });
+
+    const rehashed = await storedHash(email);
+    expect(rehashed).not.toBe(original);
+    expect(bcrypt.getRounds(rehashed)).toBe(5);
+
+    // Un hash de coste mayor que el configurado no se vuelve a calcular
+    expect((await login(email)).status).toBe(200);
+    expect(await storedHash(email)).toBe(rehashed);
+  });
+
+  test('migra de bcrypt a scrypt y de vuelta al iniciar sesión', async () => {
+    const email = await createAccount();
+    expect(await storedHash(email)).toMatch(/^\$2[aby]\$/);
+
+    await withEnv({ PASSWORD_HASHER: 'scrypt' }, async () => {
+      expect((await login(email)).status).toBe(200);
+    });
+    expect(await storedHash(email)).toMatch(/^\$scrypt\$/);
+
+    expect((await login(email)).status).toBe(200);
+    expect(await storedHash(email)).toMatch(/^\$2[aby]\$04\$/);
+  });
+
+  test('un login fallido no toca el hash', async () => {
+    const email = await createAccount();
+    const original = await storedHash(email);
+
+    await withEnv({ BCRYPT_ROUNDS: '5' }, async () => {
+      const { status } = await api('post', '/api/auth/login', {
+        body: { email, password: 'Incorrecto123' },
+      });
+      expect(status).toBe(401);
+    });
+
+    expect(await storedHash(email)).toBe(original);
+  });
+});
@@ -0,0 +1,94 @@
+// tests/passwordReset.test.js - "Olvidé mi contraseña": enlace por email y límites contra el abuso
+const { sentMails } = require('./helpers/testEnv');
+
+process.env.FORGOT_PASSWORD_RATE_LIMIT_MAX = '4';
+
+const app = require('../src/app');
+const { startTestServer } = require('./helpers/testServer');
+const { initDatabase, closeDatabase } = require('../config/database');
+
+const PASSWORD = 'Password123';
+const NEW_PASSWORD = 'NuevoPassword456';
+const EMAIL = 'olvido@example.com';
+
+let database;
+let api;
+let closeServer;
+
+/**
+ * forgot-password responde 202 y envía el email después: esperamos a
+ * que termine (o a que pase el tiempo, si no debe enviarse nada)
+ */
+const waitForMails = async (count, timeoutMs = 1000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (sentMails.length < count && Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  return sentMails.length;
+};
+
+const resetTokenFrom = (mail) =>
+  new URL(mail.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+
+describe('Recuperación de password', () => {
+  beforeAll(async () => {
+    database = await initDatabase();
+    ({ api, close: closeServer } = startTestServer(app, database));
+
+    await api('post', '/api/auth/register', {
+      body: {
+        email: EMAIL,
+        password: PASSWORD,
+        confirmPassword: PASSWORD,
+        nombres: 'Luis',
+        apellidos: 'Gómez',
+      },
+    });
+  });
+
+  afterAll(async () => {
+    await closeServer();
+    await closeDatabase(database);
+  });
+
+  test('envía un solo enlace por cuenta dentro del intervalo mínimo', async () => {
+    sentMails.length = 0;
+
+    const first = await api('post', '/api/auth/forgot-password', {
+      body: { email: EMAIL },
+    });
+    expect(first.status).toBe(202);
+    expect(await waitForMails(1)).toBe(1);
+    const token = resetTokenFrom(sentMails[0]);
+
+    // La segunda solicitud responde igual, pero no envía nada ni
+    // invalida el enlace pendiente
+    const second = await api('post', '/api/auth/forgot-password', {
+      body: { email: EMAIL },
+    });
+    expect(second.status).toBe(202);
+    expect(await waitForMails(2, 300)).toBe(1);
+
+    const { status } = await api('post', '/api/auth/reset-password', {
+      body: {
+        token,
+        newPassword: NEW_PASSWORD,
+        confirmPassword: NEW_PASSWORD,
+      },
+    });
+    expect(status).toBe(200);
+  });
+
+  test('limita las solicitudes por IP', async () => {
+    // Ya van 2 de 4 en esta ventana
+    const statuses = [];
+    for (let i = 0; i < 3; i += 1) {
+      const { status } = await api('post', '/api/auth/forgot-password', {
+        body: { email: `nadie${i}@example.com` },
+      });
+      statuses.push(status);
+    }
+
+    expect(statuses).toEqual([202, 202, 429]);
+  });
+});
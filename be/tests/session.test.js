@@ -0,0 +1,267 @@
+// tests/session.test.js - Sesión y cuenta del usuario a través de la API
+require('./helpers/testEnv');
+
+const jwt = require('jsonwebtoken');
+const app = require('../src/app');
+const { startTestServer } = require('./helpers/testServer');
+const { initDatabase, closeDatabase } = require('../config/database');
+const { signJwt } = require('../src/utils/signingKeys');
+
+const PASSWORD = 'Password123';
+
+let database;
+let api;
+let closeServer;
+
+/**
+ * Registra una cuenta e inicia sesión; devuelve la respuesta del login
+ * ({ token, refreshToken, user })
+ */
+const createAccount = async (email) => {
+  await api('post', '/api/auth/register', {
+    body: {
+      email,
+      password: PASSWORD,
+      confirmPassword: PASSWORD,
+      nombres: 'Ana',
+      apellidos: 'Pérez',
+    },
+  });
+  const { body } = await api('post', '/api/auth/login', {
+    body: { email, password: PASSWORD },
+  });
+  return body;
+};
+
+beforeAll(async () => {
+  database = await initDatabase();
+  ({ api, close: closeServer } = startTestServer(app, database));
+});
+
+afterAll(async () => {
+  await closeServer();
+  await closeDatabase(database);
+});
+
+describe('Logout y revocación de access tokens', () => {
+  test('un access token cerrado con logout ya no sirve', async () => {
+    const { token } = await createAccount('logout@example.com');
+
+    expect((await api('get', '/api/auth/profile', { token })).status).toBe(200);
+    expect((await api('post', '/api/auth/logout', { token })).status).toBe(200);
+
+    const { status, body } = await api('get', '/api/auth/profile', { token });
+    expect(status).toBe(401);
+    expect(body.code).toBe('TOKEN_REVOKED');
+  });
+
+  test('rechaza un token sin jti (no podría revocarse)', async () => {
+    const { token } = await createAccount('sinjti@example.com');
+
+    // Mismo token, bien firmado, pero sin jti
+    const { jti, ...payload } = jwt.decode(token);
+    expect(jti).toEqual(expect.any(String));
+    const withoutJti = signJwt(payload);
+
+    const { status, body } = await api('get', '/api/auth/profile', {
+      token: withoutJti,
+    });
+    expect(status).toBe(401);
+    expect(body.code).toBe('TOKEN_REVOKED');
+  });
+
+  test('responde 401 sin token o con un token mal formado', async () => {
+    const missing = await api('get', '/api/auth/profile');
+    expect(missing.status).toBe(401);
+    expect(missing.body.code).toBe('TOKEN_MISSING');
+
+    const invalid = await api('get', '/api/auth/profile', {
+      token: 'no-es-un-jwt',
+    });
+    expect(invalid.status).toBe(401);
+    expect(invalid.body.code).toBe('TOKEN_INVALID');
+  });
+});
+
+describe('Rotación de refresh tokens', () => {
+  const refresh = (refreshToken) =>
+    api('post', '/api/auth/refresh', { body: { refreshToken } });
+
+  test('cada refresh token sirve una sola vez', async () => {
+    const session = await createAccount('rotacion@example.com');
+
+    const rotated = await refresh(session.refreshToken);
+    expect(rotated.status).toBe(200);
+    expect(rotated.body.token).toEqual(expect.any(String));
+    expect(rotated.body.refreshToken).not.toBe(session.refreshToken);
+
+    const replayed = await refresh(session.refreshToken);
+    expect(replayed.status).toBe(401);
+    expect(replayed.body.code).toBe('REFRESH_TOKEN_INVALID');
+  });
+
+  test('reutilizar un refresh token revoca toda la familia', async () => {
+    const session = await createAccount('familia@example.com');
+    const first = await refresh(session.refreshToken);
+    const second = await refresh(first.body.refreshToken);
+    expect(second.status).toBe(200);
+
+    // Alguien repite un token ya rotado: el último de la familia, que
+    // nunca se usó, deja de servir también
+    expect((await refresh(session.refreshToken)).status).toBe(401);
+
+    const { status, body } = await refresh(second.body.refreshToken);
+    expect(status).toBe(401);
+    expect(body.code).toBe('REFRESH_TOKEN_INVALID');
+
+    // Las demás sesiones del usuario (otras familias) no se ven afectadas
+    const other = await api('post', '/api/auth/login', {
+      body: { email: 'familia@example.com', password: PASSWORD },
+    });
+    expect((await refresh(other.body.refreshToken)).status).toBe(200);
+  });
+
+  test('el logout revoca la familia del refresh token enviado', async () => {
+    const session = await createAccount('salida@example.com');
+
+    await api('post', '/api/auth/logout', {
+      token: session.token,
+      body: { refreshToken: session.refreshToken },
+    });
+
+    const { status, body } = await refresh(session.refreshToken);
+    expect(status).toBe(401);
+    expect(body.code).toBe('REFRESH_TOKEN_INVALID');
+  });
+
+  test('rechaza un refresh token desconocido', async () => {
+    const { status, body } = await refresh('no-existe');
+    expect(status).toBe(401);
+    expect(body.code).toBe('REFRESH_TOKEN_INVALID');
+  });
+});
+
+describe('Cambio de password', () => {
+  const changePassword = (token, currentPassword, newPassword) =>
+    api('put', '/api/auth/password', {
+      token,
+      body: { currentPassword, newPassword, confirmPassword: newPassword },
+    });
+
+  test('exige el password actual', async () => {
+    const { token } = await createAccount('cambio@example.com');
+
+    const { status, body } = await changePassword(
+      token,
+      'Incorrecto123',
+      'NuevoPassword1'
+    );
+    expect(status).toBe(401);
+    expect(body.code).toBe('INVALID_PASSWORD');
+
+    // El password no cambió
+    const login = await api('post', '/api/auth/login', {
+      body: { email: 'cambio@example.com', password: PASSWORD },
+    });
+    expect(login.status).toBe(200);
+  });
+
+  test('no permite reutilizar el password actual ni uno reciente', async () => {
+    const { token } = await createAccount('historial@example.com');
+    const changed = await changePassword(token, PASSWORD, 'SegundoPass1');
+    expect(changed.status).toBe(200);
+
+    for (const reused of ['SegundoPass1', PASSWORD]) {
+      const { status, body } = await changePassword(
+        changed.body.token,
+        'SegundoPass1',
+        reused
+      );
+      expect(status).toBe(400);
+      expect(body.code).toBe('PASSWORD_REUSED');
+    }
+  });
+
+  test('invalida los tokens emitidos antes del cambio', async () => {
+    const { token } = await createAccount('corte@example.com');
+    // Otra sesión del mismo usuario, emitida unos segundos antes del
+    // cambio (tokens_valid_after tiene precisión de segundos)
+    const { iat, ...payload } = jwt.decode(token);
+    const olderToken = signJwt({
+      ...payload,
+      jti: 'otra-sesion',
+      iat: iat - 5,
+    });
+    expect(
+      (await api('get', '/api/auth/profile', { token: olderToken })).status
+    ).toBe(200);
+
+    const changed = await changePassword(token, PASSWORD, 'CortePass123');
+    expect(changed.status).toBe(200);
+
+    const older = await api('get', '/api/auth/profile', { token: olderToken });
+    expect(older.status).toBe(401);
+    expect(older.body.code).toBe('TOKEN_REVOKED');
+
+    // La sesión nueva que devuelve el cambio sí funciona
+    const me = await api('get', '/api/auth/profile', {
+      token: changed.body.token,
+    });
+    expect(me.status).toBe(200);
+  });
+});
+
+describe('Edición del perfil', () => {
+  const updateProfile = (token, body) =>
+    api('put', '/api/auth/profile', { token, body });
+
+  test('ignora los campos que no son del perfil', async () => {
+    const { token } = await createAccount('perfil@example.com');
+
+    const { status, body } = await updateProfile(token, {
+      nombres: 'Lucía',
+      role: 'admin',
+      password: 'Intruso123',
+      email_verified_at: '2020-01-01T00:00:00.000Z',
+    });
+    expect(status).toBe(200);
+    expect(body.user).toMatchObject({
+      nombres: 'Lucía',
+      role: 'user',
+      email_verified_at: null,
+    });
+
+    // El password tampoco cambió
+    const login = (password) =>
+      api('post', '/api/auth/login', {
+        body: { email: 'perfil@example.com', password },
+      });
+    expect((await login('Intruso123')).status).toBe(401);
+    expect((await login(PASSWORD)).status).toBe(200);
+  });
+
+  test('rechaza un email que ya usa otra cuenta', async () => {
+    await createAccount('ocupado@example.com');
+    const { token } = await createAccount('libre@example.com');
+
+    const { status, body } = await updateProfile(token, {
+      email: 'ocupado@example.com',
+      currentPassword: PASSWORD,
+    });
+    expect(status).toBe(409);
+    expect(body.code).toBe('EMAIL_TAKEN');
+
+    const me = await api('get', '/api/auth/profile', { token });
+    expect(me.body.user.email).toBe('libre@example.com');
+  });
+
+  test('cambiar el email exige el password actual', async () => {
+    const { token } = await createAccount('confirma@example.com');
+
+    const { status, body } = await updateProfile(token, {
+      email: 'nuevo-confirma@example.com',
+    });
+    expect(status).toBe(401);
+    expect(body.code).toBe('INVALID_PASSWORD');
+  });
+});
@@ -0,0 +1,258 @@
+// tests/twoFactor.test.js - Verificación en dos pasos: TOTP, secretos cifrados y códigos de un solo uso
+require('./helpers/testEnv');
+
+const app = require('../src/app');
+const { startTestServer } = require('./helpers/testServer');
+const { initDatabase, closeDatabase } = require('../config/database');
+const {
+  base32Encode,
+  currentStep,
+  generateCode,
+  verifyCode,
+} = require('../src/utils/totp');
+const { encryptSecret, decryptSecret } = require('../src/utils/encryption');
+
+const PASSWORD = 'Password123';
+const EMAIL = 'dospasos@example.com';
+
+// Secreto de los vectores de prueba de la RFC 6238 (SHA-1)
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP (utils/totp.js)', () => {
+  // Los vectores de la RFC son de 8 dígitos: los 6 últimos son el
+  // código de 6 dígitos (mismo truncado, módulo 10^6)
+  test.each([
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1111111111, '14050471'],
+    [1234567890, '89005924'],
+    [2000000000, '69279037'],
+    [20000000000, '65353130'],
+  ])('vector de la RFC 6238 en t=%i', (seconds, expected) => {
+    const step = currentStep(seconds * 1000);
+
+    expect(generateCode(RFC_SECRET, step)).toBe(expected.slice(-6));
+    expect(
+      verifyCode(RFC_SECRET, expected.slice(-6), { timestamp: seconds * 1000 })
+    ).toBe(step);
+  });
+
+  test('acepta el paso anterior y el siguiente, pero no más', () => {
+    const timestamp = 1111111111 * 1000;
+    const step = currentStep(timestamp);
+    const codeAt = (offset) => generateCode(RFC_SECRET, step + offset);
+
+    expect(verifyCode(RFC_SECRET, codeAt(-1), { timestamp })).toBe(step - 1);
+    expect(verifyCode(RFC_SECRET, codeAt(1), { timestamp })).toBe(step + 1);
+    expect(verifyCode(RFC_SECRET, codeAt(-2), { timestamp })).toBeNull();
+    expect(verifyCode(RFC_SECRET, codeAt(2), { timestamp })).toBeNull();
+  });
+
+  test('no acepta de nuevo un paso ya usado', () => {
+    const timestamp = 1234567890 * 1000;
+    const step = currentStep(timestamp);
+    const code = generateCode(RFC_SECRET, step);
+
+    expect(verifyCode(RFC_SECRET, code, { timestamp })).toBe(step);
+    expect(
+      verifyCode(RFC_SECRET, code, { timestamp, afterStep: step })
+    ).toBeNull();
+    expect(
+      verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), {
+        timestamp,
+        afterStep: step,
+      })
+    ).toBe(step + 1);
+  });
+
+  test('rechaza códigos con otro formato', () => {
+    expect(verifyCode(RFC_SECRET, '12345')).toBeNull();
+    expect(verifyCode(RFC_SECRET, 'abcdef')).toBeNull();
+    expect(verifyCode(RFC_SECRET, 123456)).toBeNull();
+  });
+});
+
+describe('Cifrado de secretos (utils/encryption.js)', () => {
+  test('descifra lo que cifró, con un IV distinto cada vez', () => {
+    const first = encryptSecret(RFC_SECRET);
+    const second = encryptSecret(RFC_SECRET);
+
+    expect(first).toMatch(/^v1:/);
+    expect(first).not.toBe(second);
+    expect(decryptSecret(first)).toBe(RFC_SECRET);
+    expect(decryptSecret(second)).toBe(RFC_SECRET);
+  });
+
+  test('detecta un texto cifrado modificado', () => {
+    const [version, iv, tag, encrypted] = encryptSecret(RFC_SECRET).split(':');
+    const flip = (part) => (part[0] === 'A' ? 'B' : 'A') + part.slice(1);
+
+    for (const tampered of [
+      [version, iv, tag, flip(encrypted)],
+      [version, iv, flip(tag), encrypted],
+      [version, flip(iv), tag, encrypted],
+    ]) {
+      expect(() => decryptSecret(tampered.join(':'))).toThrow();
+    }
+    expect(() => decryptSecret('v0:a:b:c')).toThrow('Formato');
+  });
+
+  test('no descifra con otra clave', () => {
+    const payload = encryptSecret(RFC_SECRET);
+    const previousKey = process.env.ENCRYPTION_KEY;
+    process.env.ENCRYPTION_KEY = 'otra-clave';
+
+    try {
+      expect(() => decryptSecret(payload)).toThrow();
+    } finally {
+      if (previousKey === undefined) {
+        delete process.env.ENCRYPTION_KEY;
+      } else {
+        process.env.ENCRYPTION_KEY = previousKey;
+      }
+    }
+  });
+});
+
+describe('Login con verificación en dos pasos', () => {
+  let database;
+  let api;
+  let closeServer;
+  let secret;
+  let confirmedStep;
+  let recoveryCodes;
+
+  const startLogin = async () => {
+    const { body } = await api('post', '/api/auth/login', {
+      body: { email: EMAIL, password: PASSWORD },
+    });
+    expect(body.mfaRequired).toBe(true);
+    return body.mfaToken;
+  };
+
+  const loginMfa = (mfaToken, codes) =>
+    api('post', '/api/auth/login/mfa', { body: { mfaToken, ...codes } });
+
+  beforeAll(async () => {
+    database = await initDatabase();
+    ({ api, close: closeServer } = startTestServer(app, database));
+
+    await api('post', '/api/auth/register', {
+      body: {
+        email: EMAIL,
+        password: PASSWORD,
+        confirmPassword: PASSWORD,
+        nombres: 'Marta',
+        apellidos: 'Vidal',
+      },
+    });
+    const { body: session } = await api('post', '/api/auth/login', {
+      body: { email: EMAIL, password: PASSWORD },
+    });
+
+    ({
+      body: { secret },
+    } = await api('post', '/api/auth/2fa/setup', { token: session.token }));
+
+    confirmedStep = currentStep();
+    const { body } = await api('post', '/api/auth/2fa/confirm', {
+      token: session.token,
+      body: { code: generateCode(secret, confirmedStep) },
+    });
+    ({ recoveryCodes } = body);
+  });
+
+  afterAll(async () => {
+    await closeServer();
+    await closeDatabase(database);
+  });
+
+  test('limita los intentos de confirmar la activación', async () => {
+    const email = 'confirmacion@example.com';
+    await api('post', '/api/auth/register', {
+      body: {
+        email,
+        password: PASSWORD,
+        confirmPassword: PASSWORD,
+        nombres: 'Iker',
+        apellidos: 'Sanz',
+      },
+    });
+    const { body: other } = await api('post', '/api/auth/login', {
+      body: { email, password: PASSWORD },
+    });
+    const {
+      body: { secret: otherSecret },
+    } = await api('post', '/api/auth/2fa/setup', { token: other.token });
+    const wrongCode = String(
+      (Number(generateCode(otherSecret, currentStep())) + 1) % 1000000
+    ).padStart(6, '0');
+
+    // Mismos intentos gratuitos que el login; luego hay que esperar
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+      const { status, body } = await api('post', '/api/auth/2fa/confirm', {
+        token: other.token,
+        body: { code: wrongCode },
+      });
+      expect(status).toBe(400);
+      expect(body.code).toBe('MFA_CODE_INVALID');
+    }
+
+    const { status, body } = await api('post', '/api/auth/2fa/confirm', {
+      token: other.token,
+      body: { code: generateCode(otherSecret, currentStep()) },
+    });
+    expect(status).toBe(429);
+    expect(body.code).toBe('TOO_MANY_ATTEMPTS');
+  });
+
+  test('un código de la app no vale dos veces', async () => {
+    // El código que activó la verificación ya se usó
+    const replayed = await loginMfa(await startLogin(), {
+      code: generateCode(secret, confirmedStep),
+    });
+    expect(replayed.status).toBe(401);
+    expect(replayed.body.code).toBe('MFA_CODE_INVALID');
+
+    const { status, body } = await loginMfa(await startLogin(), {
+      code: generateCode(secret, confirmedStep + 1),
+    });
+    expect(status).toBe(200);
+    expect(body.token).toBeDefined();
+  });
+
+  test('cada código de recuperación sirve para un solo login', async () => {
+    const [recoveryCode] = recoveryCodes;
+
+    const first = await loginMfa(await startLogin(), { recoveryCode });
+    expect(first.status).toBe(200);
+    expect(first.body.recoveryCodesRemaining).toBe(recoveryCodes.length - 1);
+
+    const second = await loginMfa(await startLogin(), {
+      recoveryCode: recoveryCode.toLowerCase(),
+    });
+    expect(second.status).toBe(401);
+    expect(second.body.code).toBe('MFA_CODE_INVALID');
+  });
+
+  test('cada desafío (mfaToken) sirve para un solo login', async () => {
+    const mfaToken = await startLogin();
+
+    // Dos peticiones simultáneas con el mismo desafío: solo una entra
+    const responses = await Promise.all([
+      loginMfa(mfaToken, { recoveryCode: recoveryCodes[1] }),
+      loginMfa(mfaToken, { recoveryCode: recoveryCodes[2] }),
+    ]);
+    expect(responses.map(({ status }) => status).sort()).toEqual([200, 401]);
+    expect(responses.find(({ status }) => status === 401).body.code).toBe(
+      'MFA_CHALLENGE_INVALID'
+    );
+
+    // Y después ya no se acepta
+    const replayed = await loginMfa(mfaToken, {
+      recoveryCode: recoveryCodes[3],
+    });
+    expect(replayed.status).toBe(401);
+    expect(replayed.body.code).toBe('MFA_CHALLENGE_INVALID');
+  });
+});
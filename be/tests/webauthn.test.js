@@ -0,0 +1,193 @@
+// tests/webauthn.test.js - Registro y login con passkey usando un autenticador en software
+require('./helpers/testEnv');
+
+const app = require('../src/app');
+const { startTestServer } = require('./helpers/testServer');
+const { initDatabase, closeDatabase } = require('../config/database');
+const SoftwareAuthenticator = require('./helpers/softwareAuthenticator');
+
+const ORIGIN = 'http://localhost:5173';
+const USER = {
+  email: 'passkey@example.com',
+  password: 'Password123',
+  confirmPassword: 'Password123',
+  nombres: 'Ana',
+  apellidos: 'Pérez',
+};
+
+let database;
+let api;
+let closeServer;
+
+/**
+ * Registra una passkey del autenticador para la sesión dada
+ */
+const registerPasskey = async (authenticator, token) => {
+  const { body } = await api('post', '/api/auth/webauthn/register/options', {
+    token,
+  });
+
+  return api('post', '/api/auth/webauthn/register/verify', {
+    token,
+    body: {
+      challengeToken: body.challengeToken,
+      credential: authenticator.createCredential(body.options),
+      name: 'Portátil',
+    },
+  });
+};
+
+/**
+ * Ceremonia de login completa con el autenticador
+ */
+const loginWithPasskey = async (authenticator) => {
+  const { body } = await api('post', '/api/auth/webauthn/login/options');
+
+  return api('post', '/api/auth/webauthn/login/verify', {
+    body: {
+      challengeToken: body.challengeToken,
+      credential: authenticator.getAssertion(body.options),
+    },
+  });
+};
+
+describe('Passkeys (WebAuthn)', () => {
+  let accessToken;
+
+  beforeAll(async () => {
+    database = await initDatabase();
+    ({ api, close: closeServer } = startTestServer(app, database));
+
+    await api('post', '/api/auth/register', { body: USER });
+    const { body } = await api('post', '/api/auth/login', {
+      body: { email: USER.email, password: USER.password },
+    });
+    accessToken = body.token;
+  });
+
+  afterAll(async () => {
+    await closeServer();
+    await closeDatabase(database);
+  });
+
+  test('registra una passkey y la lista', async () => {
+    const authenticator = new SoftwareAuthenticator({ origin: ORIGIN });
+
+    const { status, body } = await registerPasskey(authenticator, accessToken);
+    expect(status).toBe(201);
+    expect(body.credential).toMatchObject({ name: 'Portátil' });
+
+    const list = await api('get', '/api/auth/webauthn/credentials', {
+      token: accessToken,
+    });
+    expect(list.body.credentials).toHaveLength(1);
+    expect(list.body.credentials[0]).not.toHaveProperty('publicKey');
+  });
+
+  test('inicia sesión con la passkey', async () => {
+    const authenticator = new SoftwareAuthenticator({ origin: ORIGIN });
+    await registerPasskey(authenticator, accessToken);
+
+    const { status, body } = await loginWithPasskey(authenticator);
+
+    expect(status).toBe(200);
+    expect(body.token).toEqual(expect.any(String));
+    expect(body.refreshToken).toEqual(expect.any(String));
+    expect(body.user.email).toBe(USER.email);
+
+    const profile = await api('get', '/api/auth/profile', {
+      token: body.token,
+    });
+    expect(profile.status).toBe(200);
+  });
+
+  test('cada desafío sirve para un solo login', async () => {
+    const authenticator = new SoftwareAuthenticator({ origin: ORIGIN });
+    await registerPasskey(authenticator, accessToken);
+
+    const { body } = await api('post', '/api/auth/webauthn/login/options');
+    const login = () =>
+      api('post', '/api/auth/webauthn/login/verify', {
+        body: {
+          challengeToken: body.challengeToken,
+          credential: authenticator.getAssertion(body.options),
+        },
+      });
+
+    expect((await login()).status).toBe(200);
+
+    const replay = await login();
+    expect(replay.status).toBe(401);
+    expect(replay.body.code).toBe('PASSKEY_CHALLENGE_INVALID');
+  });
+
+  test('el desafío de registro no sirve para el login', async () => {
+    const authenticator = new SoftwareAuthenticator({ origin: ORIGIN });
+    await registerPasskey(authenticator, accessToken);
+
+    const { body } = await api('post', '/api/auth/webauthn/register/options', {
+      token: accessToken,
+    });
+    const { status, body: error } = await api(
+      'post',
+      '/api/auth/webauthn/login/verify',
+      {
+        body: {
+          challengeToken: body.challengeToken,
+          credential: authenticator.getAssertion(body.options),
+        },
+      }
+    );
+
+    expect(status).toBe(401);
+    expect(error.code).toBe('PASSKEY_CHALLENGE_INVALID');
+  });
+
+  test('rechaza una passkey no registrada', async () => {
+    const unknown = new SoftwareAuthenticator({ origin: ORIGIN });
+    unknown.rpId = 'localhost';
+
+    const { status, body } = await loginWithPasskey(unknown);
+
+    expect(status).toBe(401);
+    expect(body.code).toBe('PASSKEY_INVALID');
+  });
+
+  test('rechaza firmas desde otro origen (phishing)', async () => {
+    const authenticator = new SoftwareAuthenticator({ origin: ORIGIN });
+    await registerPasskey(authenticator, accessToken);
+
+    authenticator.origin = 'https://evil.example.com';
+    const { status, body } = await loginWithPasskey(authenticator);
+
+    expect(status).toBe(401);
+    expect(body.code).toBe('PASSKEY_INVALID');
+  });
+
+  test('exige la verificación del usuario (huella o PIN)', async () => {
+    const authenticator = new SoftwareAuthenticator({
+      origin: ORIGIN,
+      userVerification: false,
+    });
+
+    const { status, body } = await registerPasskey(authenticator, accessToken);
+
+    expect(status).toBe(400);
+    expect(body.code).toBe('PASSKEY_REGISTRATION_FAILED');
+  });
+
+  test('una passkey eliminada ya no inicia sesión', async () => {
+    const authenticator = new SoftwareAuthenticator({ origin: ORIGIN });
+    const { body } = await registerPasskey(authenticator, accessToken);
+
+    const removed = await api(
+      'delete',
+      `/api/auth/webauthn/credentials/${body.credential.id}`,
+      { token: accessToken }
+    );
+    expect(removed.status).toBe(200);
+
+    const { status } = await loginWithPasskey(authenticator);
+    expect(status).toBe(401);
+  });
+});
@@ -10,7 +10,15 @@ import { AuthProvider } from './context/AuthContext';
 import LoginPage from './pages/LoginPage';
 import RegisterPage from './pages/RegisterPage';
 import DashboardPage from './pages/DashboardPage';
+import ProfilePage from './pages/ProfilePage';
+import ForgotPasswordPage from './pages/ForgotPasswordPage';
+import ResetPasswordPage from './pages/ResetPasswordPage';
+import VerifyEmailPage from './pages/VerifyEmailPage';
+import OAuthCallbackPage from './pages/OAuthCallbackPage';
+import OidcAuthorizePage from './pages/OidcAuthorizePage';
+import AdminUsersPage from './pages/AdminUsersPage';
 import ProtectedRoute from './components/ProtectedRoute';
+import RoleProtectedRoute from './components/RoleProtectedRoute';
 import './styles/App.css';
 
 /**
@@ -32,7 +40,8 @@ import './styles/App.css';
  * 3. RUTAS PROTEGIDAS:
  *    - Algunas rutas requieren autenticación (como Dashboard)
  *    - ProtectedRoute verifica si el usuario está autenticado
- *    - Si no está autenticado, redirige al login
+ *    - Si no está autenticado, redirige al login (y vuelve después)
+ *    - RoleProtectedRoute además exige un permiso (p. ej. administración)
  *
  * ¿Por qué usar React Router?
  * - Permite navegación entre páginas sin recargar la página (SPA - Single Page Application)
@@ -68,6 +77,22 @@ function App() {
               path="/register"
               element={<RegisterPage />}
             />
+            <Route
+              path="/forgot-password"
+              element={<ForgotPasswordPage />}
+            />
+            <Route
+              path="/reset-password"
+              element={<ResetPasswordPage />}
+            />
+            <Route
+              path="/verify-email/:token"
+              element={<VerifyEmailPage />}
+            />
+            <Route
+              path="/oauth/callback/:provider"
+              element={<OAuthCallbackPage />}
+            />
 
             {/* Rutas protegidas - requieren autenticación */}
             <Route
@@ -78,6 +103,32 @@ function App() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/profile"
+              element={
+                <ProtectedRoute>
+                  <ProfilePage />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/oidc/authorize"
+              element={
+                <ProtectedRoute>
+                  <OidcAuthorizePage />
+                </ProtectedRoute>
+              }
+            />
+
+            {/* Rutas de administración - requieren permisos específicos */}
+            <Route
+              path="/admin/users"
+              element={
+                <RoleProtectedRoute permission="users:read">
+                  <AdminUsersPage />
+                </RoleProtectedRoute>
+              }
+            />
 
             {/* Ruta catch-all para URLs no encontradas */}
             <Route
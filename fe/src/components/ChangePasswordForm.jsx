@@ -0,0 +1,208 @@
+// src/components/ChangePasswordForm.jsx - Formulario para cambiar el password
+import React, { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import LoadingSpinner from './LoadingSpinner';
+
+/**
+ * FORMULARIO DE CAMBIO DE PASSWORD
+ *
+ * Usa el endpoint PUT /api/auth/password a través de useAuth().changePassword.
+ *
+ * Reglas (las mismas que valida el servidor):
+ * - Se exige el password actual
+ * - El nuevo password cumple los criterios de seguridad de RF-001
+ * - La confirmación debe coincidir
+ * - El servidor además rechaza passwords usados recientemente
+ *
+ * Después del cambio, las demás sesiones del usuario quedan cerradas;
+ * esta sesión continúa porque el contexto guarda los tokens nuevos.
+ */
+
+const INITIAL_STATE = {
+  currentPassword: '',
+  newPassword: '',
+  confirmPassword: '',
+};
+
+const ChangePasswordForm = () => {
+  const { changePassword } = useAuth();
+
+  const [formData, setFormData] = useState(INITIAL_STATE);
+  const [errors, setErrors] = useState({});
+  const [submitError, setSubmitError] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+
+    setFormData((prev) => ({
+      ...prev,
+      [name]: value,
+    }));
+
+    if (errors[name]) {
+      setErrors((prev) => ({
+        ...prev,
+        [name]: '',
+      }));
+    }
+
+    if (submitError) {
+      setSubmitError('');
+    }
+    if (successMessage) {
+      setSuccessMessage('');
+    }
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.currentPassword) {
+      newErrors.currentPassword = 'La contraseña actual es requerida';
+    }
+
+    const password = formData.newPassword;
+    const errors_pass = [];
+
+    if (password.length < 8) {
+      errors_pass.push('mínimo 8 caracteres');
+    }
+    if (!/[A-Z]/.test(password)) {
+      errors_pass.push('al menos 1 mayúscula');
+    }
+    if (!/[a-z]/.test(password)) {
+      errors_pass.push('al menos 1 minúscula');
+    }
+    if (!/\d/.test(password)) {
+      errors_pass.push('al menos 1 número');
+    }
+
+    if (errors_pass.length > 0) {
+      newErrors.newPassword = `La contraseña debe tener: ${errors_pass.join(
+        ', '
+      )}`;
+    }
+
+    if (formData.newPassword !== formData.confirmPassword) {
+      newErrors.confirmPassword = 'Las contraseñas no coinciden';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (isSubmitting) return;
+
+    if (!validateForm()) {
+      return;
+    }
+
+    try {
+      setIsSubmitting(true);
+      setSubmitError('');
+
+      const result = await changePassword(formData);
+
+      if (result.success) {
+        setSuccessMessage(result.message || 'Contraseña actualizada');
+        setFormData(INITIAL_STATE);
+      } else {
+        setSubmitError(
+          result.errors?.length ? result.errors.join('. ') : result.message
+        );
+      }
+    } catch (error) {
+      console.error('❌ Error al cambiar contraseña:', error);
+      setSubmitError('Error de conexión. Intenta nuevamente.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const fields = [
+    {
+      name: 'currentPassword',
+      label: 'Contraseña actual *',
+      autoComplete: 'current-password',
+    },
+    {
+      name: 'newPassword',
+      label: 'Nueva contraseña *',
+      autoComplete: 'new-password',
+    },
+    {
+      name: 'confirmPassword',
+      label: 'Confirmar nueva contraseña *',
+      autoComplete: 'new-password',
+    },
+  ];
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="auth-form"
+      noValidate>
+      <h2 className="auth-section-title">Cambiar contraseña</h2>
+
+      {submitError && (
+        <div className="error-message error-message--general">
+          {submitError}
+        </div>
+      )}
+
+      {successMessage && (
+        <div className="success-message">{successMessage}</div>
+      )}
+
+      {fields.map(({ name, label, autoComplete }) => (
+        <div
+          className="form-group"
+          key={name}>
+          <label
+            htmlFor={name}
+            className="form-label">
+            {label}
+          </label>
+          <input
+            type="password"
+            id={name}
+            name={name}
+            value={formData[name]}
+            onChange={handleInputChange}
+            className={`form-input ${errors[name] ? 'form-input--error' : ''}`}
+            autoComplete={autoComplete}
+            disabled={isSubmitting}
+          />
+          {errors[name] && (
+            <span className="error-message">{errors[name]}</span>
+          )}
+        </div>
+      ))}
+
+      <small className="form-help">
+        Al cambiar la contraseña se cerrarán tus sesiones en otros dispositivos
+      </small>
+
+      <button
+        type="submit"
+        className="auth-button"
+        disabled={isSubmitting}>
+        {isSubmitting ? (
+          <>
+            <LoadingSpinner size="small" />
+            Actualizando...
+          </>
+        ) : (
+          'Cambiar Contraseña'
+        )}
+      </button>
+    </form>
+  );
+};
+
+export default ChangePasswordForm;
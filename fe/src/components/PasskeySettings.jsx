@@ -0,0 +1,168 @@
+// src/components/PasskeySettings.jsx - Registrar y eliminar passkeys
+import React, { useEffect, useState } from 'react';
+import authService from '../services/authService';
+import { isPasskeySupported } from '../services/webauthn';
+import LoadingSpinner from './LoadingSpinner';
+
+/**
+ * PASSKEYS
+ *
+ * Usa los endpoints /api/auth/webauthn a través de authService.
+ *
+ * - "Agregar passkey" la crea en este dispositivo (el navegador pide la
+ *   huella, el rostro o el PIN) y la registra en el servidor
+ * - Cada passkey se puede eliminar; el dispositivo la seguirá mostrando,
+ *   pero el servidor ya no la acepta
+ */
+
+const formatDate = (value) =>
+  value ? new Date(value).toLocaleString() : 'nunca';
+
+const PasskeySettings = () => {
+  const [passkeys, setPasskeys] = useState(null);
+  const [name, setName] = useState('');
+  const [submitError, setSubmitError] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const loadPasskeys = async () => {
+    try {
+      setPasskeys(await authService.getPasskeys());
+    } catch (error) {
+      setSubmitError(
+        error.response?.data?.message || 'No se pudieron cargar las passkeys'
+      );
+    }
+  };
+
+  useEffect(() => {
+    loadPasskeys();
+  }, []);
+
+  const handleRegister = async (e) => {
+    e.preventDefault();
+
+    if (isSubmitting) return;
+
+    try {
+      setIsSubmitting(true);
+      setSubmitError('');
+      setSuccessMessage('');
+
+      const response = await authService.registerPasskey(name.trim());
+      setSuccessMessage(response.message);
+      setName('');
+      await loadPasskeys();
+    } catch (error) {
+      // NotAllowedError: el usuario canceló el diálogo del navegador
+      if (error.name !== 'NotAllowedError') {
+        setSubmitError(
+          error.response?.data?.message || 'No se pudo registrar la passkey'
+        );
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (isSubmitting) return;
+
+    try {
+      setIsSubmitting(true);
+      setSubmitError('');
+
+      const response = await authService.deletePasskey(id);
+      setSuccessMessage(response.message);
+      await loadPasskeys();
+    } catch (error) {
+      setSubmitError(
+        error.response?.data?.message || 'No se pudo eliminar la passkey'
+      );
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form
+      onSubmit={handleRegister}
+      className="auth-form"
+      noValidate>
+      <h2 className="auth-section-title">Passkeys</h2>
+
+      {submitError && (
+        <div className="error-message error-message--general">
+          {submitError}
+        </div>
+      )}
+
+      {successMessage && (
+        <div className="success-message">{successMessage}</div>
+      )}
+
+      {!passkeys ? (
+        !submitError && <LoadingSpinner size="small" />
+      ) : passkeys.length === 0 ? (
+        <p className="form-help">Aún no tienes passkeys registradas</p>
+      ) : (
+        <ul>
+          {passkeys.map((passkey) => (
+            <li key={passkey.id}>
+              <strong>{passkey.name || 'Passkey sin nombre'}</strong>
+              {passkey.deviceType === 'multiDevice' && ' (sincronizada)'} ·
+              último uso: {formatDate(passkey.lastUsedAt)}{' '}
+              <button
+                type="button"
+                className="auth-link"
+                onClick={() => handleDelete(passkey.id)}
+                disabled={isSubmitting}>
+                Eliminar
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {isPasskeySupported() ? (
+        <>
+          <div className="form-group">
+            <label
+              htmlFor="passkeyName"
+              className="form-label">
+              Nombre (opcional)
+            </label>
+            <input
+              type="text"
+              id="passkeyName"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              className="form-input"
+              placeholder="Ej.: Portátil del trabajo"
+              maxLength={64}
+              disabled={isSubmitting}
+            />
+          </div>
+
+          <button
+            type="submit"
+            className="auth-button"
+            disabled={isSubmitting}>
+            {isSubmitting ? (
+              <>
+                <LoadingSpinner size="small" />
+                Esperando al dispositivo...
+              </>
+            ) : (
+              'Agregar passkey'
+            )}
+          </button>
+        </>
+      ) : (
+        <small className="form-help">Este navegador no admite passkeys</small>
+      )}
+    </form>
+  );
+};
+
+export default PasskeySettings;
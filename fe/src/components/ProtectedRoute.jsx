@@ -1,6 +1,6 @@
 // src/components/ProtectedRoute.jsx - Componente para proteger rutas que requieren autenticación
 import React from 'react';
-import { Navigate } from 'react-router-dom';
+import { Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import LoadingSpinner from './LoadingSpinner';
 
@@ -15,7 +15,8 @@ import LoadingSpinner from './LoadingSpinner';
  * 1. Recibe componentes hijos (children) que representan la página protegida
  * 2. Verifica el estado de autenticación usando el contexto
  * 3. Si está autenticado: renderiza los children (la página)
- * 4. Si no está autenticado: redirige al login
+ * 4. Si no está autenticado: redirige al login, recordando la página
+ *    pedida (state.from) para volver a ella después de iniciar sesión
  * 5. Si está cargando: muestra un spinner
  *
  * ¿Por qué es importante?
@@ -27,6 +28,7 @@ import LoadingSpinner from './LoadingSpinner';
 const ProtectedRoute = ({ children }) => {
   // Obtener estado de autenticación del contexto
   const { isAuthenticated, loading } = useAuth();
+  const location = useLocation();
 
   /**
    * ESTADOS POSIBLES:
@@ -60,6 +62,7 @@ const ProtectedRoute = ({ children }) => {
       <Navigate
         to="/login"
         replace
+        state={{ from: location }}
       />
     );
   }
@@ -69,27 +72,14 @@ const ProtectedRoute = ({ children }) => {
 };
 
 /**
- * VARIACIÓN AVANZADA: ProtectedRoute con roles
+ * VARIACIÓN AVANZADA: rutas con roles o permisos
  *
- * En aplicaciones más complejas, puedes extender este componente
- * para verificar también roles o permisos específicos:
+ * Para páginas que además requieren un rol o permiso concreto
+ * (por ejemplo, administración) usa RoleProtectedRoute:
  *
- * const ProtectedRoute = ({ children, requiredRole = null }) => {
- *   const { user, isAuthenticated, loading } = useAuth()
- *
- *   if (loading) return <LoadingSpinner />
- *   if (!isAuthenticated) return <Navigate to="/login" />
- *   if (requiredRole && user.role !== requiredRole) {
- *     return <Navigate to="/unauthorized" />
- *   }
- *
- *   return children
- * }
- *
- * Uso:
- * <ProtectedRoute requiredRole="admin">
+ * <RoleProtectedRoute permission="users:read">
  *   <AdminPage />
- * </ProtectedRoute>
+ * </RoleProtectedRoute>
  */
 
 export default ProtectedRoute;
@@ -0,0 +1,77 @@
+// src/components/RoleProtectedRoute.jsx - Rutas que requieren un rol o permiso
+import React from 'react';
+import { Navigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import LoadingSpinner from './LoadingSpinner';
+
+/**
+ * COMPONENTE DE RUTA PROTEGIDA POR ROL/PERMISO
+ *
+ * Extiende la idea de ProtectedRoute: además de exigir sesión,
+ * exige que el usuario tenga un rol o un permiso concreto.
+ *
+ * Props:
+ * - roles: lista de roles aceptados (basta con tener uno)
+ * - permission: permiso requerido, p. ej. 'users:read'
+ * - redirectTo: a dónde enviar al usuario sin permisos
+ *
+ * Si se indican roles y permission, se exigen ambos.
+ *
+ * ¿Por qué preferir permisos sobre roles?
+ * - Igual que authorize() en el backend: un rol nuevo no obliga a
+ *   cambiar las rutas, basta con asignarle los permisos
+ *
+ * ⚠️ Esto es solo experiencia de usuario: ocultar una página no la
+ * protege. El servidor vuelve a verificar cada petición.
+ *
+ * Uso:
+ * <RoleProtectedRoute permission="users:read">
+ *   <AdminPage />
+ * </RoleProtectedRoute>
+ */
+
+const RoleProtectedRoute = ({
+  children,
+  roles = null,
+  permission = null,
+  redirectTo = '/dashboard',
+}) => {
+  const { user, isAuthenticated, loading, hasPermission } = useAuth();
+
+  // Estado de carga: mostrar spinner
+  if (loading) {
+    return (
+      <div className="protected-route-loading">
+        <LoadingSpinner />
+        <p>Verificando permisos...</p>
+      </div>
+    );
+  }
+
+  // No autenticado: redirigir al login
+  if (!isAuthenticated) {
+    return (
+      <Navigate
+        to="/login"
+        replace
+      />
+    );
+  }
+
+  const hasRole = !roles || roles.includes(user?.role);
+  const isAllowed = hasRole && (!permission || hasPermission(permission));
+
+  // Autenticado pero sin permisos: redirigir a una página permitida
+  if (!isAllowed) {
+    return (
+      <Navigate
+        to={redirectTo}
+        replace
+      />
+    );
+  }
+
+  return children;
+};
+
+export default RoleProtectedRoute;
@@ -0,0 +1,259 @@
+// src/components/TwoFactorSettings.jsx - Activar/desactivar la verificación en dos pasos
+import React, { useEffect, useState } from 'react';
+import authService from '../services/authService';
+import LoadingSpinner from './LoadingSpinner';
+
+/**
+ * VERIFICACIÓN EN DOS PASOS (TOTP)
+ *
+ * Usa los endpoints /api/auth/2fa a través de authService.
+ *
+ * Flujo de activación:
+ * 1. "Activar" → el servidor genera el secreto y devuelve el QR
+ * 2. El usuario lo escanea con su app y escribe el primer código
+ * 3. Si es correcto, se muestran los códigos de recuperación UNA vez
+ *
+ * Desactivar o regenerar los códigos exige el password actual.
+ */
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.errors?.join('. ') ||
+  error.response?.data?.message ||
+  fallback;
+
+const TwoFactorSettings = () => {
+  const [status, setStatus] = useState(null); // { enabled, recoveryCodesRemaining }
+  const [setupData, setSetupData] = useState(null); // { secret, qrCode }
+  const [recoveryCodes, setRecoveryCodes] = useState([]); // Recién generados
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitError, setSubmitError] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const loadStatus = async () => {
+    try {
+      setStatus(await authService.getTwoFactorStatus());
+    } catch (error) {
+      setSubmitError(getErrorMessage(error, 'No se pudo cargar el estado'));
+    }
+  };
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  /**
+   * Ejecuta una acción mostrando el estado de envío y los mensajes
+   */
+  const run = async (action, fallbackError) => {
+    if (isSubmitting) return;
+
+    try {
+      setIsSubmitting(true);
+      setSubmitError('');
+      setSuccessMessage('');
+      await action();
+    } catch (error) {
+      setSubmitError(getErrorMessage(error, fallbackError));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleSetup = () =>
+    run(async () => {
+      setRecoveryCodes([]);
+      setSetupData(await authService.setupTwoFactor());
+    }, 'No se pudo iniciar la activación');
+
+  const handleConfirm = (e) => {
+    e.preventDefault();
+
+    if (!/^\d{6}$/.test(code.trim())) {
+      setSubmitError('El código debe tener 6 dígitos');
+      return;
+    }
+
+    run(async () => {
+      const response = await authService.confirmTwoFactor(code.trim());
+      setRecoveryCodes(response.recoveryCodes);
+      setSuccessMessage(response.message);
+      setSetupData(null);
+      setCode('');
+      await loadStatus();
+    }, 'No se pudo confirmar el código');
+  };
+
+  const handlePasswordAction = (action) => (e) => {
+    e.preventDefault();
+
+    if (!password) {
+      setSubmitError('La contraseña es requerida');
+      return;
+    }
+
+    run(async () => {
+      const response = await action(password);
+      setRecoveryCodes(response.recoveryCodes || []);
+      setSuccessMessage(response.message);
+      setPassword('');
+      await loadStatus();
+    }, 'No se pudo completar la operación');
+  };
+
+  if (!status) {
+    return (
+      <div className="auth-form">
+        <h2 className="auth-section-title">Verificación en dos pasos</h2>
+        {submitError ? (
+          <div className="error-message error-message--general">
+            {submitError}
+          </div>
+        ) : (
+          <LoadingSpinner size="small" />
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div className="auth-form">
+      <h2 className="auth-section-title">Verificación en dos pasos</h2>
+
+      {submitError && (
+        <div className="error-message error-message--general">
+          {submitError}
+        </div>
+      )}
+
+      {successMessage && (
+        <div className="success-message">{successMessage}</div>
+      )}
+
+      {recoveryCodes.length > 0 && (
+        <div className="form-group">
+          <p className="form-label">
+            Códigos de recuperación (guárdalos, no se volverán a mostrar):
+          </p>
+          <ul>
+            {recoveryCodes.map((recoveryCode) => (
+              <li key={recoveryCode}>
+                <code>{recoveryCode}</code>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {!status.enabled && !setupData && (
+        <>
+          <small className="form-help">
+            Protege tu cuenta pidiendo, además de la contraseña, un código de tu
+            app de autenticación
+          </small>
+          <button
+            type="button"
+            className="auth-button"
+            onClick={handleSetup}
+            disabled={isSubmitting}>
+            Activar verificación en dos pasos
+          </button>
+        </>
+      )}
+
+      {!status.enabled && setupData && (
+        <form
+          onSubmit={handleConfirm}
+          noValidate>
+          <p className="form-help">
+            Escanea el código QR con tu app de autenticación:
+          </p>
+          <img
+            src={setupData.qrCode}
+            alt="Código QR para la app de autenticación"
+          />
+          <p className="form-help">
+            ¿No puedes escanearlo? Escribe esta clave:{' '}
+            <code>{setupData.secret}</code>
+          </p>
+
+          <div className="form-group">
+            <label
+              htmlFor="totpCode"
+              className="form-label">
+              Código de 6 dígitos *
+            </label>
+            <input
+              type="text"
+              id="totpCode"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              className="form-input"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              disabled={isSubmitting}
+            />
+          </div>
+
+          <button
+            type="submit"
+            className="auth-button"
+            disabled={isSubmitting}>
+            {isSubmitting ? (
+              <>
+                <LoadingSpinner size="small" />
+                Verificando...
+              </>
+            ) : (
+              'Confirmar y activar'
+            )}
+          </button>
+        </form>
+      )}
+
+      {status.enabled && (
+        <form noValidate>
+          <p className="form-help">
+            Activada. Te quedan {status.recoveryCodesRemaining} códigos de
+            recuperación.
+          </p>
+
+          <div className="form-group">
+            <label
+              htmlFor="twoFactorPassword"
+              className="form-label">
+              Contraseña actual *
+            </label>
+            <input
+              type="password"
+              id="twoFactorPassword"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className="form-input"
+              autoComplete="current-password"
+              disabled={isSubmitting}
+            />
+          </div>
+
+          <button
+            type="submit"
+            className="auth-button"
+            onClick={handlePasswordAction(authService.regenerateRecoveryCodes)}
+            disabled={isSubmitting}>
+            Regenerar códigos de recuperación
+          </button>
+          <button
+            type="button"
+            className="auth-button"
+            onClick={handlePasswordAction(authService.disableTwoFactor)}
+            disabled={isSubmitting}>
+            Desactivar verificación en dos pasos
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -1,6 +1,11 @@
 // src/context/AuthContext.jsx - Contexto global para manejo de autenticación
 import React, { createContext, useContext, useState, useEffect } from 'react';
-import authService from '../services/authService';
+import authService, {
+  TOKEN_KEY,
+  saveTokens,
+  clearTokens,
+  setSessionExpiredHandler,
+} from '../services/authService';
 
 /**
  * CONTEXTO DE AUTENTICACIÓN
@@ -69,6 +74,22 @@ export const AuthProvider = ({ children }) => {
     checkAuthStatus();
   }, []);
 
+  /**
+   * EFECTO PARA REACCIONAR A UNA SESIÓN EXPIRADA
+   *
+   * authService intenta renovar la sesión automáticamente con el refresh
+   * token. Si no lo consigue, nos avisa para limpiar el estado global;
+   * ProtectedRoute redirige entonces al login sin recargar la página.
+   */
+  useEffect(() => {
+    setSessionExpiredHandler(() => {
+      setUser(null);
+      setIsAuthenticated(false);
+    });
+
+    return () => setSessionExpiredHandler(null);
+  }, []);
+
   /**
    * FUNCIÓN PARA VERIFICAR EL ESTADO DE AUTENTICACIÓN
    *
@@ -80,20 +101,21 @@ export const AuthProvider = ({ children }) => {
       setLoading(true);
 
       // Verificar si existe un token en localStorage
-      const token = localStorage.getItem('token');
+      const token = localStorage.getItem(TOKEN_KEY);
       if (!token) {
         setLoading(false);
         return;
       }
 
       // Verificar si el token es válido obteniendo el perfil del usuario
+      // (si expiró, authService lo renueva con el refresh token)
       const userData = await authService.getProfile();
       setUser(userData);
       setIsAuthenticated(true);
     } catch (error) {
       console.error('Error al verificar autenticación:', error);
       // Si el token no es válido, limpiamos el localStorage
-      localStorage.removeItem('token');
+      clearTokens();
       setUser(null);
       setIsAuthenticated(false);
     } finally {
@@ -101,11 +123,27 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  /**
+   * INICIAR LA SESIÓN LOCAL CON LA RESPUESTA DEL LOGIN
+   *
+   * Guarda access token y refresh token en localStorage (persistencia)
+   * y actualiza el estado global.
+   */
+  const startSession = (response) => {
+    saveTokens(response);
+    setUser(response.user);
+    setIsAuthenticated(true);
+  };
+
   /**
    * FUNCIÓN DE LOGIN
    *
    * Maneja el proceso de autenticación del usuario.
    * Si es exitoso, guarda el token y los datos del usuario.
+   *
+   * Con verificación en dos pasos el servidor aún no entrega la sesión:
+   * devolvemos { mfaRequired, mfaToken } para que LoginPage pida el
+   * código y llame a completeMfaLogin().
    */
   const login = async (email, password) => {
     try {
@@ -114,18 +152,23 @@ export const AuthProvider = ({ children }) => {
       // Llamar al servicio de autenticación
       const response = await authService.login(email, password);
 
-      // Guardar token en localStorage para persistencia
-      localStorage.setItem('token', response.token);
+      if (response.mfaRequired) {
+        return {
+          success: false,
+          mfaRequired: true,
+          mfaToken: response.mfaToken,
+        };
+      }
 
-      // Actualizar estado global
-      setUser(response.user);
-      setIsAuthenticated(true);
+      startSession(response);
 
       return { success: true, user: response.user };
     } catch (error) {
       console.error('Error en login:', error);
       return {
         success: false,
+        // code permite reaccionar a casos concretos (p. ej. EMAIL_NOT_VERIFIED)
+        code: error.response?.data?.code,
         message: error.response?.data?.message || 'Error al iniciar sesión',
       };
     } finally {
@@ -133,6 +176,97 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  /**
+   * FUNCIÓN PARA COMPLETAR EL LOGIN CON EL CÓDIGO DE VERIFICACIÓN
+   *
+   * @param {string} mfaToken - Token devuelto por login()
+   * @param {Object} credentials - { code } o { recoveryCode }
+   */
+  const completeMfaLogin = async (mfaToken, credentials) => {
+    try {
+      const response = await authService.loginMfa(mfaToken, credentials);
+      startSession(response);
+
+      return {
+        success: true,
+        user: response.user,
+        recoveryCodesRemaining: response.recoveryCodesRemaining,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        // MFA_CHALLENGE_INVALID: hay que volver a escribir el password
+        code: error.response?.data?.code,
+        message:
+          error.response?.data?.errors?.join('. ') ||
+          error.response?.data?.message ||
+          'Error al verificar el código',
+      };
+    }
+  };
+
+  /**
+   * FUNCIÓN DE LOGIN CON PASSKEY
+   *
+   * Si el usuario cancela el diálogo del navegador, navigator.credentials
+   * lanza NotAllowedError: no es un error que haya que mostrar como tal.
+   */
+  const loginWithPasskey = async () => {
+    try {
+      const response = await authService.loginWithPasskey();
+      startSession(response);
+
+      return { success: true, user: response.user };
+    } catch (error) {
+      if (error.name === 'NotAllowedError') {
+        return { success: false, cancelled: true };
+      }
+
+      return {
+        success: false,
+        code: error.response?.data?.code,
+        message:
+          error.response?.data?.message ||
+          'No se pudo iniciar sesión con la passkey',
+      };
+    }
+  };
+
+  /**
+   * FUNCIÓN PARA COMPLETAR EL LOGIN SOCIAL
+   *
+   * Igual que login(): con verificación en dos pasos devuelve
+   * { mfaRequired, mfaToken } en lugar de iniciar la sesión.
+   *
+   * @param {string} provider - Nombre del proveedor (de la ruta)
+   * @param {Object} params - { code, state } de la redirección
+   */
+  const completeOAuthLogin = async (provider, params) => {
+    try {
+      const response = await authService.completeOAuthLogin(provider, params);
+
+      if (response.mfaRequired) {
+        return {
+          success: false,
+          mfaRequired: true,
+          mfaToken: response.mfaToken,
+        };
+      }
+
+      startSession(response);
+
+      return { success: true, user: response.user };
+    } catch (error) {
+      return {
+        success: false,
+        code: error.response?.data?.code,
+        message:
+          error.response?.data?.message ||
+          'No se pudo iniciar sesión con el proveedor',
+      };
+    }
+  };
+
   /**
    * FUNCIÓN DE REGISTRO
    *
@@ -177,12 +311,64 @@ export const AuthProvider = ({ children }) => {
       console.error('Error al hacer logout:', error);
     } finally {
       // Limpiar estado local siempre, independientemente del resultado
-      localStorage.removeItem('token');
+      clearTokens();
       setUser(null);
       setIsAuthenticated(false);
     }
   };
 
+  /**
+   * FUNCIÓN PARA ACTUALIZAR EL PERFIL
+   *
+   * Envía los cambios al servidor y, si todo va bien, actualiza el
+   * usuario del estado global para que toda la app vea los datos nuevos.
+   */
+  const updateProfile = async (profileData) => {
+    try {
+      const response = await authService.updateProfile(profileData);
+      setUser(response.user);
+      return { success: true, message: response.message, user: response.user };
+    } catch (error) {
+      return {
+        success: false,
+        message:
+          error.response?.data?.message || 'Error al actualizar el perfil',
+        errors: error.response?.data?.errors || [],
+      };
+    }
+  };
+
+  /**
+   * FUNCIÓN PARA CAMBIAR EL PASSWORD
+   *
+   * Las sesiones anteriores quedan invalidadas en el servidor, por eso
+   * guardamos inmediatamente los tokens nuevos que devuelve la API.
+   */
+  const changePassword = async (passwordData) => {
+    try {
+      const response = await authService.changePassword(passwordData);
+      saveTokens(response);
+      return { success: true, message: response.message };
+    } catch (error) {
+      return {
+        success: false,
+        message:
+          error.response?.data?.message || 'Error al cambiar la contraseña',
+        errors: error.response?.data?.errors || [],
+      };
+    }
+  };
+
+  /**
+   * FUNCIÓN PARA CONSULTAR PERMISOS (RBAC)
+   *
+   * El servidor envía la lista de permisos del rol junto con el usuario.
+   * Sirve para mostrar u ocultar opciones en la interfaz; la protección
+   * real la aplica el backend con authorize().
+   */
+  const hasPermission = (permission) =>
+    Boolean(user?.permissions?.includes(permission));
+
   /**
    * VALOR DEL CONTEXTO
    *
@@ -194,8 +380,14 @@ export const AuthProvider = ({ children }) => {
     loading,
     isAuthenticated,
     login,
+    completeMfaLogin,
+    loginWithPasskey,
+    completeOAuthLogin,
     register,
     logout,
+    updateProfile,
+    changePassword,
+    hasPermission,
     checkAuthStatus,
   };
 
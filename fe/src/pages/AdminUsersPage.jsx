@@ -0,0 +1,356 @@
+// src/pages/AdminUsersPage.jsx - Panel de administración de usuarios
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import adminService from '../services/adminService';
+import LoadingSpinner from '../components/LoadingSpinner';
+import '../styles/Dashboard.css';
+
+/**
+ * PÁGINA DE ADMINISTRACIÓN DE USUARIOS
+ *
+ * Solo accesible con el permiso 'users:read' (RoleProtectedRoute en App.jsx).
+ *
+ * CONCEPTOS IMPORTANTES:
+ *
+ * 1. ESTADO DE LA CONSULTA:
+ *    - page, search, role, status, sort y order forman un solo objeto
+ *    - Cada cambio vuelve a pedir la lista al servidor (useEffect)
+ *    - Cambiar un filtro regresa a la página 1
+ *
+ * 2. BÚSQUEDA CON ENVÍO EXPLÍCITO:
+ *    - El texto se escribe en un estado aparte (searchInput)
+ *    - Solo se aplica al enviar el formulario: evita una petición por tecla
+ *
+ * 3. ACCIONES POR FILA:
+ *    - Cambiar rol, deshabilitar/habilitar, cerrar sesiones y eliminar
+ *    - Las acciones sobre la propia cuenta se ocultan (el servidor
+ *      también las rechaza)
+ *    - Los botones dependen de los permisos del usuario (hasPermission)
+ */
+
+const INITIAL_QUERY = {
+  page: 1,
+  limit: 10,
+  search: '',
+  role: '',
+  status: '',
+  sort: 'created_at',
+  order: 'desc',
+};
+
+const SORT_OPTIONS = [
+  { value: 'created_at', label: 'Fecha de registro' },
+  { value: 'email', label: 'Email' },
+  { value: 'nombres', label: 'Nombres' },
+  { value: 'apellidos', label: 'Apellidos' },
+  { value: 'role', label: 'Rol' },
+];
+
+const AdminUsersPage = () => {
+  const { user: currentUser, hasPermission } = useAuth();
+
+  const [query, setQuery] = useState(INITIAL_QUERY);
+  const [searchInput, setSearchInput] = useState('');
+  const [users, setUsers] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [roles, setRoles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const canUpdate = hasPermission('users:update');
+  const canDelete = hasPermission('users:delete');
+
+  /**
+   * CARGAR LA PÁGINA ACTUAL DE USUARIOS
+   *
+   * Los parámetros vacíos no se envían: el servidor aplicaría
+   * la validación a un valor '' en lugar de ignorarlo.
+   */
+  const loadUsers = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+
+      const params = Object.fromEntries(
+        Object.entries(query).filter(([, value]) => value !== '')
+      );
+      const data = await adminService.listUsers(params);
+
+      setUsers(data.users);
+      setPagination(data.pagination);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Error al cargar los usuarios');
+    } finally {
+      setLoading(false);
+    }
+  }, [query]);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  // Los roles solo se cargan una vez (para filtros y selector de rol)
+  useEffect(() => {
+    adminService
+      .listRoles()
+      .then(setRoles)
+      .catch(() => setRoles([]));
+  }, []);
+
+  const updateQuery = (changes) => {
+    setQuery((prev) => ({ ...prev, page: 1, ...changes }));
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    updateQuery({ search: searchInput.trim() });
+  };
+
+  /**
+   * EJECUTAR UNA ACCIÓN Y RECARGAR LA LISTA
+   *
+   * Centraliza mensajes de éxito/error para todas las acciones.
+   */
+  const runAction = async (action, successMessage) => {
+    try {
+      setError('');
+      setMessage('');
+      await action();
+      setMessage(successMessage);
+      await loadUsers();
+    } catch (err) {
+      setError(err.response?.data?.message || 'No se pudo completar la acción');
+    }
+  };
+
+  const handleRoleChange = (target, role) =>
+    runAction(
+      () => adminService.updateUser(target.id, { role }),
+      `Rol de ${target.email} actualizado a '${role}'`
+    );
+
+  const handleToggleDisabled = (target) =>
+    runAction(
+      () => adminService.setDisabled(target.id, !target.disabled_at),
+      target.disabled_at
+        ? `${target.email} habilitado`
+        : `${target.email} deshabilitado`
+    );
+
+  const handleForceLogout = (target) =>
+    runAction(
+      () => adminService.forceLogout(target.id),
+      `Sesiones de ${target.email} cerradas`
+    );
+
+  const handleDelete = (target) => {
+    // Confirmación: eliminar es irreversible
+    if (!window.confirm(`¿Eliminar definitivamente a ${target.email}?`)) {
+      return;
+    }
+    runAction(
+      () => adminService.deleteUser(target.id),
+      `${target.email} eliminado`
+    );
+  };
+
+  return (
+    <div className="dashboard-container">
+      <header className="dashboard-header">
+        <div className="header-content">
+          <h1>🛠️ Administración de Usuarios</h1>
+          <Link
+            to="/dashboard"
+            className="profile-link">
+            Volver al dashboard
+          </Link>
+        </div>
+      </header>
+
+      <main className="dashboard-main">
+        {/* Búsqueda, filtros y ordenamiento */}
+        <section className="admin-filters">
+          <form
+            onSubmit={handleSearch}
+            className="admin-search">
+            <input
+              type="search"
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+              placeholder="Buscar por email, nombres o apellidos"
+              className="form-input"
+            />
+            <button type="submit">Buscar</button>
+          </form>
+
+          <select
+            value={query.role}
+            onChange={(e) => updateQuery({ role: e.target.value })}
+            aria-label="Filtrar por rol">
+            <option value="">Todos los roles</option>
+            {roles.map((role) => (
+              <option
+                key={role.name}
+                value={role.name}>
+                {role.name}
+              </option>
+            ))}
+          </select>
+
+          <select
+            value={query.status}
+            onChange={(e) => updateQuery({ status: e.target.value })}
+            aria-label="Filtrar por estado">
+            <option value="">Todos los estados</option>
+            <option value="active">Activos</option>
+            <option value="disabled">Deshabilitados</option>
+          </select>
+
+          <select
+            value={query.sort}
+            onChange={(e) => updateQuery({ sort: e.target.value })}
+            aria-label="Ordenar por">
+            {SORT_OPTIONS.map(({ value, label }) => (
+              <option
+                key={value}
+                value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+
+          <button
+            type="button"
+            onClick={() =>
+              updateQuery({ order: query.order === 'asc' ? 'desc' : 'asc' })
+            }
+            title="Cambiar dirección del orden">
+            {query.order === 'asc' ? '⬆️ Ascendente' : '⬇️ Descendente'}
+          </button>
+        </section>
+
+        {error && (
+          <div className="error-message error-message--general">{error}</div>
+        )}
+        {message && <div className="success-message">{message}</div>}
+
+        {/* Tabla de usuarios */}
+        {loading ? (
+          <LoadingSpinner message="Cargando usuarios..." />
+        ) : (
+          <table className="admin-table">
+            <thead>
+              <tr>
+                <th>ID</th>
+                <th>Email</th>
+                <th>Nombre</th>
+                <th>Rol</th>
+                <th>Estado</th>
+                <th>Registro</th>
+                <th>Acciones</th>
+              </tr>
+            </thead>
+            <tbody>
+              {users.length === 0 && (
+                <tr>
+                  <td colSpan={7}>No se encontraron usuarios</td>
+                </tr>
+              )}
+              {users.map((target) => {
+                const isSelf = target.id === currentUser?.id;
+
+                return (
+                  <tr key={target.id}>
+                    <td>{target.id}</td>
+                    <td>{target.email}</td>
+                    <td>
+                      {target.nombres} {target.apellidos}
+                    </td>
+                    <td>
+                      {canUpdate && !isSelf ? (
+                        <select
+                          value={target.role}
+                          onChange={(e) =>
+                            handleRoleChange(target, e.target.value)
+                          }
+                          aria-label={`Rol de ${target.email}`}>
+                          {roles.map((role) => (
+                            <option
+                              key={role.name}
+                              value={role.name}>
+                              {role.name}
+                            </option>
+                          ))}
+                        </select>
+                      ) : (
+                        target.role
+                      )}
+                    </td>
+                    <td>
+                      {target.disabled_at ? '🚫 Deshabilitado' : '✅ Activo'}
+                    </td>
+                    <td>{new Date(target.created_at).toLocaleDateString()}</td>
+                    <td className="admin-actions">
+                      {canUpdate && !isSelf && (
+                        <button
+                          type="button"
+                          onClick={() => handleToggleDisabled(target)}>
+                          {target.disabled_at ? 'Habilitar' : 'Deshabilitar'}
+                        </button>
+                      )}
+                      {canUpdate && (
+                        <button
+                          type="button"
+                          onClick={() => handleForceLogout(target)}>
+                          Cerrar sesiones
+                        </button>
+                      )}
+                      {canDelete && !isSelf && (
+                        <button
+                          type="button"
+                          className="danger-button"
+                          onClick={() => handleDelete(target)}>
+                          Eliminar
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+
+        {/* Paginación */}
+        {pagination && pagination.totalPages > 1 && (
+          <nav className="admin-pagination">
+            <button
+              type="button"
+              disabled={query.page <= 1}
+              onClick={() =>
+                setQuery((prev) => ({ ...prev, page: prev.page - 1 }))
+              }>
+              Anterior
+            </button>
+            <span>
+              Página {pagination.page} de {pagination.totalPages} (
+              {pagination.total} usuarios)
+            </span>
+            <button
+              type="button"
+              disabled={query.page >= pagination.totalPages}
+              onClick={() =>
+                setQuery((prev) => ({ ...prev, page: prev.page + 1 }))
+              }>
+              Siguiente
+            </button>
+          </nav>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default AdminUsersPage;
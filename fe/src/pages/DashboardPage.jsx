@@ -1,6 +1,8 @@
 // src/pages/DashboardPage.jsx - Página principal después del login
-import React from 'react';
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import authService from '../services/authService';
 import '../styles/Dashboard.css';
 
 /**
@@ -21,7 +23,10 @@ import '../styles/Dashboard.css';
 
 const DashboardPage = () => {
   // Acceso al contexto de autenticación para obtener datos del usuario
-  const { user, logout, loading } = useAuth();
+  const { user, logout, loading, hasPermission } = useAuth();
+
+  // Resultado del reenvío del email de verificación
+  const [resendMessage, setResendMessage] = useState('');
 
   /**
    * FUNCIÓN PARA MANEJAR EL LOGOUT
@@ -40,6 +45,20 @@ const DashboardPage = () => {
     }
   };
 
+  /**
+   * REENVÍO DEL EMAIL DE VERIFICACIÓN
+   *
+   * Disponible mientras el email del usuario no esté verificado.
+   */
+  const handleResendVerification = async () => {
+    try {
+      const response = await authService.resendVerification(user.email);
+      setResendMessage(response.message);
+    } catch (error) {
+      setResendMessage('No se pudo reenviar el email. Intenta más tarde.');
+    }
+  };
+
   // Mostrar loading mientras se procesa alguna operación
   if (loading) {
     return (
@@ -56,6 +75,21 @@ const DashboardPage = () => {
       <header className="dashboard-header">
         <div className="header-content">
           <h1>🎯 Dashboard - Sistema de Autenticación</h1>
+          <Link
+            to="/profile"
+            className="profile-link"
+            title="Editar perfil">
+            Mi Perfil
+          </Link>
+          {/* Solo visible para roles con permiso de administración */}
+          {hasPermission('users:read') && (
+            <Link
+              to="/admin/users"
+              className="profile-link"
+              title="Administrar usuarios">
+              Administración
+            </Link>
+          )}
           <button
             onClick={handleLogout}
             className="logout-button"
@@ -67,6 +101,26 @@ const DashboardPage = () => {
 
       {/* Contenido principal */}
       <main className="dashboard-main">
+        {/* Aviso de email sin verificar */}
+        {user && !user.email_verified_at && (
+          <section className="verification-banner">
+            <p>
+              📧 Tu email aún no está verificado. Revisa tu bandeja de entrada
+              para activar todas las funciones de tu cuenta.
+            </p>
+            {resendMessage ? (
+              <p>{resendMessage}</p>
+            ) : (
+              <button
+                type="button"
+                onClick={handleResendVerification}
+                className="resend-button">
+                Reenviar email de verificación
+              </button>
+            )}
+          </section>
+        )}
+
         {/* Tarjeta de bienvenida */}
         <section className="welcome-section">
           <div className="welcome-card">
@@ -0,0 +1,124 @@
+// src/pages/ForgotPasswordPage.jsx - Solicitud de recuperación de contraseña
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import authService from '../services/authService';
+import LoadingSpinner from '../components/LoadingSpinner';
+import '../styles/AuthPages.css';
+
+/**
+ * PÁGINA "OLVIDÉ MI CONTRASEÑA"
+ *
+ * El usuario ingresa su email y el servidor le envía un enlace
+ * para elegir una nueva contraseña.
+ *
+ * ¿Por qué el mensaje de éxito es el mismo exista o no la cuenta?
+ * - El servidor no revela si el email está registrado (evita que
+ *   alguien use este formulario para descubrir cuentas)
+ * - La página simplemente muestra lo que responde la API
+ */
+
+const ForgotPasswordPage = () => {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (isSubmitting) return;
+
+    if (!/\S+@\S+\.\S+/.test(email)) {
+      setError('El formato del email no es válido');
+      return;
+    }
+
+    try {
+      setIsSubmitting(true);
+      setError('');
+
+      const response = await authService.forgotPassword(email.trim());
+      setSuccessMessage(response.message);
+    } catch (err) {
+      setError(
+        err.response?.data?.message || 'Error de conexión. Intenta nuevamente.'
+      );
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="auth-page">
+      <div className="auth-container">
+        <div className="auth-header">
+          <h1>Recuperar Contraseña</h1>
+          <p>Te enviaremos un enlace para restablecerla</p>
+        </div>
+
+        {successMessage ? (
+          <div className="success-message">{successMessage}</div>
+        ) : (
+          <form
+            onSubmit={handleSubmit}
+            className="auth-form"
+            noValidate>
+            {error && (
+              <div className="error-message error-message--general">
+                {error}
+              </div>
+            )}
+
+            <div className="form-group">
+              <label
+                htmlFor="email"
+                className="form-label">
+                Email
+              </label>
+              <input
+                type="email"
+                id="email"
+                name="email"
+                value={email}
+                onChange={(e) => {
+                  setEmail(e.target.value);
+                  setError('');
+                }}
+                className={`form-input ${error ? 'form-input--error' : ''}`}
+                placeholder="tu@email.com"
+                autoComplete="email"
+                disabled={isSubmitting}
+              />
+            </div>
+
+            <button
+              type="submit"
+              className="auth-button"
+              disabled={isSubmitting}>
+              {isSubmitting ? (
+                <>
+                  <LoadingSpinner size="small" />
+                  Enviando...
+                </>
+              ) : (
+                'Enviar enlace'
+              )}
+            </button>
+          </form>
+        )}
+
+        <div className="auth-footer">
+          <p>
+            <Link
+              to="/login"
+              className="auth-link">
+              Volver a iniciar sesión
+            </Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPasswordPage;
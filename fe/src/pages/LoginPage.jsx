@@ -1,8 +1,10 @@
 // src/pages/LoginPage.jsx - Página de inicio de sesión
 import React, { useState, useEffect } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import LoadingSpinner from '../components/LoadingSpinner';
+import authService from '../services/authService';
+import { isPasskeySupported } from '../services/webauthn';
 import '../styles/AuthPages.css';
 
 /**
@@ -26,14 +28,38 @@ import '../styles/AuthPages.css';
  *    - Controlled components: el estado de React controla los inputs
  *    - Prevención del comportamiento por defecto del formulario
  *    - Validación en tiempo real vs al enviar
+ *
+ * 4. VERIFICACIÓN EN DOS PASOS:
+ *    - Si la cuenta la tiene activa, login() no inicia la sesión: devuelve
+ *      un mfaToken y la página muestra un segundo formulario para el
+ *      código de la app (o un código de recuperación)
+ *    - Si el mfaToken expira o ya se usó, se vuelve al primer paso
+ *
+ * 5. PASSKEYS:
+ *    - "Iniciar sesión con passkey" no necesita email ni contraseña: el
+ *      navegador ofrece las passkeys guardadas para este sitio
+ *    - El botón solo aparece si el navegador admite WebAuthn
+ *
+ * 6. LOGIN SOCIAL:
+ *    - Un botón por cada proveedor configurado en el servidor
+ *    - El proveedor devuelve al usuario a /oauth/callback/:provider
+ *      (OAuthCallbackPage). Si hace falta el segundo paso, esa página
+ *      vuelve aquí con el mfaToken en el estado de la navegación
  */
 
 const LoginPage = () => {
   // Hook de navegación para redirecciones programáticas
   const navigate = useNavigate();
+  const location = useLocation();
 
   // Contexto de autenticación
-  const { login, loading, isAuthenticated } = useAuth();
+  const {
+    login,
+    completeMfaLogin,
+    loginWithPasskey,
+    loading,
+    isAuthenticated,
+  } = useAuth();
 
   /**
    * ESTADOS LOCALES DEL COMPONENTE
@@ -48,18 +74,36 @@ const LoginPage = () => {
   const [errors, setErrors] = useState({}); // Errores de validación
   const [submitError, setSubmitError] = useState(''); // Error del servidor
   const [isSubmitting, setIsSubmitting] = useState(false); // Estado de envío
+  const [needsVerification, setNeedsVerification] = useState(false); // Email sin verificar
+  const [resendMessage, setResendMessage] = useState(''); // Resultado del reenvío
+  const [mfaToken, setMfaToken] = useState(location.state?.mfaToken || ''); // Segundo paso pendiente
+  const [mfaCode, setMfaCode] = useState(''); // Código de la app o de recuperación
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [oauthProviders, setOAuthProviders] = useState([]); // Login social
 
   /**
    * EFECTO PARA REDIRIGIR USUARIOS YA AUTENTICADOS
    *
    * Si un usuario ya está autenticado, no debería ver la página de login.
-   * Este efecto los redirige automáticamente al dashboard.
+   * Este efecto los redirige automáticamente al dashboard, o a la página
+   * protegida que intentaba abrir (ProtectedRoute la deja en state.from;
+   * p. ej. el consentimiento de otra aplicación en /oidc/authorize).
    */
+  const from = location.state?.from || '/dashboard';
+
   useEffect(() => {
     if (isAuthenticated) {
-      navigate('/dashboard', { replace: true });
+      navigate(from, { replace: true });
     }
-  }, [isAuthenticated, navigate]);
+  }, [isAuthenticated, navigate, from]);
+
+  // Proveedores de login social (sin ellos, simplemente no hay botones)
+  useEffect(() => {
+    authService
+      .getOAuthProviders()
+      .then(setOAuthProviders)
+      .catch(() => setOAuthProviders([]));
+  }, []);
 
   /**
    * MANEJO DE CAMBIOS EN INPUTS
@@ -151,9 +195,13 @@ const LoginPage = () => {
       if (result.success) {
         // Login exitoso: el useEffect se encargará de la redirección
         console.log('✅ Login exitoso, redirigiendo...');
+      } else if (result.mfaRequired) {
+        // Password correcto: falta el código de verificación
+        setMfaToken(result.mfaToken);
       } else {
         // Login fallido: mostrar error
         setSubmitError(result.message || 'Error al iniciar sesión');
+        setNeedsVerification(result.code === 'EMAIL_NOT_VERIFIED');
       }
     } catch (error) {
       console.error('❌ Error en login:', error);
@@ -163,6 +211,123 @@ const LoginPage = () => {
     }
   };
 
+  /**
+   * SEGUNDO PASO: CÓDIGO DE VERIFICACIÓN
+   *
+   * Envía el código de la app (6 dígitos) o un código de recuperación.
+   * Si el desafío ya no es válido (expiró o se usó), se vuelve a pedir
+   * el password.
+   */
+  const handleMfaSubmit = async (e) => {
+    e.preventDefault();
+
+    if (isSubmitting) return;
+
+    const code = mfaCode.trim();
+    if (!useRecoveryCode && !/^\d{6}$/.test(code)) {
+      setErrors({ mfaCode: 'El código debe tener 6 dígitos' });
+      return;
+    }
+    if (!code) {
+      setErrors({ mfaCode: 'El código de recuperación es requerido' });
+      return;
+    }
+
+    try {
+      setIsSubmitting(true);
+      setSubmitError('');
+
+      const result = await completeMfaLogin(
+        mfaToken,
+        useRecoveryCode ? { recoveryCode: code } : { code }
+      );
+
+      if (!result.success) {
+        setSubmitError(result.message);
+        setMfaCode('');
+
+        if (result.code === 'MFA_CHALLENGE_INVALID') {
+          resetMfa();
+        }
+      }
+    } catch (error) {
+      console.error('❌ Error en verificación en dos pasos:', error);
+      setSubmitError('Error de conexión. Intenta nuevamente.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  /**
+   * VOLVER AL PRIMER PASO (email y password)
+   */
+  const resetMfa = () => {
+    setMfaToken('');
+    setMfaCode('');
+    setUseRecoveryCode(false);
+    setErrors({});
+    setFormData((prev) => ({ ...prev, password: '' }));
+  };
+
+  /**
+   * LOGIN CON PASSKEY
+   *
+   * Si el usuario cierra el diálogo del navegador no se muestra error.
+   */
+  const handlePasskeyLogin = async () => {
+    if (isSubmitting) return;
+
+    try {
+      setIsSubmitting(true);
+      setSubmitError('');
+
+      const result = await loginWithPasskey();
+
+      if (!result.success && !result.cancelled) {
+        setSubmitError(result.message);
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  /**
+   * LOGIN SOCIAL
+   *
+   * Si todo va bien, el navegador sale hacia el proveedor: no hace falta
+   * restaurar isSubmitting.
+   */
+  const handleOAuthLogin = async (provider) => {
+    if (isSubmitting) return;
+
+    try {
+      setIsSubmitting(true);
+      setSubmitError('');
+
+      await authService.startOAuthLogin(provider);
+    } catch (error) {
+      setSubmitError(
+        error.response?.data?.message || 'No se pudo contactar al proveedor'
+      );
+      setIsSubmitting(false);
+    }
+  };
+
+  /**
+   * REENVÍO DEL EMAIL DE VERIFICACIÓN
+   *
+   * Solo se ofrece cuando el servidor rechazó el login porque el
+   * email de la cuenta aún no está verificado.
+   */
+  const handleResendVerification = async () => {
+    try {
+      const response = await authService.resendVerification(formData.email);
+      setResendMessage(response.message);
+    } catch (error) {
+      setResendMessage('No se pudo reenviar el email. Intenta más tarde.');
+    }
+  };
+
   /**
    * RENDERIZADO CONDICIONAL DURANTE CARGA INICIAL
    *
@@ -179,6 +344,103 @@ const LoginPage = () => {
     );
   }
 
+  if (mfaToken) {
+    return (
+      <div className="auth-page">
+        <div className="auth-container">
+          <div className="auth-header">
+            <h1>Verificación en dos pasos</h1>
+            <p>
+              {useRecoveryCode
+                ? 'Introduce uno de tus códigos de recuperación'
+                : 'Introduce el código de 6 dígitos de tu app de autenticación'}
+            </p>
+          </div>
+
+          <form
+            onSubmit={handleMfaSubmit}
+            className="auth-form"
+            noValidate>
+            {submitError && (
+              <div className="error-message error-message--general">
+                {submitError}
+              </div>
+            )}
+
+            <div className="form-group">
+              <label
+                htmlFor="mfaCode"
+                className="form-label">
+                {useRecoveryCode ? 'Código de recuperación' : 'Código'}
+              </label>
+              <input
+                type="text"
+                id="mfaCode"
+                name="mfaCode"
+                value={mfaCode}
+                onChange={(e) => {
+                  setMfaCode(e.target.value);
+                  setErrors({});
+                  setSubmitError('');
+                }}
+                className={`form-input ${
+                  errors.mfaCode ? 'form-input--error' : ''
+                }`}
+                placeholder={useRecoveryCode ? 'XXXX-XXXX-XXXX-XXXX' : '123456'}
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                autoComplete="one-time-code"
+                autoFocus
+                disabled={isSubmitting}
+              />
+              {errors.mfaCode && (
+                <span className="error-message">{errors.mfaCode}</span>
+              )}
+            </div>
+
+            <button
+              type="submit"
+              className="auth-button"
+              disabled={isSubmitting}>
+              {isSubmitting ? (
+                <>
+                  <LoadingSpinner size="small" />
+                  Verificando...
+                </>
+              ) : (
+                'Verificar'
+              )}
+            </button>
+          </form>
+
+          <div className="auth-footer">
+            <p>
+              <button
+                type="button"
+                className="auth-link"
+                onClick={() => {
+                  setUseRecoveryCode((prev) => !prev);
+                  setMfaCode('');
+                  setErrors({});
+                }}>
+                {useRecoveryCode
+                  ? 'Usar el código de la app'
+                  : '¿No tienes el teléfono? Usa un código de recuperación'}
+              </button>
+            </p>
+            <p>
+              <button
+                type="button"
+                className="auth-link"
+                onClick={resetMfa}>
+                Volver al inicio de sesión
+              </button>
+            </p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="auth-page">
       <div className="auth-container">
@@ -202,9 +464,21 @@ const LoginPage = () => {
           {submitError && (
             <div className="error-message error-message--general">
               {submitError}
+              {needsVerification && (
+                <button
+                  type="button"
+                  className="auth-link"
+                  onClick={handleResendVerification}>
+                  Reenviar email de verificación
+                </button>
+              )}
             </div>
           )}
 
+          {resendMessage && (
+            <div className="success-message">{resendMessage}</div>
+          )}
+
           {/* Campo de email */}
           <div className="form-group">
             <label
@@ -269,10 +543,38 @@ const LoginPage = () => {
               'Iniciar Sesión'
             )}
           </button>
+
+          {isPasskeySupported() && (
+            <button
+              type="button"
+              className="auth-button"
+              onClick={handlePasskeyLogin}
+              disabled={isSubmitting}>
+              🗝️ Iniciar sesión con passkey
+            </button>
+          )}
+
+          {oauthProviders.map((provider) => (
+            <button
+              key={provider.name}
+              type="button"
+              className="auth-button"
+              onClick={() => handleOAuthLogin(provider.name)}
+              disabled={isSubmitting}>
+              Continuar con {provider.displayName}
+            </button>
+          ))}
         </form>
 
         {/* Enlaces adicionales */}
         <div className="auth-footer">
+          <p>
+            <Link
+              to="/forgot-password"
+              className="auth-link">
+              ¿Olvidaste tu contraseña?
+            </Link>
+          </p>
           <p>
             ¿No tienes una cuenta?{' '}
             <Link
@@ -0,0 +1,92 @@
+// src/pages/OAuthCallbackPage.jsx - Vuelta del proveedor de login social
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  Link,
+  useNavigate,
+  useParams,
+  useSearchParams,
+} from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import LoadingSpinner from '../components/LoadingSpinner';
+import '../styles/AuthPages.css';
+
+/**
+ * PÁGINA DE CALLBACK DEL LOGIN SOCIAL
+ *
+ * El proveedor (Google, GitHub...) devuelve al usuario a
+ * /oauth/callback/:provider?code=...&state=... y esta página los envía
+ * al servidor para completar el login.
+ *
+ * - Si el usuario canceló en el proveedor, llega ?error=access_denied
+ * - Con verificación en dos pasos, vuelve a /login con el mfaToken para
+ *   pedir el código
+ *
+ * useRef evita enviar el código dos veces en React.StrictMode: cada
+ * código sirve una sola vez.
+ */
+
+const OAuthCallbackPage = () => {
+  const { provider } = useParams();
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const { completeOAuthLogin } = useAuth();
+
+  const [errorMessage, setErrorMessage] = useState('');
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (requested.current) return;
+    requested.current = true;
+
+    const code = searchParams.get('code');
+    const state = searchParams.get('state');
+
+    if (searchParams.get('error') || !code || !state) {
+      setErrorMessage('El inicio de sesión se canceló o no se completó');
+      return;
+    }
+
+    completeOAuthLogin(provider, { code, state }).then((result) => {
+      if (result.success) {
+        navigate('/dashboard', { replace: true });
+      } else if (result.mfaRequired) {
+        navigate('/login', {
+          replace: true,
+          state: { mfaToken: result.mfaToken },
+        });
+      } else {
+        setErrorMessage(result.message);
+      }
+    });
+  }, [provider, searchParams, completeOAuthLogin, navigate]);
+
+  return (
+    <div className="auth-page">
+      <div className="auth-container">
+        <div className="auth-header">
+          <h1>Iniciar sesión</h1>
+        </div>
+
+        {errorMessage ? (
+          <div className="error-message error-message--general">
+            {errorMessage}
+          </div>
+        ) : (
+          <LoadingSpinner message="Completando el inicio de sesión..." />
+        )}
+
+        <div className="auth-footer">
+          <p>
+            <Link
+              to="/login"
+              className="auth-link">
+              Volver a iniciar sesión
+            </Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default OAuthCallbackPage;
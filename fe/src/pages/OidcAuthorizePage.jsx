@@ -0,0 +1,165 @@
+// src/pages/OidcAuthorizePage.jsx - Consentimiento para iniciar sesión en otra aplicación
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import LoadingSpinner from '../components/LoadingSpinner';
+import authService from '../services/authService';
+import '../styles/AuthPages.css';
+
+/**
+ * PÁGINA DE CONSENTIMIENTO (OPENID CONNECT)
+ *
+ * Cuando otra aplicación usa "Iniciar sesión con esta cuenta", el
+ * servidor envía al usuario aquí con los parámetros del pedido en la URL
+ * (client_id, scope, state...). La ruta está protegida: sin sesión,
+ * ProtectedRoute pasa antes por el login y vuelve.
+ *
+ * - Si el usuario ya aprobó estos datos a la aplicación, se continúa
+ *   sin preguntar
+ * - Si no, se muestra qué datos pide y se envía su decisión
+ * - En ambos casos el servidor responde redirectTo: la URL de vuelta a
+ *   la aplicación (con el código, o con el error si rechazó)
+ *
+ * Es una navegación completa (window.location), no de React Router: la
+ * aplicación cliente está en otro sitio.
+ *
+ * useRef evita pedir los datos dos veces en React.StrictMode.
+ */
+
+// Qué significa cada permiso, en palabras del usuario
+const SCOPE_DESCRIPTIONS = {
+  openid: 'Saber quién eres (tu identificador de usuario)',
+  profile: 'Tus nombres y apellidos',
+  email: 'Tu email y si está verificado',
+};
+
+const OidcAuthorizePage = () => {
+  const [searchParams] = useSearchParams();
+  const { user } = useAuth();
+
+  const [request, setRequest] = useState(null); // { client, scopes }
+  const [errorMessage, setErrorMessage] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const requested = useRef(false);
+
+  const params = Object.fromEntries(searchParams);
+
+  const decide = async (approve) => {
+    setIsSubmitting(true);
+    try {
+      const { redirectTo } = await authService.decideOidcAuthorization(
+        params,
+        approve
+      );
+      window.location.assign(redirectTo);
+    } catch (error) {
+      setErrorMessage(
+        error.response?.data?.message || 'No se pudo completar la solicitud'
+      );
+      setIsSubmitting(false);
+    }
+  };
+
+  useEffect(() => {
+    if (requested.current) return;
+    requested.current = true;
+
+    authService
+      .getOidcAuthorization(params)
+      .then((data) => {
+        if (data.redirectTo) {
+          window.location.assign(data.redirectTo);
+        } else if (!data.consentRequired) {
+          decide(true);
+        } else {
+          setRequest(data);
+        }
+      })
+      .catch((error) => {
+        setErrorMessage(
+          error.response?.data?.message || 'La solicitud no es válida'
+        );
+      });
+    // Solo al montar: los parámetros vienen en la URL de llegada
+  }, []);
+
+  if (errorMessage) {
+    return (
+      <div className="auth-page">
+        <div className="auth-container">
+          <div className="auth-header">
+            <h1>Autorizar aplicación</h1>
+          </div>
+
+          <div className="error-message error-message--general">
+            {errorMessage}
+          </div>
+
+          <div className="auth-footer">
+            <p>
+              <Link
+                to="/dashboard"
+                className="auth-link">
+                Ir al inicio
+              </Link>
+            </p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (!request) {
+    return (
+      <div className="auth-page">
+        <div className="auth-container">
+          <LoadingSpinner message="Conectando con la aplicación..." />
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="auth-page">
+      <div className="auth-container">
+        <div className="auth-header">
+          <h1>Autorizar aplicación</h1>
+          <p>
+            <strong>{request.client.name}</strong> quiere usar tu cuenta (
+            {user?.email}) para iniciar sesión y acceder a:
+          </p>
+        </div>
+
+        <ul>
+          {request.scopes.map((scope) => (
+            <li key={scope}>{SCOPE_DESCRIPTIONS[scope] || scope}</li>
+          ))}
+        </ul>
+
+        <button
+          type="button"
+          className="auth-button"
+          onClick={() => decide(true)}
+          disabled={isSubmitting}>
+          {isSubmitting ? (
+            <>
+              <LoadingSpinner size="small" />
+              Redirigiendo...
+            </>
+          ) : (
+            'Permitir'
+          )}
+        </button>
+        <button
+          type="button"
+          className="auth-button"
+          onClick={() => decide(false)}
+          disabled={isSubmitting}>
+          Cancelar
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default OidcAuthorizePage;
@@ -0,0 +1,321 @@
+// src/pages/ProfilePage.jsx - Página para editar el perfil del usuario autenticado
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import LoadingSpinner from '../components/LoadingSpinner';
+import ChangePasswordForm from '../components/ChangePasswordForm';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import PasskeySettings from '../components/PasskeySettings';
+import '../styles/AuthPages.css';
+
+/**
+ * PÁGINA DE PERFIL
+ *
+ * Permite al usuario autenticado editar sus nombres, apellidos y email
+ * usando el endpoint PUT /api/auth/profile.
+ *
+ * CONCEPTOS IMPORTANTES:
+ *
+ * 1. FORMULARIO INICIALIZADO CON DATOS EXISTENTES:
+ *    - El estado inicial se toma del usuario del contexto (useAuth)
+ *    - Solo se envían al servidor los campos que cambiaron
+ *
+ * 2. RE-VERIFICACIÓN PARA CAMBIOS SENSIBLES:
+ *    - Cambiar el email exige el password actual
+ *    - El campo de password solo aparece cuando el email fue modificado
+ *
+ * 3. CAMBIO DE PASSWORD:
+ *    - Formulario independiente (ChangePasswordForm) debajo del perfil
+ */
+
+const NAME_REGEX = /^[a-zA-ZáéíóúÁÉÍÓÚñÑ\s]+$/;
+
+const ProfilePage = () => {
+  const { user, updateProfile } = useAuth();
+
+  const [formData, setFormData] = useState({
+    nombres: user?.nombres || '',
+    apellidos: user?.apellidos || '',
+    email: user?.email || '',
+    currentPassword: '',
+  });
+
+  const [errors, setErrors] = useState({});
+  const [submitError, setSubmitError] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // ¿El usuario modificó su email? Entonces pedimos el password actual
+  const emailChanged = formData.email.trim() !== (user?.email || '');
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+
+    setFormData((prev) => ({
+      ...prev,
+      [name]: value,
+    }));
+
+    if (errors[name]) {
+      setErrors((prev) => ({
+        ...prev,
+        [name]: '',
+      }));
+    }
+
+    if (submitError) {
+      setSubmitError('');
+    }
+    if (successMessage) {
+      setSuccessMessage('');
+    }
+  };
+
+  /**
+   * VALIDACIÓN DEL FORMULARIO
+   *
+   * Mismas reglas que el registro (RF-005) para nombres, apellidos y email.
+   */
+  const validateForm = () => {
+    const newErrors = {};
+
+    ['nombres', 'apellidos'].forEach((field) => {
+      const value = formData[field].trim();
+      const label = field === 'nombres' ? 'Los nombres' : 'Los apellidos';
+
+      if (!value) {
+        newErrors[field] = `${label} son requeridos`;
+      } else if (value.length < 2 || value.length > 100) {
+        newErrors[field] = `${label} deben tener entre 2 y 100 caracteres`;
+      } else if (!NAME_REGEX.test(value)) {
+        newErrors[field] = `${label} solo pueden contener letras y espacios`;
+      }
+    });
+
+    if (!formData.email.trim()) {
+      newErrors.email = 'El email es requerido';
+    } else if (!/\S+@\S+\.\S+/.test(formData.email)) {
+      newErrors.email = 'El formato del email no es válido';
+    }
+
+    if (emailChanged && !formData.currentPassword) {
+      newErrors.currentPassword =
+        'Ingresa tu contraseña actual para cambiar el email';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (isSubmitting) return;
+
+    if (!validateForm()) {
+      return;
+    }
+
+    try {
+      setIsSubmitting(true);
+      setSubmitError('');
+      setSuccessMessage('');
+
+      // Enviar solo los campos que cambiaron
+      const changes = {};
+      ['nombres', 'apellidos', 'email'].forEach((field) => {
+        const value = formData[field].trim();
+        if (value !== user[field]) {
+          changes[field] = value;
+        }
+      });
+
+      if (Object.keys(changes).length === 0) {
+        setSuccessMessage('No hay cambios para guardar');
+        return;
+      }
+
+      if (changes.email) {
+        changes.currentPassword = formData.currentPassword;
+      }
+
+      const result = await updateProfile(changes);
+
+      if (result.success) {
+        setSuccessMessage(result.message || 'Perfil actualizado');
+        setFormData((prev) => ({
+          ...prev,
+          email: result.user.email,
+          currentPassword: '',
+        }));
+      } else {
+        setSubmitError(
+          result.errors?.length ? result.errors.join('. ') : result.message
+        );
+      }
+    } catch (error) {
+      console.error('❌ Error al actualizar perfil:', error);
+      setSubmitError('Error de conexión. Intenta nuevamente.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="auth-page">
+      <div className="auth-container">
+        <div className="auth-header">
+          <h1>Mi Perfil</h1>
+          <p>Actualiza tus datos personales</p>
+        </div>
+
+        <form
+          onSubmit={handleSubmit}
+          className="auth-form"
+          noValidate>
+          {submitError && (
+            <div className="error-message error-message--general">
+              {submitError}
+            </div>
+          )}
+
+          {successMessage && (
+            <div className="success-message">{successMessage}</div>
+          )}
+
+          <div className="form-row">
+            <div className="form-group">
+              <label
+                htmlFor="nombres"
+                className="form-label">
+                Nombres *
+              </label>
+              <input
+                type="text"
+                id="nombres"
+                name="nombres"
+                value={formData.nombres}
+                onChange={handleInputChange}
+                className={`form-input ${
+                  errors.nombres ? 'form-input--error' : ''
+                }`}
+                autoComplete="given-name"
+                disabled={isSubmitting}
+              />
+              {errors.nombres && (
+                <span className="error-message">{errors.nombres}</span>
+              )}
+            </div>
+
+            <div className="form-group">
+              <label
+                htmlFor="apellidos"
+                className="form-label">
+                Apellidos *
+              </label>
+              <input
+                type="text"
+                id="apellidos"
+                name="apellidos"
+                value={formData.apellidos}
+                onChange={handleInputChange}
+                className={`form-input ${
+                  errors.apellidos ? 'form-input--error' : ''
+                }`}
+                autoComplete="family-name"
+                disabled={isSubmitting}
+              />
+              {errors.apellidos && (
+                <span className="error-message">{errors.apellidos}</span>
+              )}
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label
+              htmlFor="email"
+              className="form-label">
+              Email *
+            </label>
+            <input
+              type="email"
+              id="email"
+              name="email"
+              value={formData.email}
+              onChange={handleInputChange}
+              className={`form-input ${
+                errors.email ? 'form-input--error' : ''
+              }`}
+              autoComplete="email"
+              disabled={isSubmitting}
+            />
+            {errors.email && (
+              <span className="error-message">{errors.email}</span>
+            )}
+          </div>
+
+          {/* Solo se pide el password si el email cambió */}
+          {emailChanged && (
+            <div className="form-group">
+              <label
+                htmlFor="currentPassword"
+                className="form-label">
+                Contraseña actual *
+              </label>
+              <input
+                type="password"
+                id="currentPassword"
+                name="currentPassword"
+                value={formData.currentPassword}
+                onChange={handleInputChange}
+                className={`form-input ${
+                  errors.currentPassword ? 'form-input--error' : ''
+                }`}
+                autoComplete="current-password"
+                disabled={isSubmitting}
+              />
+              {errors.currentPassword && (
+                <span className="error-message">{errors.currentPassword}</span>
+              )}
+              <small className="form-help">
+                Por seguridad, cambiar el email requiere tu contraseña
+              </small>
+            </div>
+          )}
+
+          <button
+            type="submit"
+            className="auth-button"
+            disabled={isSubmitting}>
+            {isSubmitting ? (
+              <>
+                <LoadingSpinner size="small" />
+                Guardando...
+              </>
+            ) : (
+              'Guardar Cambios'
+            )}
+          </button>
+        </form>
+
+        <ChangePasswordForm />
+
+        <TwoFactorSettings />
+
+        <PasskeySettings />
+
+        <div className="auth-footer">
+          <p>
+            <Link
+              to="/dashboard"
+              className="auth-link">
+              Volver al dashboard
+            </Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProfilePage;
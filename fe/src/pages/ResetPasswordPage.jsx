@@ -0,0 +1,233 @@
+// src/pages/ResetPasswordPage.jsx - Elegir una nueva contraseña con el enlace del email
+import React, { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import authService from '../services/authService';
+import LoadingSpinner from '../components/LoadingSpinner';
+import '../styles/AuthPages.css';
+
+/**
+ * PÁGINA DE RESTABLECIMIENTO DE CONTRASEÑA
+ *
+ * Se llega desde el enlace del email: /reset-password?token=...
+ *
+ * useSearchParams() (React Router) lee los parámetros de la URL.
+ * El token es de un solo uso y expira pronto: si falla, el usuario
+ * debe solicitar un enlace nuevo.
+ */
+
+const ResetPasswordPage = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+
+  const [formData, setFormData] = useState({
+    newPassword: '',
+    confirmPassword: '',
+  });
+  const [errors, setErrors] = useState({});
+  const [submitError, setSubmitError] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+
+    setFormData((prev) => ({
+      ...prev,
+      [name]: value,
+    }));
+
+    if (errors[name]) {
+      setErrors((prev) => ({
+        ...prev,
+        [name]: '',
+      }));
+    }
+
+    if (submitError) {
+      setSubmitError('');
+    }
+  };
+
+  // Mismos criterios que el registro (RF-001)
+  const validateForm = () => {
+    const newErrors = {};
+    const password = formData.newPassword;
+    const errors_pass = [];
+
+    if (password.length < 8) {
+      errors_pass.push('mínimo 8 caracteres');
+    }
+    if (!/[A-Z]/.test(password)) {
+      errors_pass.push('al menos 1 mayúscula');
+    }
+    if (!/[a-z]/.test(password)) {
+      errors_pass.push('al menos 1 minúscula');
+    }
+    if (!/\d/.test(password)) {
+      errors_pass.push('al menos 1 número');
+    }
+
+    if (errors_pass.length > 0) {
+      newErrors.newPassword = `La contraseña debe tener: ${errors_pass.join(
+        ', '
+      )}`;
+    }
+
+    if (formData.newPassword !== formData.confirmPassword) {
+      newErrors.confirmPassword = 'Las contraseñas no coinciden';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (isSubmitting) return;
+
+    if (!validateForm()) {
+      return;
+    }
+
+    try {
+      setIsSubmitting(true);
+      setSubmitError('');
+
+      const response = await authService.resetPassword({
+        token,
+        ...formData,
+      });
+      setSuccessMessage(response.message);
+    } catch (error) {
+      const data = error.response?.data;
+      setSubmitError(
+        data?.errors?.length
+          ? data.errors.join('. ')
+          : data?.message || 'Error de conexión. Intenta nuevamente.'
+      );
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  // Sin token en la URL no hay nada que hacer
+  if (!token) {
+    return (
+      <div className="auth-page">
+        <div className="auth-container">
+          <div className="error-message error-message--general">
+            El enlace de recuperación no es válido
+          </div>
+          <div className="auth-footer">
+            <p>
+              <Link
+                to="/forgot-password"
+                className="auth-link">
+                Solicitar un enlace nuevo
+              </Link>
+            </p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="auth-page">
+      <div className="auth-container">
+        <div className="auth-header">
+          <h1>Nueva Contraseña</h1>
+          <p>Elige una contraseña nueva para tu cuenta</p>
+        </div>
+
+        {successMessage ? (
+          <div className="success-message">{successMessage}</div>
+        ) : (
+          <form
+            onSubmit={handleSubmit}
+            className="auth-form"
+            noValidate>
+            {submitError && (
+              <div className="error-message error-message--general">
+                {submitError}
+              </div>
+            )}
+
+            <div className="form-group">
+              <label
+                htmlFor="newPassword"
+                className="form-label">
+                Nueva contraseña *
+              </label>
+              <input
+                type="password"
+                id="newPassword"
+                name="newPassword"
+                value={formData.newPassword}
+                onChange={handleInputChange}
+                className={`form-input ${
+                  errors.newPassword ? 'form-input--error' : ''
+                }`}
+                autoComplete="new-password"
+                disabled={isSubmitting}
+              />
+              {errors.newPassword && (
+                <span className="error-message">{errors.newPassword}</span>
+              )}
+            </div>
+
+            <div className="form-group">
+              <label
+                htmlFor="confirmPassword"
+                className="form-label">
+                Confirmar contraseña *
+              </label>
+              <input
+                type="password"
+                id="confirmPassword"
+                name="confirmPassword"
+                value={formData.confirmPassword}
+                onChange={handleInputChange}
+                className={`form-input ${
+                  errors.confirmPassword ? 'form-input--error' : ''
+                }`}
+                autoComplete="new-password"
+                disabled={isSubmitting}
+              />
+              {errors.confirmPassword && (
+                <span className="error-message">{errors.confirmPassword}</span>
+              )}
+            </div>
+
+            <button
+              type="submit"
+              className="auth-button"
+              disabled={isSubmitting}>
+              {isSubmitting ? (
+                <>
+                  <LoadingSpinner size="small" />
+                  Guardando...
+                </>
+              ) : (
+                'Restablecer contraseña'
+              )}
+            </button>
+          </form>
+        )}
+
+        <div className="auth-footer">
+          <p>
+            <Link
+              to="/login"
+              className="auth-link">
+              Ir a iniciar sesión
+            </Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPasswordPage;
@@ -0,0 +1,86 @@
+// src/pages/VerifyEmailPage.jsx - Confirmación del email mediante el enlace recibido
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import authService from '../services/authService';
+import LoadingSpinner from '../components/LoadingSpinner';
+import '../styles/AuthPages.css';
+
+/**
+ * PÁGINA DE VERIFICACIÓN DE EMAIL
+ *
+ * Se llega desde el enlace del email: /verify-email/:token
+ *
+ * useParams() (React Router) obtiene el token de la ruta.
+ * La verificación se hace automáticamente al cargar la página.
+ *
+ * ¿Por qué useRef?
+ * - En desarrollo, React.StrictMode ejecuta los efectos dos veces
+ * - La bandera evita llamar a la API dos veces con el mismo token
+ */
+
+const VerifyEmailPage = () => {
+  const { token } = useParams();
+  const { isAuthenticated, checkAuthStatus } = useAuth();
+
+  const [status, setStatus] = useState('loading'); // loading | success | error
+  const [message, setMessage] = useState('');
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (requested.current) return;
+    requested.current = true;
+
+    authService
+      .verifyEmail(token)
+      .then((response) => {
+        setStatus('success');
+        setMessage(response.message);
+
+        // Si hay sesión abierta, recargar el usuario para quitar el aviso
+        if (isAuthenticated) {
+          checkAuthStatus();
+        }
+      })
+      .catch((error) => {
+        setStatus('error');
+        setMessage(
+          error.response?.data?.message || 'No se pudo verificar el email'
+        );
+      });
+  }, [token, isAuthenticated, checkAuthStatus]);
+
+  return (
+    <div className="auth-page">
+      <div className="auth-container">
+        <div className="auth-header">
+          <h1>Verificación de Email</h1>
+        </div>
+
+        {status === 'loading' && (
+          <LoadingSpinner message="Verificando tu email..." />
+        )}
+
+        {status === 'success' && (
+          <div className="success-message">{message}</div>
+        )}
+
+        {status === 'error' && (
+          <div className="error-message error-message--general">{message}</div>
+        )}
+
+        <div className="auth-footer">
+          <p>
+            <Link
+              to={isAuthenticated ? '/dashboard' : '/login'}
+              className="auth-link">
+              {isAuthenticated ? 'Ir al dashboard' : 'Ir a iniciar sesión'}
+            </Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmailPage;
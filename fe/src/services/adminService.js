@@ -0,0 +1,83 @@
+// src/services/adminService.js - Peticiones HTTP de administración de usuarios
+import { apiClient } from './authService';
+
+/**
+ * SERVICIO DE ADMINISTRACIÓN
+ *
+ * Agrupa las llamadas a /api/admin. Reutiliza el cliente de axios de
+ * authService, así que el token se adjunta y renueva automáticamente.
+ *
+ * El servidor verifica los permisos en cada petición (authorize):
+ * un usuario sin permisos recibe 403 aunque llame a estas funciones.
+ */
+const adminService = {
+  /**
+   * LISTAR USUARIOS
+   *
+   * @param {Object} params - page, limit, search, role, status, sort, order
+   * @returns {Promise<{users: Array, pagination: Object}>}
+   */
+  async listUsers(params) {
+    const response = await apiClient.get('/admin/users', { params });
+    return response.data;
+  },
+
+  /**
+   * LISTAR ROLES DISPONIBLES
+   *
+   * @returns {Promise<Array<{name: string, description: string}>>}
+   */
+  async listRoles() {
+    const response = await apiClient.get('/admin/roles');
+    return response.data.roles;
+  },
+
+  /**
+   * EDITAR UN USUARIO (nombres, apellidos, email, role)
+   *
+   * @param {number} id - ID del usuario
+   * @param {Object} changes - Campos a modificar
+   * @returns {Promise<Object>} Usuario actualizado
+   */
+  async updateUser(id, changes) {
+    const response = await apiClient.put(`/admin/users/${id}`, changes);
+    return response.data.user;
+  },
+
+  /**
+   * DESHABILITAR / HABILITAR UNA CUENTA
+   *
+   * @param {number} id - ID del usuario
+   * @param {boolean} disabled - true para deshabilitar
+   * @returns {Promise<Object>} Usuario actualizado
+   */
+  async setDisabled(id, disabled) {
+    const action = disabled ? 'disable' : 'enable';
+    const response = await apiClient.post(`/admin/users/${id}/${action}`);
+    return response.data.user;
+  },
+
+  /**
+   * CERRAR TODAS LAS SESIONES DE UN USUARIO
+   *
+   * @param {number} id - ID del usuario
+   * @returns {Promise<Object>} Respuesta de la API
+   */
+  async forceLogout(id) {
+    const response = await apiClient.post(`/admin/users/${id}/logout`);
+    return response.data;
+  },
+
+  /**
+   * ELIMINAR UN USUARIO
+   *
+   * @param {number} id - ID del usuario
+   * @returns {Promise<Object>} Respuesta de la API
+   */
+  async deleteUser(id) {
+    const response = await apiClient.delete(`/admin/users/${id}`);
+    return response.data;
+  },
+};
+
+export default adminService;
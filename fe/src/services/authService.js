@@ -1,5 +1,6 @@
 // src/services/authService.js - Servicio para manejar peticiones HTTP de autenticación
 import axios from 'axios';
+import { createPasskey, getPasskey } from './webauthn';
 
 /**
  * SERVICIO DE AUTENTICACIÓN
@@ -32,8 +33,11 @@ const API_BASE_URL =
  * - URL base para todas las peticiones
  * - Headers por defecto
  * - Interceptors para manejo automático de tokens y errores
+ *
+ * Se exporta para que otros servicios (p. ej. adminService) reutilicen
+ * los mismos interceptors: token en cada petición y renovación automática.
  */
-const apiClient = axios.create({
+export const apiClient = axios.create({
   baseURL: API_BASE_URL,
   headers: {
     'Content-Type': 'application/json',
@@ -42,6 +46,30 @@ const apiClient = axios.create({
   timeout: 10000,
 });
 
+/**
+ * ALMACENAMIENTO DE TOKENS
+ *
+ * - token: access token (JWT) de corta duración
+ * - refreshToken: token opaco de larga duración para renovar la sesión
+ */
+export const TOKEN_KEY = 'token';
+export const REFRESH_TOKEN_KEY = 'refreshToken';
+// Login social en curso: sobrevive a la redirección al proveedor, pero
+// no a cerrar la pestaña
+const OAUTH_TOKEN_KEY = 'oauthToken';
+
+export const saveTokens = ({ token, refreshToken }) => {
+  localStorage.setItem(TOKEN_KEY, token);
+  if (refreshToken) {
+    localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  }
+};
+
+export const clearTokens = () => {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+};
+
 /**
  * INTERCEPTOR DE PETICIONES
  *
@@ -56,7 +84,7 @@ const apiClient = axios.create({
 apiClient.interceptors.request.use(
   (config) => {
     // Obtener token del localStorage
-    const token = localStorage.getItem('token');
+    const token = localStorage.getItem(TOKEN_KEY);
 
     if (token) {
       // Agregar token al header Authorization
@@ -81,11 +109,84 @@ apiClient.interceptors.request.use(
   }
 );
 
+/**
+ * AVISO DE SESIÓN EXPIRADA
+ *
+ * Cuando ni siquiera el refresh token sirve, el AuthContext registra aquí
+ * una función para limpiar el estado global. ProtectedRoute se encarga
+ * entonces de llevar al usuario al login, sin recargar la página.
+ */
+let sessionExpiredHandler = null;
+
+export const setSessionExpiredHandler = (handler) => {
+  sessionExpiredHandler = handler;
+};
+
+/**
+ * RENOVACIÓN DE SESIÓN
+ *
+ * Si varias peticiones fallan con 401 a la vez, todas deben esperar
+ * la MISMA renovación: cada refresh token solo puede usarse una vez y
+ * el servidor trataría un segundo uso como un robo de token.
+ */
+let refreshPromise = null;
+
+const refreshSession = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+
+    refreshPromise = (
+      refreshToken
+        ? apiClient.post('/auth/refresh', { refreshToken })
+        : Promise.reject(new Error('No hay refresh token'))
+    )
+      .then((response) => {
+        saveTokens(response.data);
+        return response.data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
+// Endpoints donde un 401 NO debe disparar la renovación automática
+const NO_REFRESH_URLS = [
+  '/auth/login',
+  '/auth/login/mfa',
+  '/auth/webauthn/login/verify',
+  '/auth/register',
+  '/auth/refresh',
+  '/auth/forgot-password',
+  '/auth/reset-password',
+  '/auth/resend-verification',
+];
+
+// Además, el callback del login social (/auth/oauth/:provider/callback)
+const skipsRefresh = (url) =>
+  NO_REFRESH_URLS.includes(url) || url.startsWith('/auth/oauth/');
+
+// Códigos de 401 que significan "el access token ya no sirve". Otros 401
+// no se arreglan renovando: p. ej. INVALID_PASSWORD al cambiar el
+// password (repetir la petición comprobaría dos veces cada intento)
+const SESSION_ERROR_CODES = ['TOKEN_EXPIRED', 'TOKEN_INVALID', 'TOKEN_REVOKED'];
+
+const isSessionError = (error) =>
+  error.response?.status === 401 &&
+  SESSION_ERROR_CODES.includes(error.response.data?.code);
+
 /**
  * INTERCEPTOR DE RESPUESTAS
  *
  * Los interceptors de respuesta permiten manejar automáticamente
  * errores comunes como tokens expirados.
+ *
+ * Ante un 401 por token expirado o inválido (SESSION_ERROR_CODES):
+ * 1. Pedimos un access token nuevo con el refresh token
+ * 2. Repetimos la petición original con el token nuevo
+ * 3. Si la renovación falla, cerramos la sesión local
  */
 apiClient.interceptors.response.use(
   (response) => {
@@ -98,14 +199,29 @@ apiClient.interceptors.response.use(
     }
     return response;
   },
-  (error) => {
-    // Manejo automático de token expirado
-    if (error.response?.status === 401) {
-      console.warn('🔒 Token expirado o inválido');
-      // Limpiar token inválido
-      localStorage.removeItem('token');
-      // Redirigir al login (se puede mejorar con React Router)
-      window.location.href = '/login';
+  async (error) => {
+    const originalRequest = error.config;
+
+    if (
+      isSessionError(error) &&
+      originalRequest &&
+      !originalRequest._retry &&
+      !skipsRefresh(originalRequest.url)
+    ) {
+      // _retry evita bucles infinitos si la petición repetida vuelve a fallar
+      originalRequest._retry = true;
+
+      try {
+        const newToken = await refreshSession();
+        originalRequest.headers.Authorization = `Bearer ${newToken}`;
+        return apiClient(originalRequest);
+      } catch (refreshError) {
+        console.warn('🔒 Sesión expirada, es necesario iniciar sesión');
+        clearTokens();
+        if (sessionExpiredHandler) {
+          sessionExpiredHandler();
+        }
+      }
     }
 
     console.error('❌ Error en respuesta:', {
@@ -159,7 +275,9 @@ const authService = {
    *
    * @param {string} email - Email del usuario
    * @param {string} password - Password del usuario
-   * @returns {Promise} Respuesta con token y datos del usuario
+   * @returns {Promise} Respuesta con token, refreshToken y datos del usuario,
+   *   o { mfaRequired: true, mfaToken } si la cuenta tiene verificación en
+   *   dos pasos (el login continúa con loginMfa)
    */
   async login(email, password) {
     try {
@@ -181,15 +299,136 @@ const authService = {
     }
   },
 
+  /**
+   * LOGIN: SEGUNDO PASO (VERIFICACIÓN EN DOS PASOS)
+   *
+   * @param {string} mfaToken - Token devuelto por login()
+   * @param {Object} credentials - { code } (app) o { recoveryCode }
+   * @returns {Promise} Respuesta con token, refreshToken y datos del usuario
+   */
+  async loginMfa(mfaToken, credentials) {
+    try {
+      const response = await apiClient.post('/auth/login/mfa', {
+        mfaToken,
+        ...credentials,
+      });
+      return response.data;
+    } catch (error) {
+      console.error(
+        '❌ Error en verificación en dos pasos:',
+        error.response?.data || error.message
+      );
+      throw error;
+    }
+  },
+
+  /**
+   * LOGIN CON PASSKEY
+   *
+   * 1. El servidor genera el desafío (options + challengeToken)
+   * 2. El navegador lo firma con la passkey que elija el usuario
+   * 3. El servidor verifica la firma y responde igual que login()
+   *
+   * @returns {Promise} Respuesta con token, refreshToken y datos del usuario
+   */
+  async loginWithPasskey() {
+    try {
+      const { data } = await apiClient.post('/auth/webauthn/login/options');
+      const credential = await getPasskey(data.options);
+
+      const response = await apiClient.post('/auth/webauthn/login/verify', {
+        challengeToken: data.challengeToken,
+        credential,
+      });
+      return response.data;
+    } catch (error) {
+      console.error(
+        '❌ Error en login con passkey:',
+        error.response?.data || error.message
+      );
+      throw error;
+    }
+  },
+
+  /**
+   * LOGIN SOCIAL (GOOGLE, GITHUB, MICROSOFT...)
+   *
+   * - getOAuthProviders: proveedores configurados en el servidor
+   * - startOAuthLogin: guarda el oauthToken y redirige al proveedor
+   * - completeOAuthLogin: desde /oauth/callback/:provider, envía el code
+   *   y el state recibidos junto al oauthToken guardado. Responde igual
+   *   que login() (puede pedir el código de verificación en dos pasos)
+   */
+  async getOAuthProviders() {
+    const response = await apiClient.get('/auth/oauth/providers');
+    return response.data.providers;
+  },
+
+  async startOAuthLogin(provider) {
+    const { data } = await apiClient.post(`/auth/oauth/${provider}/authorize`);
+    sessionStorage.setItem(OAUTH_TOKEN_KEY, data.oauthToken);
+    window.location.assign(data.authorizationUrl);
+  },
+
+  async completeOAuthLogin(provider, { code, state }) {
+    // Un solo uso: se borra aunque el login falle
+    const oauthToken = sessionStorage.getItem(OAUTH_TOKEN_KEY);
+    sessionStorage.removeItem(OAUTH_TOKEN_KEY);
+
+    try {
+      const response = await apiClient.post(
+        `/auth/oauth/${provider}/callback`,
+        { code, state, oauthToken }
+      );
+      return response.data;
+    } catch (error) {
+      console.error(
+        '❌ Error en login social:',
+        error.response?.data || error.message
+      );
+      throw error;
+    }
+  },
+
+  /**
+   * CONSENTIMIENTO OPENID CONNECT
+   *
+   * Otra aplicación pide iniciar sesión con esta cuenta y el servidor
+   * envía al usuario a /oidc/authorize (OidcAuthorizePage):
+   * - getOidcAuthorization: qué aplicación es, qué datos pide y si ya
+   *   se aprobaron antes
+   * - decideOidcAuthorization: envía la decisión del usuario
+   *
+   * Ambas pueden responder { redirectTo }: la URL de vuelta a la
+   * aplicación, a la que hay que navegar.
+   *
+   * @param {Object} params - Parámetros del pedido (client_id, scope...)
+   */
+  async getOidcAuthorization(params) {
+    const response = await apiClient.get('/auth/oidc/authorize', { params });
+    return response.data;
+  },
+
+  async decideOidcAuthorization(params, approve) {
+    const response = await apiClient.post('/auth/oidc/authorize', {
+      ...params,
+      approve,
+    });
+    return response.data;
+  },
+
   /**
    * LOGOUT DE USUARIO
    *
-   * Cierra la sesión del usuario en el servidor.
+   * Cierra la sesión del usuario en el servidor: revoca el access token
+   * y, si se envía, toda la familia del refresh token.
    * Nota: La limpieza del localStorage se hace en el AuthContext.
    */
   async logout() {
     try {
-      await apiClient.post('/auth/logout');
+      await apiClient.post('/auth/logout', {
+        refreshToken: localStorage.getItem(REFRESH_TOKEN_KEY),
+      });
       console.log('✅ Logout exitoso');
     } catch (error) {
       // El logout en el cliente debe funcionar aunque falle en el servidor
@@ -219,6 +458,200 @@ const authService = {
     }
   },
 
+  /**
+   * ACTUALIZAR PERFIL DEL USUARIO
+   *
+   * @param {Object} profileData - Campos a actualizar
+   * @param {string} [profileData.nombres] - Nuevos nombres
+   * @param {string} [profileData.apellidos] - Nuevos apellidos
+   * @param {string} [profileData.email] - Nuevo email
+   * @param {string} [profileData.currentPassword] - Obligatorio si cambia el email
+   * @returns {Promise} Respuesta con el usuario actualizado
+   */
+  async updateProfile(profileData) {
+    try {
+      const response = await apiClient.put('/auth/profile', profileData);
+      return response.data;
+    } catch (error) {
+      console.error(
+        '❌ Error al actualizar perfil:',
+        error.response?.data || error.message
+      );
+      throw error;
+    }
+  },
+
+  /**
+   * CAMBIAR PASSWORD
+   *
+   * El servidor cierra todas las demás sesiones y devuelve un token y
+   * refreshToken nuevos para la sesión actual.
+   *
+   * @param {Object} passwordData - currentPassword, newPassword, confirmPassword
+   * @returns {Promise} Respuesta con los tokens nuevos
+   */
+  async changePassword(passwordData) {
+    try {
+      const response = await apiClient.put('/auth/password', passwordData);
+      return response.data;
+    } catch (error) {
+      console.error(
+        '❌ Error al cambiar password:',
+        error.response?.data || error.message
+      );
+      throw error;
+    }
+  },
+
+  /**
+   * VERIFICACIÓN EN DOS PASOS (TOTP)
+   *
+   * - getTwoFactorStatus: { enabled, enabledAt, recoveryCodesRemaining }
+   * - setupTwoFactor: { secret, otpauthUri, qrCode } (pendiente de confirmar)
+   * - confirmTwoFactor: activa con el primer código → { recoveryCodes }
+   * - disableTwoFactor / regenerateRecoveryCodes: exigen el password
+   */
+  async getTwoFactorStatus() {
+    const response = await apiClient.get('/auth/2fa');
+    return response.data.twoFactor;
+  },
+
+  async setupTwoFactor() {
+    const response = await apiClient.post('/auth/2fa/setup');
+    return response.data;
+  },
+
+  async confirmTwoFactor(code) {
+    const response = await apiClient.post('/auth/2fa/confirm', { code });
+    return response.data;
+  },
+
+  async disableTwoFactor(password) {
+    const response = await apiClient.post('/auth/2fa/disable', { password });
+    return response.data;
+  },
+
+  async regenerateRecoveryCodes(password) {
+    const response = await apiClient.post('/auth/2fa/recovery-codes', {
+      password,
+    });
+    return response.data;
+  },
+
+  /**
+   * PASSKEYS DEL USUARIO
+   *
+   * - getPasskeys: passkeys registradas (sin las claves)
+   * - registerPasskey: crea una en este dispositivo (opcionalmente con nombre)
+   * - deletePasskey: la elimina del servidor (el dispositivo la conserva,
+   *   pero ya no sirve para iniciar sesión)
+   */
+  async getPasskeys() {
+    const response = await apiClient.get('/auth/webauthn/credentials');
+    return response.data.credentials;
+  },
+
+  async registerPasskey(name) {
+    const { data } = await apiClient.post('/auth/webauthn/register/options');
+    const credential = await createPasskey(data.options);
+
+    const response = await apiClient.post('/auth/webauthn/register/verify', {
+      challengeToken: data.challengeToken,
+      credential,
+      ...(name && { name }),
+    });
+    return response.data;
+  },
+
+  async deletePasskey(id) {
+    const response = await apiClient.delete(`/auth/webauthn/credentials/${id}`);
+    return response.data;
+  },
+
+  /**
+   * SOLICITAR RECUPERACIÓN DE PASSWORD
+   *
+   * El servidor siempre responde igual (202), exista o no el email.
+   *
+   * @param {string} email - Email de la cuenta
+   * @returns {Promise} Respuesta de la API
+   */
+  async forgotPassword(email) {
+    try {
+      const response = await apiClient.post('/auth/forgot-password', {
+        email,
+      });
+      return response.data;
+    } catch (error) {
+      console.error(
+        '❌ Error al solicitar recuperación:',
+        error.response?.data || error.message
+      );
+      throw error;
+    }
+  },
+
+  /**
+   * RESTABLECER PASSWORD CON EL TOKEN DEL EMAIL
+   *
+   * @param {Object} resetData - token, newPassword, confirmPassword
+   * @returns {Promise} Respuesta de la API
+   */
+  async resetPassword(resetData) {
+    try {
+      const response = await apiClient.post('/auth/reset-password', resetData);
+      return response.data;
+    } catch (error) {
+      console.error(
+        '❌ Error al restablecer password:',
+        error.response?.data || error.message
+      );
+      throw error;
+    }
+  },
+
+  /**
+   * VERIFICAR EMAIL CON EL TOKEN DEL ENLACE
+   *
+   * @param {string} token - Token recibido en el enlace del email
+   * @returns {Promise} Respuesta con el usuario verificado
+   */
+  async verifyEmail(token) {
+    try {
+      const response = await apiClient.get(
+        `/auth/verify-email/${encodeURIComponent(token)}`
+      );
+      return response.data;
+    } catch (error) {
+      console.error(
+        '❌ Error al verificar email:',
+        error.response?.data || error.message
+      );
+      throw error;
+    }
+  },
+
+  /**
+   * REENVIAR EMAIL DE VERIFICACIÓN
+   *
+   * @param {string} email - Email de la cuenta
+   * @returns {Promise} Respuesta de la API (siempre 202)
+   */
+  async resendVerification(email) {
+    try {
+      const response = await apiClient.post('/auth/resend-verification', {
+        email,
+      });
+      return response.data;
+    } catch (error) {
+      console.error(
+        '❌ Error al reenviar verificación:',
+        error.response?.data || error.message
+      );
+      throw error;
+    }
+  },
+
   /**
    * VERIFICAR SALUD DE LA API
    *
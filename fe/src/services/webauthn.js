@@ -0,0 +1,102 @@
+// src/services/webauthn.js - Puente entre la API de passkeys del servidor y la del navegador
+
+/**
+ * PASSKEYS EN EL NAVEGADOR
+ *
+ * El servidor envía las opciones en JSON, con los valores binarios
+ * (desafío, IDs) en Base64URL. La API del navegador
+ * (navigator.credentials.create / get) trabaja con ArrayBuffer, y su
+ * respuesta también es binaria. Estas funciones convierten en ambos
+ * sentidos para poder enviar la respuesta al servidor como JSON.
+ */
+
+const toBuffer = (base64url) => {
+  const base64 = base64url.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64.padEnd(Math.ceil(base64.length / 4) * 4, '=');
+  return Uint8Array.from(atob(padded), (char) => char.charCodeAt(0)).buffer;
+};
+
+const toBase64url = (buffer) =>
+  btoa(String.fromCharCode(...new Uint8Array(buffer)))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+
+const toDescriptors = (credentials = []) =>
+  credentials.map((credential) => ({
+    ...credential,
+    id: toBuffer(credential.id),
+  }));
+
+/**
+ * ¿Admite el navegador passkeys?
+ */
+export const isPasskeySupported = () =>
+  typeof window !== 'undefined' && Boolean(window.PublicKeyCredential);
+
+/**
+ * CREAR UNA PASSKEY (registro)
+ *
+ * @param {Object} options - Opciones de /auth/webauthn/register/options
+ * @returns {Promise<Object>} - Credencial en JSON para /register/verify
+ */
+export const createPasskey = async (options) => {
+  const credential = await navigator.credentials.create({
+    publicKey: {
+      ...options,
+      challenge: toBuffer(options.challenge),
+      user: { ...options.user, id: toBuffer(options.user.id) },
+      excludeCredentials: toDescriptors(options.excludeCredentials),
+    },
+  });
+
+  return {
+    id: credential.id,
+    rawId: toBase64url(credential.rawId),
+    type: credential.type,
+    authenticatorAttachment: credential.authenticatorAttachment,
+    clientExtensionResults: credential.getClientExtensionResults(),
+    response: {
+      clientDataJSON: toBase64url(credential.response.clientDataJSON),
+      attestationObject: toBase64url(credential.response.attestationObject),
+      transports: credential.response.getTransports?.() || [],
+    },
+  };
+};
+
+/**
+ * USAR UNA PASSKEY (login)
+ *
+ * El navegador muestra las passkeys guardadas para este sitio y pide la
+ * huella, el rostro o el PIN.
+ *
+ * @param {Object} options - Opciones de /auth/webauthn/login/options
+ * @returns {Promise<Object>} - Credencial en JSON para /login/verify
+ */
+export const getPasskey = async (options) => {
+  const credential = await navigator.credentials.get({
+    publicKey: {
+      ...options,
+      challenge: toBuffer(options.challenge),
+      allowCredentials: toDescriptors(options.allowCredentials),
+    },
+  });
+
+  const { response } = credential;
+
+  return {
+    id: credential.id,
+    rawId: toBase64url(credential.rawId),
+    type: credential.type,
+    authenticatorAttachment: credential.authenticatorAttachment,
+    clientExtensionResults: credential.getClientExtensionResults(),
+    response: {
+      clientDataJSON: toBase64url(response.clientDataJSON),
+      authenticatorData: toBase64url(response.authenticatorData),
+      signature: toBase64url(response.signature),
+      ...(response.userHandle && {
+        userHandle: toBase64url(response.userHandle),
+      }),
+    },
+  };
+};